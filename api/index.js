@@ -1,13 +1,54 @@
-import { uploadModel, uploadImage } from '../lib/cloudinary.js';
-import { saveModel, saveModelVariant, getModel, getAllModels, getModelsWithVariants, getModelsByCustomer, getModelsByCustomerWithVariants, getCustomers, getStats, deleteModel, incrementViewCount, updateModelCustomer, migrateModelSlugs, resolveUrlToModel, supabase, query } from '../lib/supabase.js';
-import { deleteModel as deleteFromCloudinary } from '../lib/cloudinary.js';
-import { validateFileContent, sanitizeFilename, checkRateLimit, getRateLimitHeaders, hashIP } from '../lib/security.js';
+import { uploadModel, uploadImage, assetStore } from '../lib/cloudinary.js';
+import { resolveLocalAsset, getLocalAssetContentType } from '../lib/local-assets.js';
+import { saveModel, getModel, getModelsByIds, getCustomers, getStats, getCategoryCounts, listModels, deleteModel, updateModel, incrementViewCount, resetViewCounts, updateModelCustomer, resolveUrlToModel } from '../lib/repositories/models.js';
+import { saveModelVariant, getVariant, getModelVariants, countVariants, updateVariant, deleteVariantsByType } from '../lib/repositories/variants.js';
+import { getUserById, getActiveUserById, getActiveUserByUsername, getActiveUserByEmail, listUsersWithViewCounts, createUser, updateUser, toggleUserActive } from '../lib/repositories/users.js';
+import { saveImage, listImages, getLatestCustomerLogoUrl } from '../lib/repositories/images.js';
+import { moveToTrash, restoreFromTrash } from '../lib/repositories/trash.js';
+import { saveFeedback, listFeedback } from '../lib/repositories/feedback.js';
+import { listRequests, getRequest, createRequest, updateRequest, deleteRequest } from '../lib/repositories/requests.js';
+import { getBrandSettings, saveBrandSettings } from '../lib/repositories/brand-settings.js';
+import { deleteModel as deleteFromCloudinary, getModelPublicId } from '../lib/cloudinary.js';
+import { validateFileContent, sanitizeFilename, hashIP, getClientIP } from '../lib/security.js';
+import { validateModelFile } from '../lib/gltf-validator.js';
+import { sanitizeSvg } from '../lib/svg-sanitizer.js';
+import { getModelUrlMode, verifyModelFileRequest, presentModelUrls } from '../lib/model-urls.js';
+import { getPlatformEmbedOrigins, getEmbedOriginsForModel, validateEmbedOrigins, buildFrameAncestors } from '../lib/embed-origins.js';
+import { checkRateLimits, getRateLimitHeaders } from '../lib/rate-limit.js';
 import { logger } from '../lib/logger.js';
 import { getInternalEndpoint } from '../lib/endpoints.js';
-import { generateQR } from '../lib/qr-generator.js';
+import { compileRoutes, matchRoute } from '../lib/router.js';
+import { validateRequest, formatValidationErrors } from '../lib/validation.js';
+import { SCHEMAS, MAX_QR_BATCH } from '../lib/request-schemas.js';
+import { authorizeEndpoint, PUBLIC, ANY_USER, CRON, authenticateCron, createSessionToken, createSessionCookie, clearSessionCookies, resolveCustomerScope, hasScope, createLoginChallenge, verifyLoginChallenge } from '../lib/auth.js';
+import { loadSession, createSession, listUserSessions, revokeSession, revokeUserSessions } from '../lib/sessions.js';
+import { createPasswordResetToken, consumePasswordResetToken } from '../lib/password-reset.js';
+import { createInvitation, listInvitations, resendInvitation, revokeInvitation, getInvitationByToken, acceptInvitation } from '../lib/invitations.js';
+import { sendMail } from '../lib/mailer.js';
+import { recordAudit, listAuditLog } from '../lib/audit-log.js';
+import { getLockoutRemaining, registerFailedLogin, resetFailedLogins, recordLoginAttempt, listLoginAttempts, getSuspiciousLoginActivity } from '../lib/login-security.js';
+import { isTwoFactorRequired } from '../lib/totp.js';
+import { getTwoFactorStatus, beginTwoFactorSetup, activateTwoFactor, verifySecondFactor, regenerateRecoveryCodes, disableTwoFactor } from '../lib/two-factor.js';
+import { createApiKey, listApiKeys, revokeApiKey, authenticateApiKey } from '../lib/api-keys.js';
+import { getMigrationStatus, runMigrations } from '../lib/migrations.js';
+import { getPurgeAfter, listTrash, purgeExpiredTrash } from '../lib/trash.js';
+import { parseBulkRequest, applyBulkAction } from '../lib/bulk-operations.js';
+import { generateQR, generateBatchQR, QRGeneratorError, getSupportedFormats, getOptimalSettings } from '../lib/qr-generator.js';
+import { parseModelListQuery, encodeCursor } from '../lib/model-listing.js';
+import { searchCatalog, normalizeTags, MAX_TAGS, MAX_TAG_LENGTH } from '../lib/catalog-search.js';
+import { isBotUserAgent, getViewDedupSeconds, normalizeViewSource, normalizeReferrer, tagQrTarget } from '../lib/view-tracking.js';
 import multiparty from 'multiparty';
 import bcrypt from 'bcryptjs';
 
+const UNAVAILABLE_MESSAGE = 'This furniture item is no longer available';
+
+// Accepted imageType values for /api/upload-image (case-insensitive)
+const IMAGE_TYPES = {
+  customer_logo: 'customer_logo',
+  general: 'general',
+  brand_asset: 'brand_asset'
+};
+
 export const config = {
   api: {
     bodyParser: {
@@ -35,535 +76,572 @@ function createErrorResponse(statusCode, message, error = null) {
 }
 
 /**
- * Single catch-all API handler for all routes
- * Handles: upload, models, model/[id], model/[id]/info, model/[id]/view
+ * Check that the session may modify a model (customers only their own)
+ */
+async function authorizeModelAccess(session, modelId) {
+  const model = await getModel(modelId);
+  if (!model) {
+    return { allowed: false, status: 404, error: 'Furniture item not found' };
+  }
+  return { ...resolveCustomerScope(session, model.customer_id), model };
+}
+
+/**
+ * Check that the session may modify a variant through its parent model
+ * Both helpers return the loaded record so handlers can audit its previous state
+ */
+async function authorizeVariantAccess(session, variantId) {
+  const variant = await getVariant(variantId);
+
+  if (!variant) {
+    return { allowed: false, status: 404, error: 'Variant not found' };
+  }
+  return { ...await authorizeModelAccess(session, variant.parent_model_id), variant };
+}
+
+/**
+ * Every API route: path (internal name, see lib/endpoints.js for the obfuscated ones),
+ * and per method the handler with who may call it (see lib/router.js).
+ * Endpoints without access are admin-only; scopes are the API key scopes that grant access,
+ * and schema validates the request before the handler runs (see lib/request-schemas.js).
+ */
+export const ROUTES = compileRoutes([
+  // Viewer pages and SEO URLs, reached through the vercel.json rewrites (?route=...&path=...)
+  { path: 'f/:path*', methods: { GET: { access: PUBLIC, handler: (req, res, { path }) => handleSEOFurnitureUrl(req, res, path) } } },
+  { path: 'qr/:path*', methods: { GET: { access: PUBLIC, handler: (req, res, { path }) => handleSEOQRUrl(req, res, path) } } },
+  { path: ':page(view|iframe-view)', methods: {
+    GET: { access: PUBLIC, schema: SCHEMAS.viewerPage, handler: (req, res, { page }) => handleViewerPage(req, res, page, req.query.id) },
+    HEAD: { access: PUBLIC, schema: SCHEMAS.viewerPage, handler: (req, res, { page }) => handleViewerPage(req, res, page, req.query.id) }
+  } },
+
+  // Sign-in and accounts
+  { path: 'login', methods: { POST: { access: PUBLIC, schema: SCHEMAS.login, handler: handleLogin } } },
+  { path: 'login/2fa', methods: { POST: { access: PUBLIC, schema: SCHEMAS.twoFactorLogin, handler: (req, res) => handleTwoFactorLogin(req, res, 'verify') } } },
+  { path: 'login/2fa/:step(enroll|activate)', methods: { POST: { access: PUBLIC, schema: SCHEMAS.twoFactorLogin, handler: (req, res, { step }) => handleTwoFactorLogin(req, res, step) } } },
+  { path: 'logout', methods: { POST: { access: PUBLIC, handler: handleLogout } } },
+  { path: 'auth/session', methods: { GET: { access: ANY_USER, handler: handleAuthSession } } },
+  { path: 'password/forgot', methods: { POST: { access: PUBLIC, schema: SCHEMAS.forgotPassword, handler: handleForgotPassword } } },
+  { path: 'password/reset', methods: { POST: { access: PUBLIC, schema: SCHEMAS.resetPassword, handler: handleResetPassword } } },
+  { path: 'password/change', methods: { POST: { access: ANY_USER, schema: SCHEMAS.changePassword, handler: handleChangePassword } } },
+  { path: 'account/2fa', methods: { GET: { access: ANY_USER, handler: (req, res) => handleAccountTwoFactor(req, res, null) } } },
+  { path: 'account/2fa/:action(setup|enable|disable|recovery-codes)', methods: { POST: { access: ANY_USER, schema: SCHEMAS.accountTwoFactor, handler: (req, res, { action }) => handleAccountTwoFactor(req, res, action) } } },
+  { path: 'invitations/accept', methods: {
+    GET: { access: PUBLIC, schema: SCHEMAS.invitationLookup, handler: handleAcceptInvitation },
+    POST: { access: PUBLIC, schema: SCHEMAS.acceptInvitation, handler: handleAcceptInvitation }
+  } },
+  { path: 'invitations', methods: {
+    GET: { handler: (req, res) => handleInvitations(req, res) },
+    POST: { schema: SCHEMAS.createInvitation, handler: (req, res) => handleInvitations(req, res) }
+  } },
+  { path: 'invitations/:id', methods: { DELETE: { handler: (req, res, { id }) => handleInvitations(req, res, id) } } },
+  { path: 'invitations/:id/resend', methods: { POST: { handler: (req, res, { id }) => handleInvitations(req, res, id, 'resend') } } },
+  { path: 'create-user', methods: { POST: { schema: SCHEMAS.createUser, handler: handleCreateUser } } },
+
+  // User administration
+  { path: 'users', methods: { GET: { handler: handleUsers } } },
+  { path: 'users/:id/password', methods: { PUT: { schema: SCHEMAS.setUserPassword, handler: (req, res, { id }) => handleUserPassword(req, res, id) } } },
+  { path: 'users/:id/toggle', methods: { PUT: { handler: (req, res, { id }) => handleUserToggle(req, res, id) } } },
+  { path: 'users/:id/sessions', methods: {
+    GET: { handler: (req, res, { id }) => handleUserSessions(req, res, id) },
+    DELETE: { handler: (req, res, { id }) => handleUserSessions(req, res, id) }
+  } },
+  { path: 'users/:id/sessions/:sessionId', methods: { DELETE: { handler: (req, res, { id, sessionId }) => handleUserSessions(req, res, id, sessionId) } } },
+  { path: 'users/:id/unlock', methods: { POST: { handler: (req, res, { id }) => handleUserUnlock(req, res, id) } } },
+  { path: 'users/:id/2fa', methods: { DELETE: { handler: (req, res, { id }) => handleUserTwoFactorReset(req, res, id) } } },
+  { path: 'login-attempts', methods: { GET: { schema: SCHEMAS.loginAttempts, handler: (req, res) => handleLoginAttempts(req, res, false) } } },
+  { path: 'login-attempts/suspicious', methods: { GET: { schema: SCHEMAS.suspiciousLogins, handler: (req, res) => handleLoginAttempts(req, res, true) } } },
+  { path: 'audit-log', methods: { GET: { schema: SCHEMAS.auditLog, handler: handleAuditLog } } },
+
+  // Uploads
+  { path: 'upload-simple', methods: { POST: { scopes: ['models:upload', 'variants:manage'], handler: handleUpload } } },
+  { path: 'cloudinary-config', methods: { GET: { handler: handleCloudinaryConfig } } },
+  { path: 'cloudinary-save', methods: { POST: { scopes: ['models:upload', 'variants:manage'], schema: SCHEMAS.cloudinarySave, handler: handleCloudinarySave } } },
+  { path: 'upload-wallpaper', methods: { POST: { handler: handleWallpaperUpload } } },
+  { path: 'upload-image', methods: { POST: { handler: handleImageUpload } } },
+
+  // Catalog
+  { path: 'models', methods: {
+    GET: { scopes: ['catalog:read'], schema: SCHEMAS.listModels, handler: handleModels },
+    PUT: { access: ANY_USER, schema: SCHEMAS.updateModel, handler: handleModels },
+    DELETE: { scopes: ['variants:manage'], schema: SCHEMAS.deleteModel, handler: handleModels }
+  } },
+  { path: 'models/stats', methods: { GET: { access: ANY_USER, scopes: ['catalog:read'], schema: SCHEMAS.modelStats, handler: handleModelStats } } },
+  { path: 'models/search', methods: { GET: { access: ANY_USER, scopes: ['catalog:read'], schema: SCHEMAS.searchModels, handler: handleModelSearch } } },
+  { path: 'models/bulk', methods: { POST: { schema: SCHEMAS.bulkModels, handler: handleModelsBulk } } },
+  { path: 'model/:id', methods: { GET: { access: PUBLIC, handler: (req, res, { id }) => handleModelFile(req, res, id) } } },
+  { path: 'model/:id/file', methods: {
+    GET: { access: PUBLIC, schema: SCHEMAS.modelFile, handler: (req, res, { id }) => handleModelFileDownload(req, res, id) },
+    HEAD: { access: PUBLIC, schema: SCHEMAS.modelFile, handler: (req, res, { id }) => handleModelFileDownload(req, res, id) }
+  } },
+  { path: 'model/:id/info', methods: { GET: { access: PUBLIC, handler: (req, res, { id }) => handleModelInfo(req, res, id) } } },
+  { path: 'model/:id/view', methods: { POST: { access: PUBLIC, schema: SCHEMAS.modelView, handler: (req, res, { id }) => handleModelView(req, res, id) } } },
+  { path: 'model/:id/assign', methods: { PUT: { schema: SCHEMAS.assignModel, handler: (req, res, { id }) => handleModelAssign(req, res, id) } } },
+  { path: 'variants', methods: { PUT: { access: ANY_USER, schema: SCHEMAS.updateVariant, handler: handleVariantUpdate } } },
+  { path: 'cleanup-variants', methods: { GET: { handler: handleCleanupVariants } } },
+  { path: 'update-color', methods: { POST: { schema: SCHEMAS.updateModelColor, handler: handleUpdateColor } } },
+  { path: 'update-variant-color', methods: { POST: { schema: SCHEMAS.updateVariantColor, handler: handleUpdateVariantColor } } },
+  { path: 'reset-view-counts', methods: { POST: { schema: SCHEMAS.resetViewCounts, handler: handleResetViewCounts } } },
+  { path: 'images', methods: {
+    GET: { access: PUBLIC, schema: SCHEMAS.listImages, handler: handleImages },
+    DELETE: { schema: SCHEMAS.deleteImage, handler: handleImages }
+  } },
+  { path: 'local-assets/:publicId*', methods: { GET: { access: PUBLIC, handler: (req, res, { publicId }) => handleLocalAsset(req, res, publicId) } } },
+
+  // QR codes
+  { path: 'qr-generate', methods: { GET: { access: PUBLIC, scopes: ['qr:generate'], schema: SCHEMAS.qrGenerate, handler: handleQRGenerate } } },
+  { path: 'qr-batch', methods: { POST: { access: ANY_USER, scopes: ['qr:generate'], schema: SCHEMAS.qrBatch, handler: handleQRBatch } } },
+  { path: 'qr-formats', methods: { GET: { access: PUBLIC, schema: SCHEMAS.qrFormats, handler: handleQRFormats } } },
+
+  // Customers
+  { path: 'customers', methods: { GET: { handler: handleCustomers } } },
+  { path: 'customer', methods: { GET: { access: ANY_USER, schema: SCHEMAS.customerModelsByQuery, handler: handleCustomerQuery } } },
+  { path: 'customer/:id', methods: { GET: { access: ANY_USER, schema: SCHEMAS.customerModels, handler: (req, res, { id }) => handleCustomerModels(req, res, id) } } },
+  { path: 'customers/:id/brand-settings', methods: {
+    GET: { access: PUBLIC, handler: (req, res, { id }) => handleBrandSettings(req, res, id) },
+    PUT: { access: ANY_USER, schema: SCHEMAS.brandSettings, handler: (req, res, { id }) => handleBrandSettings(req, res, id) }
+  } },
+  { path: 'customers/:id/logo', methods: { POST: { access: ANY_USER, handler: (req, res, { id }) => handleCustomerLogoUpload(req, res, id) } } },
+  { path: 'customers/:id/api-keys', methods: {
+    GET: { access: ANY_USER, handler: (req, res, { id }) => handleApiKeys(req, res, id) },
+    POST: { access: ANY_USER, schema: SCHEMAS.createApiKey, handler: (req, res, { id }) => handleApiKeys(req, res, id) }
+  } },
+  { path: 'customers/:id/api-keys/:keyId', methods: { DELETE: { access: ANY_USER, handler: (req, res, { id, keyId }) => handleApiKeys(req, res, id, keyId) } } },
+  { path: 'feedback', methods: {
+    GET: { access: ANY_USER, schema: SCHEMAS.listFeedback, handler: handleFeedback },
+    POST: { access: ANY_USER, schema: SCHEMAS.submitFeedback, handler: handleFeedback }
+  } },
+  { path: 'requests', methods: {
+    GET: { access: ANY_USER, schema: SCHEMAS.listRequests, handler: handleRequests },
+    POST: { access: ANY_USER, schema: SCHEMAS.createRequest, handler: handleRequests },
+    PUT: { schema: SCHEMAS.updateRequest, handler: handleRequests },
+    DELETE: { access: ANY_USER, schema: SCHEMAS.deleteRequest, handler: handleRequests }
+  } },
+
+  // Maintenance
+  { path: 'migrations', methods: {
+    GET: { handler: handleMigrations },
+    POST: { schema: SCHEMAS.runMigrations, handler: handleMigrations }
+  } },
+  { path: 'trash', methods: { GET: { schema: SCHEMAS.listTrash, handler: handleTrash } } },
+  { path: 'trash/purge', methods: {
+    GET: { access: CRON, handler: handleTrashPurge },
+    POST: { schema: SCHEMAS.purgeTrash, handler: handleTrashPurge }
+  } },
+  { path: 'trash/:type/:id/restore', methods: { POST: { schema: SCHEMAS.restoreFromTrash, handler: (req, res, { type, id }) => handleTrashRestore(req, res, type, id) } } }
+]);
+
+// ?route= values the vercel.json rewrites send for pages outside /api
+const REWRITE_ROUTES = ['f', 'qr', 'view', 'iframe-view'];
+
+/**
+ * Single API entry point: resolves the route from the table above, then authorizes,
+ * rate limits and dispatches to its handler
  */
 export default async function handler(req, res) {
-  logger.debug('Function entry', { 
-    method: req.method, 
-    timestamp: new Date().toISOString() 
+  logger.debug('Function entry', {
+    method: req.method,
+    timestamp: new Date().toISOString()
   });
-  
-  // Rate limiting for sensitive endpoints
-  const clientIP = req.headers['x-forwarded-for'] || req.connection.remoteAddress || 'unknown';
-  const ipHash = hashIP(clientIP);
-  
-  // Apply rate limiting to upload and authentication endpoints
-  const url = new URL(req.url, `https://${req.headers.host}`);
-  const pathParts = url.pathname.split('/').filter(Boolean);
-  const routePath = pathParts.slice(1).join('/');
-  
-  if (['upload-simple', 'upload-image', 'login', 'create-user'].includes(routePath)) {
-    const rateLimit = checkRateLimit(ipHash, 60000, 10); // 10 requests per minute
-    
-    // Set rate limit headers
-    const headers = getRateLimitHeaders(rateLimit);
-    Object.entries(headers).forEach(([key, value]) => {
-      res.setHeader(key, value);
-    });
-    
-    if (!rateLimit.allowed) {
-      return res.status(429).json({
-        error: 'Rate limit exceeded',
-        message: 'Too many requests. Please try again later.',
-        retryAfter: rateLimit.resetTime - Math.floor(Date.now() / 1000)
-      });
-    }
-  }
-  
-  logger.debug('Route processing', { routePath });
-  
+
   // Security headers
   res.setHeader('X-Content-Type-Options', 'nosniff');
   res.setHeader('X-Frame-Options', 'DENY');
   res.setHeader('X-XSS-Protection', '1; mode=block');
   res.setHeader('Referrer-Policy', 'strict-origin-when-cross-origin');
-  
+
   // CORS headers (restrict in production)
-  const allowedOrigins = process.env.NODE_ENV === 'production' 
+  const allowedOrigins = process.env.NODE_ENV === 'production'
     ? ['https://newfurniture.live', 'https://www.newfurniture.live']
     : ['*'];
-  
+
   const origin = req.headers.origin;
   if (allowedOrigins.includes('*') || allowedOrigins.includes(origin)) {
     res.setHeader('Access-Control-Allow-Origin', origin || '*');
   }
-  
+
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Admin-Password');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Admin-Password, Authorization, X-Api-Key');
   res.setHeader('Access-Control-Allow-Credentials', 'true');
-  
+  res.setHeader('Access-Control-Expose-Headers', 'X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset, Retry-After');
+
   if (req.method === 'OPTIONS') {
     return res.status(200).end();
   }
 
   try {
-    // Parse route from URL path instead of query params
+    // Route from the URL path ('/api/models' -> 'models'), or from the rewrite parameters
     const url = new URL(req.url, `https://${req.headers.host}`);
-    const pathParts = url.pathname.split('/').filter(Boolean); // ['api', 's7'] or ['api', 'models']
-    const externalRoutePath = pathParts.slice(1).join('/'); // Remove 'api' prefix: 's7' or 'models'
-    
-    // Convert obfuscated endpoint back to internal name
-    const routePath = getInternalEndpoint(externalRoutePath) || externalRoutePath;
-    
-    logger.debug('Route debug', { routePath, method: req.method, searchParams: Object.fromEntries(url.searchParams) });
-    
-    logger.debug('Users route detected', { routePath });
-    
-    logger.debug('Model route detected', { routePath });
+    const rewriteRoute = url.searchParams.get('route');
+    const routePath = REWRITE_ROUTES.includes(rewriteRoute)
+      ? [rewriteRoute, url.searchParams.get('path')].filter(Boolean).join('/')
+      : getInternalEndpoint(url.pathname.split('/').filter(Boolean).slice(1).join('/'));
 
-    // Handle SEO URL routes from vercel.json rewrites
-    const seoRoute = url.searchParams.get('route');
-    const seoPath = url.searchParams.get('path');
+    logger.debug('Route debug', { routePath, method: req.method, searchParams: Object.fromEntries(url.searchParams) });
 
-    if (seoRoute === 'f' && seoPath) {
-      return await handleSEOFurnitureUrl(req, res, seoPath);
+    const route = matchRoute(ROUTES, routePath, req.method);
+    if (route.status === 404) {
+      return res.status(404).json({ error: 'Route not found' });
     }
-
-    if (seoRoute === 'qr' && seoPath) {
-      return await handleSEOQRUrl(req, res, seoPath);
+    if (route.status === 405) {
+      res.setHeader('Allow', route.allow.join(', '));
+      return res.status(405).json({ error: 'Method not allowed' });
     }
 
-    // Route: /api/upload-simple
-    if (routePath === 'upload-simple') {
-      return await handleUpload(req, res);
-    }
+    // Identify the caller (session cookie, API key or cron secret)
+    const session = await loadSession(req) || await authenticateApiKey(req) || authenticateCron(req);
 
-    // Route: /api/cloudinary-config - Get signed upload configuration
-    if (routePath === 'cloudinary-config') {
-      return await handleCloudinaryConfig(req, res);
-    }
+    // Rate limit per route and per principal (IP, user or API key)
+    const ipHash = hashIP(getClientIP(req));
+    const rateLimit = await checkRateLimits(routePath, { ipHash, session });
+    if (rateLimit) {
+      Object.entries(getRateLimitHeaders(rateLimit)).forEach(([key, value]) => {
+        res.setHeader(key, value);
+      });
 
-    // Route: /api/cloudinary-save - Save metadata after direct upload
-    if (routePath === 'cloudinary-save') {
-      return await handleCloudinarySave(req, res);
+      if (!rateLimit.allowed) {
+        return res.status(429).json({
+          error: 'Rate limit exceeded',
+          message: 'Too many requests. Please try again later.',
+          retryAfter: rateLimit.retryAfter
+        });
+      }
     }
 
-    // Route: /api/qr-migration - Add QR persistence columns to database
-    if (routePath === 'qr-migration') {
-      return await handleQRMigration(req, res);
+    const access = authorizeEndpoint(route.endpoint, session);
+    if (!access.allowed) {
+      return res.status(access.status).json({ error: access.error });
     }
+    req.session = session;
 
-    // Route: /api/url-slug-migration - Generate URL slugs for existing models
-    if (routePath === 'url-slug-migration') {
-      return await handleUrlSlugMigration(req, res);
+    // Validate and coerce params, query and body against the endpoint's schema
+    let params = route.params;
+    if (route.endpoint.schema) {
+      const validation = validateRequest(route.endpoint.schema, { params, query: req.query, body: req.body });
+      if (!validation.success) {
+        return res.status(400).json(formatValidationErrors(validation.errors));
+      }
+      ({ params } = validation);
+      req.query = validation.query;
+      req.body = validation.body;
     }
 
-    // Route: /api/qr-generate - Generate QR code using local generator
-    if (routePath === 'qr-generate') {
-      return await handleQRGenerate(req, res);
-    }
+    return await route.endpoint.handler(req, res, params);
 
-    // Route: /api/upload-wallpaper
-    if (routePath === 'upload-wallpaper') {
-      return await handleWallpaperUpload(req, res);
-    }
-    
-    // Route: /api/models
-    if (routePath === 'models') {
-      return await handleModels(req, res);
-    }
-    
-    // Route: /api/customers
-    if (routePath === 'customers') {
-      return await handleCustomers(req, res);
-    }
-    
-    // Route: /api/cleanup-variants
-    if (routePath === 'cleanup-variants') {
-      return await handleCleanupVariants(req, res);
-    }
-    
-    // Route: /api/update-color
-    if (routePath === 'update-color') {
-      return await handleUpdateColor(req, res);
-    }
-    
-    // Route: /api/update-variant-color
-    if (routePath === 'update-variant-color') {
-      return await handleUpdateVariantColor(req, res);
-    }
-    
-    // Route: /api/upload-image
-    if (routePath === 'upload-image') {
-      return await handleImageUpload(req, res);
-    }
-    
-    // Route: /api/images
-    if (routePath === 'images') {
-      return await handleImages(req, res);
-    }
-    
-    // Route: /api/create-images-table
-    if (routePath === 'create-images-table') {
-      return await handleCreateImagesTable(req, res);
-    }
-    
-    // Route: /api/create-model-views-table
-    if (routePath === 'create-model-views-table') {
-      return await handleCreateModelViewsTable(req, res);
-    }
-    
-    // Route: /api/reset-view-counts
-    if (routePath === 'reset-view-counts') {
-      return await handleResetViewCounts(req, res);
-    }
-    
-    // Route: /api/feedback
-    if (routePath === 'feedback') {
-      return await handleFeedback(req, res);
-    }
-    
-    // Route: /api/create-feedback-table
-    if (routePath === 'create-feedback-table') {
-      return await handleCreateFeedbackTable(req, res);
-    }
-    
-    // Route: /api/create-brand-settings-table
-    if (routePath === 'create-brand-settings-table') {
-      return await handleCreateBrandSettingsTable(req, res);
-    }
-    
-    // Route: /api/init-models-db
-    if (routePath === 'init-models-db') {
-      return await handleInitModelsDB(req, res);
-    }
-    
-    // Route: /api/test-save-model
-    if (routePath === 'test-save-model') {
-      return await handleTestSaveModel(req, res);
-    }
-    
-    // Route: /api/test-brand-settings-schema
-    if (routePath === 'test-brand-settings-schema') {
-      return await handleTestBrandSettingsSchema(req, res);
-    }
-    
-    // Route: /api/test-columns (debug endpoint)
-    if (routePath === 'test-columns') {
-      try {
-        const result = await query(`
-          SELECT column_name, data_type 
-          FROM information_schema.columns 
-          WHERE table_name = 'models' AND column_name = 'product_url'
-        `);
-        
-        const variantResult = await query(`
-          SELECT column_name, data_type 
-          FROM information_schema.columns 
-          WHERE table_name = 'model_variants' AND column_name = 'product_url'
-        `);
-        
-        return res.status(200).json({
-          models_product_url: result.data,
-          model_variants_product_url: variantResult.data
-        });
-      } catch (error) {
-        return res.status(500).json({ error: error.message });
-      }
-    }
-    
-    // Route: /api/debug-update (test update functionality)
-    if (routePath === 'debug-update') {
-      try {
-        // Test a simple update on the first model
-        const testResult = await query(`
-          SELECT id, title, product_url FROM models LIMIT 1
-        `);
-        
-        if (!testResult.success || !testResult.data || testResult.data.length === 0) {
-          return res.status(400).json({ error: 'No models found to test with' });
-        }
-        
-        const testModel = testResult.data[0];
-        const testUrl = 'https://test-url.com';
-        
-        console.log('🧪 Testing update on model:', testModel.id);
-        
-        const updateResult = await query(`
-          UPDATE models 
-          SET product_url = $1, updated_at = NOW() 
-          WHERE id = $2
-        `, [testUrl, testModel.id]);
-        
-        return res.status(200).json({
-          original_model: testModel,
-          update_result: updateResult,
-          test_url_set: testUrl
-        });
-        
-      } catch (error) {
-        console.error('Debug update error:', error);
-        return res.status(500).json({ error: error.message, stack: error.stack });
-      }
-    }
-    
-    // Route: /api/create-user
-    if (routePath === 'create-user') {
-      return await handleCreateUser(req, res);
-    }
-    
-    // Route: /api/requests - handle customer request operations
-    if (routePath === 'requests') {
-      return await handleRequests(req, res);
-    }
-    
-    // Route: /api/variants - handle variant operations
-    if (routePath === 'variants') {
-      if (req.method === 'PUT') {
-        // Update a variant's product URL
-        const { id, product_url } = req.body;
-        
-        if (!id) {
-          return res.status(400).json({ error: 'Variant ID required' });
-        }
-        
-        try {
-          // Build SQL query for variant update
-          const updateQuery = `
-            UPDATE model_variants 
-            SET product_url = $1, updated_at = NOW() 
-            WHERE id = $2
-          `;
-          
-          console.log('🔄 Executing variant update query:', updateQuery);
-          console.log('🔄 With values:', [product_url || null, id]);
-          
-          const result = await query(updateQuery, [product_url || null, id]);
-          
-          if (!result.success) {
-            console.error('Variant query execution failed:', result.error);
-            throw new Error(result.error || 'Database update failed');
-          }
-          
-          res.status(200).json({ success: true, message: 'Variant updated successfully' });
-          
-        } catch (error) {
-          console.error('Error updating variant:', error);
-          console.error('Full error object:', JSON.stringify(error, null, 2));
-          
-          if (error.message && error.message.includes('column')) {
-            res.status(500).json({ 
-              error: 'Database schema issue. Column might be missing.',
-              details: error.message
-            });
-          } else {
-            res.status(500).json({ 
-              error: 'Unable to save variant changes. Please try again.',
-              details: error.message || 'Unknown error'
-            });
-          }
-        }
-      } else {
-        return res.status(405).json({ error: 'Method not allowed' });
-      }
-    }
-    
-    
-    // Route: /api/users - handle all user operations directly
-    if (routePath === 'users') {
-      // GET /api/users - List all users with view counts
-      if (req.method === 'GET') {
-        const usersResult = await query(`
-          SELECT 
-            u.id,
-            u.username,
-            u.role,
-            u.customer_id,
-            u.customer_name,
-            u.is_active,
-            u.created_at,
-            COALESCE(SUM(m.view_count), 0) as total_views
-          FROM users u
-          LEFT JOIN models m ON (u.role = 'customer' AND m.customer_id = u.customer_id)
-          GROUP BY u.id, u.username, u.role, u.customer_id, u.customer_name, u.is_active, u.created_at
-          ORDER BY u.created_at DESC
-        `);
-        
-        if (!usersResult.success) {
-          return res.status(500).json({ error: 'Failed to fetch users' });
-        }
-        
-        return res.status(200).json(usersResult.data || []);
-      }
-      
-      return res.status(405).json({ error: 'Method not allowed' });
-    }
-    
-    // Route: /api/users/{id}/password - Update user password
-    if (routePath?.startsWith('users/') && routePath.endsWith('/password')) {
-      if (req.method === 'PUT') {
-        const userId = routePath.split('/')[1];
-        const { password } = req.body;
-        
-        if (!password) {
-          return res.status(400).json({ error: 'Password is required' });
-        }
-        
-        const hashedPassword = await bcrypt.hash(password, 10);
-        
-        const updateResult = await query(
-          'UPDATE users SET password_hash = $1 WHERE id = $2',
-          [hashedPassword, userId]
-        );
-        
-        if (!updateResult.success) {
-          return res.status(500).json({ error: 'Failed to update password' });
-        }
-        
-        return res.status(200).json({ success: true });
+  } catch (error) {
+    console.error('API Error:', error);
+
+    return res.status(500).json({
+      error: 'Something went wrong on our end. Please try again in a few moments.',
+      message: 'Service temporarily unavailable',
+      showReportButton: true,
+      reportData: {
+        errorType: 'server_error',
+        timestamp: new Date().toISOString(),
+        userAgent: req.headers['user-agent'] || 'unknown'
       }
-      
-      return res.status(405).json({ error: 'Method not allowed' });
+    });
+  }
+}
+
+/**
+ * GET /api/customer?customer=id - Query parameter form of /api/customer/{id}
+ */
+async function handleCustomerQuery(req, res) {
+  const customerId = req.query.customer;
+  if (!customerId) {
+    return res.status(400).json({ error: 'Customer ID is required' });
+  }
+  return await handleCustomerModels(req, res, customerId);
+}
+
+/**
+ * GET /api/auth/session - Current logged-in user
+ */
+async function handleAuthSession(req, res) {
+  const { session } = req;
+  return res.status(200).json({
+    user: {
+      id: session.userId,
+      username: session.username,
+      role: session.role,
+      customer_id: session.customerId
     }
-    
-    // Route: /api/users/{id}/toggle - Toggle user active status  
-    if (routePath?.startsWith('users/') && routePath.endsWith('/toggle')) {
-      if (req.method === 'PUT') {
-        const userId = routePath.split('/')[1];
-        
-        const toggleResult = await query(
-          'UPDATE users SET is_active = NOT is_active WHERE id = $1',
-          [userId]
-        );
-        
-        if (!toggleResult.success) {
-          return res.status(500).json({ error: 'Failed to toggle user status' });
-        }
-        
-        return res.status(200).json({ success: true });
-      }
-      
-      return res.status(405).json({ error: 'Method not allowed' });
+  });
+}
+
+/**
+ * POST /api/login - User authentication
+ */
+async function handleLogin(req, res) {
+  try {
+    const { username, password } = req.body;
+
+    const userData = await getActiveUserByUsername(username);
+
+    if (!userData) {
+      await recordLoginAttempt(req, { username, success: false, reason: 'unknown_user' });
+      return res.status(401).json({ error: 'Invalid credentials' });
     }
 
-    // Route: /api/login - User authentication
-    if (routePath === 'login') {
-      if (req.method === 'POST') {
-        try {
-          const { username, password } = req.body;
-          
-          if (!username || !password) {
-            return res.status(400).json({ error: 'Username and password are required' });
-          }
-          
-          // Find user by username (using parameterized query to prevent SQL injection)
-          const { data: userData, error: userError } = await supabase
-            .from('users')
-            .select('*')
-            .eq('username', username)
-            .eq('is_active', true)
-            .single();
-          
-          if (userError || !userData) {
-            return res.status(401).json({ error: 'Invalid credentials' });
-          }
-          
-          const user = userData;
-          
-          // Verify password
-          const passwordMatch = await bcrypt.compare(password, user.password_hash);
-          
-          if (!passwordMatch) {
-            return res.status(401).json({ error: 'Invalid credentials' });
-          }
-          
-          // Set secure session cookies
-          const isProduction = process.env.NODE_ENV === 'production';
-          res.setHeader('Set-Cookie', [
-            `user_role=${user.role}; Path=/; Max-Age=86400; HttpOnly; SameSite=Strict${isProduction ? '; Secure' : ''}`,
-            `user_id=${user.id}; Path=/; Max-Age=86400; HttpOnly; SameSite=Strict${isProduction ? '; Secure' : ''}`
-          ]);
-          
-          return res.status(200).json({
-            success: true,
-            message: 'Login successful',
-            user: {
-              id: user.id,
-              username: user.username,
-              role: user.role,
-              customerId: user.customer_id,
-              customerName: user.customer_name
-            },
-            redirectUrl: user.role === 'admin' ? '/admin.html' : `/customer.html?customer=${user.customer_id}`
-          });
-          
-        } catch (error) {
-          logger.error('Login error', error);
-          const { statusCode, response } = createErrorResponse(500, 'Login failed', error);
-          return res.status(statusCode).json(response);
-        }
-      }
-      
-      return res.status(405).json({ error: 'Method not allowed' });
+    const user = userData;
+
+    // Locked accounts are refused before the password is checked
+    const lockoutRemaining = getLockoutRemaining(user);
+    if (lockoutRemaining > 0) {
+      await recordLoginAttempt(req, { username, userId: user.id, success: false, reason: 'locked' });
+      res.setHeader('Retry-After', lockoutRemaining);
+      return res.status(429).json({
+        error: 'Account temporarily locked after too many failed attempts',
+        retryAfter: lockoutRemaining
+      });
     }
-    
-    // Route: /api/customer?customer=id (for query parameter format)
-    if (routePath === 'customer') {
-      const customerId = url.searchParams.get('customer');
-      if (!customerId) {
-        return res.status(400).json({ error: 'Customer ID is required' });
-      }
-      return await handleCustomerModels(req, res, customerId);
+
+    // Verify password
+    const passwordMatch = await bcrypt.compare(password, user.password_hash);
+
+    if (!passwordMatch) {
+      const { lockoutMinutes } = await registerFailedLogin(user);
+      await recordLoginAttempt(req, { username, userId: user.id, success: false, reason: lockoutMinutes ? 'invalid_password_locked' : 'invalid_password' });
+      return res.status(401).json({ error: 'Invalid credentials' });
     }
-    
-    // Route: /api/customers/[id]/brand-settings
-    if (routePath?.match(/^customers\/[^\/]+\/brand-settings$/)) {
-      const customerId = routePath.split('/')[1];
-      return await handleBrandSettings(req, res, customerId);
+
+    // Second step: enter a code, or enroll first when 2FA is mandatory for this account
+    if (user.totp_enabled || isTwoFactorRequired(user)) {
+      const purpose = user.totp_enabled ? 'verify' : 'enroll';
+      return res.status(200).json({
+        success: true,
+        twoFactorRequired: purpose === 'verify',
+        twoFactorSetupRequired: purpose === 'enroll',
+        challengeToken: createLoginChallenge(user, purpose)
+      });
     }
-    
-    // Route: /api/customers/[id]/logo - Customer logo upload
-    if (routePath?.match(/^customers\/[^\/]+\/logo$/)) {
-      const customerId = routePath.split('/')[1];
-      return await handleCustomerLogoUpload(req, res, customerId);
+
+    return await completeLogin(req, res, user);
+
+  } catch (error) {
+    logger.error('Login error', error);
+    const { statusCode, response } = createErrorResponse(500, 'Login failed', error);
+    return res.status(statusCode).json(response);
+  }
+}
+
+/**
+ * POST /api/logout - End the current session
+ */
+async function handleLogout(req, res) {
+  if (req.session?.sid) {
+    await revokeSession(req.session.sid);
+  }
+
+  res.setHeader('Set-Cookie', clearSessionCookies());
+  return res.status(200).json({ success: true, message: 'Logged out' });
+}
+
+/**
+ * GET /api/users - List all users with view counts
+ */
+async function handleUsers(req, res) {
+  const usersResult = await listUsersWithViewCounts();
+
+  if (!usersResult.success) {
+    return res.status(500).json({ error: 'Failed to fetch users' });
+  }
+
+  return res.status(200).json(usersResult.data || []);
+}
+
+/**
+ * PUT /api/users/{id}/password - Set a user's password (admin)
+ */
+async function handleUserPassword(req, res, userId) {
+  const { password } = req.body;
+
+  const hashedPassword = await bcrypt.hash(password, 10);
+
+  const updateResult = await updateUser(userId, { password_hash: hashedPassword });
+
+  if (!updateResult.success) {
+    return res.status(500).json({ error: 'Failed to update password' });
+  }
+
+  // Sign the user out everywhere so the old password stops working immediately
+  await revokeUserSessions(userId);
+
+  await recordAudit(req, {
+    action: 'user.password_reset',
+    targetType: 'user',
+    targetId: userId,
+    metadata: { sessionsRevoked: true }
+  });
+
+  return res.status(200).json({ success: true });
+}
+
+/**
+ * PUT /api/users/{id}/toggle - Toggle user active status
+ */
+async function handleUserToggle(req, res, userId) {
+  const previousUser = await getUserById(userId);
+
+  const toggleResult = await toggleUserActive(userId);
+
+  if (!toggleResult.success) {
+    return res.status(toggleResult.status || 500).json({ error: toggleResult.error || 'Failed to toggle user status' });
+  }
+
+  // Deactivated users lose their active sessions straight away
+  const toggledUser = toggleResult.data;
+
+  if (!toggledUser.is_active) {
+    await revokeUserSessions(userId);
+  }
+
+  await recordAudit(req, {
+    action: 'user.toggle_active',
+    targetType: 'user',
+    targetId: userId,
+    customerId: previousUser?.customer_id,
+    before: { is_active: previousUser?.is_active },
+    after: { is_active: toggledUser?.is_active }
+  });
+
+  return res.status(200).json({ success: true });
+}
+
+/**
+ * GET /api/users/{id}/sessions lists a user's sessions; DELETE revokes them all, or one
+ * with /api/users/{id}/sessions/{sessionId}
+ */
+async function handleUserSessions(req, res, userId, sessionId = null) {
+  if (req.method === 'GET') {
+    const result = await listUserSessions(userId);
+    if (!result.success) {
+      return res.status(500).json({ error: 'Failed to fetch sessions' });
     }
-    
-    // Route: /api/customer/[id]
-    if (routePath?.startsWith('customer/')) {
-      const customerId = routePath.split('/')[1];
-      return await handleCustomerModels(req, res, customerId);
+    return res.status(200).json({ success: true, sessions: result.data });
+  }
+
+  const result = sessionId
+    ? await revokeSession(sessionId, userId)
+    : await revokeUserSessions(userId);
+
+  if (!result.success) {
+    return res.status(500).json({ error: 'Failed to revoke sessions' });
+  }
+  return res.status(200).json({ success: true, revoked: result.revoked });
+}
+
+/**
+ * POST /api/users/{id}/unlock - Clear a brute-force lockout
+ */
+async function handleUserUnlock(req, res, userId) {
+  const result = await resetFailedLogins(userId);
+
+  if (!result.success) {
+    return res.status(500).json({ error: 'Failed to unlock user' });
+  }
+  await recordAudit(req, { action: 'user.unlock', targetType: 'user', targetId: userId });
+  return res.status(200).json({ success: true });
+}
+
+/**
+ * DELETE /api/users/{id}/2fa - Admin resets a user's two-factor (lost device)
+ */
+async function handleUserTwoFactorReset(req, res, userId) {
+  const result = await disableTwoFactor(userId);
+
+  if (!result.success) {
+    return res.status(500).json({ error: 'Failed to reset two-factor authentication' });
+  }
+  await revokeUserSessions(userId);
+  await recordAudit(req, { action: 'user.2fa_reset', targetType: 'user', targetId: userId });
+  return res.status(200).json({ success: true });
+}
+
+/**
+ * GET /api/login-attempts[/suspicious] - Login audit trail for admins
+ */
+async function handleLoginAttempts(req, res, suspicious) {
+  if (suspicious) {
+    const result = await getSuspiciousLoginActivity(req.query.hours);
+    if (!result.success) {
+      return res.status(500).json({ error: 'Failed to fetch suspicious activity' });
     }
-    
-    // Route: /api/model/[id]
-    if (routePath?.startsWith('model/')) {
-      const routeParts = routePath.split('/');
-      const modelId = routeParts[1];
-      
-      if (routeParts.length === 2) {
-        // /api/model/[id]
-        return await handleModelFile(req, res, modelId);
-      } else if (routeParts.length === 3 && routeParts[2] === 'info') {
-        // /api/model/[id]/info
-        return await handleModelInfo(req, res, modelId);
-      } else if (routeParts.length === 3 && routeParts[2] === 'view') {
-        // /api/model/[id]/view
-        return await handleModelView(req, res, modelId);
-      } else if (routeParts.length === 3 && routeParts[2] === 'assign') {
-        // /api/model/[id]/assign
-        return await handleModelAssign(req, res, modelId);
-      }
+    return res.status(200).json({ success: true, ...result.data });
+  }
+
+  const { username, userId, ipHash, success, limit } = req.query;
+  const result = await listLoginAttempts({
+    username,
+    userId,
+    ipHash,
+    success,
+    limit
+  });
+  if (!result.success) {
+    return res.status(500).json({ error: 'Failed to fetch login attempts' });
+  }
+  return res.status(200).json({ success: true, attempts: result.data });
+}
+
+/**
+ * GET /api/audit-log - Filterable audit trail for admins
+ */
+async function handleAuditLog(req, res) {
+  const { action, targetType, targetId, actor, customer, since, until, limit, offset } = req.query;
+  const result = await listAuditLog({ action, targetType, targetId, actor, customerId: customer, since, until, limit, offset });
+
+  if (!result.success) {
+    return res.status(500).json({ error: 'Failed to fetch audit log' });
+  }
+  return res.status(200).json({ success: true, entries: result.data, total: result.total });
+}
+
+/**
+ * PUT /api/variants - Update a variant's product URL
+ */
+async function handleVariantUpdate(req, res) {
+  const { id, product_url } = req.body;
+
+  const access = await authorizeVariantAccess(req.session, id);
+  if (!access.allowed) {
+    return res.status(access.status).json({ error: access.error });
+  }
+
+  try {
+    const result = await updateVariant(id, { product_url: product_url || null });
+
+    if (!result.success) {
+      console.error('Variant update failed:', result.error);
+      throw new Error(result.error || 'Database update failed');
     }
-    
-    // 404 for unknown routes
-    return res.status(404).json({ error: 'Route not found' });
-    
-  } catch (error) {
-    console.error('API Error:', error);
-    
-    // Don't expose internal error details in production
-    const isDevelopment = process.env.NODE_ENV !== 'production';
-    
-    return res.status(500).json({ 
-      error: 'Something went wrong on our end. Please try again in a few moments.',
-      message: 'Service temporarily unavailable',
-      showReportButton: true,
-      reportData: {
-        errorType: 'server_error',
-        timestamp: new Date().toISOString(),
-        userAgent: req.headers['user-agent'] || 'unknown'
-      }
+
+    await recordAudit(req, {
+      action: 'variant.update',
+      targetType: 'variant',
+      targetId: id,
+      customerId: access.model.customer_id,
+      before: { product_url: access.variant.product_url },
+      after: { product_url: product_url || null }
     });
+
+    res.status(200).json({ success: true, message: 'Variant updated successfully' });
+
+  } catch (error) {
+    console.error('Error updating variant:', error);
+    console.error('Full error object:', JSON.stringify(error, null, 2));
+
+    if (error.message && error.message.includes('column')) {
+      res.status(500).json({
+        error: 'Database schema issue. Column might be missing.',
+        details: error.message
+      });
+    } else {
+      res.status(500).json({
+        error: 'Unable to save variant changes. Please try again.',
+        details: error.message || 'Unknown error'
+      });
+    }
   }
 }
 
@@ -576,22 +654,13 @@ async function handleUpload(req, res) {
   }
 
   try {
-    console.log('🔧 UPLOAD DEBUG: Starting upload process');
-
     // Parse multipart form data
-    console.log('🔧 UPLOAD DEBUG: Creating multiparty form');
     const form = new multiparty.Form();
-
-    console.log('🔧 UPLOAD DEBUG: Parsing form data');
     const { fields, files } = await new Promise((resolve, reject) => {
       form.parse(req, (err, fields, files) => {
         if (err) {
-          console.error('🚨 FORM PARSING ERROR:', err);
           reject(err);
         } else {
-          console.log('🔧 UPLOAD DEBUG: Form parsing completed');
-          console.log('🔧 Fields:', Object.keys(fields || {}));
-          console.log('🔧 Files:', Object.keys(files || {}));
           resolve({ fields, files });
         }
       });
@@ -607,6 +676,25 @@ async function handleUpload(req, res) {
       isVariant: isVariantUpload 
     });
 
+    // API keys need the scope matching the kind of upload
+    const requiredScope = isVariantUpload ? 'variants:manage' : 'models:upload';
+    if (!hasScope(req.session, requiredScope)) {
+      return res.status(403).json({ error: `API key is missing the '${requiredScope}' scope` });
+    }
+
+    // Variants can only be added to the caller's own models
+    if (isVariantUpload) {
+      const access = await authorizeModelAccess(req.session, parentModelId);
+      if (!access.allowed) {
+        return res.status(access.status).json({ error: access.error });
+      }
+    }
+
+    const scope = resolveCustomerScope(req.session, fields.customerId?.[0]);
+    if (!scope.allowed) {
+      return res.status(scope.status).json({ error: scope.error });
+    }
+
     // Get file
     const uploadedFile = files.file?.[0];
     if (!uploadedFile) {
@@ -637,11 +725,16 @@ async function handleUpload(req, res) {
       return res.status(400).json({ error: `Security validation failed: ${contentValidation.error}` });
     }
 
+    // Validate the model structure before it is stored anywhere
+    const modelValidation = validateModelFile(fileBuffer, uploadedFile.originalFilename);
+    if (!modelValidation.valid) {
+      fs.unlinkSync(uploadedFile.path); // Clean up temp file
+      return res.status(400).json({ error: 'Model validation failed', report: modelValidation });
+    }
+
     // Upload to Cloudinary
-    console.log('🔧 UPLOAD DEBUG: Starting Cloudinary upload');
     logger.debug('Starting file upload');
     const cloudinaryResult = await uploadModel(fileBuffer, uploadedFile.originalFilename);
-    console.log('🔧 UPLOAD DEBUG: Cloudinary upload completed', { url: cloudinaryResult.url });
 
     // Save to database - VARIANT OR MODEL
     let dbResult;
@@ -671,8 +764,8 @@ async function handleUpload(req, res) {
         cloudinaryUrl: cloudinaryResult.url,
         cloudinaryPublicId: cloudinaryResult.publicId,
         fileSize: cloudinaryResult.size,
-        customerId: fields.customerId?.[0] || 'unassigned',
-        customerName: fields.customerName?.[0] || 'Unassigned',
+        customerId: scope.customerId || 'unassigned',
+        customerName: fields.customerName?.[0] || req.session?.customerName || 'Unassigned',
         dominantColor: '#6b7280', // Will be updated by frontend after color extraction
         productUrl: fields.product_url?.[0] || null, // Product URL for back button
         metadata: {
@@ -740,12 +833,6 @@ async function handleUpload(req, res) {
     }
 
   } catch (error) {
-    console.error('🚨 UPLOAD CRASH - Full error details:');
-    console.error('Error name:', error.name);
-    console.error('Error message:', error.message);
-    console.error('Error stack:', error.stack);
-    console.error('Error object:', JSON.stringify(error, null, 2));
-
     logger.error('Upload error', error);
     const { statusCode, response } = createErrorResponse(500, 'Upload failed', error);
     return res.status(statusCode).json({
@@ -760,33 +847,29 @@ async function handleUpload(req, res) {
  * Handle models listing and deletion
  */
 async function handleModels(req, res) {
-  // List all models
+  // List models, one page at a time
   if (req.method === 'GET') {
-    try {
-      const limit = parseInt(req.query.limit) || 100;
-      const offset = parseInt(req.query.offset) || 0;
-      
-      const models = await getModelsWithVariants(limit, offset);
-      const stats = await getStats();
-      
-      res.status(200).json({
-        models,
-        stats,
-        success: true
-      });
-      
-    } catch (error) {
-      console.error('Error fetching models:', error);
-      res.status(500).json({ error: 'Unable to load your furniture collection. Please refresh the page and try again.' });
+    // API keys only ever see their own customer's catalog
+    const scope = resolveCustomerScope(req.session, req.query.customer);
+    if (!scope.allowed) {
+      return res.status(scope.status).json({ error: scope.error });
     }
+    
+    return await sendModelPage(req, res, scope.customerId);
   }
   
   // Update a model
   else if (req.method === 'PUT') {
-    const { id, title, product_url } = req.body;
+    const { id, title, product_url, tags } = req.body;
+    
+    const cleanTags = tags === undefined ? undefined : normalizeTags(tags);
+    if (cleanTags === null) {
+      return res.status(400).json({ error: `tags must be a list of at most ${MAX_TAGS} strings of up to ${MAX_TAG_LENGTH} characters` });
+    }
     
-    if (!id) {
-      return res.status(400).json({ error: 'Model ID required' });
+    const access = await authorizeModelAccess(req.session, id);
+    if (!access.allowed) {
+      return res.status(access.status).json({ error: access.error });
     }
     
     try {
@@ -794,48 +877,28 @@ async function handleModels(req, res) {
       const updateData = {};
       if (title !== undefined) updateData.title = title;
       if (product_url !== undefined) updateData.product_url = product_url || null;
+      if (cleanTags !== undefined) updateData.tags = cleanTags;
       
-      // Build SQL query dynamically for the fields we want to update
-      const setClauses = [];
-      const values = [];
-      let paramIndex = 1;
-      
-      if (title !== undefined) {
-        setClauses.push(`title = $${paramIndex}`);
-        values.push(title);
-        paramIndex++;
-      }
-      
-      if (product_url !== undefined) {
-        setClauses.push(`product_url = $${paramIndex}`);
-        values.push(product_url || null);
-        paramIndex++;
-      }
-      
-      if (setClauses.length === 0) {
+      if (Object.keys(updateData).length === 0) {
         return res.status(400).json({ error: 'No fields to update' });
       }
       
-      // Add the ID parameter for WHERE clause
-      values.push(id);
-      
-      const updateQuery = `
-        UPDATE models 
-        SET ${setClauses.join(', ')}, updated_at = NOW() 
-        WHERE id = $${paramIndex}
-      `;
-      
-      console.log('🔄 Executing update query:', updateQuery);
-      console.log('🔄 With values:', values);
-      
-      // Update model in database using raw query (same as migration)
-      const result = await query(updateQuery, values);
+      const result = await updateModel(id, updateData);
       
       if (!result.success) {
-        console.error('Query execution failed:', result.error);
+        console.error('Model update failed:', result.error);
         throw new Error(result.error || 'Database update failed');
       }
       
+      await recordAudit(req, {
+        action: 'model.update',
+        targetType: 'model',
+        targetId: id,
+        customerId: access.model.customer_id,
+        before: Object.fromEntries(Object.keys(updateData).map(field => [field, access.model[field] ?? null])),
+        after: updateData
+      });
+      
       res.status(200).json({ success: true, message: 'Model updated successfully' });
       
     } catch (error) {
@@ -846,7 +909,7 @@ async function handleModels(req, res) {
       // Check if it's a column not found error
       if (error.code === '42703') {
         res.status(500).json({ 
-          error: 'Database column missing. Please run migration at /api/init-models-db',
+          error: 'Database column missing. Please run pending database migrations (npm run migrate -- up)',
           details: 'The product_url column needs to be added to the database'
         });
       } else if (error.message && error.message.includes('column')) {
@@ -863,62 +926,66 @@ async function handleModels(req, res) {
     }
   }
   
-  // Delete a model or variant
+  // Move a model or variant to the trash; stored files stay until the purge job runs
   else if (req.method === 'DELETE') {
-    const { id, cloudinaryPublicId, type } = req.body;
+    const { id, type } = req.body;
     
-    if (!id) {
-      return res.status(400).json({ error: 'ID required' });
+    // API keys may delete their own variants, never whole models
+    if (req.session?.apiKeyId) {
+      if (type !== 'variant') {
+        return res.status(403).json({ error: 'API keys can only delete variants' });
+      }
+      
+      const access = await authorizeVariantAccess(req.session, id);
+      if (!access.allowed) {
+        return res.status(access.status).json({ error: access.error });
+      }
     }
     
     try {
       if (type === 'variant') {
-        // Delete variant
-        console.log('Deleting variant:', id);
-        
-        // Get variant info first to delete from Cloudinary
-        const { data: variant, error: fetchError } = await supabase
-          .from('model_variants')
-          .select('cloudinary_public_id')
-          .eq('id', id)
-          .single();
-          
-        if (fetchError) {
-          console.warn('Could not fetch variant for cleanup:', fetchError);
-        }
+        console.log('Moving variant to trash:', id);
         
-        // Delete from Cloudinary if public ID available
-        if (variant?.cloudinary_public_id) {
-          await deleteFromCloudinary(variant.cloudinary_public_id);
+        const result = await moveToTrash('variant', id, req.session.username);
+        if (!result.success) {
+          return res.status(result.status).json({ error: result.status === 404 ? 'Variant not found' : 'Failed to delete variant' });
         }
         
-        // Delete from database
-        const { error: deleteError } = await supabase
-          .from('model_variants')
-          .delete()
-          .eq('id', id);
-          
-        if (deleteError) {
-          throw new Error('Failed to delete variant from database');
-        }
+        await recordAudit(req, {
+          action: 'variant.delete',
+          targetType: 'variant',
+          targetId: id,
+          customerId: (await getModel(result.data.parent_model_id, { includeDeleted: true }))?.customer_id,
+          before: { deleted_at: null },
+          after: { deleted_at: result.data.deleted_at }
+        });
         
-        res.status(200).json({ success: true, message: 'Variant deleted successfully' });
+        res.status(200).json({
+          success: true,
+          message: 'Variant moved to trash',
+          purgeAfter: getPurgeAfter(result.data.deleted_at)
+        });
         
       } else {
-        // Delete model (original logic)
-        // Delete from Cloudinary if public ID provided
-        if (cloudinaryPublicId) {
-          await deleteFromCloudinary(cloudinaryPublicId);
-        }
-        
-        // Delete from database
-        const result = await deleteModel(id);
-        
+        const result = await moveToTrash('model', id, req.session.username);
         if (!result.success) {
-          throw new Error('Failed to delete from database');
+          return res.status(result.status).json({ error: result.status === 404 ? 'Model not found' : 'Failed to delete model' });
         }
         
-        res.status(200).json({ success: true, message: 'Model deleted successfully' });
+        await recordAudit(req, {
+          action: 'model.delete',
+          targetType: 'model',
+          targetId: id,
+          customerId: result.data.customer_id,
+          before: { deleted_at: null },
+          after: { deleted_at: result.data.deleted_at }
+        });
+        
+        res.status(200).json({
+          success: true,
+          message: 'Model moved to trash',
+          purgeAfter: getPurgeAfter(result.data.deleted_at)
+        });
       }
       
     } catch (error) {
@@ -932,25 +999,88 @@ async function handleModels(req, res) {
   }
 }
 
+/**
+ * POST /api/models/bulk - Apply one action to many models: { action, ids, dryRun, ...parameters }
+ * (see lib/bulk-operations.js). Every model gets its own result and audit entry.
+ */
+async function handleModelsBulk(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+  
+  const bulk = parseBulkRequest(req.body);
+  if (!bulk.success) {
+    return res.status(400).json({ error: bulk.error });
+  }
+  
+  const found = await getModelsByIds(bulk.ids, { includeDeleted: bulk.includeTrashed });
+  if (!found.success) {
+    return res.status(500).json({ error: 'Failed to load models' });
+  }
+  const modelsById = new Map(found.data.map(model => [String(model.id), model]));
+  
+  const results = [];
+  for (const id of bulk.ids) {
+    const model = modelsById.get(id);
+    if (!model) {
+      results.push({ id, status: 'failed', error: 'Model not found' });
+      continue;
+    }
+    
+    const outcome = await applyBulkAction(bulk.action, model, bulk.params, {
+      dryRun: bulk.dryRun,
+      actor: req.session.username
+    });
+    
+    if (outcome.status === 'updated' && !bulk.dryRun) {
+      await recordAudit(req, {
+        action: bulk.auditAction,
+        targetType: 'model',
+        targetId: id,
+        customerId: outcome.after?.customer_id || model.customer_id,
+        before: outcome.before,
+        after: outcome.after,
+        metadata: { bulk: bulk.action }
+      });
+    }
+    
+    results.push({ id, title: model.title, ...outcome });
+  }
+  
+  const summary = { updated: 0, skipped: 0, failed: 0 };
+  results.forEach(result => summary[result.status]++);
+  
+  return res.status(200).json({
+    success: summary.failed === 0,
+    action: bulk.action,
+    dryRun: bulk.dryRun,
+    summary,
+    results
+  });
+}
+
 /**
  * Handle model file serving - Return JSON with direct URL for AR compatibility
  */
 async function handleModelFile(req, res, modelId) {
   try {
     // Get model from database
-    const model = await getModel(modelId);
+    const model = await getModel(modelId, { includeDeleted: true });
 
     if (!model) {
       return res.status(404).json({ error: 'Furniture item not found' });
     }
+    if (model.deleted_at) {
+      return res.status(410).json({ error: UNAVAILABLE_MESSAGE });
+    }
 
-    // Return JSON with direct Cloudinary URL (AR-compatible, no redirects)
-    res.json({
+    // Signed, expiring file URL; the raw storage URL is only included for admins
+    res.json(presentModelUrls(req, {
       id: model.id,
       title: model.title,
       cloudinary_url: model.cloudinary_url,
       variants: model.variants || []
-    });
+    }));
 
   } catch (error) {
     console.error('Error fetching model:', error);
@@ -958,30 +1088,136 @@ async function handleModelFile(req, res, modelId) {
   }
 }
 
+/**
+ * Serve an uploaded file from the local asset store (offline development)
+ */
+async function handleLocalAsset(req, res, publicId) {
+  if (assetStore !== 'local') {
+    return res.status(404).json({ error: 'Route not found' });
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const fs = await import('fs');
+  const filePath = resolveLocalAsset(decodeURIComponent(publicId));
+  if (!filePath || !fs.existsSync(filePath)) {
+    return res.status(404).json({ error: 'File not found' });
+  }
+
+  res.setHeader('Content-Type', getLocalAssetContentType(filePath));
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.status(200);
+  fs.createReadStream(filePath).pipe(res);
+}
+
+/**
+ * Serve a model or variant file from a signed, expiring URL
+ * Streams the file through, or redirects to storage when MODEL_URL_MODE=redirect
+ */
+async function handleModelFileDownload(req, res, modelId) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const url = new URL(req.url, `https://${req.headers.host}`);
+    const variantId = url.searchParams.get('v');
+
+    const check = verifyModelFileRequest(req, modelId, variantId, url.searchParams.get('t'));
+    if (!check.valid) {
+      return res.status(check.status).json({ error: check.error });
+    }
+
+    const model = await getModel(modelId, { includeDeleted: true });
+    let file = model;
+    if (variantId) {
+      const variant = await getVariant(variantId, { includeDeleted: true });
+      file = variant?.parent_model_id === modelId ? variant : null;
+    }
+
+    if (!model || !file?.cloudinary_url) {
+      return res.status(404).json({ error: 'Furniture item not found' });
+    }
+    if (model.deleted_at || file.deleted_at) {
+      return res.status(410).json({ error: UNAVAILABLE_MESSAGE });
+    }
+    const storageUrl = file.cloudinary_url;
+
+    // Cache no longer than the link itself is valid
+    const maxAge = Math.max(0, check.expiresAt - Math.floor(Date.now() / 1000));
+    res.setHeader('Cache-Control', `private, max-age=${maxAge}`);
+    res.setHeader('Access-Control-Allow-Origin', '*');
+
+    if (getModelUrlMode() === 'redirect') {
+      res.writeHead(302, { Location: storageUrl });
+      return res.end();
+    }
+
+    // Offline, files are read straight from the asset directory
+    if (assetStore === 'local') {
+      const fs = await import('fs');
+      const filePath = resolveLocalAsset(file.cloudinary_public_id);
+      if (!filePath || !fs.existsSync(filePath)) {
+        return res.status(404).json({ error: 'Furniture item not found' });
+      }
+
+      res.setHeader('Content-Type', getLocalAssetContentType(filePath));
+      res.setHeader('Content-Length', fs.statSync(filePath).size);
+      if (req.method === 'HEAD') {
+        return res.status(200).end();
+      }
+      res.status(200);
+      fs.createReadStream(filePath).pipe(res);
+      return;
+    }
+
+    const upstream = await fetch(storageUrl);
+    if (!upstream.ok || !upstream.body) {
+      return res.status(502).json({ error: 'Unable to load the requested furniture model' });
+    }
+
+    res.setHeader('Content-Type', upstream.headers.get('content-type') || 'model/gltf-binary');
+    if (upstream.headers.get('content-length')) {
+      res.setHeader('Content-Length', upstream.headers.get('content-length'));
+    }
+
+    if (req.method === 'HEAD') {
+      return res.status(200).end();
+    }
+
+    const { Readable } = await import('stream');
+    res.status(200);
+    Readable.fromWeb(upstream.body).pipe(res);
+
+  } catch (error) {
+    console.error('Error serving model file:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Unable to load the requested furniture model' });
+    }
+  }
+}
+
 /**
  * Handle model info with variants
  */
 async function handleModelInfo(req, res, modelId) {
   try {
-    const model = await getModel(modelId);
+    const model = await getModel(modelId, { includeDeleted: true });
     
     if (!model) {
       return res.status(404).json({ error: 'Furniture item not found' });
     }
+    if (model.deleted_at) {
+      return res.status(410).json({ error: UNAVAILABLE_MESSAGE });
+    }
 
     // Get variants for this model
-    const { data: variants, error: variantsError } = await supabase
-      .from('model_variants')
-      .select('*')
-      .eq('parent_model_id', modelId)
-      .order('is_primary', { ascending: false });
-
-    if (variantsError) {
-      console.warn('Error fetching variants for model info:', variantsError);
-    }
+    const variants = await getModelVariants(modelId);
     
-    // Return model info with variants (including Cloudinary URL for AR variant switching)
-    res.status(200).json({
+    // Return model info with variants (signed file URLs for AR variant switching)
+    res.status(200).json(presentModelUrls(req, {
       id: model.id,
       title: model.title,
       description: model.description,
@@ -994,16 +1230,16 @@ async function handleModelInfo(req, res, modelId) {
       customer_name: model.customer_name, // Include for logo loading
       product_url: model.product_url, // Include for back button functionality
       metadata: model.metadata,
-      cloudinary_url: model.cloudinary_url, // Include for AR original variant switching
+      cloudinary_url: model.cloudinary_url,
       variants: (variants || []).map(variant => ({
         id: variant.id,
         variant_name: variant.variant_name,
         hex_color: variant.hex_color,
         is_primary: variant.is_primary,
         variant_type: variant.variant_type || 'upload',
-        cloudinary_url: variant.cloudinary_url // Include for variant switching
+        cloudinary_url: variant.cloudinary_url
       }))
-    });
+    }));
     
   } catch (error) {
     console.error('Error fetching model info:', error);
@@ -1011,6 +1247,85 @@ async function handleModelInfo(req, res, modelId) {
   }
 }
 
+/**
+ * Respond with one page of the models listing, filtered and sorted by the query
+ * (see lib/model-listing.js); customerId null lists every customer's models
+ */
+async function sendModelPage(req, res, customerId) {
+  const parsed = parseModelListQuery(req.query);
+  if (!parsed.success) {
+    return res.status(400).json({ error: parsed.error });
+  }
+  
+  const { sort, ascending } = parsed.options;
+  const result = await listModels({ ...parsed.options, customerId });
+  if (!result.success) {
+    console.error('Error fetching models:', result.error);
+    return res.status(500).json({ error: 'Unable to load your furniture collection. Please refresh the page and try again.' });
+  }
+  
+  const lastModel = result.data[result.data.length - 1];
+  res.status(200).json({
+    success: true,
+    models: result.data.map(model => presentModelUrls(req, model)),
+    nextCursor: result.hasMore ? encodeCursor(lastModel, sort, ascending) : null,
+    hasMore: result.hasMore
+  });
+}
+
+/**
+ * Handle catalog stats: totals and per-category counts for the dashboards
+ */
+async function handleModelStats(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+  
+  const scope = resolveCustomerScope(req.session, req.query.customer);
+  if (!scope.allowed) {
+    return res.status(scope.status).json({ error: scope.error });
+  }
+  
+  try {
+    const [stats, categories] = await Promise.all([
+      getStats(scope.customerId),
+      getCategoryCounts(scope.customerId)
+    ]);
+    
+    res.status(200).json({ success: true, stats, categories });
+  } catch (error) {
+    console.error('Error fetching model stats:', error);
+    res.status(500).json({ error: 'Failed to fetch stats' });
+  }
+}
+
+/**
+ * Handle catalog search over titles, descriptions, variant names, customer names and tags
+ */
+async function handleModelSearch(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+  
+  const scope = resolveCustomerScope(req.session, req.query.customer);
+  if (!scope.allowed) {
+    return res.status(scope.status).json({ error: scope.error });
+  }
+  
+  const query = req.query.q.trim();
+  const result = await searchCatalog(query, { customerId: scope.customerId, limit: req.query.limit });
+  if (!result.success) {
+    console.error('Error searching models:', result.error);
+    return res.status(500).json({ error: 'Search failed. Please try again.' });
+  }
+  
+  res.status(200).json({
+    success: true,
+    query,
+    results: result.results.map(model => presentModelUrls(req, model))
+  });
+}
+
 /**
  * Handle model view tracking with variant support
  */
@@ -1020,19 +1335,29 @@ async function handleModelView(req, res, modelId) {
   }
   
   try {
-    // Get variant ID from query parameter
+    // Variant, source and referrer come from the viewer page; older pages send the variant in the query
     const url = new URL(req.url, `https://${req.headers.host}`);
-    const variantId = url.searchParams.get('variant');
-    
-    console.log(`📊 Tracking view for model ${modelId}, variant: ${variantId || 'original'}`);
-    
-    const result = await incrementViewCount(modelId, variantId);
+    const body = req.body && typeof req.body === 'object' ? req.body : {};
+    const variantId = body.variant || url.searchParams.get('variant') || null;
+    const userAgent = req.headers['user-agent'] || null;
+
+    if (isBotUserAgent(userAgent)) {
+      return res.status(200).json({ success: true, counted: false, reason: 'bot' });
+    }
+
+    const result = await incrementViewCount(modelId, variantId, {
+      ipHash: hashIP(getClientIP(req)),
+      userAgent,
+      referrer: normalizeReferrer(body.referrer),
+      source: normalizeViewSource(body.source),
+      dedupSeconds: getViewDedupSeconds()
+    });
     
     if (!result.success) {
       return res.status(404).json({ error: 'Furniture item not found' });
     }
     
-    res.status(200).json({ success: true });
+    res.status(200).json({ success: true, counted: result.counted });
     
   } catch (error) {
     console.error('Error tracking view:', error);
@@ -1065,33 +1390,12 @@ async function handleCustomerModels(req, res, customerId) {
     return res.status(405).json({ error: 'Method not allowed' });
   }
   
-  try {
-    const limit = parseInt(req.query.limit) || 100;
-    const offset = parseInt(req.query.offset) || 0;
-    
-    const models = await getModelsByCustomerWithVariants(customerId, limit, offset);
-    
-    // Get customer stats
-    const totalViews = models.reduce((sum, model) => sum + (model.view_count || 0), 0);
-    const totalSize = models.reduce((sum, model) => sum + (model.file_size || 0), 0);
-    
-    const stats = {
-      totalModels: models.length,
-      totalViews,
-      totalSize
-    };
-    
-    res.status(200).json({
-      models,
-      stats,
-      customer: customerId,
-      success: true
-    });
-    
-  } catch (error) {
-    console.error('Error fetching customer models:', error);
-    res.status(500).json({ error: 'Failed to fetch customer models' });
+  const scope = resolveCustomerScope(req.session, customerId);
+  if (!scope.allowed) {
+    return res.status(scope.status).json({ error: scope.error });
   }
+  
+  return await sendModelPage(req, res, scope.customerId);
 }
 
 /**
@@ -1105,16 +1409,22 @@ async function handleModelAssign(req, res, modelId) {
   try {
     const { customerId, customerName } = req.body;
     
-    if (!customerId || !customerName) {
-      return res.status(400).json({ error: 'Customer ID and name required' });
-    }
-    
+    const previousModel = await getModel(modelId);
     const result = await updateModelCustomer(modelId, customerId, customerName);
     
     if (!result.success) {
       return res.status(500).json({ error: result.error });
     }
     
+    await recordAudit(req, {
+      action: 'model.assign',
+      targetType: 'model',
+      targetId: modelId,
+      customerId,
+      before: { customer_id: previousModel?.customer_id ?? null, customer_name: previousModel?.customer_name ?? null },
+      after: { customer_id: customerId, customer_name: customerName }
+    });
+    
     res.status(200).json({ 
       success: true, 
       model: result.data,
@@ -1139,33 +1449,29 @@ async function handleCleanupVariants(req, res) {
     console.log('🧹 Cleaning up color-type variants...');
 
     // Delete all variants where variant_type is 'color'
-    const { data: deletedVariants, error: deleteError } = await supabase
-      .from('model_variants')
-      .delete()
-      .eq('variant_type', 'color')
-      .select();
-
-    if (deleteError) {
-      console.error('Error deleting color variants:', deleteError);
+    const deleteResult = await deleteVariantsByType('color');
+
+    if (!deleteResult.success) {
+      console.error('Error deleting color variants:', deleteResult.error);
       return res.status(500).json({
         success: false,
         error: 'Failed to delete color variants',
-        details: deleteError.message
+        details: deleteResult.error
       });
     }
 
+    const deletedVariants = deleteResult.data;
+
     console.log(`✅ Deleted ${deletedVariants?.length || 0} color-type variants`);
 
     // Get remaining variants for summary
-    const { data: remainingVariants, error: countError } = await supabase
-      .from('model_variants')
-      .select('*');
+    const remainingVariants = await countVariants();
 
     return res.status(200).json({
       success: true,
       message: `Cleaned up ${deletedVariants?.length || 0} color-type variants`,
       deletedCount: deletedVariants?.length || 0,
-      remainingVariants: remainingVariants?.length || 0,
+      remainingVariants,
       deletedVariants: deletedVariants || []
     });
 
@@ -1173,9 +1479,7 @@ async function handleCleanupVariants(req, res) {
     console.error('💥 Cleanup error:', error);
     return res.status(500).json({ 
       success: false, 
-      error: error.message,
-      instructions: 'Run this SQL manually in your Supabase SQL editor:',
-      manualSql: "DELETE FROM model_variants WHERE variant_type = 'color';"
+      error: error.message
     });
   }
 }
@@ -1190,28 +1494,16 @@ async function handleUpdateColor(req, res) {
 
   try {
     const { modelId, dominantColor } = req.body;
-    
-    if (!modelId || !dominantColor) {
-      return res.status(400).json({ error: 'Model ID and dominant color required' });
-    }
-    
-    // Validate hex color format
-    if (!/^#[0-9A-Fa-f]{6}$/.test(dominantColor)) {
-      return res.status(400).json({ error: 'Invalid hex color format' });
-    }
 
     // Update model dominant color in database
-    const { error } = await supabase
-      .from('models')
-      .update({ dominant_color: dominantColor })
-      .eq('id', modelId);
+    const result = await updateModel(modelId, { dominant_color: dominantColor });
 
-    if (error) {
-      console.error('Error updating model color:', error);
+    if (!result.success) {
+      console.error('Error updating model color:', result.error);
       return res.status(500).json({
         success: false,
         error: 'Failed to update model color',
-        details: error.message
+        details: result.error
       });
     }
     
@@ -1243,28 +1535,16 @@ async function handleUpdateVariantColor(req, res) {
 
   try {
     const { variantId, dominantColor } = req.body;
-    
-    if (!variantId || !dominantColor) {
-      return res.status(400).json({ error: 'Variant ID and dominant color required' });
-    }
-    
-    // Validate hex color format
-    if (!/^#[0-9A-Fa-f]{6}$/.test(dominantColor)) {
-      return res.status(400).json({ error: 'Invalid hex color format' });
-    }
 
     // Update variant hex color in database
-    const { error } = await supabase
-      .from('model_variants')
-      .update({ hex_color: dominantColor })
-      .eq('id', variantId);
+    const result = await updateVariant(variantId, { hex_color: dominantColor });
 
-    if (error) {
-      console.error('Error updating variant color:', error);
+    if (!result.success) {
+      console.error('Error updating variant color:', result.error);
       return res.status(500).json({
         success: false,
         error: 'Failed to update variant color',
-        details: error.message
+        details: result.error
       });
     }
     
@@ -1326,7 +1606,7 @@ async function handleImageUpload(req, res) {
 
     // Read file
     const fs = await import('fs');
-    const fileBuffer = fs.readFileSync(uploadedFile.path);
+    let fileBuffer = fs.readFileSync(uploadedFile.path);
     
     // Validate file content using magic numbers
     const allowedImageTypes = ['jpg', 'jpeg', 'png', 'webp', 'svg'];
@@ -1336,6 +1616,34 @@ async function handleImageUpload(req, res) {
       return res.status(400).json({ error: `Security validation failed: ${contentValidation.error}` });
     }
 
+    // Rewrite SVGs to a safe subset before they are stored
+    let sanitization = null;
+    if (/\.svg$/i.test(uploadedFile.originalFilename)) {
+      const sanitized = sanitizeSvg(fileBuffer);
+      if (!sanitized.success) {
+        fs.unlinkSync(uploadedFile.path); // Clean up temp file
+        return res.status(400).json({ error: `Security validation failed: ${sanitized.error}` });
+      }
+      fileBuffer = Buffer.from(sanitized.svg, 'utf8');
+      sanitization = { modified: sanitized.modified, removed: sanitized.removed };
+    }
+
+    // Validate the image type and owner before anything is stored
+    const imageType = IMAGE_TYPES[(fields.imageType?.[0] || 'general').toLowerCase()];
+    if (!imageType) {
+      return res.status(400).json({ error: `imageType must be one of: ${Object.values(IMAGE_TYPES).join(', ')}` });
+    }
+
+    const scope = resolveCustomerScope(req.session, fields.customerId?.[0]?.trim() || null);
+    if (!scope.allowed) {
+      return res.status(scope.status).json({ error: scope.error });
+    }
+    const customerId = scope.customerId;
+    if (imageType === 'customer_logo' && !customerId) {
+      return res.status(400).json({ error: 'Customer ID required for customer logos' });
+    }
+    const customerName = fields.customerName?.[0] || null;
+
     // Upload to Cloudinary
     console.log('Uploading image to Cloudinary...');
     const { uploadImage } = await import('../lib/cloudinary.js');
@@ -1343,37 +1651,24 @@ async function handleImageUpload(req, res) {
 
     // Save to database
     console.log('Saving image to database...');
-    const imageType = fields.imageType?.[0] || 'general';
-    const customerId = fields.customerId?.[0] || null;
-    const customerName = fields.customerName?.[0] || null;
-    
-    // Generate a UUID for the image
-    const imageId = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-    
-    const { data, error } = await supabase
-      .from('images')
-      .insert({
-        id: imageId,
-        filename: uploadedFile.originalFilename,
-        cloudinary_url: cloudinaryResult.url,
-        cloudinary_public_id: cloudinaryResult.publicId,
-        file_size: cloudinaryResult.size,
-        width: cloudinaryResult.width,
-        height: cloudinaryResult.height,
-        format: cloudinaryResult.format,
-        image_type: imageType,
-        customer_id: customerId,
-        metadata: {
-          originalName: uploadedFile.originalFilename,
-          uploadedAt: new Date().toISOString(),
-          customerName: customerName
-        }
-      })
-      .select()
-      .single();
+    const { success: saved, data } = await saveImage({
+      filename: uploadedFile.originalFilename,
+      cloudinaryUrl: cloudinaryResult.url,
+      cloudinaryPublicId: cloudinaryResult.publicId,
+      fileSize: cloudinaryResult.size,
+      width: cloudinaryResult.width,
+      height: cloudinaryResult.height,
+      format: cloudinaryResult.format,
+      imageType,
+      customerId,
+      metadata: {
+        originalName: uploadedFile.originalFilename,
+        uploadedAt: new Date().toISOString(),
+        customerName: customerName
+      }
+    });
 
-    if (error) {
-      console.error('Database error:', error);
+    if (!saved) {
       return res.status(500).json({ error: 'Failed to save image to database' });
     }
 
@@ -1387,7 +1682,8 @@ async function handleImageUpload(req, res) {
     return res.status(200).json({
       success: true,
       message: 'Image uploaded successfully',
-      image: data
+      image: data,
+      sanitization
     });
 
   } catch (error) {
@@ -1402,24 +1698,21 @@ async function handleImageUpload(req, res) {
 async function handleImages(req, res) {
   if (req.method === 'GET') {
     try {
-      const { imageType, customerId } = req.query;
-      
-      let query = supabase.from('images').select('*');
-      
-      if (imageType) {
-        query = query.eq('image_type', imageType);
-      }
-      
-      if (customerId) {
-        query = query.eq('customer_id', customerId);
+      const { imageType } = req.query;
+      let { customerId } = req.query;
+      
+      // Customer logos are public brand assets; everything else is scoped to the caller
+      if (imageType !== 'customer_logo') {
+        const scope = resolveCustomerScope(req.session, customerId);
+        if (!scope.allowed) {
+          return res.status(scope.status).json({ error: scope.error });
+        }
+        customerId = scope.customerId;
       }
       
-      query = query.order('created_at', { ascending: false });
-      
-      const { data, error } = await query;
+      const { success, data } = await listImages({ imageType, customerId });
       
-      if (error) {
-        console.error('Error fetching images:', error);
+      if (!success) {
         return res.status(500).json({ error: 'Failed to fetch images' });
       }
       
@@ -1431,409 +1724,683 @@ async function handleImages(req, res) {
     }
   } else if (req.method === 'DELETE') {
     try {
-      const { id, cloudinaryPublicId } = req.body;
-      
-      if (!id || !cloudinaryPublicId) {
-        return res.status(400).json({ error: 'Image ID and Cloudinary ID required' });
-      }
-      
-      // Delete from Cloudinary
-      const { deleteImage } = await import('../lib/cloudinary.js');
-      await deleteImage(cloudinaryPublicId);
+      const { id } = req.body;
       
-      // Delete from database
-      const { error } = await supabase
-        .from('images')
-        .delete()
-        .eq('id', id);
+      // Moved to the trash; the stored file stays until the purge job runs
+      const result = await moveToTrash('image', id, req.session.username);
       
-      if (error) {
-        console.error('Error deleting image:', error);
-        return res.status(500).json({ error: 'Failed to delete image' });
+      if (!result.success) {
+        return res.status(result.status).json({ error: result.status === 404 ? 'Image not found' : 'Failed to delete image' });
       }
       
-      return res.status(200).json({ success: true, message: 'Image deleted successfully' });
+      await recordAudit(req, {
+        action: 'image.delete',
+        targetType: 'image',
+        targetId: id,
+        customerId: result.data.customer_id,
+        before: { deleted_at: null },
+        after: { deleted_at: result.data.deleted_at }
+      });
+      
+      return res.status(200).json({
+        success: true,
+        message: 'Image moved to trash',
+        purgeAfter: getPurgeAfter(result.data.deleted_at)
+      });
       
     } catch (error) {
       console.error('Error:', error);
       return res.status(500).json({ error: error.message });
     }
-  } else {
-    return res.status(405).json({ error: 'Method not allowed' });
+  } else {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+}
+
+/**
+ * Handle schema migrations: GET lists every migration and its state, POST runs them
+ * with { direction: 'up'|'down', target, steps, dryRun }
+ */
+async function handleMigrations(req, res) {
+  if (req.session?.apiKeyId) {
+    return res.status(403).json({ error: 'API keys cannot run migrations' });
+  }
+
+  if (req.method === 'GET') {
+    const result = await getMigrationStatus();
+    if (!result.success) {
+      return res.status(500).json({ error: result.error });
+    }
+    return res.status(200).json(result);
+  }
+
+  if (req.method === 'POST') {
+    const { direction, target = null, steps = null, dryRun } = req.body;
+
+    const result = await runMigrations({ direction, target, steps, dryRun });
+
+    if (!dryRun && result.completed.length > 0) {
+      await recordAudit(req, {
+        action: `schema.migrate_${direction}`,
+        targetType: 'schema',
+        targetId: result.completed[result.completed.length - 1],
+        metadata: { completed: result.completed, target, steps, error: result.error || null }
+      });
+    }
+
+    return res.status(result.success ? 200 : 500).json(result);
+  }
+
+  return res.status(405).json({ error: 'Method not allowed' });
+}
+
+/**
+ * GET /api/trash?customerId= - Trashed models, variants and images with their purge dates
+ */
+async function handleTrash(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const result = await listTrash({ customerId: req.query.customerId || null });
+  if (!result.success) {
+    return res.status(500).json({ error: 'Failed to load trash' });
+  }
+  return res.status(200).json(result);
+}
+
+/**
+ * POST /api/trash/{type}/{id}/restore - Restore a model, variant or image
+ */
+async function handleTrashRestore(req, res, type, id) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+  const result = await restoreFromTrash(type, id);
+  if (!result.success) {
+    return res.status(result.status).json({ error: result.error });
+  }
+
+  const customerId = type === 'variant'
+    ? (await getModel(result.data.parent_model_id, { includeDeleted: true }))?.customer_id
+    : result.data.customer_id;
+
+  await recordAudit(req, {
+    action: `${type}.restore`,
+    targetType: type,
+    targetId: id,
+    customerId
+  });
+
+  return res.status(200).json({ success: true, item: result.data });
+}
+
+/**
+ * Purge items trashed longer than TRASH_RETENTION_DAYS.
+ * GET is the daily Vercel Cron call (CRON_SECRET); POST lets admins run it, with { dryRun }.
+ */
+async function handleTrashPurge(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const dryRun = req.method === 'POST' && req.body?.dryRun === true;
+  const result = await purgeExpiredTrash({ dryRun });
+
+  const purgedCount = Object.values(result.purged).reduce((sum, ids) => sum + ids.length, 0);
+  if (!dryRun && (purgedCount > 0 || result.failed.length > 0)) {
+    await recordAudit(req, {
+      action: 'trash.purge',
+      targetType: 'trash',
+      metadata: { cutoff: result.cutoff, purged: result.purged, failed: result.failed }
+    });
+  }
+
+  return res.status(result.success ? 200 : 500).json({ ...result, dryRun });
+}
+
+/**
+ * Handle user creation with universal customer integration
+ */
+async function handleCreateUser(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { username, password, role, customerId, customerName, email } = req.body;
+
+    if (role === 'customer' && (!customerId || !customerName)) {
+      return res.status(400).json({ error: 'Customer ID and name are required for customer role' });
+    }
+
+    // Create user record
+    const passwordHash = await bcrypt.hash(password, 10);
+    const { data: userData, error: userError } = await createUser({
+      username,
+      passwordHash,
+      role,
+      customerId,
+      customerName,
+      email
+    });
+
+    if (userError) {
+      return res.status(500).json({ error: 'Failed to create user: ' + userError });
+    }
+
+    // Customers appear in the customer list as soon as their user exists (see getCustomers)
+
+    await recordAudit(req, {
+      action: 'user.create',
+      targetType: 'user',
+      targetId: userData.id,
+      customerId: userData.customer_id,
+      after: { username: userData.username, role: userData.role, customer_id: userData.customer_id, customer_name: userData.customer_name, email: userData.email }
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'User created successfully',
+      user: {
+        id: userData.id,
+        username: userData.username,
+        role: userData.role,
+        customerId: userData.customer_id,
+        customerName: userData.customer_name
+      }
+    });
+
+  } catch (error) {
+    console.error('Create user error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Email an invite link to the invitee
+ */
+async function sendInvitationEmail(invitation, token) {
+  const domain = process.env.DOMAIN || 'newfurniture.live';
+  const inviteUrl = `https://${domain}/login?invite_token=${encodeURIComponent(token)}`;
+  const account = invitation.role === 'customer' ? `the ${invitation.customer_name} account` : 'an admin account';
+
+  await sendMail({
+    to: invitation.email,
+    subject: 'You have been invited to FurniTech',
+    text: `Hi,\n\nYou have been invited to ${account} on FurniTech. Use this link to choose your username and password. It expires in 7 days and can only be used once:\n\n${inviteUrl}\n\nIf you were not expecting this, you can ignore this email.`,
+    html: `<p>Hi,</p><p>You have been invited to ${account} on FurniTech. Use this link to choose your username and password. It expires in 7 days and can only be used once:</p><p><a href="${inviteUrl}">Accept invitation</a></p><p>If you were not expecting this, you can ignore this email.</p>`
+  });
+}
+
+/**
+ * Handle invite listing, creation, resending and revocation (admin)
+ * GET/POST /api/invitations, POST /api/invitations/{id}/resend, DELETE /api/invitations/{id}
+ */
+async function handleInvitations(req, res, invitationId, action) {
+  if (req.method === 'GET' && !invitationId) {
+    const result = await listInvitations();
+    if (!result.success) {
+      return res.status(500).json({ error: 'Failed to fetch invitations' });
+    }
+    return res.status(200).json({ success: true, invitations: result.data });
+  }
+
+  if (req.method === 'POST' && !invitationId) {
+    const { email, role, customerId, customerName } = req.body;
+
+    if (role === 'customer' && (!customerId || !customerName)) {
+      return res.status(400).json({ error: 'Customer ID and name are required for customer role' });
+    }
+
+    const result = await createInvitation({
+      email,
+      role,
+      customerId,
+      customerName,
+      invitedBy: req.session.userId
+    });
+
+    if (!result.success) {
+      return res.status(500).json({ error: 'Failed to create invitation' });
+    }
+
+    await sendInvitationEmail(result.invitation, result.token);
+
+    await recordAudit(req, {
+      action: 'invitation.create',
+      targetType: 'invitation',
+      targetId: result.invitation.id,
+      customerId: result.invitation.customer_id,
+      after: { email: result.invitation.email, role: result.invitation.role, customer_id: result.invitation.customer_id }
+    });
+
+    return res.status(200).json({ success: true, message: `Invitation sent to ${result.invitation.email}`, invitation: result.invitation });
+  }
+
+  if (req.method === 'POST' && invitationId && action === 'resend') {
+    const result = await resendInvitation(invitationId);
+    if (!result.success) {
+      return res.status(500).json({ error: 'Failed to resend invitation' });
+    }
+    if (!result.found) {
+      return res.status(404).json({ error: 'No open invitation with that id' });
+    }
+
+    await sendInvitationEmail(result.invitation, result.token);
+
+    await recordAudit(req, {
+      action: 'invitation.resend',
+      targetType: 'invitation',
+      targetId: invitationId,
+      customerId: result.invitation.customer_id,
+      metadata: { send_count: result.invitation.send_count }
+    });
+
+    return res.status(200).json({ success: true, message: `Invitation resent to ${result.invitation.email}`, invitation: result.invitation });
+  }
+
+  if (req.method === 'DELETE' && invitationId && !action) {
+    const result = await revokeInvitation(invitationId);
+    if (!result.success) {
+      return res.status(500).json({ error: 'Failed to revoke invitation' });
+    }
+    if (!result.found) {
+      return res.status(404).json({ error: 'No open invitation with that id' });
+    }
+
+    await recordAudit(req, {
+      action: 'invitation.revoke',
+      targetType: 'invitation',
+      targetId: invitationId,
+      customerId: result.invitation.customer_id,
+      before: { revoked_at: null },
+      after: { revoked_at: result.invitation.revoked_at }
+    });
+
+    return res.status(200).json({ success: true, message: 'Invitation revoked', invitation: result.invitation });
+  }
+
+  return res.status(405).json({ error: 'Method not allowed' });
+}
+
+/**
+ * Handle an invitee opening (GET ?token=) and accepting (POST) an invite
+ */
+async function handleAcceptInvitation(req, res) {
+  try {
+    if (req.method === 'GET') {
+      const invitation = await getInvitationByToken(req.query.token);
+
+      if (!invitation) {
+        return res.status(404).json({ error: 'Invalid or expired invitation link' });
+      }
+
+      return res.status(200).json({
+        success: true,
+        invitation: {
+          email: invitation.email,
+          role: invitation.role,
+          customerName: invitation.customer_name,
+          expiresAt: invitation.expires_at
+        }
+      });
+    }
+
+    if (req.method === 'POST') {
+      const { token, password } = req.body;
+      const username = (req.body.username || '').trim();
+
+      if (!username || !/^[A-Za-z0-9._-]{3,50}$/.test(username)) {
+        return res.status(400).json({ error: 'Username must be 3-50 letters, numbers, dots, dashes or underscores' });
+      }
+
+      const result = await acceptInvitation(token, { username, password });
+      if (!result.success) {
+        return res.status(result.status).json({ error: result.error });
+      }
+
+      await recordAudit(req, {
+        action: 'invitation.accept',
+        targetType: 'invitation',
+        targetId: result.invitation.id,
+        customerId: result.user.customer_id,
+        after: { user_id: result.user.id, username: result.user.username, role: result.user.role }
+      });
+
+      return res.status(200).json({ success: true, message: 'Account created. You can now log in.', username: result.user.username });
+    }
+
+    return res.status(405).json({ error: 'Method not allowed' });
+
+  } catch (error) {
+    logger.error('Accept invitation error', error);
+    const { statusCode, response } = createErrorResponse(500, 'Could not accept invitation', error);
+    return res.status(statusCode).json(response);
+  }
+}
+
+/**
+ * Finish a successful login: clear lockout, audit, create the session and set the cookie
+ */
+async function completeLogin(req, res, user, extra = {}) {
+  if (user.failed_login_attempts || user.locked_until) {
+    await resetFailedLogins(user.id);
+  }
+  await recordLoginAttempt(req, { username: user.username, userId: user.id, success: true });
+  
+  // Record the session server-side and set the signed session cookie
+  const sessionId = await createSession(user, req);
+  res.setHeader('Set-Cookie', createSessionCookie(createSessionToken(user, sessionId)));
+  
+  return res.status(200).json({
+    success: true,
+    message: 'Login successful',
+    user: {
+      id: user.id,
+      username: user.username,
+      role: user.role,
+      customerId: user.customer_id,
+      customerName: user.customer_name
+    },
+    redirectUrl: user.role === 'admin' ? '/admin.html' : `/customer.html?customer=${user.customer_id}`,
+    ...extra
+  });
+}
+
+/**
+ * Handle the second login step after a correct password
+ * step: 'verify' (TOTP or recovery code), 'enroll' (get QR) or 'activate' (confirm first code)
+ */
+async function handleTwoFactorLogin(req, res, step) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+    const challenge = verifyLoginChallenge(challengeToken, step === 'verify' ? 'verify' : 'enroll');
+
+    if (!challenge) {
+      return res.status(401).json({ error: 'Login session expired, please sign in again', restartLogin: true });
+    }
+
+    const user = await getActiveUserById(challenge.userId);
+
+    if (!user) {
+      return res.status(401).json({ error: 'Login session expired, please sign in again', restartLogin: true });
+    }
+
+    const lockoutRemaining = getLockoutRemaining(user);
+    if (lockoutRemaining > 0) {
+      await recordLoginAttempt(req, { username: user.username, userId: user.id, success: false, reason: 'locked' });
+      res.setHeader('Retry-After', lockoutRemaining);
+      return res.status(429).json({
+        error: 'Account temporarily locked after too many failed attempts',
+        retryAfter: lockoutRemaining
+      });
+    }
+
+    if (step === 'enroll') {
+      const setup = await beginTwoFactorSetup(user.id);
+      if (!setup.success) {
+        return res.status(400).json({ error: setup.error });
+      }
+      return res.status(200).json({ success: true, secret: setup.secret, otpauthUri: setup.otpauthUri, qrCode: setup.qrCode });
+    }
+
+    const result = step === 'activate'
+      ? await activateTwoFactor(user.id, code)
+      : await verifySecondFactor(user.id, { code, recoveryCode });
+
+    if (!result.success) {
+      // Wrong codes count towards the same lockout as wrong passwords
+      await registerFailedLogin(user);
+      await recordLoginAttempt(req, { username: user.username, userId: user.id, success: false, reason: 'invalid_2fa_code' });
+      return res.status(401).json({ error: result.error });
+    }
+
+    if (step === 'activate') {
+      return await completeLogin(req, res, user, { recoveryCodes: result.recoveryCodes });
+    }
+
+    return await completeLogin(req, res, user, result.usedRecoveryCode
+      ? { recoveryCodesRemaining: result.recoveryCodesRemaining }
+      : {});
+
+  } catch (error) {
+    logger.error('Two-factor login error', error);
+    const { statusCode, response } = createErrorResponse(500, 'Login failed', error);
+    return res.status(statusCode).json(response);
   }
 }
 
 /**
- * Handle testing saveModel function
+ * Handle the logged-in user's own two-factor settings
+ * action: null (status), 'setup', 'enable', 'disable' or 'recovery-codes'
  */
-async function handleTestSaveModel(req, res) {
-  if (req.method !== 'POST') {
-    return res.status(405).json({ error: 'Method not allowed' });
+async function handleAccountTwoFactor(req, res, action) {
+  if (req.session?.apiKeyId) {
+    return res.status(403).json({ error: 'API keys cannot manage two-factor authentication' });
   }
 
+  const userId = req.session.userId;
+
   try {
-    console.log('🧪 Testing saveModel function...');
-    
-    const testResult = await saveModel({
-      title: 'Test Model',
-      description: 'Test Description',
-      filename: 'test.glb',
-      cloudinaryUrl: 'https://test.cloudinary.com/test.glb',
-      cloudinaryPublicId: 'test-public-id',
-      fileSize: 12345,
-      customerId: 'test-customer',
-      customerName: 'Test Customer',
-      dominantColor: '#6b7280',
-      metadata: { test: true }
-    });
-    
-    console.log('🧪 Test result:', testResult);
-    
-    if (!testResult.success) {
-      return res.status(500).json({ 
-        error: 'SaveModel test failed',
-        details: testResult.error
+    if (!action) {
+      if (req.method !== 'GET') {
+        return res.status(405).json({ error: 'Method not allowed' });
+      }
+      const status = await getTwoFactorStatus(userId);
+      if (!status.success) {
+        return res.status(404).json({ error: status.error });
+      }
+      return res.status(200).json(status);
+    }
+
+    if (req.method !== 'POST') {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    if (action === 'setup') {
+      const setup = await beginTwoFactorSetup(userId);
+      if (!setup.success) {
+        return res.status(400).json({ error: setup.error });
+      }
+      return res.status(200).json({ success: true, secret: setup.secret, otpauthUri: setup.otpauthUri, qrCode: setup.qrCode });
+    }
+
+    if (action === 'enable') {
+      const result = await activateTwoFactor(userId, req.body.code);
+      if (!result.success) {
+        return res.status(400).json({ error: result.error });
+      }
+      return res.status(200).json({ success: true, recoveryCodes: result.recoveryCodes });
+    }
+
+    // Disabling and regenerating codes both need a valid second factor, and wrong
+    // codes or passwords count towards the same lockout as failed logins
+    const { code, recoveryCode, password } = req.body;
+    const user = await getUserById(userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const lockoutRemaining = getLockoutRemaining(user);
+    if (lockoutRemaining > 0) {
+      await recordLoginAttempt(req, { username: user.username, userId: user.id, success: false, reason: 'locked' });
+      res.setHeader('Retry-After', lockoutRemaining);
+      return res.status(429).json({
+        error: 'Account temporarily locked after too many failed attempts',
+        retryAfter: lockoutRemaining
       });
     }
-    
-    // Clean up test record
-    await supabase
-      .from('models')
-      .delete()
-      .eq('id', testResult.id);
-    
-    return res.status(200).json({
-      success: true,
-      message: 'SaveModel test passed!',
-      testId: testResult.id
-    });
+
+    const verified = await verifySecondFactor(userId, { code, recoveryCode });
+    if (!verified.success) {
+      await registerFailedLogin(user);
+      await recordLoginAttempt(req, { username: user.username, userId: user.id, success: false, reason: 'invalid_2fa_code' });
+      return res.status(400).json({ error: verified.error });
+    }
+
+    if (action === 'recovery-codes') {
+      const result = await regenerateRecoveryCodes(userId);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      return res.status(200).json({ success: true, recoveryCodes: result.recoveryCodes });
+    }
+
+    // action === 'disable'
+    if (!password || !(await bcrypt.compare(password, user.password_hash))) {
+      await registerFailedLogin(user);
+      await recordLoginAttempt(req, { username: user.username, userId: user.id, success: false, reason: 'invalid_password' });
+      return res.status(400).json({ error: 'Current password is incorrect' });
+    }
+
+    if (isTwoFactorRequired(user)) {
+      return res.status(403).json({ error: 'Two-factor authentication is required for admin accounts' });
+    }
+
+    const result = await disableTwoFactor(userId);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    return res.status(200).json({ success: true });
 
   } catch (error) {
-    console.error('🧪 Test error:', error);
-    return res.status(500).json({ 
-      error: error.message,
-      stack: error.stack
-    });
+    logger.error('Two-factor settings error', error);
+    const { statusCode, response } = createErrorResponse(500, 'Two-factor update failed', error);
+    return res.status(statusCode).json(response);
   }
 }
 
 /**
- * Handle initializing models database table
+ * Handle forgot-password requests by emailing a single-use reset link
+ * Always answers the same way so usernames and emails cannot be probed
  */
-async function handleInitModelsDB(req, res) {
-  if (req.method !== 'GET') {
+async function handleForgotPassword(req, res) {
+  if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
+  const genericResponse = {
+    success: true,
+    message: 'If an account with that username or email exists, a reset link has been sent.'
+  };
+
   try {
-    console.log('🎨 Checking models table...');
+    const identifier = req.body.identifier.trim();
 
-    // Try to insert and then delete a test record to check if table exists
-    const testId = 'test-' + Date.now();
-    
-    const { error: testError } = await supabase
-      .from('models')
-      .insert({
-        id: testId,
-        title: 'test',
-        filename: 'test.glb',
-        cloudinary_url: 'https://test.url',
-        cloudinary_public_id: 'test-id',
-        file_size: 0,
-        customer_id: 'test',
-        customer_name: 'Test',
-        metadata: {}
-      });
-    
-    if (testError && testError.code === '42P01') {
-      // Table doesn't exist
-      console.log('Models table does not exist');
-      return res.status(200).json({
-        success: false,
-        message: 'Models table needs to be created manually',
-        sql: `
-CREATE TABLE IF NOT EXISTS models (
-  id TEXT PRIMARY KEY,
-  title VARCHAR(255) NOT NULL,
-  description TEXT,
-  filename VARCHAR(255) NOT NULL,
-  cloudinary_url TEXT NOT NULL,
-  cloudinary_public_id VARCHAR(255) NOT NULL,
-  file_size BIGINT DEFAULT 0,
-  customer_id VARCHAR(100) DEFAULT 'unassigned',
-  customer_name VARCHAR(255) DEFAULT 'Unassigned',
-  view_count INTEGER DEFAULT 0,
-  dominant_color VARCHAR(7) DEFAULT '#6b7280',
-  product_url TEXT,
-  metadata JSONB DEFAULT '{}',
-  created_at TIMESTAMPTZ DEFAULT NOW(),
-  updated_at TIMESTAMPTZ DEFAULT NOW()
-);
-
-CREATE INDEX IF NOT EXISTS idx_models_customer ON models(customer_id);
-CREATE INDEX IF NOT EXISTS idx_models_created ON models(created_at);
-
--- Add product_url column if it doesn't exist (migration)
-ALTER TABLE models ADD COLUMN IF NOT EXISTS product_url TEXT;
-
--- Create model_variants table
-CREATE TABLE IF NOT EXISTS model_variants (
-  id TEXT PRIMARY KEY,
-  parent_model_id TEXT NOT NULL REFERENCES models(id) ON DELETE CASCADE,
-  variant_name VARCHAR(255) NOT NULL,
-  hex_color VARCHAR(7) DEFAULT '#000000',
-  cloudinary_url TEXT NOT NULL,
-  cloudinary_public_id VARCHAR(255) NOT NULL,
-  file_size INTEGER DEFAULT 0,
-  is_primary BOOLEAN DEFAULT FALSE,
-  variant_type VARCHAR(50) DEFAULT 'upload',
-  product_url TEXT,
-  created_at TIMESTAMPTZ DEFAULT NOW(),
-  updated_at TIMESTAMPTZ DEFAULT NOW()
-);
-
--- Add indexes for model_variants
-CREATE INDEX IF NOT EXISTS idx_model_variants_parent ON model_variants(parent_model_id);
-CREATE INDEX IF NOT EXISTS idx_model_variants_primary ON model_variants(is_primary);
-
--- Add product_url column to existing model_variants table if it doesn't exist (migration)
-ALTER TABLE model_variants ADD COLUMN IF NOT EXISTS product_url TEXT;
-
--- Grant permissions
-GRANT ALL ON models TO authenticated;
-GRANT ALL ON models TO service_role;
-GRANT ALL ON model_variants TO authenticated;
-GRANT ALL ON model_variants TO service_role;
-        `,
-        instructions: 'Please run the SQL above in your Supabase SQL editor'
-      });
-    }
-    
-    // If test insert succeeded, delete the test record
-    if (!testError) {
-      await supabase
-        .from('models')
-        .delete()
-        .eq('id', testId);
+    let user = await getActiveUserByUsername(identifier);
+
+    if (!user && identifier.includes('@')) {
+      user = await getActiveUserByEmail(identifier.toLowerCase());
     }
 
-    console.log('✅ Models table exists and is accessible!');
-    
-    // Now check if product_url column exists
-    console.log('🔧 Checking if product_url column exists...');
-    
-    try {
-      // Try to query the product_url column to see if it exists
-      const { error: columnCheckError } = await supabase
-        .from('models')
-        .select('product_url')
-        .limit(1);
-      
-      if (columnCheckError && columnCheckError.message.includes('product_url')) {
-        console.log('⚠️  product_url column is missing!');
-        
-        return res.status(200).json({
-          success: false,
-          message: 'Models table exists but product_url column is missing',
-          action_required: 'Please run this SQL in your Supabase SQL editor:',
-          sql: 'ALTER TABLE models ADD COLUMN product_url TEXT;',
-          instructions: [
-            '1. Go to your Supabase dashboard',
-            '2. Navigate to SQL Editor',
-            '3. Run the SQL command above',
-            '4. Then try saving product URLs again'
-          ]
-        });
-      } else {
-        console.log('✅ product_url column exists!');
-      }
-    } catch (columnError) {
-      console.error('⚠️  Error checking product_url column:', columnError);
-      
-      return res.status(200).json({
-        success: false,
-        message: 'Could not verify product_url column',
-        error: columnError.message,
-        action_required: 'Please run this SQL in your Supabase SQL editor to be safe:',
-        sql: 'ALTER TABLE models ADD COLUMN IF NOT EXISTS product_url TEXT;'
-      });
+    if (!user?.email) {
+      logger.info('Password reset requested for unknown or email-less account');
+      return res.status(200).json(genericResponse);
     }
 
-    return res.status(200).json({
-      success: true,
-      message: 'Models table is ready with product_url column!'
+    const token = await createPasswordResetToken(user.id);
+    const domain = process.env.DOMAIN || 'newfurniture.live';
+    const resetUrl = `https://${domain}/login?reset_token=${encodeURIComponent(token)}`;
+
+    await sendMail({
+      to: user.email,
+      subject: 'Reset your FurniTech password',
+      text: `Hi ${user.username},\n\nUse this link to choose a new password. It expires in 1 hour and can only be used once:\n\n${resetUrl}\n\nIf you did not ask for this, you can ignore this email.`,
+      html: `<p>Hi ${user.username},</p><p>Use this link to choose a new password. It expires in 1 hour and can only be used once:</p><p><a href="${resetUrl}">Reset my password</a></p><p>If you did not ask for this, you can ignore this email.</p>`
     });
 
+    return res.status(200).json(genericResponse);
+
   } catch (error) {
-    console.error('💥 Database initialization error:', error);
-    return res.status(500).json({ 
-      error: error.message,
-      solution: 'Check your Supabase configuration'
-    });
+    logger.error('Forgot password error', error);
+    const { statusCode, response } = createErrorResponse(500, 'Could not send reset email', error);
+    return res.status(statusCode).json(response);
   }
 }
 
 /**
- * Handle creating images table SQL instructions
+ * Handle setting a new password from a reset link
  */
-async function handleCreateImagesTable(req, res) {
-  if (req.method !== 'GET') {
+async function handleResetPassword(req, res) {
+  if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
-  return res.status(200).json({
-    message: 'Please run the following SQL in your Supabase SQL editor',
-    sql: `
--- Create images table
-CREATE TABLE IF NOT EXISTS images (
-  id TEXT PRIMARY KEY,
-  filename VARCHAR(255) NOT NULL,
-  cloudinary_url TEXT NOT NULL,
-  cloudinary_public_id VARCHAR(255) NOT NULL,
-  file_size INTEGER,
-  width INTEGER,
-  height INTEGER,
-  format VARCHAR(50),
-  image_type VARCHAR(50) NOT NULL DEFAULT 'general',
-  customer_id VARCHAR(100),
-  metadata JSONB DEFAULT '{}',
-  created_at TIMESTAMPTZ DEFAULT NOW(),
-  updated_at TIMESTAMPTZ DEFAULT NOW()
-);
-
--- Add indexes for faster queries
-CREATE INDEX IF NOT EXISTS idx_images_type ON images(image_type);
-CREATE INDEX IF NOT EXISTS idx_images_customer ON images(customer_id);
-
--- Grant permissions
-GRANT ALL ON images TO authenticated;
-GRANT ALL ON images TO service_role;
-    `,
-    instructions: [
-      '1. Go to your Supabase dashboard',
-      '2. Navigate to SQL Editor',
-      '3. Copy and paste the SQL above',
-      '4. Click "Run" to create the table'
-    ]
-  });
+  try {
+    const { token, password } = req.body;
+
+    const reset = await consumePasswordResetToken(token);
+    if (!reset.success) {
+      return res.status(400).json({ error: reset.error });
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+    const result = await updateUser(reset.userId, { password_hash: hashedPassword, failed_login_attempts: 0, locked_until: null });
+
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    // Any session opened with the old password ends now
+    await revokeUserSessions(reset.userId);
+
+    return res.status(200).json({ success: true, message: 'Password updated. You can now log in.' });
+
+  } catch (error) {
+    logger.error('Reset password error', error);
+    const { statusCode, response } = createErrorResponse(500, 'Could not reset password', error);
+    return res.status(statusCode).json(response);
+  }
 }
 
 /**
- * Handle user creation with universal customer integration
+ * Handle a logged-in user changing their own password
  */
-async function handleCreateUser(req, res) {
+async function handleChangePassword(req, res) {
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
+  if (req.session?.apiKeyId) {
+    return res.status(403).json({ error: 'API keys cannot change passwords' });
+  }
+
   try {
-    const { username, password, role, customerId, customerName } = req.body;
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await getUserById(req.session.userId);
 
-    if (!username || !password || !role) {
-      return res.status(400).json({ error: 'Username, password and role are required' });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
     }
 
-    if (role === 'customer' && (!customerId || !customerName)) {
-      return res.status(400).json({ error: 'Customer ID and name are required for customer role' });
+    const passwordMatch = await bcrypt.compare(currentPassword, user.password_hash);
+    if (!passwordMatch) {
+      return res.status(400).json({ error: 'Current password is incorrect' });
     }
 
-    // Generate user ID
-    const userId = Date.now().toString().slice(-8);
-    
-    // Create user record
-    const { data: userData, error: userError } = await supabase
-      .from('users')
-      .insert({
-        id: userId,
-        username,
-        password_hash: password, // In production, this should be hashed
-        role,
-        customer_id: customerId || null,
-        customer_name: customerName || null
-      })
-      .select()
-      .single();
+    const hashedPassword = await bcrypt.hash(newPassword, 10);
+    const result = await updateUser(user.id, { password_hash: hashedPassword });
 
-    if (userError) {
-      console.error('Error creating user:', userError);
-      return res.status(500).json({ error: 'Failed to create user: ' + userError.message });
-    }
-
-    // If creating a customer, also ensure they exist in the customers system
-    if (role === 'customer') {
-      // Check if customer already exists in models table (via assignment)
-      const { data: existingCustomers } = await supabase
-        .from('models')
-        .select('customer_id, customer_name')
-        .eq('customer_id', customerId)
-        .limit(1);
-
-      // If customer doesn't exist in models, create a placeholder entry
-      if (!existingCustomers || existingCustomers.length === 0) {
-        console.log(`Creating customer entry for: ${customerName} (${customerId})`);
-        // We'll let the customer appear when they first get furniture assigned
-        // This ensures the customer system stays universal
-      }
+    if (!result.success) {
+      throw new Error(result.error);
     }
 
-    return res.status(200).json({
-      success: true,
-      message: 'User created successfully',
-      user: {
-        id: userData.id,
-        username: userData.username,
-        role: userData.role,
-        customerId: userData.customer_id,
-        customerName: userData.customer_name
-      }
-    });
+    // Keep this browser signed in, end every other session
+    await revokeUserSessions(user.id, req.session.sid);
 
-  } catch (error) {
-    console.error('Create user error:', error);
-    return res.status(500).json({ error: error.message });
-  }
-}
+    return res.status(200).json({ success: true, message: 'Password changed successfully' });
 
-/**
- * Handle creating model_views table for variant tracking
- */
-async function handleCreateModelViewsTable(req, res) {
-  if (req.method !== 'GET') {
-    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (error) {
+    logger.error('Change password error', error);
+    const { statusCode, response } = createErrorResponse(500, 'Could not change password', error);
+    return res.status(statusCode).json(response);
   }
-
-  return res.status(200).json({
-    message: 'Please run the following SQL in your Supabase SQL editor to enable per-variant view tracking',
-    sql: `
--- Create model_views table for detailed view tracking per variant
-CREATE TABLE IF NOT EXISTS model_views (
-  id BIGSERIAL PRIMARY KEY,
-  model_id TEXT NOT NULL,
-  variant_id TEXT NULL, -- NULL for original variant
-  viewed_at TIMESTAMPTZ DEFAULT NOW(),
-  user_agent TEXT,
-  ip_hash TEXT
-);
-
--- Add indexes for better performance
-CREATE INDEX IF NOT EXISTS idx_model_views_model ON model_views(model_id);
-CREATE INDEX IF NOT EXISTS idx_model_views_variant ON model_views(variant_id);
-CREATE INDEX IF NOT EXISTS idx_model_views_date ON model_views(viewed_at);
-
--- Grant permissions
-GRANT ALL ON model_views TO authenticated;
-GRANT ALL ON model_views TO service_role;
-GRANT USAGE, SELECT ON SEQUENCE model_views_id_seq TO authenticated;
-GRANT USAGE, SELECT ON SEQUENCE model_views_id_seq TO service_role;
-    `,
-    instructions: [
-      '1. Go to your Supabase dashboard',
-      '2. Navigate to SQL Editor', 
-      '3. Copy and paste the SQL above',
-      '4. Click "Run" to create the table',
-      '5. This enables detailed per-variant view analytics'
-    ]
-  });
 }
 
 /**
@@ -1847,82 +2414,33 @@ async function handleResetViewCounts(req, res) {
   try {
     // Check if customer parameter is provided for customer-specific reset
     const { customer } = req.body;
-    let modelsError;
-    
-    if (customer) {
-      console.log(`🔄 Resetting view counts for customer: ${customer}`);
-      
-      // Reset view_count only for specific customer's models
-      const result = await supabase
-        .from('models')
-        .update({ view_count: 0 })
-        .eq('customer_id', customer);
-        
-      modelsError = result.error;
-        
-    } else {
-      console.log('🔄 Resetting all view counts to 0...');
-      
-      // Reset view_count in models table - use not equal to impossible value to match all rows
-      const result = await supabase
-        .from('models')
-        .update({ view_count: 0 })
-        .not('id', 'eq', 'impossible_id_that_never_exists');
-        
-      modelsError = result.error;
-    }
+    console.log(customer ? `🔄 Resetting view counts for customer: ${customer}` : '🔄 Resetting all view counts to 0...');
 
-    if (modelsError) {
-      console.error('Error resetting models view counts:', modelsError);
+    const result = await resetViewCounts(customer || null);
+
+    if (!result.success) {
+      console.error('Error resetting models view counts:', result.error);
       return res.status(500).json({ 
         error: 'Failed to reset model view counts',
-        details: modelsError.message 
+        details: result.error 
       });
     }
 
-    // Clear records from model_views table (if it exists)
-    let viewsCleared = 0;
-    try {
-      let deleteQuery;
-      
-      if (customer) {
-        // Get model IDs for this customer first
-        const { data: customerModels } = await supabase
-          .from('models')
-          .select('id')
-          .eq('customer_id', customer);
-          
-        if (customerModels && customerModels.length > 0) {
-          const modelIds = customerModels.map(m => m.id);
-          deleteQuery = supabase
-            .from('model_views')
-            .delete()
-            .in('model_id', modelIds);
-        }
-      } else {
-        deleteQuery = supabase
-          .from('model_views')
-          .delete()
-          .neq('id', 0); // Delete all records
-      }
-      
-      if (deleteQuery) {
-        const { error: viewsError, count } = await deleteQuery;
-        
-        if (!viewsError) {
-          viewsCleared = count || 0;
-          console.log(`✅ Cleared ${viewsCleared} detailed view records${customer ? ` for customer ${customer}` : ''}`);
-        }
-      }
-    } catch (viewsTableError) {
-      console.log('📝 model_views table not found (this is okay for first setup)');
-    }
+    const viewsCleared = result.viewsCleared;
 
     const resetMessage = customer ? 
       `✅ View counts reset to 0 for customer '${customer}'` : 
       '✅ All view counts reset to 0';
     console.log(resetMessage);
 
+    await recordAudit(req, {
+      action: 'view_counts.reset',
+      targetType: 'customer',
+      targetId: customer || 'all',
+      customerId: customer || null,
+      metadata: { detailedViewsCleared: viewsCleared }
+    });
+
     return res.status(200).json({
       success: true,
       message: customer ? `View counts reset to 0 for customer '${customer}'` : 'All view counts reset to 0',
@@ -1960,37 +2478,26 @@ async function handleFeedback(req, res) {
         userAgent
       } = req.body;
 
-      if (!type || !customerId || !itemId) {
-        return res.status(400).json({
-          error: 'Missing required fields: type, customerId, itemId'
-        });
+      const scope = resolveCustomerScope(req.session, customerId);
+      if (!scope.allowed) {
+        return res.status(scope.status).json({ error: scope.error });
       }
 
-      // Generate feedback ID
-      const feedbackId = `feedback_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-
       // Save feedback to database
-      const { data, error } = await supabase
-        .from('feedback')
-        .insert({
-          id: feedbackId,
-          feedback_type: type,
-          categories: categories || [],
-          comment: comment || null,
-          customer_id: customerId,
-          model_id: itemId,
-          model_name: itemName,
-          user_agent: userAgent,
-          created_at: new Date().toISOString()
-        })
-        .select()
-        .single();
+      const { data, error } = await saveFeedback({
+        type,
+        categories,
+        comment,
+        customerId,
+        modelId: itemId,
+        modelName: itemName,
+        userAgent: userAgent || req.headers['user-agent'] || ''
+      });
 
       if (error) {
-        console.error('Error saving feedback:', error);
         return res.status(500).json({
           error: 'Failed to save feedback',
-          details: error.message
+          details: error
         });
       }
 
@@ -1999,7 +2506,7 @@ async function handleFeedback(req, res) {
       return res.status(200).json({
         success: true,
         message: 'Feedback submitted successfully',
-        feedbackId: feedbackId
+        feedbackId: data.id
       });
 
     } catch (error) {
@@ -2012,33 +2519,18 @@ async function handleFeedback(req, res) {
   } else if (req.method === 'GET') {
     // Retrieve feedback (for admin)
     try {
-      const url = new URL(req.url, `https://${req.headers.host}`);
-      const customerId = url.searchParams.get('customer');
-      const modelId = url.searchParams.get('model');
-      const limit = parseInt(url.searchParams.get('limit')) || 100;
-
-      let query = supabase
-        .from('feedback')
-        .select('*')
-        .order('created_at', { ascending: false });
-
-      if (customerId) {
-        query = query.eq('customer_id', customerId);
-      }
-
-      if (modelId) {
-        query = query.eq('model_id', modelId);
+      const { customer, model, type, limit } = req.query;
+      const scope = resolveCustomerScope(req.session, customer);
+      if (!scope.allowed) {
+        return res.status(scope.status).json({ error: scope.error });
       }
 
-      query = query.limit(limit);
-
-      const { data, error } = await query;
+      const { data, error } = await listFeedback({ customerId: scope.customerId, modelId: model, type, limit });
 
       if (error) {
-        console.error('Error fetching feedback:', error);
         return res.status(500).json({
           error: 'Failed to fetch feedback',
-          details: error.message
+          details: error
         });
       }
 
@@ -2059,50 +2551,6 @@ async function handleFeedback(req, res) {
   }
 }
 
-/**
- * Handle creating feedback table
- */
-async function handleCreateFeedbackTable(req, res) {
-  if (req.method !== 'GET') {
-    return res.status(405).json({ error: 'Method not allowed' });
-  }
-
-  return res.status(200).json({
-    message: 'Please run the following SQL in your Supabase SQL editor to create the feedback system',
-    sql: `
--- Create feedback table
-CREATE TABLE IF NOT EXISTS feedback (
-  id TEXT PRIMARY KEY,
-  feedback_type VARCHAR(20) NOT NULL CHECK (feedback_type IN ('positive', 'negative', 'error')),
-  categories TEXT[] DEFAULT '{}',
-  comment TEXT,
-  customer_id VARCHAR(100) NOT NULL,
-  model_id TEXT NOT NULL,
-  model_name VARCHAR(255),
-  user_agent TEXT,
-  created_at TIMESTAMPTZ DEFAULT NOW()
-);
-
--- Add indexes for better performance
-CREATE INDEX IF NOT EXISTS idx_feedback_customer ON feedback(customer_id);
-CREATE INDEX IF NOT EXISTS idx_feedback_model ON feedback(model_id);
-CREATE INDEX IF NOT EXISTS idx_feedback_type ON feedback(feedback_type);
-CREATE INDEX IF NOT EXISTS idx_feedback_date ON feedback(created_at);
-
--- Grant permissions
-GRANT ALL ON feedback TO authenticated;
-GRANT ALL ON feedback TO service_role;
-    `,
-    instructions: [
-      '1. Go to your Supabase dashboard',
-      '2. Navigate to SQL Editor',
-      '3. Copy and paste the SQL above',
-      '4. Click "Run" to create the feedback table',
-      '5. This enables customer feedback collection and admin viewing'
-    ]
-  });
-}
-
 /**
  * Handle brand settings for customers
  */
@@ -2110,31 +2558,14 @@ async function handleBrandSettings(req, res, customerId) {
   if (req.method === 'GET') {
     // Get brand settings for customer
     try {
-      const { data, error } = await supabase
-        .from('customer_brand_settings')
-        .select('*')
-        .eq('customer_id', customerId)
-        .single();
-
-      if (error && error.code !== 'PGRST116') {
-        console.error('Error fetching brand settings:', error);
+      const { success, data } = await getBrandSettings(customerId);
+
+      if (!success) {
         return res.status(500).json({ error: 'Failed to fetch brand settings' });
       }
 
       // If no logo_url in settings, check Images table for admin-uploaded customer logo
-      let logoUrl = data?.logo_url;
-      if (!logoUrl) {
-        const { data: imageData } = await supabase
-          .from('images')
-          .select('cloudinary_url')
-          .eq('customer_id', customerId)
-          .in('image_type', ['customer_logo', 'brand'])  // Check both types
-          .order('created_at', { ascending: false })
-          .limit(1)
-          .single();
-        
-        logoUrl = imageData?.cloudinary_url || null;
-      }
+      const logoUrl = data?.logo_url || await getLatestCustomerLogoUrl(customerId);
 
       // Return settings or defaults
       const settings = data || {
@@ -2159,189 +2590,71 @@ async function handleBrandSettings(req, res, customerId) {
   }
 
   if (req.method === 'PUT') {
-    // Update brand settings for customer
-    try {
-      const { textDirection, primaryColor, secondaryColor, fontFamily, logoUrl } = req.body;
-
-      const settingsData = {
-        customer_id: customerId,
-        text_direction: textDirection || 'ltr',
-        primary_color: primaryColor || '#667eea',
-        secondary_color: secondaryColor || '#764ba2', 
-        font_family: fontFamily || 'Inter',
-        logo_url: logoUrl || null,
-        updated_at: new Date().toISOString()
-      };
-
-      // Upsert brand settings
-      const { data, error } = await supabase
-        .from('customer_brand_settings')
-        .upsert(settingsData, {
-          onConflict: 'customer_id'
-        })
-        .select()
-        .single();
-
-      if (error) {
-        console.error('Error saving brand settings:', error);
-        return res.status(500).json({ 
-          error: 'Failed to save brand settings',
-          details: error.message 
-        });
-      }
-
-      console.log(`✅ Brand settings saved for customer ${customerId}`);
-
-      return res.status(200).json({
-        success: true,
-        message: 'Brand settings saved successfully',
-        settings: data
-      });
-
-    } catch (error) {
-      console.error('Error handling brand settings PUT:', error);
-      return res.status(500).json({ 
-        error: 'Failed to process request',
-        details: error.message 
-      });
+    const scope = resolveCustomerScope(req.session, customerId);
+    if (!scope.allowed) {
+      return res.status(scope.status).json({ error: scope.error });
     }
-  }
-
-  return res.status(405).json({ error: 'Method not allowed' });
-}
-
-/**
- * Handle creating brand settings table
- */
-async function handleCreateBrandSettingsTable(req, res) {
-  if (req.method !== 'GET') {
-    return res.status(405).json({ error: 'Method not allowed' });
-  }
-
-  return res.status(200).json({
-    message: 'Please run the following SQL in your Supabase SQL editor to create the brand settings system',
-    sql: `
--- Create brand_settings table
-CREATE TABLE IF NOT EXISTS brand_settings (
-  id BIGSERIAL PRIMARY KEY,
-  customer_id VARCHAR(100) NOT NULL UNIQUE,
-  text_direction VARCHAR(10) DEFAULT 'ltr' CHECK (text_direction IN ('ltr', 'rtl')),
-  primary_color VARCHAR(7) DEFAULT '#667eea',
-  secondary_color VARCHAR(7) DEFAULT '#764ba2',
-  font_family VARCHAR(100) DEFAULT 'Inter',
-  logo_url TEXT,
-  created_at TIMESTAMPTZ DEFAULT NOW(),
-  updated_at TIMESTAMPTZ DEFAULT NOW()
-);
-
--- Add indexes for better performance
-CREATE INDEX IF NOT EXISTS idx_brand_settings_customer ON brand_settings(customer_id);
-
--- Grant permissions
-GRANT ALL ON brand_settings TO authenticated;
-GRANT ALL ON brand_settings TO service_role;
-GRANT USAGE, SELECT ON SEQUENCE brand_settings_id_seq TO authenticated;
-GRANT USAGE, SELECT ON SEQUENCE brand_settings_id_seq TO service_role;
-    `,
-    instructions: [
-      '1. Go to your Supabase dashboard',
-      '2. Navigate to SQL Editor',
-      '3. Copy and paste the SQL above',
-      '4. Click "Run" to create the brand settings table',
-      '5. This enables customer brand customization settings'
-    ]
-  });
-}
-
-/**
- * Test brand settings schema with sample data
- */
-async function handleTestBrandSettingsSchema(req, res) {
-  if (req.method !== 'GET' && req.method !== 'POST') {
-    return res.status(405).json({ error: 'Method not allowed' });
-  }
 
-  try {
-    const testCustomerId = 'TEST_CUSTOMER_001';
-    
-    if (req.method === 'POST') {
-      // Test inserting sample brand settings data
-      console.log('🧪 Testing brand settings schema with sample data...');
-      
-      const sampleData = {
-        customer_id: testCustomerId,
-        text_direction: 'rtl',
-        logo_url: 'https://res.cloudinary.com/example/image/upload/v1/brand-assets/test-logo.png',
-        primary_color: '#ff6b6b',
-        secondary_color: '#4ecdc4',
-        font_family: 'Roboto',
-        updated_at: new Date().toISOString()
-      };
+    // Update brand settings for customer
+    try {
+      const { textDirection, primaryColor, secondaryColor, fontFamily, logoUrl, allowedEmbedOrigins } = req.body;
 
-      const { data, error } = await supabase
-        .from('customer_brand_settings')
-        .upsert(sampleData)
-        .select()
-        .single();
+      const { data: previousSettings } = await getBrandSettings(customerId);
 
-      if (error) {
-        console.error('❌ Schema test failed:', error);
-        return res.status(500).json({ 
-          error: 'Schema test failed', 
-          details: error.message,
-          hint: 'Make sure you ran the database migration first'
-        });
+      // Embed origins are only replaced when the caller sends them
+      let embedOrigins = previousSettings?.allowed_embed_origins || [];
+      if (allowedEmbedOrigins !== undefined) {
+        const validation = validateEmbedOrigins(allowedEmbedOrigins);
+        if (!validation.success) {
+          return res.status(400).json({ error: validation.error });
+        }
+        embedOrigins = validation.origins;
       }
 
-      console.log('✅ Sample data inserted successfully');
-      return res.status(200).json({
-        success: true,
-        message: 'Brand settings schema test passed!',
-        testData: data,
-        schemaFields: ['id', 'customer_id', 'text_direction', 'logo_url', 'primary_color', 'secondary_color', 'font_family', 'created_at', 'updated_at']
+      // Upsert brand settings
+      const { data, error } = await saveBrandSettings(customerId, {
+        text_direction: textDirection || 'ltr',
+        primary_color: primaryColor || '#667eea',
+        secondary_color: secondaryColor || '#764ba2', 
+        font_family: fontFamily || 'Inter',
+        logo_url: logoUrl || null,
+        allowed_embed_origins: embedOrigins
       });
-    }
-    
-    else if (req.method === 'GET') {
-      // Test retrieving the sample data
-      const { data, error } = await supabase
-        .from('customer_brand_settings')
-        .select('*')
-        .eq('customer_id', testCustomerId)
-        .single();
-
-      if (error && error.code !== 'PGRST116') {
-        return res.status(500).json({ error: 'Failed to retrieve test data', details: error.message });
-      }
 
-      if (!data) {
-        return res.status(200).json({
-          message: 'No test data found. Use POST to create test data first.',
-          instructions: 'Send a POST request to this endpoint to create sample data'
+      if (error) {
+        return res.status(500).json({ 
+          error: 'Failed to save brand settings',
+          details: error 
         });
       }
 
+      console.log(`✅ Brand settings saved for customer ${customerId}`);
+
+      await recordAudit(req, {
+        action: previousSettings ? 'brand_settings.update' : 'brand_settings.create',
+        targetType: 'brand_settings',
+        targetId: customerId,
+        customerId,
+        before: previousSettings,
+        after: data
+      });
+
       return res.status(200).json({
         success: true,
-        message: 'Schema validation successful!',
-        testData: data,
-        validation: {
-          hasAllFields: !!(data.customer_id && data.text_direction !== undefined && 
-                         data.logo_url !== undefined && data.primary_color && 
-                         data.secondary_color && data.font_family),
-          missingFields: []
-        }
+        message: 'Brand settings saved successfully',
+        settings: data
       });
-    }
 
-  } catch (error) {
-    console.error('❌ Schema test error:', error);
-    return res.status(500).json({ 
-      error: 'Schema test failed', 
-      details: error.message,
-      hint: 'Check if the customer_brand_settings table exists and has all required columns'
-    });
+    } catch (error) {
+      console.error('Error handling brand settings PUT:', error);
+      return res.status(500).json({ 
+        error: 'Failed to process request',
+        details: error.message 
+      });
+    }
   }
+
+  return res.status(405).json({ error: 'Method not allowed' });
 }
 
 
@@ -2352,26 +2665,15 @@ async function handleRequests(req, res) {
   // GET /api/requests or /api/requests?customer={id} - Get all requests or customer requests
   if (req.method === 'GET') {
     try {
-      const { customer } = req.query;
-      
-      let query = supabase
-        .from('customer_requests')
-        .select(`
-          *,
-          models!customer_requests_model_id_fkey(title, id)
-        `)
-        .order('created_at', { ascending: false });
-      
-      // If customer parameter is provided, filter by customer (for customer view)
-      // If no customer parameter, return all requests (for admin view)
-      if (customer) {
-        query = query.eq('customer_id', customer);
+      const scope = resolveCustomerScope(req.session, req.query.customer);
+      if (!scope.allowed) {
+        return res.status(scope.status).json({ error: scope.error });
       }
       
-      const { data, error } = await query;
+      // Customers only ever see their own requests; admins see all unless filtered
+      const { data, error } = await listRequests({ customerId: scope.customerId, includeModel: true });
       
       if (error) {
-        console.error('Error fetching requests:', error);
         return res.status(500).json({ error: 'Failed to fetch requests' });
       }
       
@@ -2389,37 +2691,29 @@ async function handleRequests(req, res) {
   // POST /api/requests - Submit new request
   else if (req.method === 'POST') {
     try {
-      const { customerId, productUrl, title, description, notes, referenceImages } = req.body;
+      const { productUrl, title, description, notes, referenceImages } = req.body;
+      
+      const scope = resolveCustomerScope(req.session, req.body.customerId);
+      if (!scope.allowed) {
+        return res.status(scope.status).json({ error: scope.error });
+      }
+      const customerId = scope.customerId;
       
       if (!customerId || !productUrl) {
         return res.status(400).json({ error: 'Customer ID and product URL are required' });
       }
       
-      // Generate request ID
-      const requestId = `req-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`;
-      
-      const { data, error } = await supabase
-        .from('customer_requests')
-        .insert({
-          id: requestId,
-          customer_id: customerId,
-          product_url: productUrl,
-          title: title || 'Custom Furniture Request',
-          description: description || '',
-          notes: notes || '',
-          reference_images: referenceImages || [],
-          status: 'pending',
-          priority: 'normal',
-          metadata: {
-            submitted_at: new Date().toISOString(),
-            user_agent: req.headers['user-agent']
-          }
-        })
-        .select()
-        .single();
+      const { data, error } = await createRequest({
+        customerId,
+        productUrl,
+        title,
+        description,
+        notes,
+        referenceImages,
+        userAgent: req.headers['user-agent']
+      });
       
       if (error) {
-        console.error('Error creating request:', error);
         return res.status(500).json({ error: 'Failed to create request' });
       }
       
@@ -2440,29 +2734,29 @@ async function handleRequests(req, res) {
     try {
       const { id, status, adminNotes, estimatedCompletion, modelId } = req.body;
       
-      if (!id) {
-        return res.status(400).json({ error: 'Request ID required' });
-      }
-      
-      const updateData = { updated_at: new Date().toISOString() };
+      const updateData = {};
       
       if (status) updateData.status = status;
       if (adminNotes) updateData.admin_notes = adminNotes;
       if (estimatedCompletion) updateData.estimated_completion = estimatedCompletion;
       if (modelId) updateData.model_id = modelId;
       
-      const { data, error } = await supabase
-        .from('customer_requests')
-        .update(updateData)
-        .eq('id', id)
-        .select()
-        .single();
+      const previousRequest = await getRequest(id);
+      
+      const { data, error } = await updateRequest(id, updateData);
       
       if (error) {
-        console.error('Error updating request:', error);
         return res.status(500).json({ error: 'Failed to update request' });
       }
       
+      await recordAudit(req, {
+        action: 'request.update',
+        targetType: 'request',
+        targetId: id,
+        before: previousRequest,
+        after: data
+      });
+      
       return res.status(200).json({
         success: true,
         message: 'Request updated successfully',
@@ -2478,41 +2772,33 @@ async function handleRequests(req, res) {
   // DELETE /api/requests - Delete request
   else if (req.method === 'DELETE') {
     try {
-      const { id, customerId } = req.body;
+      const { id } = req.body;
       
-      if (!id) {
-        return res.status(400).json({ error: 'Request ID required' });
+      // Verify the request belongs to the caller's customer (security check)
+      const existingRequest = await getRequest(id);
+        
+      if (!existingRequest) {
+        return res.status(404).json({ error: 'Request not found' });
       }
       
-      // Verify the request belongs to this customer (security check)
-      if (customerId) {
-        const { data: existingRequest, error: fetchError } = await supabase
-          .from('customer_requests')
-          .select('customer_id')
-          .eq('id', id)
-          .single();
-          
-        if (fetchError || !existingRequest) {
-          return res.status(404).json({ error: 'Request not found' });
-        }
-        
-        if (existingRequest.customer_id !== customerId) {
-          return res.status(403).json({ error: 'Access denied' });
-        }
+      const scope = resolveCustomerScope(req.session, existingRequest.customer_id);
+      if (!scope.allowed) {
+        return res.status(scope.status).json({ error: scope.error });
       }
       
-      const { data, error } = await supabase
-        .from('customer_requests')
-        .delete()
-        .eq('id', id)
-        .select()
-        .single();
+      const { data, error } = await deleteRequest(id);
       
       if (error) {
-        console.error('Error deleting request:', error);
         return res.status(500).json({ error: 'Failed to delete request' });
       }
       
+      await recordAudit(req, {
+        action: 'request.delete',
+        targetType: 'request',
+        targetId: id,
+        before: data
+      });
+      
       return res.status(200).json({
         success: true,
         message: 'Request deleted successfully',
@@ -2866,6 +3152,11 @@ async function handleCustomerLogoUpload(req, res, customerId) {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
+  const scope = resolveCustomerScope(req.session, customerId);
+  if (!scope.allowed) {
+    return res.status(scope.status).json({ error: scope.error });
+  }
+
   try {
     // Parse multipart form data
     const form = new multiparty.Form();
@@ -2889,54 +3180,48 @@ async function handleCustomerLogoUpload(req, res, customerId) {
       return res.status(400).json({ error: 'Invalid file type. Only JPG, PNG, WebP, and SVG are allowed.' });
     }
 
+    const fs = await import('fs');
+    let fileBuffer = fs.readFileSync(uploadedFile.path);
+
+    // Rewrite SVG logos to a safe subset before they are stored
+    let sanitization = null;
+    // Raster formats never start with '<', so this also catches mislabelled SVGs
+    const looksLikeSvg = uploadedFile.headers['content-type'] === 'image/svg+xml' ||
+      /\.svg$/i.test(uploadedFile.originalFilename || '') ||
+      fileBuffer.toString('utf8', 0, 64).replace(/^\uFEFF/, '').trimStart().startsWith('<');
+    if (looksLikeSvg) {
+      const sanitized = sanitizeSvg(fileBuffer);
+      if (!sanitized.success) {
+        return res.status(400).json({ error: `Security validation failed: ${sanitized.error}` });
+      }
+      fileBuffer = Buffer.from(sanitized.svg, 'utf8');
+      sanitization = { modified: sanitized.modified, removed: sanitized.removed };
+    }
+
     // Upload to Cloudinary
-    const fs = require('fs');
-    const fileBuffer = fs.readFileSync(uploadedFile.path);
-    
     const uploadResult = await uploadImage(fileBuffer, uploadedFile.originalFilename);
     
     // Save to admin Images table with customer context
-    const imageId = Date.now().toString(); // Simple ID generation
-    
-    const { data: imageData, error: imageError } = await supabase
-      .from('images')
-      .insert({
-        id: imageId,
-        filename: uploadedFile.originalFilename,
-        cloudinary_url: uploadResult.url,
-        cloudinary_public_id: uploadResult.publicId,
-        file_size: uploadResult.size,
-        width: uploadResult.width,
-        height: uploadResult.height,
-        format: uploadResult.format,
-        image_type: 'customer_logo', // Special type for customer logos
-        customer_id: customerId,
-        created_at: new Date().toISOString(),
-        updated_at: new Date().toISOString()
-      })
-      .select()
-      .single();
+    const { data: imageData, error: imageError } = await saveImage({
+      filename: uploadedFile.originalFilename,
+      cloudinaryUrl: uploadResult.url,
+      cloudinaryPublicId: uploadResult.publicId,
+      fileSize: uploadResult.size,
+      width: uploadResult.width,
+      height: uploadResult.height,
+      format: uploadResult.format,
+      imageType: 'customer_logo', // Special type for customer logos
+      customerId
+    });
 
     if (imageError) {
-      console.error('Error saving logo to Images table:', imageError);
       return res.status(500).json({ error: 'Failed to save logo information' });
     }
 
     // Update customer's brand settings with logo URL
-    const { data: brandData, error: brandError } = await supabase
-      .from('customer_brand_settings')
-      .upsert({
-        customer_id: customerId,
-        logo_url: uploadResult.url,
-        updated_at: new Date().toISOString()
-      }, {
-        onConflict: 'customer_id'
-      })
-      .select()
-      .single();
+    const { data: brandData, error: brandError } = await saveBrandSettings(customerId, { logo_url: uploadResult.url });
 
     if (brandError) {
-      console.error('Error updating brand settings with logo:', brandError);
       return res.status(500).json({ error: 'Failed to update brand settings' });
     }
 
@@ -2947,7 +3232,8 @@ async function handleCustomerLogoUpload(req, res, customerId) {
       message: 'Logo uploaded successfully',
       logoUrl: uploadResult.url,
       imageData: imageData,
-      brandSettings: brandData
+      brandSettings: brandData,
+      sanitization
     });
 
   } catch (error) {
@@ -2959,6 +3245,152 @@ async function handleCustomerLogoUpload(req, res, customerId) {
   }
 }
 
+/**
+ * Handle API key listing, issuance and revocation for a customer
+ * GET/POST /api/customers/{id}/api-keys, DELETE /api/customers/{id}/api-keys/{keyId}
+ */
+async function handleApiKeys(req, res, customerId, keyId) {
+  // Keys cannot be used to manage other keys
+  if (req.session?.apiKeyId) {
+    return res.status(403).json({ error: 'API keys cannot manage API keys' });
+  }
+
+  const scope = resolveCustomerScope(req.session, customerId);
+  if (!scope.allowed) {
+    return res.status(scope.status).json({ error: scope.error });
+  }
+
+  if (req.method === 'GET' && !keyId) {
+    const result = await listApiKeys(customerId);
+    if (!result.success) {
+      return res.status(500).json({ error: 'Failed to fetch API keys' });
+    }
+    return res.status(200).json({ success: true, apiKeys: result.data });
+  }
+
+  if (req.method === 'POST' && !keyId) {
+    const { name, scopes } = req.body;
+
+    const customers = await getCustomers();
+    const customer = customers.find(c => c.id === customerId);
+
+    const result = await createApiKey({
+      customerId,
+      customerName: customer?.name || customerId,
+      name,
+      scopes,
+      createdBy: req.session.userId
+    });
+
+    if (!result.success) {
+      return res.status(500).json({ error: 'Failed to create API key' });
+    }
+
+    console.log(`🔑 API key ${result.apiKey.id} issued for customer ${customerId}`);
+
+    await recordAudit(req, {
+      action: 'api_key.create',
+      targetType: 'api_key',
+      targetId: result.apiKey.id,
+      customerId,
+      after: { name: result.apiKey.name, scopes: result.apiKey.scopes }
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'API key created. Copy it now - it will not be shown again.',
+      key: result.key,
+      apiKey: result.apiKey
+    });
+  }
+
+  if (req.method === 'DELETE' && keyId) {
+    const result = await revokeApiKey(keyId, customerId);
+    if (!result.success) {
+      return res.status(500).json({ error: 'Failed to revoke API key' });
+    }
+    if (!result.found) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    console.log(`🔑 API key ${keyId} revoked for customer ${customerId}`);
+
+    await recordAudit(req, {
+      action: 'api_key.revoke',
+      targetType: 'api_key',
+      targetId: keyId,
+      customerId,
+      before: { revoked_at: null },
+      after: { revoked_at: result.apiKey?.revoked_at }
+    });
+
+    return res.status(200).json({ success: true, message: 'API key revoked', apiKey: result.apiKey });
+  }
+
+  return res.status(405).json({ error: 'Method not allowed' });
+}
+
+/**
+ * Handle Cloudinary upload configuration for direct browser uploads
+ */
+async function handleCloudinaryConfig(req, res) {
+  try {
+    const { v2: cloudinary } = await import('cloudinary');
+
+    // Upload parameters (must match exactly what Cloudinary signs)
+    const uploadParams = {
+      folder: 'furniture-models',
+      timestamp: Math.round(Date.now() / 1000),
+      upload_preset: 'furniture_models'
+    };
+
+    const signature = cloudinary.utils.api_sign_request(uploadParams, process.env.CLOUDINARY_API_SECRET);
+
+    return res.status(200).json({
+      cloudName: process.env.CLOUDINARY_CLOUD_NAME,
+      apiKey: process.env.CLOUDINARY_API_KEY,
+      timestamp: uploadParams.timestamp,
+      signature,
+      uploadParams
+    });
+
+  } catch (error) {
+    console.error('Error generating Cloudinary config:', error);
+    return res.status(500).json({ error: 'Failed to generate upload configuration' });
+  }
+}
+
+/**
+ * Download a model stored in Cloudinary and run structural validation on it
+ */
+async function validateStoredModel(cloudinaryUrl) {
+  const maxBytes = 100 * 1024 * 1024;
+  const rejected = (code, message) => ({ valid: false, errors: [{ code, message, path: null }], warnings: [], stats: null });
+
+  try {
+    const response = await fetch(cloudinaryUrl);
+    if (!response.ok) {
+      return rejected('FETCH_FAILED', `Stored file could not be read (${response.status})`);
+    }
+
+    if (parseInt(response.headers.get('content-length')) > maxBytes) {
+      return rejected('FILE_TOO_LARGE', 'File too large. Maximum size is 100MB');
+    }
+
+    const fileBuffer = Buffer.from(await response.arrayBuffer());
+    if (fileBuffer.length > maxBytes) {
+      return rejected('FILE_TOO_LARGE', 'File too large. Maximum size is 100MB');
+    }
+
+    // Raw uploads keep the original extension in the URL
+    const filename = new URL(cloudinaryUrl).pathname.split('/').pop();
+    return validateModelFile(fileBuffer, filename);
+  } catch (error) {
+    console.error('Stored model validation error:', error);
+    return rejected('FETCH_FAILED', 'Stored file could not be read');
+  }
+}
+
 /**
  * Handle saving model metadata after successful Cloudinary upload
  * POST /api/cloudinary-save (mapped from /api/u3)
@@ -2984,10 +3416,47 @@ async function handleCloudinarySave(req, res) {
       isVariant
     } = req.body;
 
-    if (!cloudinaryUrl || !cloudinaryPublicId) {
-      return res.status(400).json({
-        error: 'Cloudinary URL and public ID are required'
-      });
+    // API keys need the scope matching the kind of upload
+    const requiredScope = isVariant ? 'variants:manage' : 'models:upload';
+    if (!hasScope(req.session, requiredScope)) {
+      return res.status(403).json({ error: `API key is missing the '${requiredScope}' scope` });
+    }
+
+    // Only models uploaded to our own Cloudinary account can be registered, and the
+    // public ID must be the one in the URL: it is what gets deleted if validation fails
+    const storedPublicId = getModelPublicId(cloudinaryUrl);
+    if (!storedPublicId) {
+      return res.status(400).json({ error: 'Cloudinary URL must point to the platform storage account' });
+    }
+    if (storedPublicId !== cloudinaryPublicId) {
+      return res.status(400).json({ error: 'Cloudinary public ID does not match the URL' });
+    }
+
+    // Variants can only be added to the caller's own models
+    if (isVariant && parentModelId) {
+      const access = await authorizeModelAccess(req.session, parentModelId);
+      if (!access.allowed) {
+        return res.status(access.status).json({ error: access.error });
+      }
+    }
+
+    const scope = resolveCustomerScope(req.session, customerId);
+    if (!scope.allowed) {
+      return res.status(scope.status).json({ error: scope.error });
+    }
+
+    // The browser uploaded straight to Cloudinary, so validate the stored file
+    // and remove it again if it is not a well-formed model
+    const modelValidation = await validateStoredModel(cloudinaryUrl);
+    if (!modelValidation.valid) {
+      // A file that could not be read was never checked, so leave it alone
+      const wasChecked = !modelValidation.errors.some(error => error.code === 'FETCH_FAILED');
+      if (wasChecked) {
+        await deleteFromCloudinary(storedPublicId).catch(error => {
+          console.error('Failed to remove rejected model from Cloudinary:', error);
+        });
+      }
+      return res.status(400).json({ error: 'Model validation failed', report: modelValidation });
     }
 
     let dbResult;
@@ -3006,15 +3475,6 @@ async function handleCloudinarySave(req, res) {
       });
     } else {
       // Handle regular model upload
-      let parsedDimensions = null;
-      if (dimensions) {
-        try {
-          parsedDimensions = typeof dimensions === 'string' ? JSON.parse(dimensions) : dimensions;
-        } catch (error) {
-          console.warn('Failed to parse dimensions:', error.message);
-        }
-      }
-
       const modelParams = {
         title: title || 'Untitled Model',
         description: description || '',
@@ -3022,10 +3482,10 @@ async function handleCloudinarySave(req, res) {
         cloudinaryUrl: cloudinaryUrl,
         cloudinaryPublicId: cloudinaryPublicId,
         fileSize: fileSize || 0,
-        customerId: customerId || 'unassigned',
-        customerName: customerName || 'Unassigned',
+        customerId: scope.customerId || 'unassigned',
+        customerName: customerName || req.session?.customerName || 'Unassigned',
         dominantColor: '#6b7280',
-        dimensions: parsedDimensions,
+        dimensions: dimensions || null,
         metadata: {
           uploadMethod: 'direct',
           uploadedAt: new Date().toISOString()
@@ -3084,75 +3544,6 @@ async function handleCloudinarySave(req, res) {
   }
 }
 
-/**
- * Handle QR Migration - Add QR persistence columns and optionally regenerate QR codes
- * GET /api/qr-migration (mapped from /api/s8)
- */
-async function handleQRMigration(req, res) {
-  if (req.method !== 'GET' && req.method !== 'POST') {
-    return res.status(405).json({ error: 'Method not allowed' });
-  }
-
-  try {
-    if (req.method === 'GET') {
-      // Return SQL for manual migration
-      return res.status(200).json({
-        success: true,
-        message: 'Run the following SQL in your Supabase dashboard to add QR persistence columns:',
-        sql: `
--- Add QR Code Persistence Columns to existing tables
--- This enables 100% uptime QR codes by storing them in Cloudinary
-
--- Add QR columns to models table
-ALTER TABLE models
-ADD COLUMN IF NOT EXISTS qr_code_url TEXT,
-ADD COLUMN IF NOT EXISTS qr_generated_at TIMESTAMPTZ;
-
--- Add QR columns to model_variants table
-ALTER TABLE model_variants
-ADD COLUMN IF NOT EXISTS qr_code_url TEXT,
-ADD COLUMN IF NOT EXISTS qr_generated_at TIMESTAMPTZ;
-
--- Create indexes for faster QR lookups
-CREATE INDEX IF NOT EXISTS idx_models_qr_generated_at ON models(qr_generated_at);
-CREATE INDEX IF NOT EXISTS idx_variants_qr_generated_at ON model_variants(qr_generated_at);
-
--- Create missing model_views table (CRITICAL - fixes upload 500 errors)
-CREATE TABLE IF NOT EXISTS model_views (
-  id BIGSERIAL PRIMARY KEY,
-  model_id TEXT NOT NULL,
-  variant_id TEXT NULL,
-  viewed_at TIMESTAMPTZ DEFAULT NOW(),
-  user_agent TEXT,
-  ip_hash TEXT
-);
-        `,
-        instructions: [
-          '1. Go to your Supabase dashboard',
-          '2. Navigate to the SQL Editor',
-          '3. Copy and paste the SQL above',
-          '4. Click "Run" to add the columns and fix upload errors',
-          '5. Test model upload at https://newfurniture.live/admin'
-        ]
-      });
-    } else {
-      // POST: Future QR regeneration feature
-      return res.status(200).json({
-        success: true,
-        message: 'QR regeneration feature coming soon. For now, run the SQL migration above.',
-        note: 'New uploads will automatically generate QR codes once the persistence system is stable.'
-      });
-    }
-  } catch (error) {
-    console.error('QR Migration error:', error);
-    return res.status(500).json({
-      success: false,
-      error: 'QR migration failed',
-      details: error.message
-    });
-  }
-}
-
 /**
  * Handle QR Code generation using local generator
  * GET /api/qr-generate?url=<url>&format=<format>&size=<size>
@@ -3163,27 +3554,18 @@ async function handleQRGenerate(req, res) {
   }
 
   try {
-    const { url, format = 'png', size = 256, raw } = req.query;
-    const isRawFormat = raw === 'true';
-
-    if (!url) {
-      return res.status(400).json({
-        error: 'Missing required parameter: url',
-        example: '/api/qr-generate?url=https://newfurniture.live/view?id=abc123'
-      });
-    }
+    const { format, size, raw } = req.query;
+    let { url } = req.query;
+    const isRawFormat = raw === true;
 
-    // Validate URL format
-    try {
-      new URL(url);
-    } catch {
-      return res.status(400).json({ error: 'Invalid URL format' });
-    }
+    // Scans of our own viewer links are counted as QR views
+    const domain = process.env.DOMAIN || 'newfurniture.live';
+    url = tagQrTarget(url, [domain, `www.${domain}`, req.headers.host]);
 
     // Generate QR code using local generator
     const qrResult = await generateQR(url, {
       format,
-      width: parseInt(size) || 256,
+      width: size,
       errorCorrectionLevel: 'M'
     });
 
@@ -3233,7 +3615,7 @@ async function handleQRGenerate(req, res) {
         qr_code: qrResult.qr_code || qrResult.data,
         format: qrResult.format,
         url: url,
-        size: parseInt(size) || 256,
+        size,
         generated_at: new Date().toISOString()
       });
     }
@@ -3249,86 +3631,79 @@ async function handleQRGenerate(req, res) {
 }
 
 /**
- * Handle URL slug migration for existing models
+ * Generate QR codes for up to MAX_QR_BATCH URLs in one request
+ * POST /api/qr-batch
+ * Body: { urls: [...], options: {...} }
  */
-async function handleUrlSlugMigration(req, res) {
-  if (req.method !== 'GET' && req.method !== 'POST') {
+async function handleQRBatch(req, res) {
+  if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
+  const { urls, options } = req.body;
+
   try {
-    if (req.method === 'GET') {
-      // Return migration instructions
-      return res.status(200).json({
-        success: true,
-        message: 'URL Slug Migration for SEO-Friendly URLs',
-        description: 'This migration adds URL slug columns to enable SEO-friendly URLs like /f/napo/modern-sofa-utEaiw2a',
-        instructions: [
-          '1. Run the SQL below in your Supabase SQL editor to add columns',
-          '2. Make a POST request to this endpoint to generate slugs for existing models',
-          '3. New models will automatically get slugs generated'
-        ],
-        sql: `
--- Add URL slug columns for SEO-friendly URLs
--- This enables URLs like: /f/napo/modern-sofa-utEaiw2a/black
-
--- Add slug columns to models table
-ALTER TABLE models
-ADD COLUMN IF NOT EXISTS url_slug VARCHAR(255),
-ADD COLUMN IF NOT EXISTS category_slug VARCHAR(100),
-ADD COLUMN IF NOT EXISTS customer_slug VARCHAR(100);
-
--- Add color slug to variants table
-ALTER TABLE model_variants
-ADD COLUMN IF NOT EXISTS color_slug VARCHAR(50);
-
--- Create indexes for URL resolution
-CREATE INDEX IF NOT EXISTS idx_models_url_slug ON models(url_slug);
-CREATE INDEX IF NOT EXISTS idx_models_customer_slug ON models(customer_slug);
-CREATE INDEX IF NOT EXISTS idx_variants_color_slug ON model_variants(color_slug);
-
--- Combined index for fast URL lookups
-CREATE INDEX IF NOT EXISTS idx_models_slug_lookup ON models(customer_slug, url_slug);
-`,
-        benefits: [
-          'SEO-friendly URLs: /f/napo/modern-sofa-utEaiw2a',
-          'Better branding for clients',
-          'Improved search engine ranking',
-          'Professional QR code URLs'
-        ]
-      });
-    }
+    const result = await generateBatchQR(urls, options || {});
 
-    if (req.method === 'POST') {
-      // Run the migration
-      console.log('🚀 Starting URL slug migration...');
-      const result = await migrateModelSlugs();
+    return res.status(200).json({ success: true, data: result.data });
 
-      if (result.success) {
-        return res.status(200).json({
-          success: true,
-          message: `Migration completed! Updated ${result.updated} models`,
-          ...result
-        });
-      } else {
-        return res.status(500).json({
-          success: false,
-          error: 'Migration failed',
-          details: result.error
-        });
-      }
+  } catch (error) {
+    if (error instanceof QRGeneratorError) {
+      return res.status(400).json({ error: error.message, code: error.code, details: error.details });
     }
 
-  } catch (error) {
-    console.error('URL Slug Migration error:', error);
-    return res.status(500).json({
-      success: false,
-      error: 'Migration failed',
-      details: error.message
-    });
+    console.error('Batch QR generation error:', error);
+    return res.status(500).json({ error: 'Batch QR generation failed' });
   }
 }
 
+/**
+ * Supported QR formats, limits and recommended settings
+ * GET /api/qr-formats[?useCase=web|print|mobile|embed]
+ */
+async function handleQRFormats(req, res) {
+  const { useCase } = req.query;
+
+  return res.status(200).json({
+    success: true,
+    data: {
+      supported_formats: getSupportedFormats(),
+      optimal_settings: useCase ? getOptimalSettings(useCase) : null,
+      use_cases: ['web', 'print', 'mobile', 'embed'],
+      size_limits: {
+        minimum: 64,
+        maximum: 1024,
+        recommended: 256
+      },
+      error_correction_levels: {
+        'L': { recovery: '~7%', use_case: 'Clean environments' },
+        'M': { recovery: '~15%', use_case: 'Standard use (recommended)' },
+        'Q': { recovery: '~25%', use_case: 'Noisy environments' },
+        'H': { recovery: '~30%', use_case: 'Very noisy/damaged' }
+      },
+      rate_limits: {
+        qr_generate: '100 requests per minute',
+        qr_batch: `10 requests per hour (max ${MAX_QR_BATCH} URLs per request)`
+      }
+    },
+    examples: {
+      single_qr: '/api/qr-generate?url=https://newfurniture.live/view?id=abc123&format=svg&size=256',
+      batch_qr: {
+        method: 'POST',
+        endpoint: '/api/qr-batch',
+        body: {
+          urls: [
+            'https://newfurniture.live/view?id=chair1',
+            'https://newfurniture.live/view?id=table1'
+          ],
+          options: { format: 'svg', size: 200 }
+        }
+      },
+      direct_svg: '/api/qr-generate?url=https://newfurniture.live/view?id=abc123&raw=true'
+    }
+  });
+}
+
 /**
  * Handle SEO-friendly furniture URLs like: /f/{customer}/{product-slug-id}/{variant?}
  */
@@ -3366,11 +3741,18 @@ async function handleSEOFurnitureUrl(req, res, path) {
 
     const { model } = resolution;
 
+    if (model.deleted_at) {
+      return await sendUnavailablePage(res);
+    }
+
     // Build the redirect URL to the current view.html system
     let redirectUrl = `/view?id=${model.id}`;
     if (variantSlug) {
       redirectUrl += `&variant=${variantSlug}`;
     }
+    if (req.query.src === 'qr') {
+      redirectUrl += '&src=qr';
+    }
 
     console.log('✅ Redirecting to:', redirectUrl);
 
@@ -3384,6 +3766,63 @@ async function handleSEOFurnitureUrl(req, res, path) {
   }
 }
 
+// Viewer pages served through the API so their frame-ancestors can follow the model's customer
+const VIEWER_PAGES = {
+  'view': 'view.html',
+  'iframe-view': 'iframe_view.html'
+};
+
+/**
+ * Serve a viewer page with the owning customer's embed origins applied:
+ * a CSP frame-ancestors header for framing, and a meta tag the page uses to check postMessage origins
+ */
+async function handleViewerPage(req, res, page, modelId) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const customerOrigins = await getEmbedOriginsForModel(modelId);
+
+    // frame-ancestors replaces X-Frame-Options for these pages
+    res.removeHeader('X-Frame-Options');
+    res.setHeader('Content-Security-Policy', buildFrameAncestors(customerOrigins));
+
+    const model = modelId ? await getModel(modelId, { includeDeleted: true }) : null;
+    if (model?.deleted_at) {
+      return await sendUnavailablePage(res);
+    }
+
+    const fs = await import('fs');
+    const path = await import('path');
+    const html = fs.readFileSync(path.join(process.cwd(), 'public', VIEWER_PAGES[page]), 'utf8');
+
+    const messageOrigins = [...getPlatformEmbedOrigins(), ...customerOrigins];
+    const meta = `<meta name="embed-origins" content="${JSON.stringify(messageOrigins).replace(/"/g, '&quot;')}">`;
+
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    res.setHeader('Cache-Control', 'public, max-age=0, s-maxage=60');
+
+    return res.status(200).send(html.replace(/<head>/i, `<head>\n    ${meta}`));
+  } catch (error) {
+    console.error('Viewer page error:', error);
+    return res.status(500).json({ error: 'Failed to load viewer' });
+  }
+}
+
+/**
+ * Serve the "no longer available" page for a trashed model; 410 so search engines drop the URL
+ */
+async function sendUnavailablePage(res) {
+  const fs = await import('fs');
+  const path = await import('path');
+  const html = fs.readFileSync(path.join(process.cwd(), 'public', 'unavailable.html'), 'utf8');
+
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  res.setHeader('Cache-Control', 'public, max-age=0, s-maxage=60');
+  return res.status(410).send(html);
+}
+
 /**
  * Handle SEO-friendly QR URLs like: /qr/{customer}/{product-slug-id.svg}
  */
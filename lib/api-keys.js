@@ -0,0 +1,150 @@
+/**
+ * Per-customer API keys for programmatic catalog access
+ * Raw keys are shown once at issuance and stored only as SHA-256 hashes
+ */
+
+import crypto from 'crypto';
+import { supabase } from './supabase.js';
+
+// Scopes a key can be granted
+export const API_KEY_SCOPES = ['catalog:read', 'models:upload', 'variants:manage', 'qr:generate'];
+
+const KEY_PREFIX = 'nfk_';
+
+// Columns safe to return to clients (never the hash)
+const PUBLIC_COLUMNS = 'id, customer_id, customer_name, name, key_prefix, scopes, created_by, created_at, last_used_at, revoked_at';
+
+/**
+ * Hash a raw API key for storage and lookup
+ */
+export function hashApiKey(rawKey) {
+  return crypto.createHash('sha256').update(rawKey).digest('hex');
+}
+
+/**
+ * Read a raw API key from the Authorization (Bearer) or X-Api-Key header
+ */
+function extractApiKey(req) {
+  const authorization = req.headers.authorization || '';
+  if (authorization.startsWith('Bearer ')) {
+    return authorization.slice(7).trim();
+  }
+  return req.headers['x-api-key'] || null;
+}
+
+/**
+ * Issue a new API key for a customer
+ */
+export async function createApiKey({ customerId, customerName, name, scopes, createdBy }) {
+  const { nanoid } = await import('nanoid');
+  const rawKey = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+
+  try {
+    const { data, error } = await supabase
+      .from('api_keys')
+      .insert({
+        id: nanoid(8),
+        customer_id: customerId,
+        customer_name: customerName,
+        name,
+        key_prefix: rawKey.slice(0, 12),
+        key_hash: hashApiKey(rawKey),
+        scopes,
+        created_by: createdBy
+      })
+      .select(PUBLIC_COLUMNS)
+      .single();
+
+    if (error) throw error;
+    return { success: true, key: rawKey, apiKey: data };
+  } catch (error) {
+    console.error('API key create error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * List a customer's API keys (active and revoked)
+ */
+export async function listApiKeys(customerId) {
+  try {
+    const { data, error } = await supabase
+      .from('api_keys')
+      .select(PUBLIC_COLUMNS)
+      .eq('customer_id', customerId)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+    return { success: true, data: data || [] };
+  } catch (error) {
+    console.error('API key list error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Revoke one of a customer's API keys
+ */
+export async function revokeApiKey(keyId, customerId) {
+  try {
+    const { data, error } = await supabase
+      .from('api_keys')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('id', keyId)
+      .eq('customer_id', customerId)
+      .is('revoked_at', null)
+      .select(PUBLIC_COLUMNS);
+
+    if (error) throw error;
+    return { success: true, found: data.length > 0, apiKey: data[0] || null };
+  } catch (error) {
+    console.error('API key revoke error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Authenticate a request by API key and return a customer principal, or null.
+ * Records the time the key was last used.
+ */
+export async function authenticateApiKey(req) {
+  const rawKey = extractApiKey(req);
+  if (!rawKey || !rawKey.startsWith(KEY_PREFIX)) {
+    return null;
+  }
+
+  try {
+    const { data: key, error } = await supabase
+      .from('api_keys')
+      .select('id, customer_id, customer_name, name, scopes')
+      .eq('key_hash', hashApiKey(rawKey))
+      .is('revoked_at', null)
+      .single();
+
+    if (error || !key) {
+      return null;
+    }
+
+    const { error: touchError } = await supabase
+      .from('api_keys')
+      .update({ last_used_at: new Date().toISOString() })
+      .eq('id', key.id);
+
+    if (touchError) {
+      console.warn('Could not record API key usage:', touchError.message);
+    }
+
+    return {
+      userId: null,
+      username: key.name,
+      role: 'customer',
+      customerId: key.customer_id,
+      customerName: key.customer_name,
+      apiKeyId: key.id,
+      scopes: key.scopes || []
+    };
+  } catch (error) {
+    console.error('API key authentication error:', error);
+    return null;
+  }
+}
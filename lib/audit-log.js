@@ -0,0 +1,93 @@
+/**
+ * Append-only audit log of mutating operations
+ * Each entry records who did what to which record, with a field-level before/after diff.
+ */
+
+import { supabase } from './supabase.js';
+import { hashIP, getClientIP } from './security.js';
+
+// Never copy secrets into the audit trail
+const REDACTED_FIELDS = ['password', 'password_hash', 'totp_secret', 'totp_pending_secret', 'totp_recovery_codes', 'key_hash'];
+
+/**
+ * Field-level diff between two records: { field: { before, after } } for changed fields only
+ */
+export function diffRecords(before, after) {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  fields.forEach(field => {
+    const oldValue = before?.[field] ?? null;
+    const newValue = after?.[field] ?? null;
+
+    if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+      changes[field] = REDACTED_FIELDS.includes(field)
+        ? { before: '[redacted]', after: '[redacted]' }
+        : { before: oldValue, after: newValue };
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Record a mutating action. Pass the record as it was (before) and as it now is (after);
+ * leave before empty for creates and after empty for deletes. Never throws.
+ */
+export async function recordAudit(req, { action, targetType, targetId, customerId = null, before = null, after = null, metadata = null }) {
+  try {
+    const session = req.session || {};
+
+    const { error } = await supabase
+      .from('audit_log')
+      .insert({
+        action,
+        target_type: targetType,
+        target_id: targetId !== undefined && targetId !== null ? String(targetId) : null,
+        customer_id: customerId || before?.customer_id || after?.customer_id || null,
+        actor_user_id: session.userId || null,
+        actor_username: session.username || null,
+        actor_role: session.role || null,
+        api_key_id: session.apiKeyId || null,
+        changes: diffRecords(before, after),
+        metadata,
+        ip_hash: hashIP(getClientIP(req))
+      });
+
+    if (error) throw error;
+  } catch (error) {
+    console.error('Audit log write error:', error);
+  }
+}
+
+/**
+ * List audit entries, newest first, with optional filters
+ */
+export async function listAuditLog({ action, targetType, targetId, actor, customerId, since, until, limit = 50, offset = 0 } = {}) {
+  try {
+    const pageSize = Math.min(parseInt(limit) || 50, 200);
+    const start = Math.max(parseInt(offset) || 0, 0);
+
+    let query = supabase
+      .from('audit_log')
+      .select('*', { count: 'exact' })
+      .order('created_at', { ascending: false })
+      .range(start, start + pageSize - 1);
+
+    if (action) query = query.eq('action', action);
+    if (targetType) query = query.eq('target_type', targetType);
+    if (targetId) query = query.eq('target_id', targetId);
+    if (actor) query = query.eq('actor_username', actor);
+    if (customerId) query = query.eq('customer_id', customerId);
+    if (since) query = query.gte('created_at', since);
+    if (until) query = query.lte('created_at', until);
+
+    const { data, error, count } = await query;
+
+    if (error) throw error;
+    return { success: true, data: data || [], total: count || 0 };
+  } catch (error) {
+    console.error('Audit log list error:', error);
+    return { success: false, error: error.message };
+  }
+}
@@ -0,0 +1,259 @@
+/**
+ * Session tokens and route authorization
+ * Sessions are HMAC-signed, expiring tokens stored in an HttpOnly cookie
+ */
+
+import crypto from 'crypto';
+
+const SESSION_COOKIE = 'session';
+export const SESSION_TTL_SECONDS = 86400; // 24 hours
+const LOGIN_CHALLENGE_TTL_SECONDS = 300; // 5 minutes to finish the second login step
+
+// Role groups for the route table's access lists (see lib/router.js)
+export const PUBLIC = ['public'];
+export const ADMIN = ['admin'];
+export const ANY_USER = ['admin', 'customer'];
+export const CRON = ['cron'];
+
+/**
+ * Get the secret used to sign session tokens
+ */
+function getSessionSecret() {
+  const secret = process.env.SESSION_SECRET;
+  if (!secret) {
+    throw new Error('Missing SESSION_SECRET environment variable');
+  }
+  return secret;
+}
+
+/**
+ * Sign a token body with HMAC-SHA256; the domain keeps token types from being swapped
+ */
+function sign(body, domain = 'session') {
+  return crypto
+    .createHmac('sha256', getSessionSecret())
+    .update(domain === 'session' ? body : `${domain}:${body}`)
+    .digest('base64url');
+}
+
+/**
+ * Verify a signed token and return its payload, or null if invalid or expired
+ */
+function verifySignedToken(token, domain) {
+  if (!token || typeof token !== 'string') {
+    return null;
+  }
+
+  const [body, signature] = token.split('.');
+  if (!body || !signature) {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(body, domain));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  } catch (e) {
+    return null;
+  }
+
+  if (!payload.exp || payload.exp <= Math.floor(Date.now() / 1000)) {
+    return null;
+  }
+
+  return payload;
+}
+
+/**
+ * Create a signed session token for an authenticated user and session record
+ */
+export function createSessionToken(user, sessionId) {
+  const now = Math.floor(Date.now() / 1000);
+  const payload = {
+    sid: sessionId,
+    userId: String(user.id),
+    username: user.username,
+    role: user.role,
+    customerId: user.customer_id || null,
+    iat: now,
+    exp: now + SESSION_TTL_SECONDS
+  };
+
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${body}.${sign(body)}`;
+}
+
+/**
+ * Verify a session token and return its payload, or null if invalid or expired
+ */
+export function verifySessionToken(token) {
+  return verifySignedToken(token, 'session');
+}
+
+/**
+ * Create a short-lived token proving the password step of login succeeded.
+ * purpose is 'verify' (enter a code) or 'enroll' (2FA setup is required first).
+ */
+export function createLoginChallenge(user, purpose) {
+  const now = Math.floor(Date.now() / 1000);
+  const body = Buffer.from(JSON.stringify({
+    userId: String(user.id),
+    purpose,
+    iat: now,
+    exp: now + LOGIN_CHALLENGE_TTL_SECONDS
+  })).toString('base64url');
+
+  return `${body}.${sign(body, 'login-challenge')}`;
+}
+
+/**
+ * Verify a login challenge token for the expected purpose, returning its payload or null
+ */
+export function verifyLoginChallenge(token, purpose) {
+  const payload = verifySignedToken(token, 'login-challenge');
+  return payload && payload.purpose === purpose ? payload : null;
+}
+
+/**
+ * Create a signed token granting short-lived access to one model or variant file
+ */
+export function createModelUrlToken(claims, ttlSeconds) {
+  const now = Math.floor(Date.now() / 1000);
+  const body = Buffer.from(JSON.stringify({
+    ...claims,
+    iat: now,
+    exp: now + ttlSeconds
+  })).toString('base64url');
+
+  return `${body}.${sign(body, 'model-url')}`;
+}
+
+/**
+ * Verify a model file token, returning its payload or null if invalid or expired
+ */
+export function verifyModelUrlToken(token) {
+  return verifySignedToken(token, 'model-url');
+}
+
+/**
+ * Parse the Cookie header into a name/value map
+ */
+export function parseCookies(req) {
+  const header = req.headers.cookie || '';
+
+  return header.split(';').reduce((cookies, part) => {
+    const index = part.indexOf('=');
+    if (index > 0) {
+      const name = part.slice(0, index).trim();
+      cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+    }
+    return cookies;
+  }, {});
+}
+
+/**
+ * Get the signature-verified session for a request, or null if not logged in.
+ * Use loadSession() from sessions.js to also check server-side revocation.
+ */
+export function getSession(req) {
+  return verifySessionToken(parseCookies(req)[SESSION_COOKIE]);
+}
+
+/**
+ * Build the Set-Cookie value for a session token
+ */
+export function createSessionCookie(token) {
+  const isProduction = process.env.NODE_ENV === 'production';
+  return `${SESSION_COOKIE}=${token}; Path=/; Max-Age=${SESSION_TTL_SECONDS}; HttpOnly; SameSite=Strict${isProduction ? '; Secure' : ''}`;
+}
+
+/**
+ * Build the Set-Cookie values that log the browser out
+ */
+export function clearSessionCookies() {
+  // Also expire the unsigned cookies set by earlier versions of the login route
+  return [SESSION_COOKIE, 'user_role', 'user_id'].map(name => `${name}=; Path=/; Max-Age=0; HttpOnly; SameSite=Strict`);
+}
+
+/**
+ * Session for scheduled jobs. Vercel Cron sends "Authorization: Bearer $CRON_SECRET";
+ * without CRON_SECRET configured no request is treated as a cron call.
+ */
+export function authenticateCron(req) {
+  const secret = process.env.CRON_SECRET;
+  const header = req.headers.authorization || '';
+  if (!secret || !header.startsWith('Bearer ')) {
+    return null;
+  }
+
+  const expected = Buffer.from(secret);
+  const actual = Buffer.from(header.slice('Bearer '.length));
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  return { userId: null, username: 'cron', role: 'cron', customerId: null };
+}
+
+/**
+ * Check whether a session may call a route table endpoint: its access roles, or for
+ * API keys one of its scopes. Endpoints without access are admin-only.
+ */
+export function authorizeEndpoint({ access = ADMIN, scopes = null }, session) {
+  if (access.includes('public')) {
+    return { allowed: true };
+  }
+
+  if (session?.apiKeyId) {
+    if (!scopes) {
+      return { allowed: false, status: 403, error: 'API keys cannot access this route' };
+    }
+    if (!scopes.some(scope => session.scopes.includes(scope))) {
+      return { allowed: false, status: 403, error: 'API key is missing the required scope' };
+    }
+    return { allowed: true };
+  }
+
+  if (!session) {
+    return { allowed: false, status: 401, error: 'Authentication required' };
+  }
+
+  if (!access.includes(session.role)) {
+    return { allowed: false, status: 403, error: 'Access denied' };
+  }
+
+  return { allowed: true };
+}
+
+/**
+ * Resolve which customer's data a session may touch.
+ * Admins may act on any customer (or all of them when none is requested);
+ * customers are always pinned to their own customer id.
+ */
+export function resolveCustomerScope(session, requestedCustomerId = null) {
+  if (session?.role === 'admin') {
+    return { allowed: true, customerId: requestedCustomerId || null };
+  }
+
+  if (!session?.customerId) {
+    return { allowed: false, status: 403, error: 'Access denied' };
+  }
+
+  if (requestedCustomerId && requestedCustomerId !== session.customerId) {
+    return { allowed: false, status: 403, error: 'Access denied' };
+  }
+
+  return { allowed: true, customerId: session.customerId };
+}
+
+/**
+ * Check an API key scope; user sessions are limited by role only
+ */
+export function hasScope(session, scope) {
+  return !session?.apiKeyId || session.scopes.includes(scope);
+}
@@ -0,0 +1,293 @@
+/**
+ * Bulk catalog maintenance: one action applied to many models
+ * Each model is planned and applied on its own and reported as updated, skipped or failed,
+ * so one missing or failing model never stops the rest. A dry run plans every model
+ * without saving anything.
+ */
+
+import { updateModel, updateModelCustomer } from './repositories/models.js';
+import { getModelVariants } from './repositories/variants.js';
+import { moveToTrash } from './repositories/trash.js';
+import { purgeItem } from './trash.js';
+import { normalizeTags, MAX_TAGS, MAX_TAG_LENGTH } from './catalog-search.js';
+import { buildProductUrl } from './url-slugs.js';
+import { tagQrTarget } from './view-tracking.js';
+
+export const MAX_BULK_ITEMS = 200;
+
+const MAX_PATTERN_LENGTH = 500;
+
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Public viewer URL a model's (or variant's) QR code points to, tagged as a QR scan
+ */
+function getQrTarget(model, variant = null) {
+  const domain = process.env.DOMAIN || 'newfurniture.live';
+  let path;
+
+  if (model.customer_slug && model.url_slug) {
+    path = buildProductUrl(model.customer_slug, model.url_slug, model.id, variant?.color_slug || null);
+  } else {
+    path = `/view?id=${encodeURIComponent(model.id)}`;
+  }
+  if (variant && !(model.customer_slug && model.url_slug && variant.color_slug)) {
+    path += `${path.includes('?') ? '&' : '?'}variant=${encodeURIComponent(variant.id)}`;
+  }
+
+  return tagQrTarget(`https://${domain}${path}`, [domain]);
+}
+
+/**
+ * Bulk actions. parse() validates the request parameters into what plan() and apply()
+ * use; plan() returns the change for one model ({ before, after }) or { skip: reason },
+ * and apply() saves it.
+ */
+const BULK_ACTIONS = {
+  // Reassign models to a customer
+  'assign': {
+    auditAction: 'model.assign',
+    parse({ customerId, customerName }) {
+      if (typeof customerId !== 'string' || !customerId.trim() || typeof customerName !== 'string' || !customerName.trim()) {
+        return { error: 'customerId and customerName are required' };
+      }
+      return { params: { customerId: customerId.trim(), customerName: customerName.trim() } };
+    },
+    plan(model, { customerId, customerName }) {
+      if (model.customer_id === customerId && model.customer_name === customerName) {
+        return { skip: 'Already assigned to this customer' };
+      }
+      return {
+        before: { customer_id: model.customer_id, customer_name: model.customer_name },
+        after: { customer_id: customerId, customer_name: customerName }
+      };
+    },
+    apply(model, change) {
+      return updateModelCustomer(model.id, change.after.customer_id, change.after.customer_name);
+    }
+  },
+
+  // Move models to the trash (restorable until the purge job runs)
+  'trash': {
+    auditAction: 'model.delete',
+    includeTrashed: true,
+    parse() {
+      return { params: {} };
+    },
+    plan(model) {
+      if (model.deleted_at) {
+        return { skip: 'Already in the trash' };
+      }
+      return { before: { deleted_at: null }, after: { deleted_at: new Date().toISOString() } };
+    },
+    async apply(model, change, { actor }) {
+      const result = await moveToTrash('model', model.id, actor);
+      if (result.success) change.after.deleted_at = result.data.deleted_at;
+      return result;
+    }
+  },
+
+  // Permanently delete models, live or trashed, with their variants and stored files
+  'delete': {
+    auditAction: 'model.purge',
+    includeTrashed: true,
+    parse() {
+      return { params: {} };
+    },
+    plan(model) {
+      return { before: { deleted_at: model.deleted_at }, after: null };
+    },
+    apply(model) {
+      return purgeItem('model', model);
+    }
+  },
+
+  // Set product URLs, or rewrite them: find is replaced wherever it occurs, or is a regular
+  // expression with regex: true (replace may then use $1 ...)
+  'product-url': {
+    auditAction: 'model.update',
+    parse({ productUrl, find, replace, regex = false }) {
+      if (productUrl !== undefined) {
+        if (find !== undefined) {
+          return { error: 'Send either productUrl or find and replace, not both' };
+        }
+        if (productUrl !== null && (typeof productUrl !== 'string' || (productUrl && !isHttpUrl(productUrl)))) {
+          return { error: 'productUrl must be an http(s) URL, or null to clear it' };
+        }
+        return { params: { productUrl: productUrl || null } };
+      }
+
+      if (typeof find !== 'string' || !find || typeof replace !== 'string') {
+        return { error: 'productUrl, or find and replace, are required' };
+      }
+      if (find.length > MAX_PATTERN_LENGTH) {
+        return { error: `find must be at most ${MAX_PATTERN_LENGTH} characters` };
+      }
+
+      try {
+        const pattern = new RegExp(regex === true ? find : escapeRegExp(find), 'g');
+        return { params: { pattern, replace } };
+      } catch (error) {
+        return { error: `find is not a valid regular expression: ${error.message}` };
+      }
+    },
+    plan(model, { productUrl, pattern, replace }) {
+      let next = productUrl;
+      if (pattern) {
+        if (!model.product_url) {
+          return { skip: 'No product URL to rewrite' };
+        }
+        next = model.product_url.replace(pattern, replace) || null;
+        if (next && !isHttpUrl(next)) {
+          return { error: `Rewritten URL is not an http(s) URL: ${next}` };
+        }
+      }
+
+      if ((model.product_url || null) === next) {
+        return { skip: 'Product URL unchanged' };
+      }
+      return { before: { product_url: model.product_url || null }, after: { product_url: next } };
+    },
+    apply(model, change) {
+      return updateModel(model.id, change.after);
+    }
+  },
+
+  // Add and/or remove tags
+  'tag': {
+    auditAction: 'model.update',
+    parse({ add = [], remove = [] }) {
+      const addTags = normalizeTags(add);
+      const removeTags = normalizeTags(remove);
+      if (addTags === null || removeTags === null) {
+        return { error: `add and remove must be lists of at most ${MAX_TAGS} strings of up to ${MAX_TAG_LENGTH} characters` };
+      }
+      if (addTags.length === 0 && removeTags.length === 0) {
+        return { error: 'add or remove must list at least one tag' };
+      }
+      return { params: { addTags, removeTags: removeTags.map(tag => tag.toLowerCase()) } };
+    },
+    plan(model, { addTags, removeTags }) {
+      const current = model.tags || [];
+      const kept = current.filter(tag => !removeTags.includes(tag.toLowerCase()));
+      const keptLower = kept.map(tag => tag.toLowerCase());
+      const tags = [...kept, ...addTags.filter(tag => !keptLower.includes(tag.toLowerCase()))];
+
+      if (tags.length === current.length && tags.every((tag, i) => tag === current[i])) {
+        return { skip: 'Tags unchanged' };
+      }
+      if (tags.length > MAX_TAGS) {
+        return { error: `A model can have at most ${MAX_TAGS} tags` };
+      }
+      return { before: { tags: current }, after: { tags } };
+    },
+    apply(model, change) {
+      return updateModel(model.id, change.after);
+    }
+  },
+
+  // Generate fresh QR codes for models and their variants, replacing cached ones
+  'regenerate-qr': {
+    auditAction: 'model.qr_regenerate',
+    parse() {
+      return { params: {} };
+    },
+    plan(model) {
+      return {
+        before: { qr_generated_at: model.qr_generated_at || null },
+        after: { qr_target: getQrTarget(model) }
+      };
+    },
+    async apply(model, change) {
+      const { generateAndPersistQR } = await import('./qr-persistence.js');
+
+      const result = await generateAndPersistQR(change.after.qr_target, { force: true }, model.id);
+      change.after.qr_code_url = result.qr_code_url;
+      if (result.warning) change.after.warning = result.warning;
+
+      const variants = await getModelVariants(model.id);
+      change.after.variants = 0;
+      for (const variant of variants) {
+        await generateAndPersistQR(getQrTarget(model, variant), { force: true }, model.id, variant.id);
+        change.after.variants++;
+      }
+
+      return { success: true };
+    }
+  }
+};
+
+export const BULK_ACTION_NAMES = Object.keys(BULK_ACTIONS);
+
+/**
+ * Validate a bulk request body: { action, ids, dryRun, ...action parameters }
+ */
+export function parseBulkRequest(body = {}) {
+  const definition = BULK_ACTIONS[body.action];
+  if (!definition) {
+    return { success: false, error: `action must be one of: ${BULK_ACTION_NAMES.join(', ')}` };
+  }
+
+  const { ids } = body;
+  if (!Array.isArray(ids) || ids.length === 0 || ids.some(id => typeof id !== 'string' && typeof id !== 'number')) {
+    return { success: false, error: 'ids must be a non-empty list of model IDs' };
+  }
+  if (ids.length > MAX_BULK_ITEMS) {
+    return { success: false, error: `At most ${MAX_BULK_ITEMS} models per request` };
+  }
+
+  const parsed = definition.parse(body);
+  if (parsed.error) {
+    return { success: false, error: parsed.error };
+  }
+
+  return {
+    success: true,
+    action: body.action,
+    ids: [...new Set(ids.map(String))],
+    params: parsed.params,
+    dryRun: body.dryRun === true,
+    includeTrashed: definition.includeTrashed === true,
+    auditAction: definition.auditAction
+  };
+}
+
+/**
+ * Plan and (unless dryRun) apply an action to one model.
+ * Returns { status: 'updated' | 'skipped' | 'failed', before, after, reason, error }.
+ */
+export async function applyBulkAction(action, model, params, { dryRun = false, actor = null } = {}) {
+  const definition = BULK_ACTIONS[action];
+
+  try {
+    const change = definition.plan(model, params);
+    if (change.skip) {
+      return { status: 'skipped', reason: change.skip };
+    }
+    if (change.error) {
+      return { status: 'failed', error: change.error };
+    }
+    if (dryRun) {
+      return { status: 'updated', before: change.before, after: change.after };
+    }
+
+    const result = await definition.apply(model, change, { actor });
+    if (!result.success) {
+      return { status: 'failed', error: result.error || 'Update failed' };
+    }
+    return { status: 'updated', before: change.before, after: change.after };
+  } catch (error) {
+    console.error(`Bulk ${action} failed for model ${model.id}:`, error);
+    return { status: 'failed', error: error.message };
+  }
+}
@@ -0,0 +1,67 @@
+/**
+ * Catalog search: ranked models with the matched fragments of each field highlighted,
+ * and the model tags it also searches. Text handling (Hebrew and English) is in search-text.js.
+ */
+
+import { searchModels } from './repositories/models.js';
+import { parseSearchQuery, highlightMatches } from './search-text.js';
+
+// Limits for model tags
+export const MAX_TAGS = 20;
+export const MAX_TAG_LENGTH = 50;
+
+/**
+ * Trimmed, distinct model tags, or null when the value is not a valid tag list
+ */
+export function normalizeTags(tags) {
+  if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+    return null;
+  }
+
+  const cleaned = [...new Set(tags.map(tag => tag.trim()).filter(Boolean))];
+  if (cleaned.length > MAX_TAGS || cleaned.some(tag => tag.length > MAX_TAG_LENGTH)) {
+    return null;
+  }
+  return cleaned;
+}
+
+/**
+ * Highlighted fragments of the fields a model matched on; fields without a match are left out
+ */
+function highlightModel(model, groups) {
+  const highlights = {};
+
+  for (const field of ['title', 'description', 'customer_name']) {
+    const fragment = highlightMatches(model[field], groups);
+    if (fragment) highlights[field] = fragment;
+  }
+
+  const variants = (model.variants || []).map(variant => highlightMatches(variant.variant_name, groups)).filter(Boolean);
+  if (variants.length > 0) highlights.variants = variants;
+
+  const tags = (model.tags || []).map(tag => highlightMatches(tag, groups)).filter(Boolean);
+  if (tags.length > 0) highlights.tags = tags;
+
+  return highlights;
+}
+
+/**
+ * Search live models, optionally for one customer. Each result carries search_rank and
+ * highlights (HTML with matches in <mark>, everything else escaped).
+ */
+export async function searchCatalog(query, { customerId = null, limit = 20 } = {}) {
+  const { groups, tsquery } = parseSearchQuery(query);
+  if (groups.length === 0) {
+    return { success: true, results: [] };
+  }
+
+  const result = await searchModels(tsquery, { customerId, limit });
+  if (!result.success) {
+    return { success: false, error: result.error };
+  }
+
+  return {
+    success: true,
+    results: result.data.map(model => ({ ...model, highlights: highlightModel(model, groups) }))
+  };
+}
@@ -1,4 +1,13 @@
 import { v2 as cloudinary } from 'cloudinary';
+import * as localAssets from './local-assets.js';
+
+// ASSET_STORE picks where uploads go: 'cloudinary' (default) or 'local' (files on disk
+// for offline development, see lib/local-assets.js)
+const assetStore = process.env.ASSET_STORE || 'cloudinary';
+if (!['cloudinary', 'local'].includes(assetStore)) {
+  throw new Error(`Unknown asset store: ${assetStore}`);
+}
+const useLocalAssets = assetStore === 'local';
 
 // Configure Cloudinary
 cloudinary.config({
@@ -13,6 +22,8 @@ cloudinary.config({
  * Free tier supports up to 100MB files
  */
 export async function uploadModel(fileBuffer, filename) {
+  if (useLocalAssets) return localAssets.uploadModel(fileBuffer, filename);
+
   return new Promise((resolve, reject) => {
     // Upload as raw file (GLB is not an image/video)
     const uploadStream = cloudinary.uploader.upload_stream(
@@ -44,10 +55,32 @@ export async function uploadModel(fileBuffer, filename) {
   });
 }
 
+/**
+ * Public ID of a model uploaded to the platform account, read from its delivery URL
+ * (https://res.cloudinary.com/<cloud>/raw/upload/v123/furniture-models/<file>).
+ * Returns null for URLs outside the account's furniture-models folder.
+ */
+export function getModelPublicId(url) {
+  const prefix = `https://res.cloudinary.com/${process.env.CLOUDINARY_CLOUD_NAME}/raw/upload/`;
+  if (typeof url !== 'string' || !url.startsWith(prefix)) return null;
+
+  const match = url.slice(prefix.length).match(/^(?:v\d+\/)?(furniture-models\/[^?#]+)$/);
+  if (!match) return null;
+
+  try {
+    const publicId = decodeURIComponent(match[1]);
+    return publicId.split('/').includes('..') ? null : publicId;
+  } catch {
+    return null;
+  }
+}
+
 /**
  * Delete a model from Cloudinary
  */
 export async function deleteModel(publicId) {
+  if (useLocalAssets) return localAssets.deleteModel(publicId);
+
   try {
     const result = await cloudinary.uploader.destroy(publicId, {
       resource_type: 'raw'
@@ -63,6 +96,8 @@ export async function deleteModel(publicId) {
  * Upload image file to Cloudinary (logos, brand assets, etc.)
  */
 export async function uploadImage(fileBuffer, filename) {
+  if (useLocalAssets) return localAssets.uploadImage(fileBuffer, filename);
+
   return new Promise((resolve, reject) => {
     const uploadStream = cloudinary.uploader.upload_stream(
       {
@@ -100,6 +135,8 @@ export async function uploadImage(fileBuffer, filename) {
  * Delete an image from Cloudinary
  */
 export async function deleteImage(publicId) {
+  if (useLocalAssets) return localAssets.deleteImage(publicId);
+
   try {
     const result = await cloudinary.uploader.destroy(publicId, {
       resource_type: 'image'
@@ -115,6 +152,8 @@ export async function deleteImage(publicId) {
  * Get Cloudinary usage stats (for monitoring free tier limits)
  */
 export async function getUsageStats() {
+  if (useLocalAssets) return localAssets.getUsageStats();
+
   try {
     const result = await cloudinary.api.usage();
     return {
@@ -135,4 +174,5 @@ export async function getUsageStats() {
   }
 }
 
+export { assetStore };
 export default cloudinary;
\ No newline at end of file
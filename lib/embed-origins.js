@@ -0,0 +1,113 @@
+/**
+ * Per-customer embed origin allowlists
+ * Retailers list the sites allowed to frame their viewer. The list drives the
+ * viewer's CSP frame-ancestors header and the postMessage origin checks in the page.
+ */
+
+import { getModel } from './repositories/models.js';
+import { getBrandSettings } from './repositories/brand-settings.js';
+
+const MAX_EMBED_ORIGINS = 20;
+
+/**
+ * Origins that may always embed the viewer (the platform itself, plus localhost outside production)
+ */
+export function getPlatformEmbedOrigins() {
+  const domain = process.env.DOMAIN || 'newfurniture.live';
+  const origins = [`https://${domain}`, `https://*.${domain}`];
+
+  if (process.env.NODE_ENV !== 'production') {
+    origins.push('http://localhost:*', 'http://127.0.0.1:*');
+  }
+  return origins;
+}
+
+/**
+ * Normalize an origin entry to scheme://host[:port], allowing a leading '*.' wildcard.
+ * Returns null when the entry is not a usable origin.
+ */
+export function normalizeEmbedOrigin(value) {
+  const trimmed = String(value || '').trim().toLowerCase().replace(/\/$/, '');
+  const match = /^(https?):\/\/(\*\.)?([a-z0-9-]+(?:\.[a-z0-9-]+)*)(?::(\d{1,5}))?$/.exec(trimmed);
+  if (!match) {
+    return null;
+  }
+
+  const [, scheme, wildcard = '', host, port] = match;
+  const isLocal = host === 'localhost' || host === '127.0.0.1';
+
+  // Plain http is only acceptable for local development
+  if (scheme === 'http' && !isLocal) {
+    return null;
+  }
+  // A wildcard needs at least a registrable domain under it (*.shop.com, not *.com)
+  if (wildcard && !host.includes('.')) {
+    return null;
+  }
+  if (port && (parseInt(port) < 1 || parseInt(port) > 65535)) {
+    return null;
+  }
+
+  return `${scheme}://${wildcard}${host}${port ? `:${port}` : ''}`;
+}
+
+/**
+ * Validate a submitted list of origins (array or newline/comma separated string)
+ */
+export function validateEmbedOrigins(input) {
+  const entries = Array.isArray(input)
+    ? input
+    : String(input || '').split(/[\s,]+/);
+
+  const origins = [];
+  const invalid = [];
+
+  entries.filter(entry => String(entry).trim()).forEach(entry => {
+    const origin = normalizeEmbedOrigin(entry);
+    if (!origin) {
+      invalid.push(String(entry).trim());
+    } else if (!origins.includes(origin)) {
+      origins.push(origin);
+    }
+  });
+
+  if (invalid.length > 0) {
+    return { success: false, error: `Invalid embed origins: ${invalid.join(', ')}. Use https://example.com or https://*.example.com` };
+  }
+  if (origins.length > MAX_EMBED_ORIGINS) {
+    return { success: false, error: `At most ${MAX_EMBED_ORIGINS} embed origins are allowed` };
+  }
+  return { success: true, origins };
+}
+
+/**
+ * Allowed embed origins for a customer (empty when none are configured)
+ */
+export async function getEmbedOrigins(customerId) {
+  if (!customerId) {
+    return [];
+  }
+
+  const { data } = await getBrandSettings(customerId);
+  return data?.allowed_embed_origins || [];
+}
+
+/**
+ * Allowed embed origins for the customer that owns a model
+ */
+export async function getEmbedOriginsForModel(modelId) {
+  if (!modelId) {
+    return [];
+  }
+
+  // Trashed models included, so the "no longer available" page can still be framed
+  const model = await getModel(modelId, { includeDeleted: true });
+  return getEmbedOrigins(model?.customer_id);
+}
+
+/**
+ * Content-Security-Policy value limiting who may frame the viewer
+ */
+export function buildFrameAncestors(customerOrigins = []) {
+  return `frame-ancestors 'self' ${[...getPlatformEmbedOrigins(), ...customerOrigins].join(' ')}`;
+}
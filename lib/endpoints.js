@@ -24,19 +24,7 @@ const ENDPOINT_MAPPING = {
   'update-color': 'a3',
   'update-variant-color': 'a4',
   'cleanup-variants': 'a5',
-  'reset-view-counts': 'a6',
-  
-  // Setup endpoints
-  'init-db': 's0',
-  'init-models-db': 's1',
-  'create-images-table': 's2',
-  'create-model-views-table': 's3',
-  'create-feedback-table': 's4',
-  'create-brand-settings-table': 's5',
-  'test-save-model': 's6',
-  'test-brand-settings-schema': 's7',
-  'qr-migration': 's8',
-  'url-slug-migration': 's9'
+  'reset-view-counts': 'a6'
 };
 
 // Reverse mapping for internal use
@@ -0,0 +1,621 @@
+/**
+ * Structural validation for uploaded GLB/glTF 2.0 models
+ * Checks the binary container, buffer/bufferView/accessor bounds, cross-references
+ * between objects, external URIs, required extensions and object counts before a
+ * model is stored. Returns a report instead of throwing so callers can show every problem.
+ */
+
+const GLB_MAGIC = 0x46546c67; // 'glTF'
+const GLB_HEADER_LENGTH = 12;
+const CHUNK_HEADER_LENGTH = 8;
+const CHUNK_TYPE_JSON = 0x4e4f534a; // 'JSON'
+const CHUNK_TYPE_BIN = 0x004e4942; // 'BIN\0'
+
+// Stop collecting after this many errors; a broken file can produce thousands
+const MAX_REPORTED_ERRORS = 50;
+
+export const DEFAULT_LIMITS = {
+  maxNodes: 10000,
+  maxMeshes: 2000,
+  maxMaterials: 500,
+  maxTextures: 64,
+  maxImages: 64,
+  maxAccessors: 20000
+};
+
+// Extensions the viewer (model-viewer / three.js) can load
+export const SUPPORTED_EXTENSIONS = [
+  'KHR_draco_mesh_compression',
+  'KHR_mesh_quantization',
+  'KHR_texture_transform',
+  'KHR_texture_basisu',
+  'KHR_materials_unlit',
+  'KHR_materials_pbrSpecularGlossiness',
+  'KHR_materials_clearcoat',
+  'KHR_materials_transmission',
+  'KHR_materials_volume',
+  'KHR_materials_ior',
+  'KHR_materials_specular',
+  'KHR_materials_sheen',
+  'KHR_materials_emissive_strength',
+  'KHR_materials_iridescence',
+  'KHR_materials_anisotropy',
+  'KHR_materials_variants',
+  'KHR_lights_punctual',
+  'EXT_meshopt_compression',
+  'EXT_texture_webp'
+];
+
+const COMPONENT_SIZES = {
+  5120: 1, // BYTE
+  5121: 1, // UNSIGNED_BYTE
+  5122: 2, // SHORT
+  5123: 2, // UNSIGNED_SHORT
+  5125: 4, // UNSIGNED_INT
+  5126: 4 // FLOAT
+};
+
+const TYPE_COMPONENTS = {
+  SCALAR: 1,
+  VEC2: 2,
+  VEC3: 3,
+  VEC4: 4,
+  MAT2: 4,
+  MAT3: 9,
+  MAT4: 16
+};
+
+/**
+ * Collects errors and warnings with a JSON-pointer-like path to the offending value
+ */
+function createReport() {
+  const errors = [];
+  const warnings = [];
+
+  return {
+    errors,
+    warnings,
+    error(code, message, path = null) {
+      if (errors.length < MAX_REPORTED_ERRORS) {
+        errors.push({ code, message, path });
+      }
+    },
+    warn(code, message, path = null) {
+      if (warnings.length < MAX_REPORTED_ERRORS) {
+        warnings.push({ code, message, path });
+      }
+    }
+  };
+}
+
+/**
+ * Split a GLB container into its JSON document and optional BIN chunk
+ */
+function parseGlb(buffer, report) {
+  if (buffer.length < GLB_HEADER_LENGTH) {
+    report.error('GLB_TOO_SHORT', 'File is too short to contain a GLB header');
+    return null;
+  }
+
+  if (buffer.readUInt32LE(0) !== GLB_MAGIC) {
+    report.error('GLB_BAD_MAGIC', 'File does not start with the glTF magic bytes');
+    return null;
+  }
+
+  const version = buffer.readUInt32LE(4);
+  if (version !== 2) {
+    report.error('GLB_UNSUPPORTED_VERSION', `GLB container version ${version} is not supported (expected 2)`);
+    return null;
+  }
+
+  const declaredLength = buffer.readUInt32LE(8);
+  if (declaredLength !== buffer.length) {
+    report.error('GLB_LENGTH_MISMATCH', `Header declares ${declaredLength} bytes but the file is ${buffer.length} bytes`);
+    return null;
+  }
+
+  let offset = GLB_HEADER_LENGTH;
+  let json = null;
+  let bin = null;
+  let chunkIndex = 0;
+
+  while (offset < buffer.length) {
+    const path = `/chunks/${chunkIndex}`;
+
+    if (offset + CHUNK_HEADER_LENGTH > buffer.length) {
+      report.error('GLB_CHUNK_HEADER_TRUNCATED', 'Chunk header runs past the end of the file', path);
+      return null;
+    }
+
+    const chunkLength = buffer.readUInt32LE(offset);
+    const chunkType = buffer.readUInt32LE(offset + 4);
+    const dataStart = offset + CHUNK_HEADER_LENGTH;
+
+    if (dataStart + chunkLength > buffer.length) {
+      report.error('GLB_CHUNK_OVERFLOW', `Chunk of ${chunkLength} bytes runs past the end of the file`, path);
+      return null;
+    }
+
+    if (chunkLength % 4 !== 0) {
+      report.error('GLB_CHUNK_UNALIGNED', `Chunk length ${chunkLength} is not a multiple of 4`, path);
+    }
+
+    const data = buffer.subarray(dataStart, dataStart + chunkLength);
+
+    if (chunkIndex === 0) {
+      if (chunkType !== CHUNK_TYPE_JSON) {
+        report.error('GLB_MISSING_JSON_CHUNK', 'First chunk must be the JSON chunk', path);
+        return null;
+      }
+      json = data;
+    } else if (chunkIndex === 1 && chunkType === CHUNK_TYPE_BIN) {
+      bin = data;
+    } else if (chunkType === CHUNK_TYPE_JSON || chunkType === CHUNK_TYPE_BIN) {
+      report.error('GLB_UNEXPECTED_CHUNK', 'JSON and BIN chunks may only appear once, in that order', path);
+    }
+    // Unknown chunk types are allowed by the spec and ignored
+
+    offset = dataStart + chunkLength;
+    chunkIndex++;
+  }
+
+  if (!json) {
+    report.error('GLB_MISSING_JSON_CHUNK', 'GLB contains no JSON chunk');
+    return null;
+  }
+
+  return { json, bin };
+}
+
+/**
+ * Parse the glTF JSON document
+ */
+function parseJson(buffer, report) {
+  try {
+    const gltf = JSON.parse(buffer.toString('utf8').replace(/\s+$/, ''));
+    if (!gltf || typeof gltf !== 'object' || Array.isArray(gltf)) {
+      report.error('JSON_NOT_OBJECT', 'glTF document must be a JSON object');
+      return null;
+    }
+    return gltf;
+  } catch (error) {
+    report.error('JSON_INVALID', `glTF JSON could not be parsed: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Byte length of a base64 data: URI payload, or null if the URI is not base64 data
+ */
+function dataUriByteLength(uri) {
+  const match = /^data:[^;,]*(?:;[^;,]*)*;base64,(.*)$/s.exec(uri);
+  if (!match) {
+    return null;
+  }
+  return Buffer.from(match[1], 'base64').length;
+}
+
+/**
+ * Reject anything that would make the viewer fetch another resource
+ */
+function checkUri(uri, path, report) {
+  if (typeof uri !== 'string') {
+    report.error('URI_INVALID', 'uri must be a string', path);
+    return null;
+  }
+
+  if (!uri.startsWith('data:')) {
+    report.error('EXTERNAL_URI', `External or remote URI is not allowed: ${uri.slice(0, 100)}`, path);
+    return null;
+  }
+
+  const byteLength = dataUriByteLength(uri);
+  if (byteLength === null) {
+    report.error('URI_INVALID', 'Embedded data URIs must be base64 encoded', path);
+  }
+  return byteLength;
+}
+
+/**
+ * Check that an index property refers to an existing entry of another array
+ */
+function checkIndex(value, collection, path, report, label) {
+  if (value === undefined) {
+    return false;
+  }
+  if (!Number.isInteger(value) || value < 0 || value >= (collection?.length || 0)) {
+    report.error('INVALID_REFERENCE', `${label} index ${value} does not exist`, path);
+    return false;
+  }
+  return true;
+}
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Check the shape of every entry the later checks read from: objects where objects
+ * are expected and arrays where arrays are. Returns false when anything is malformed.
+ */
+function validateStructure(gltf, report) {
+  const before = report.errors.length;
+
+  const isArray = (value, path) => {
+    if (value === undefined) return false;
+    if (!Array.isArray(value)) {
+      report.error('JSON_INVALID_PROPERTY', 'must be an array', path);
+      return false;
+    }
+    return true;
+  };
+  const isObjectEntry = (value, path) => {
+    if (!isObject(value)) {
+      report.error('JSON_INVALID_PROPERTY', 'must be an object', path);
+      return false;
+    }
+    return true;
+  };
+  const checkOptionalObject = (value, path) => value === undefined || isObjectEntry(value, path);
+
+  ['buffers', 'bufferViews', 'images', 'textures', 'samplers', 'materials', 'skins', 'cameras'].forEach(name => {
+    (gltf[name] || []).forEach((entry, index) => isObjectEntry(entry, `/${name}/${index}`));
+  });
+
+  ['extensionsUsed', 'extensionsRequired'].forEach(name => {
+    (gltf[name] || []).forEach((extension, index) => {
+      if (typeof extension !== 'string') {
+        report.error('JSON_INVALID_PROPERTY', 'must be a string', `/${name}/${index}`);
+      }
+    });
+  });
+
+  (gltf.accessors || []).forEach((accessor, index) => {
+    const path = `/accessors/${index}`;
+    if (!isObjectEntry(accessor, path) || !checkOptionalObject(accessor.sparse, `${path}/sparse`) || !accessor.sparse) return;
+    checkOptionalObject(accessor.sparse.indices, `${path}/sparse/indices`);
+    checkOptionalObject(accessor.sparse.values, `${path}/sparse/values`);
+  });
+
+  (gltf.scenes || []).forEach((scene, index) => {
+    if (isObjectEntry(scene, `/scenes/${index}`)) isArray(scene.nodes, `/scenes/${index}/nodes`);
+  });
+
+  (gltf.nodes || []).forEach((node, index) => {
+    if (isObjectEntry(node, `/nodes/${index}`)) isArray(node.children, `/nodes/${index}/children`);
+  });
+
+  (gltf.meshes || []).forEach((mesh, meshIndex) => {
+    const path = `/meshes/${meshIndex}`;
+    if (!isObjectEntry(mesh, path) || !isArray(mesh.primitives, `${path}/primitives`)) return;
+
+    mesh.primitives.forEach((primitive, index) => {
+      const primitivePath = `${path}/primitives/${index}`;
+      if (isObjectEntry(primitive, primitivePath)) {
+        checkOptionalObject(primitive.attributes, `${primitivePath}/attributes`);
+      }
+    });
+  });
+
+  return report.errors.length === before;
+}
+
+/**
+ * Validate buffers and return the usable byte length of each one (null when rejected)
+ */
+function validateBuffers(gltf, bin, report) {
+  const buffers = gltf.buffers || [];
+
+  return buffers.map((buffer, index) => {
+    const path = `/buffers/${index}`;
+
+    if (!Number.isInteger(buffer.byteLength) || buffer.byteLength < 1) {
+      report.error('BUFFER_INVALID_LENGTH', 'byteLength must be a positive integer', `${path}/byteLength`);
+      return null;
+    }
+
+    let available;
+    if (buffer.uri === undefined) {
+      // Only the first buffer of a GLB may omit its uri and point at the BIN chunk
+      if (index !== 0 || !bin) {
+        report.error('BUFFER_MISSING_DATA', 'Buffer has no uri and no GLB BIN chunk to refer to', path);
+        return null;
+      }
+      available = bin.length;
+    } else {
+      available = checkUri(buffer.uri, `${path}/uri`, report);
+      if (available === null) {
+        return null;
+      }
+    }
+
+    if (buffer.byteLength > available) {
+      report.error('BUFFER_TOO_SHORT', `byteLength ${buffer.byteLength} exceeds the ${available} bytes of data available`, `${path}/byteLength`);
+      return null;
+    }
+
+    return buffer.byteLength;
+  });
+}
+
+/**
+ * Validate that every bufferView fits inside its buffer
+ */
+function validateBufferViews(gltf, bufferLengths, report) {
+  (gltf.bufferViews || []).forEach((view, index) => {
+    const path = `/bufferViews/${index}`;
+
+    if (!checkIndex(view.buffer, gltf.buffers, `${path}/buffer`, report, 'Buffer')) {
+      if (view.buffer === undefined) {
+        report.error('MISSING_PROPERTY', 'bufferView.buffer is required', path);
+      }
+      return;
+    }
+
+    const byteOffset = view.byteOffset ?? 0;
+    if (!Number.isInteger(byteOffset) || byteOffset < 0) {
+      report.error('BUFFER_VIEW_INVALID', 'byteOffset must be a non-negative integer', `${path}/byteOffset`);
+      return;
+    }
+
+    if (!Number.isInteger(view.byteLength) || view.byteLength < 1) {
+      report.error('BUFFER_VIEW_INVALID', 'byteLength must be a positive integer', `${path}/byteLength`);
+      return;
+    }
+
+    // Rejected buffers were already reported
+    if (bufferLengths[view.buffer] !== null && byteOffset + view.byteLength > bufferLengths[view.buffer]) {
+      report.error('BUFFER_VIEW_OUT_OF_BOUNDS', `Range ${byteOffset}-${byteOffset + view.byteLength} exceeds buffer ${view.buffer} (${bufferLengths[view.buffer]} bytes)`, path);
+    }
+
+    if (view.byteStride !== undefined && (!Number.isInteger(view.byteStride) || view.byteStride < 4 || view.byteStride > 252 || view.byteStride % 4 !== 0)) {
+      report.error('BUFFER_VIEW_INVALID_STRIDE', 'byteStride must be a multiple of 4 between 4 and 252', `${path}/byteStride`);
+    }
+  });
+}
+
+/**
+ * Validate that every accessor's elements fit inside its bufferView
+ */
+function validateAccessors(gltf, report) {
+  const bufferViews = gltf.bufferViews || [];
+
+  (gltf.accessors || []).forEach((accessor, index) => {
+    const path = `/accessors/${index}`;
+    const componentSize = COMPONENT_SIZES[accessor.componentType];
+    const componentCount = TYPE_COMPONENTS[accessor.type];
+
+    if (!componentSize) {
+      report.error('ACCESSOR_INVALID_COMPONENT_TYPE', `Unknown componentType ${accessor.componentType}`, `${path}/componentType`);
+      return;
+    }
+    if (!componentCount) {
+      report.error('ACCESSOR_INVALID_TYPE', `Unknown type ${accessor.type}`, `${path}/type`);
+      return;
+    }
+    if (!Number.isInteger(accessor.count) || accessor.count < 1) {
+      report.error('ACCESSOR_INVALID_COUNT', 'count must be a positive integer', `${path}/count`);
+      return;
+    }
+
+    // Accessors without a bufferView are zero-filled (or fully sparse) and need no bounds check
+    if (accessor.bufferView !== undefined && checkIndex(accessor.bufferView, bufferViews, `${path}/bufferView`, report, 'BufferView')) {
+      const view = bufferViews[accessor.bufferView];
+      const byteOffset = accessor.byteOffset ?? 0;
+      const elementSize = componentSize * componentCount;
+      const stride = view.byteStride || elementSize;
+
+      if (!Number.isInteger(byteOffset) || byteOffset < 0 || byteOffset % componentSize !== 0) {
+        report.error('ACCESSOR_INVALID_OFFSET', `byteOffset must be a non-negative multiple of ${componentSize}`, `${path}/byteOffset`);
+      } else if (Number.isInteger(view.byteLength) && byteOffset + (accessor.count - 1) * stride + elementSize > view.byteLength) {
+        report.error('ACCESSOR_OUT_OF_BOUNDS', `${accessor.count} elements do not fit in bufferView ${accessor.bufferView}`, path);
+      }
+    }
+
+    if (accessor.sparse) {
+      const sparse = accessor.sparse;
+      if (!Number.isInteger(sparse.count) || sparse.count < 1 || sparse.count > accessor.count) {
+        report.error('ACCESSOR_SPARSE_INVALID', 'sparse.count must be between 1 and the accessor count', `${path}/sparse/count`);
+      }
+      checkIndex(sparse.indices?.bufferView, bufferViews, `${path}/sparse/indices/bufferView`, report, 'BufferView');
+      checkIndex(sparse.values?.bufferView, bufferViews, `${path}/sparse/values/bufferView`, report, 'BufferView');
+    }
+  });
+}
+
+/**
+ * Validate images: embedded data or a bufferView only
+ */
+function validateImages(gltf, report) {
+  (gltf.images || []).forEach((image, index) => {
+    const path = `/images/${index}`;
+
+    if (image.uri !== undefined) {
+      checkUri(image.uri, `${path}/uri`, report);
+    } else if (image.bufferView !== undefined) {
+      checkIndex(image.bufferView, gltf.bufferViews, `${path}/bufferView`, report, 'BufferView');
+    } else {
+      report.error('IMAGE_MISSING_DATA', 'Image must have a uri or a bufferView', path);
+    }
+  });
+}
+
+/**
+ * Validate references between scenes, nodes, meshes, materials and textures
+ */
+function validateReferences(gltf, report) {
+  (gltf.scenes || []).forEach((scene, sceneIndex) => {
+    (scene.nodes || []).forEach((node, i) => {
+      checkIndex(node, gltf.nodes, `/scenes/${sceneIndex}/nodes/${i}`, report, 'Node');
+    });
+  });
+
+  if (gltf.scene !== undefined) {
+    checkIndex(gltf.scene, gltf.scenes, '/scene', report, 'Scene');
+  }
+
+  (gltf.nodes || []).forEach((node, nodeIndex) => {
+    const path = `/nodes/${nodeIndex}`;
+    checkIndex(node.mesh, gltf.meshes, `${path}/mesh`, report, 'Mesh');
+    checkIndex(node.skin, gltf.skins, `${path}/skin`, report, 'Skin');
+    checkIndex(node.camera, gltf.cameras, `${path}/camera`, report, 'Camera');
+    (node.children || []).forEach((child, i) => {
+      if (checkIndex(child, gltf.nodes, `${path}/children/${i}`, report, 'Node') && child === nodeIndex) {
+        report.error('NODE_SELF_REFERENCE', 'Node lists itself as a child', `${path}/children/${i}`);
+      }
+    });
+  });
+
+  (gltf.meshes || []).forEach((mesh, meshIndex) => {
+    (mesh.primitives || []).forEach((primitive, primitiveIndex) => {
+      const path = `/meshes/${meshIndex}/primitives/${primitiveIndex}`;
+      Object.entries(primitive.attributes || {}).forEach(([name, accessor]) => {
+        checkIndex(accessor, gltf.accessors, `${path}/attributes/${name}`, report, 'Accessor');
+      });
+      checkIndex(primitive.indices, gltf.accessors, `${path}/indices`, report, 'Accessor');
+      checkIndex(primitive.material, gltf.materials, `${path}/material`, report, 'Material');
+    });
+  });
+
+  (gltf.textures || []).forEach((texture, index) => {
+    checkIndex(texture.source, gltf.images, `/textures/${index}/source`, report, 'Image');
+    checkIndex(texture.sampler, gltf.samplers, `/textures/${index}/sampler`, report, 'Sampler');
+  });
+
+  (gltf.materials || []).forEach((material, index) => {
+    const path = `/materials/${index}`;
+    const textureRefs = {
+      'pbrMetallicRoughness/baseColorTexture': material.pbrMetallicRoughness?.baseColorTexture,
+      'pbrMetallicRoughness/metallicRoughnessTexture': material.pbrMetallicRoughness?.metallicRoughnessTexture,
+      normalTexture: material.normalTexture,
+      occlusionTexture: material.occlusionTexture,
+      emissiveTexture: material.emissiveTexture
+    };
+
+    Object.entries(textureRefs).forEach(([name, ref]) => {
+      if (ref) {
+        checkIndex(ref.index, gltf.textures, `${path}/${name}/index`, report, 'Texture');
+      }
+    });
+  });
+}
+
+/**
+ * Validate the declared extensions against what the viewer supports
+ */
+function validateExtensions(gltf, report) {
+  const used = gltf.extensionsUsed || [];
+  const required = gltf.extensionsRequired || [];
+
+  required.forEach((extension, index) => {
+    if (!SUPPORTED_EXTENSIONS.includes(extension)) {
+      report.error('UNSUPPORTED_EXTENSION', `Required extension ${extension} is not supported`, `/extensionsRequired/${index}`);
+    } else if (!used.includes(extension)) {
+      report.warn('EXTENSION_NOT_DECLARED', `${extension} is required but missing from extensionsUsed`, `/extensionsRequired/${index}`);
+    }
+  });
+
+  used.forEach((extension, index) => {
+    if (!SUPPORTED_EXTENSIONS.includes(extension) && !required.includes(extension)) {
+      report.warn('UNKNOWN_EXTENSION', `Optional extension ${extension} will be ignored by the viewer`, `/extensionsUsed/${index}`);
+    }
+  });
+}
+
+/**
+ * Enforce caps on object counts so a crafted file cannot exhaust the viewer
+ */
+function validateLimits(gltf, limits, report) {
+  const counts = {
+    maxNodes: ['nodes', gltf.nodes],
+    maxMeshes: ['meshes', gltf.meshes],
+    maxMaterials: ['materials', gltf.materials],
+    maxTextures: ['textures', gltf.textures],
+    maxImages: ['images', gltf.images],
+    maxAccessors: ['accessors', gltf.accessors]
+  };
+
+  Object.entries(counts).forEach(([limit, [name, collection]]) => {
+    const count = collection?.length || 0;
+    if (count > limits[limit]) {
+      report.error('LIMIT_EXCEEDED', `Model has ${count} ${name}; the maximum is ${limits[limit]}`, `/${name}`);
+    }
+  });
+}
+
+/**
+ * Validate a GLB or glTF file.
+ * Returns { valid, format, errors: [{ code, message, path }], warnings, stats }.
+ */
+export function validateModelFile(buffer, filename = '', options = {}) {
+  const report = createReport();
+  const limits = { ...DEFAULT_LIMITS, ...(options.limits || {}) };
+  const isGltf = /\.gltf$/i.test(filename);
+  const format = isGltf ? 'gltf' : 'glb';
+
+  const result = stats => ({
+    valid: report.errors.length === 0,
+    format,
+    errors: report.errors,
+    warnings: report.warnings,
+    stats
+  });
+
+  if (!buffer || buffer.length === 0) {
+    report.error('EMPTY_FILE', 'File is empty');
+    return result(null);
+  }
+
+  let gltf;
+  let bin = null;
+
+  if (isGltf) {
+    gltf = parseJson(buffer, report);
+  } else {
+    const glb = parseGlb(buffer, report);
+    if (glb) {
+      gltf = parseJson(glb.json, report);
+      bin = glb.bin;
+    }
+  }
+
+  if (!gltf) {
+    return result(null);
+  }
+
+  const version = gltf.asset?.version;
+  if (typeof version !== 'string' || !/^2\.\d+$/.test(version)) {
+    report.error('UNSUPPORTED_VERSION', `asset.version must be 2.x (got ${version ?? 'none'})`, '/asset/version');
+    return result(null);
+  }
+
+  const arrays = ['buffers', 'bufferViews', 'accessors', 'images', 'textures', 'samplers', 'materials', 'meshes', 'nodes', 'scenes', 'skins', 'cameras', 'extensionsUsed', 'extensionsRequired'];
+  const badArray = arrays.find(name => gltf[name] !== undefined && !Array.isArray(gltf[name]));
+  if (badArray) {
+    report.error('JSON_INVALID_PROPERTY', `${badArray} must be an array`, `/${badArray}`);
+    return result(null);
+  }
+
+  if (!validateStructure(gltf, report)) {
+    return result(null);
+  }
+
+  validateLimits(gltf, limits, report);
+  validateExtensions(gltf, report);
+
+  const bufferLengths = validateBuffers(gltf, bin, report);
+  validateBufferViews(gltf, bufferLengths, report);
+  validateAccessors(gltf, report);
+  validateImages(gltf, report);
+  validateReferences(gltf, report);
+
+  return result({
+    version,
+    generator: gltf.asset?.generator || null,
+    nodes: gltf.nodes?.length || 0,
+    meshes: gltf.meshes?.length || 0,
+    materials: gltf.materials?.length || 0,
+    textures: gltf.textures?.length || 0,
+    images: gltf.images?.length || 0,
+    accessors: gltf.accessors?.length || 0,
+    extensionsUsed: gltf.extensionsUsed || []
+  });
+}
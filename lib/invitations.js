@@ -0,0 +1,257 @@
+/**
+ * Invitation-based onboarding
+ * Admins invite a user by email for a role (and customer); the invitee follows a
+ * single-use, expiring link and chooses their own username and password.
+ * Only a SHA-256 hash of each invite token is stored.
+ */
+
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import { supabase } from './supabase.js';
+import { getUserByUsername, createUser } from './repositories/users.js';
+
+export const INVITE_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+export const INVITE_ROLES = ['admin', 'customer'];
+
+// Columns safe to return to clients (never the hash)
+const PUBLIC_COLUMNS = 'id, email, role, customer_id, customer_name, invited_by, created_at, expires_at, last_sent_at, send_count, accepted_at, accepted_user_id, revoked_at';
+
+/**
+ * Hash a raw invite token for storage and lookup
+ */
+function hashInviteToken(rawToken) {
+  return crypto.createHash('sha256').update(rawToken).digest('hex');
+}
+
+/**
+ * Fresh token and expiry for a new or resent invite
+ */
+function issueInviteToken() {
+  const rawToken = crypto.randomBytes(32).toString('base64url');
+  return {
+    rawToken,
+    tokenHash: hashInviteToken(rawToken),
+    expiresAt: new Date(Date.now() + INVITE_TTL_MS).toISOString()
+  };
+}
+
+/**
+ * Status of an invite: 'accepted', 'revoked', 'expired' or 'pending'
+ */
+export function getInvitationStatus(invitation) {
+  if (invitation.accepted_at) return 'accepted';
+  if (invitation.revoked_at) return 'revoked';
+  if (new Date(invitation.expires_at) <= new Date()) return 'expired';
+  return 'pending';
+}
+
+/**
+ * Attach the computed status to an invite row
+ */
+function withStatus(invitation) {
+  return invitation ? { ...invitation, status: getInvitationStatus(invitation) } : invitation;
+}
+
+/**
+ * Create an invite, revoking any earlier pending invite for the same email
+ */
+export async function createInvitation({ email, role, customerId, customerName, invitedBy }) {
+  const { rawToken, tokenHash, expiresAt } = issueInviteToken();
+  const normalizedEmail = email.trim().toLowerCase();
+
+  try {
+    // Only the most recent link should work
+    await supabase
+      .from('user_invitations')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('email', normalizedEmail)
+      .is('accepted_at', null)
+      .is('revoked_at', null);
+
+    const { data, error } = await supabase
+      .from('user_invitations')
+      .insert({
+        email: normalizedEmail,
+        role,
+        customer_id: role === 'customer' ? customerId : null,
+        customer_name: role === 'customer' ? customerName : null,
+        token_hash: tokenHash,
+        invited_by: invitedBy || null,
+        expires_at: expiresAt
+      })
+      .select(PUBLIC_COLUMNS)
+      .single();
+
+    if (error) throw error;
+    return { success: true, token: rawToken, invitation: withStatus(data) };
+  } catch (error) {
+    console.error('Invitation create error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * List invites, newest first, with their computed status
+ */
+export async function listInvitations() {
+  try {
+    const { data, error } = await supabase
+      .from('user_invitations')
+      .select(PUBLIC_COLUMNS)
+      .order('created_at', { ascending: false })
+      .limit(200);
+
+    if (error) throw error;
+    return { success: true, data: (data || []).map(withStatus) };
+  } catch (error) {
+    console.error('Invitation list error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Issue a new link for an invite that has not been accepted or revoked.
+ * The previous link stops working and the expiry restarts.
+ */
+export async function resendInvitation(invitationId) {
+  const { rawToken, tokenHash, expiresAt } = issueInviteToken();
+
+  try {
+    const { data: current, error: lookupError } = await supabase
+      .from('user_invitations')
+      .select('send_count')
+      .eq('id', invitationId)
+      .is('accepted_at', null)
+      .is('revoked_at', null)
+      .maybeSingle();
+
+    if (lookupError) throw lookupError;
+    if (!current) {
+      return { success: true, found: false };
+    }
+
+    const { data, error } = await supabase
+      .from('user_invitations')
+      .update({
+        token_hash: tokenHash,
+        expires_at: expiresAt,
+        last_sent_at: new Date().toISOString(),
+        send_count: (current.send_count || 1) + 1
+      })
+      .eq('id', invitationId)
+      .is('accepted_at', null)
+      .is('revoked_at', null)
+      .select(PUBLIC_COLUMNS);
+
+    if (error) throw error;
+    if (!data || data.length === 0) {
+      return { success: true, found: false };
+    }
+    return { success: true, found: true, token: rawToken, invitation: withStatus(data[0]) };
+  } catch (error) {
+    console.error('Invitation resend error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Revoke an invite that has not been accepted yet
+ */
+export async function revokeInvitation(invitationId) {
+  try {
+    const { data, error } = await supabase
+      .from('user_invitations')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('id', invitationId)
+      .is('accepted_at', null)
+      .is('revoked_at', null)
+      .select(PUBLIC_COLUMNS);
+
+    if (error) throw error;
+    return { success: true, found: data.length > 0, invitation: withStatus(data[0] || null) };
+  } catch (error) {
+    console.error('Invitation revoke error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Look up a usable (pending) invite by its raw token
+ */
+export async function getInvitationByToken(rawToken) {
+  if (!rawToken || typeof rawToken !== 'string') {
+    return null;
+  }
+
+  const { data, error } = await supabase
+    .from('user_invitations')
+    .select(PUBLIC_COLUMNS)
+    .eq('token_hash', hashInviteToken(rawToken))
+    .maybeSingle();
+
+  if (error) {
+    console.error('Invitation lookup error:', error);
+    return null;
+  }
+  return data && getInvitationStatus(data) === 'pending' ? withStatus(data) : null;
+}
+
+/**
+ * Accept an invite: claim it, then create the user with the chosen credentials.
+ * The claim is released again if the user cannot be created.
+ */
+export async function acceptInvitation(rawToken, { username, password }) {
+  const invalid = { success: false, status: 400, error: 'Invalid or expired invitation link' };
+  if (!rawToken || typeof rawToken !== 'string') {
+    return invalid;
+  }
+
+  if (await getUserByUsername(username)) {
+    return { success: false, status: 409, error: 'That username is already taken' };
+  }
+
+  const userId = Date.now().toString().slice(-8);
+  const acceptedAt = new Date().toISOString();
+
+  // Mark accepted and read back in one statement so an invite can only be redeemed once
+  const { data: claimed, error: claimError } = await supabase
+    .from('user_invitations')
+    .update({ accepted_at: acceptedAt, accepted_user_id: userId })
+    .eq('token_hash', hashInviteToken(rawToken))
+    .is('accepted_at', null)
+    .is('revoked_at', null)
+    .gt('expires_at', acceptedAt)
+    .select(PUBLIC_COLUMNS);
+
+  if (claimError) {
+    console.error('Invitation claim error:', claimError);
+    return { success: false, status: 500, error: 'Could not verify invitation link' };
+  }
+  if (!claimed || claimed.length === 0) {
+    return invalid;
+  }
+
+  const invitation = claimed[0];
+  const hashedPassword = await bcrypt.hash(password, 10);
+
+  const { data: createdUser, error: userError } = await createUser({
+    id: userId,
+    username,
+    passwordHash: hashedPassword,
+    role: invitation.role,
+    customerId: invitation.customer_id,
+    customerName: invitation.customer_name,
+    email: invitation.email
+  });
+
+  if (userError) {
+    await supabase
+      .from('user_invitations')
+      .update({ accepted_at: null, accepted_user_id: null })
+      .eq('id', invitation.id);
+    return { success: false, status: 500, error: 'Could not create your account' };
+  }
+
+  const { id, role, customer_id, customer_name, email } = createdUser;
+  return { success: true, user: { id, username, role, customer_id, customer_name, email }, invitation: withStatus(invitation) };
+}
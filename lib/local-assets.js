@@ -0,0 +1,150 @@
+/**
+ * Local filesystem asset store
+ * Used when ASSET_STORE=local: uploads are written under LOCAL_ASSET_DIR (default
+ * ./uploads) and served by /api/local-assets/{publicId}. Returns the same shapes as
+ * the Cloudinary store so callers cannot tell the difference.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const CONTENT_TYPES = {
+  glb: 'model/gltf-binary',
+  gltf: 'model/gltf+json',
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  svg: 'image/svg+xml'
+};
+
+/**
+ * Directory the assets are stored in
+ */
+export function getLocalAssetDir() {
+  return path.resolve(process.env.LOCAL_ASSET_DIR || 'uploads');
+}
+
+/**
+ * Public URL prefix for stored assets; absolute so AR viewers and server-side fetches work
+ */
+function getLocalAssetBaseUrl() {
+  return (process.env.LOCAL_ASSET_BASE_URL || 'http://localhost:3000/api/local-assets').replace(/\/$/, '');
+}
+
+/**
+ * Resolve a public ID to a file path, refusing anything outside the asset directory
+ */
+export function resolveLocalAsset(publicId) {
+  const root = getLocalAssetDir();
+  const filePath = path.resolve(root, publicId);
+  return filePath.startsWith(root + path.sep) ? filePath : null;
+}
+
+/**
+ * Content type for a stored asset, from its extension
+ */
+export function getLocalAssetContentType(publicId) {
+  return CONTENT_TYPES[path.extname(publicId).slice(1).toLowerCase()] || 'application/octet-stream';
+}
+
+/**
+ * Read PNG, GIF or JPEG dimensions from the file header (other formats report none)
+ */
+function readImageSize(buffer) {
+  if (buffer.length >= 24 && buffer.toString('ascii', 1, 4) === 'PNG') {
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+  if (buffer.length >= 10 && buffer.toString('ascii', 0, 3) === 'GIF') {
+    return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+  }
+  if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+    let offset = 2;
+    while (offset + 9 < buffer.length) {
+      const marker = buffer[offset + 1];
+      if (marker >= 0xc0 && marker <= 0xc3) {
+        return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+      }
+      offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+  }
+  return { width: null, height: null };
+}
+
+/**
+ * Write a file under folder/ and describe it like a Cloudinary upload result
+ */
+function storeFile(folder, fileBuffer, filename) {
+  const safeName = path.basename(filename).replace(/[^\w.-]/g, '_');
+  const publicId = `${folder}/${Date.now()}-${safeName}`;
+  const filePath = resolveLocalAsset(publicId);
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, fileBuffer);
+
+  return {
+    url: `${getLocalAssetBaseUrl()}/${publicId}`,
+    publicId,
+    size: fileBuffer.length,
+    format: path.extname(safeName).slice(1).toLowerCase() || null
+  };
+}
+
+/**
+ * Remove a stored file; missing files are not an error
+ */
+function removeFile(publicId) {
+  const filePath = resolveLocalAsset(publicId);
+  if (filePath && fs.existsSync(filePath)) {
+    fs.unlinkSync(filePath);
+    return { result: 'ok' };
+  }
+  return { result: 'not found' };
+}
+
+/**
+ * Store a model file
+ */
+export async function uploadModel(fileBuffer, filename) {
+  return storeFile('furniture-models', fileBuffer, filename);
+}
+
+/**
+ * Delete a stored model file
+ */
+export async function deleteModel(publicId) {
+  return removeFile(publicId);
+}
+
+/**
+ * Store an image, with its dimensions when they can be read
+ */
+export async function uploadImage(fileBuffer, filename) {
+  return { ...storeFile('brand-assets', fileBuffer, filename), ...readImageSize(fileBuffer) };
+}
+
+/**
+ * Delete a stored image
+ */
+export async function deleteImage(publicId) {
+  return removeFile(publicId);
+}
+
+/**
+ * Disk usage of the asset directory (bandwidth is not tracked locally)
+ */
+export async function getUsageStats() {
+  const sumSizes = dir => fs.existsSync(dir)
+    ? fs.readdirSync(dir, { withFileTypes: true }).reduce((total, entry) => {
+        const entryPath = path.join(dir, entry.name);
+        return total + (entry.isDirectory() ? sumSizes(entryPath) : fs.statSync(entryPath).size);
+      }, 0)
+    : 0;
+
+  const used = sumSizes(getLocalAssetDir());
+  return {
+    storage: { used, limit: null, percentage: 0 },
+    bandwidth: { used: 0, limit: null, percentage: 0 }
+  };
+}
@@ -0,0 +1,194 @@
+/**
+ * Login brute-force protection and login audit trail
+ * Failed attempts are counted per account with progressive lockout, and every
+ * attempt is written to login_attempts so it survives cold starts.
+ */
+
+import { supabase } from './supabase.js';
+import { hashIP, getClientIP } from './security.js';
+
+const LOCKOUT_THRESHOLD = 5; // failures before the first lockout
+const MAX_LOCKOUT_MINUTES = 60;
+
+// Thresholds used to flag activity on the admin suspicious-activity view
+const SUSPICIOUS_IP_FAILURES = 10;
+const SUSPICIOUS_IP_USERNAMES = 3;
+const SUSPICIOUS_USER_FAILURES = 5;
+
+/**
+ * Lockout length for a failure count: 1 minute at the threshold, doubling
+ * with every further failure up to MAX_LOCKOUT_MINUTES
+ */
+export function getLockoutMinutes(failedAttempts) {
+  if (failedAttempts < LOCKOUT_THRESHOLD) {
+    return 0;
+  }
+  return Math.min(2 ** (failedAttempts - LOCKOUT_THRESHOLD), MAX_LOCKOUT_MINUTES);
+}
+
+/**
+ * Seconds left on an account lockout, or 0 when the account is not locked
+ */
+export function getLockoutRemaining(user) {
+  if (!user?.locked_until) {
+    return 0;
+  }
+  const remainingMs = new Date(user.locked_until).getTime() - Date.now();
+  return remainingMs > 0 ? Math.ceil(remainingMs / 1000) : 0;
+}
+
+/**
+ * Count a failed password for an account and lock it once past the threshold.
+ * The counter is incremented in the database so parallel failures are all counted.
+ */
+export async function registerFailedLogin(user) {
+  const { data, error } = await supabase.rpc('register_failed_login', {
+    p_user_id: String(user.id),
+    p_threshold: LOCKOUT_THRESHOLD,
+    p_max_minutes: MAX_LOCKOUT_MINUTES
+  });
+
+  if (error) {
+    console.error('Failed login counter error:', error);
+  }
+
+  const row = Array.isArray(data) ? data[0] : data;
+  const failedAttempts = row?.failed_attempts || 0;
+  return {
+    failedAttempts,
+    lockoutMinutes: getLockoutMinutes(failedAttempts),
+    lockedUntil: row?.locked_until || null
+  };
+}
+
+/**
+ * Clear an account's failed-attempt counter and lockout
+ */
+export async function resetFailedLogins(userId) {
+  const { error } = await supabase
+    .from('users')
+    .update({ failed_login_attempts: 0, locked_until: null })
+    .eq('id', userId);
+
+  if (error) {
+    console.error('Failed login reset error:', error);
+    return { success: false, error: error.message };
+  }
+  return { success: true };
+}
+
+/**
+ * Write a login attempt to the audit trail; never throws so login keeps working
+ */
+export async function recordLoginAttempt(req, { username, userId = null, success, reason = null }) {
+  try {
+
+    const { error } = await supabase
+      .from('login_attempts')
+      .insert({
+        username: username ? String(username).slice(0, 100) : null,
+        user_id: userId ? String(userId) : null,
+        success,
+        reason,
+        ip_hash: hashIP(getClientIP(req)),
+        user_agent: req.headers['user-agent'] || null
+      });
+
+    if (error) throw error;
+  } catch (error) {
+    console.error('Login attempt log error:', error);
+  }
+}
+
+/**
+ * List login attempts, newest first, with optional filters
+ */
+export async function listLoginAttempts({ username, userId, ipHash, success, limit = 100 } = {}) {
+  try {
+    let query = supabase
+      .from('login_attempts')
+      .select('id, username, user_id, success, reason, ip_hash, user_agent, created_at')
+      .order('created_at', { ascending: false })
+      .limit(Math.min(parseInt(limit) || 100, 500));
+
+    if (username) query = query.eq('username', username);
+    if (userId) query = query.eq('user_id', String(userId));
+    if (ipHash) query = query.eq('ip_hash', ipHash);
+    if (success !== undefined) query = query.eq('success', success);
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+    return { success: true, data: data || [] };
+  } catch (error) {
+    console.error('Login attempt list error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Summarise recent failed logins into locked accounts, noisy IPs and targeted usernames
+ */
+export async function getSuspiciousLoginActivity(hours = 24) {
+  try {
+    const since = new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+
+    const [failuresResult, lockedResult] = await Promise.all([
+      supabase
+        .from('login_attempts')
+        .select('username, user_id, reason, ip_hash, user_agent, created_at')
+        .eq('success', false)
+        .gte('created_at', since)
+        .order('created_at', { ascending: false })
+        .limit(5000),
+      supabase
+        .from('users')
+        .select('id, username, role, failed_login_attempts, last_failed_login_at, locked_until')
+        .gt('locked_until', new Date().toISOString())
+    ]);
+
+    if (failuresResult.error) throw failuresResult.error;
+    if (lockedResult.error) throw lockedResult.error;
+
+    const failures = failuresResult.data || [];
+    const byIp = {};
+    const byUsername = {};
+
+    failures.forEach(attempt => {
+      const ip = byIp[attempt.ip_hash] ||= { ipHash: attempt.ip_hash, failures: 0, usernames: new Set(), lastAttempt: attempt.created_at };
+      ip.failures++;
+      if (attempt.username) ip.usernames.add(attempt.username);
+
+      if (attempt.username) {
+        const user = byUsername[attempt.username] ||= { username: attempt.username, userId: attempt.user_id, failures: 0, ips: new Set(), lastAttempt: attempt.created_at };
+        user.failures++;
+        user.ips.add(attempt.ip_hash);
+      }
+    });
+
+    const suspiciousIps = Object.values(byIp)
+      .filter(ip => ip.failures >= SUSPICIOUS_IP_FAILURES || ip.usernames.size >= SUSPICIOUS_IP_USERNAMES)
+      .map(ip => ({ ...ip, usernames: [...ip.usernames] }))
+      .sort((a, b) => b.failures - a.failures);
+
+    const targetedUsernames = Object.values(byUsername)
+      .filter(user => user.failures >= SUSPICIOUS_USER_FAILURES)
+      .map(user => ({ ...user, ips: user.ips.size }))
+      .sort((a, b) => b.failures - a.failures);
+
+    return {
+      success: true,
+      data: {
+        hours,
+        totalFailures: failures.length,
+        lockedAccounts: lockedResult.data || [],
+        suspiciousIps,
+        targetedUsernames,
+        recentFailures: failures.slice(0, 50)
+      }
+    };
+  } catch (error) {
+    console.error('Suspicious activity error:', error);
+    return { success: false, error: error.message };
+  }
+}
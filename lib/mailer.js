@@ -0,0 +1,98 @@
+/**
+ * Pluggable outgoing mail
+ * MAIL_TRANSPORT picks the driver: 'smtp' for real delivery, 'outbox' to write
+ * messages to disk for local development. Defaults to outbox outside production.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const isProduction = process.env.NODE_ENV === 'production';
+const DEFAULT_FROM = process.env.MAIL_FROM || 'NewFurniture <no-reply@newfurniture.live>';
+
+/**
+ * SMTP driver (nodemailer)
+ */
+async function createSmtpTransport() {
+  const { default: nodemailer } = await import('nodemailer');
+
+  if (!process.env.SMTP_HOST) {
+    throw new Error('Missing SMTP_HOST environment variable');
+  }
+
+  const port = parseInt(process.env.SMTP_PORT) || 587;
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port,
+    secure: port === 465,
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+      : undefined
+  });
+
+  return {
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { id: info.messageId };
+    }
+  };
+}
+
+/**
+ * Outbox driver - writes each message as a JSON file for local development
+ */
+async function createOutboxTransport() {
+  const outboxDir = process.env.MAIL_OUTBOX_DIR || path.join(os.tmpdir(), 'newfurniture-outbox');
+  fs.mkdirSync(outboxDir, { recursive: true });
+
+  return {
+    async send(message) {
+      const id = `${Date.now()}-${Math.random().toString(36).substr(2, 6)}`;
+      const file = path.join(outboxDir, `${id}.json`);
+      fs.writeFileSync(file, JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2));
+      console.log(`📬 Mail written to outbox: ${file}`);
+      return { id, file };
+    }
+  };
+}
+
+// Registered drivers by name
+const TRANSPORTS = {
+  smtp: createSmtpTransport,
+  outbox: createOutboxTransport
+};
+
+let activeTransport = null;
+
+/**
+ * Register an additional mail driver (factory returns { send(message) })
+ */
+export function registerMailTransport(name, factory) {
+  TRANSPORTS[name] = factory;
+  activeTransport = null;
+}
+
+/**
+ * Get the configured mail transport, creating it on first use
+ */
+async function getTransport() {
+  if (!activeTransport) {
+    const name = process.env.MAIL_TRANSPORT || (isProduction ? 'smtp' : 'outbox');
+    const factory = TRANSPORTS[name];
+
+    if (!factory) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+    activeTransport = await factory();
+  }
+  return activeTransport;
+}
+
+/**
+ * Send an email through the configured transport
+ */
+export async function sendMail({ to, subject, text, html }) {
+  const transport = await getTransport();
+  return transport.send({ from: DEFAULT_FROM, to, subject, text, html });
+}
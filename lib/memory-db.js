@@ -0,0 +1,644 @@
+/**
+ * In-memory data store with the supabase-js query builder interface
+ * Used when DATA_STORE=memory so the API runs without a Supabase project (local
+ * development and automated tests). Supports the subset of PostgREST the repositories
+ * use: select/insert/update/upsert/delete, the usual filters, or(), ordering, ranges,
+ * counts, single/maybeSingle, many-to-one embedded selects such as models(title), the
+ * rpc() functions and the triggers below.
+ * With MEMORY_DB_FILE set the tables are kept in a JSON file, so data survives restarts
+ * and is shared between `vercel dev` function processes.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { searchTerms, parseTsquery, matchesGroup } from './search-text.js';
+
+const now = () => new Date().toISOString();
+
+// Column defaults from the migrations, applied on insert
+const TABLE_DEFAULTS = {
+  models: () => ({ customer_id: 'unassigned', customer_name: 'Unassigned', view_count: 0, variant_count: 0, variant_names: null, tags: [], file_size: 0, dominant_color: '#6b7280', metadata: {}, upload_date: now(), created_at: now(), updated_at: now(), deleted_at: null, deleted_by: null }),
+  model_variants: () => ({ hex_color: '#000000', file_size: 0, is_primary: false, variant_type: 'upload', metadata: {}, created_at: now(), updated_at: now(), deleted_at: null, deleted_by: null }),
+  users: () => ({ email: null, is_active: true, failed_login_attempts: 0, locked_until: null, totp_enabled: false, created_at: now() }),
+  images: () => ({ image_type: 'general', metadata: {}, created_at: now(), updated_at: now(), deleted_at: null, deleted_by: null }),
+  model_views: () => ({ viewed_at: now() }),
+  feedback: () => ({ categories: [], created_at: now() }),
+  customer_requests: () => ({ status: 'pending', priority: 'normal', metadata: {}, created_at: now(), updated_at: now() }),
+  customer_brand_settings: () => ({ text_direction: 'ltr', logo_url: null, primary_color: '#58a6ff', secondary_color: '#79c0ff', font_family: 'Inter', allowed_embed_origins: [], created_at: now(), updated_at: now() }),
+  api_keys: () => ({ scopes: [], revoked_at: null, last_used_at: null, created_at: now() }),
+  user_sessions: () => ({ revoked_at: null, created_at: now() }),
+  password_reset_tokens: () => ({ used_at: null, created_at: now() }),
+  login_attempts: () => ({ created_at: now() }),
+  audit_log: () => ({ changes: {}, created_at: now() }),
+  user_invitations: () => ({ accepted_at: null, revoked_at: null, created_at: now(), last_sent_at: now(), send_count: 1 }),
+  rate_limit_counters: () => ({ count: 0 })
+};
+
+// Primary and unique keys; a row conflicts when every column of a key matches
+const TABLE_KEYS = {
+  rate_limit_counters: [['key', 'bucket']],
+  users: [['id'], ['username'], ['email']],
+  customer_brand_settings: [['id'], ['customer_id']],
+  api_keys: [['id'], ['key_hash']],
+  password_reset_tokens: [['id'], ['token_hash']],
+  user_invitations: [['id'], ['token_hash']]
+};
+
+// Triggers, mirroring the SQL ones; each runs after any write to its table
+const TRIGGERS = {
+  model_variants(db) {
+    const names = new Map();
+    for (const variant of db.table('model_variants')) {
+      if (isNullish(variant.deleted_at)) {
+        const key = String(variant.parent_model_id);
+        names.set(key, [...(names.get(key) || []), variant.variant_name]);
+      }
+    }
+    for (const model of db.table('models')) {
+      const modelNames = names.get(String(model.id)) || [];
+      model.variant_count = modelNames.length;
+      model.variant_names = modelNames.length > 0 ? modelNames.sort().join(' ') : null;
+    }
+  }
+};
+
+// ts_rank's default weights for the search vector's A-D parts
+const SEARCH_WEIGHTS = { A: 1, B: 0.4, C: 0.2, D: 0.1 };
+
+/**
+ * Database functions callable through rpc(), mirroring the SQL ones
+ */
+const FUNCTIONS = {
+  rate_limit_increment(db, { p_key, p_bucket, p_window_ms }) {
+    const counters = db.table('rate_limit_counters');
+    let row = counters.find(c => c.key === p_key && c.bucket === p_bucket);
+    if (!row) {
+      row = { key: p_key, bucket: p_bucket, count: 0, expires_at: new Date(Date.now() + p_window_ms * 2).toISOString() };
+      counters.push(row);
+    }
+    row.count++;
+    const previous = counters.find(c => c.key === p_key && c.bucket === p_bucket - 1);
+    return [{ current_count: row.count, previous_count: previous?.count || 0 }];
+  },
+
+  rate_limit_cleanup(db) {
+    const counters = db.table('rate_limit_counters');
+    const kept = counters.filter(c => c.expires_at >= now());
+    db.tables.rate_limit_counters = kept;
+    return counters.length - kept.length;
+  },
+
+  record_model_view(db, { p_model_id, p_variant_id, p_ip_hash, p_user_agent, p_referrer, p_source, p_dedup_seconds }) {
+    const model = db.table('models').find(m => valuesEqual(m.id, p_model_id) && isNullish(m.deleted_at));
+    if (!model) return [];
+
+    if (p_ip_hash && p_dedup_seconds > 0) {
+      const since = new Date(Date.now() - p_dedup_seconds * 1000).toISOString();
+      const seen = db.table('model_views').some(v =>
+        valuesEqual(v.model_id, p_model_id) && v.ip_hash === p_ip_hash &&
+        (v.user_agent ?? null) === (p_user_agent ?? null) && v.viewed_at > since
+      );
+      if (seen) return [{ counted: false, total_views: model.view_count }];
+    }
+
+    model.view_count = (model.view_count || 0) + 1;
+    db.insertRow('model_views', {
+      model_id: p_model_id, variant_id: p_variant_id, ip_hash: p_ip_hash,
+      user_agent: p_user_agent, referrer: p_referrer, source: p_source
+    });
+    return [{ counted: true, total_views: model.view_count }];
+  },
+
+  register_failed_login(db, { p_user_id, p_threshold, p_max_minutes }) {
+    const user = db.table('users').find(u => valuesEqual(u.id, p_user_id));
+    if (!user) return [];
+
+    user.failed_login_attempts = (user.failed_login_attempts || 0) + 1;
+    user.last_failed_login_at = now();
+    const lockoutMinutes = user.failed_login_attempts < p_threshold
+      ? 0
+      : Math.min(2 ** (user.failed_login_attempts - p_threshold), p_max_minutes);
+    user.locked_until = lockoutMinutes ? new Date(Date.now() + lockoutMinutes * 60 * 1000).toISOString() : null;
+    return [{ failed_attempts: user.failed_login_attempts, locked_until: user.locked_until }];
+  },
+
+  model_stats(db, { p_customer_id }) {
+    const models = db.table('models').filter(m =>
+      isNullish(m.deleted_at) && (isNullish(p_customer_id) || valuesEqual(m.customer_id, p_customer_id))
+    );
+    return [{
+      total_models: models.length,
+      total_views: models.reduce((sum, m) => sum + (m.view_count || 0), 0),
+      total_size: models.reduce((sum, m) => sum + (m.file_size || 0), 0),
+      with_variants: models.filter(m => m.variant_count > 0).length,
+      missing_product_url: models.filter(m => isNullish(m.product_url)).length
+    }];
+  },
+
+  model_category_counts(db, { p_customer_id }) {
+    const counts = new Map();
+    for (const m of db.table('models')) {
+      if (isNullish(m.deleted_at) && !isNullish(m.category_slug) &&
+          (isNullish(p_customer_id) || valuesEqual(m.customer_id, p_customer_id))) {
+        counts.set(m.category_slug, (counts.get(m.category_slug) || 0) + 1);
+      }
+    }
+    return [...counts.entries()]
+      .map(([category_slug, count]) => ({ category_slug, count }))
+      .sort((a, b) => b.count - a.count || compareValues(a.category_slug, b.category_slug));
+  },
+
+  search_models(db, { p_query, p_customer_id, p_limit }) {
+    const groups = parseTsquery(p_query);
+    const results = [];
+
+    for (const m of db.table('models')) {
+      if (!isNullish(m.deleted_at) || (!isNullish(p_customer_id) && !valuesEqual(m.customer_id, p_customer_id))) {
+        continue;
+      }
+
+      const parts = [
+        [searchTerms(m.title), SEARCH_WEIGHTS.A],
+        [searchTerms(`${m.variant_names || ''} ${(m.tags || []).join(' ')}`), SEARCH_WEIGHTS.B],
+        [searchTerms(m.customer_name), SEARCH_WEIGHTS.C],
+        [searchTerms(m.description), SEARCH_WEIGHTS.D]
+      ];
+      const weights = groups.map(forms => Math.max(0, ...parts.filter(([terms]) => matchesGroup(terms, forms)).map(([, weight]) => weight)));
+      if (groups.length > 0 && weights.every(weight => weight > 0)) {
+        results.push({ id: m.id, rank: weights.reduce((sum, weight) => sum + weight, 0), view_count: m.view_count || 0 });
+      }
+    }
+
+    return results
+      .sort((a, b) => b.rank - a.rank || b.view_count - a.view_count || compareValues(a.id, b.id))
+      .slice(0, p_limit)
+      .map(({ id, rank }) => ({ id, rank }));
+  }
+};
+
+/**
+ * Compare two column values the way Postgres would for these column types
+ */
+function compareValues(a, b) {
+  if (a === b) return 0;
+  if (typeof a === 'number' || typeof b === 'number') {
+    return Number(a) - Number(b);
+  }
+  return String(a) < String(b) ? -1 : 1;
+}
+
+function isNullish(value) {
+  return value === null || value === undefined;
+}
+
+function valuesEqual(a, b) {
+  return a === b || (!isNullish(a) && !isNullish(b) && String(a) === String(b));
+}
+
+/**
+ * Parse a PostgREST literal from an or()/not() filter string; "quoted" values may
+ * contain commas, dots and parentheses, and (a,b) is a list for in
+ */
+function parseLiteral(value) {
+  if (value === 'null') return null;
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  if (value.startsWith('"') && value.endsWith('"')) {
+    return value.slice(1, -1).replace(/\\(.)/g, '$1');
+  }
+  if (value.startsWith('(') && value.endsWith(')')) {
+    return splitConditions(value.slice(1, -1)).map(parseLiteral);
+  }
+  return value;
+}
+
+/**
+ * Split a filter list on top-level commas, outside parentheses and quotes
+ */
+function splitConditions(conditions) {
+  const parts = [];
+  let depth = 0;
+  let quoted = false;
+  let current = '';
+  for (let i = 0; i < conditions.length; i++) {
+    const char = conditions[i];
+    if (quoted && char === '\\') {
+      current += char + conditions[++i];
+      continue;
+    }
+    if (char === '"') quoted = !quoted;
+    if (!quoted && char === '(') depth++;
+    if (!quoted && char === ')') depth--;
+    if (!quoted && char === ',' && depth === 0) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  if (current) parts.push(current);
+  return parts;
+}
+
+/**
+ * Build a row predicate for one or()/and() condition such as a.lt.5 or and(a.eq.5,b.lt.x)
+ */
+function conditionPredicate(condition) {
+  const group = /^(and|or)\((.*)\)$/.exec(condition);
+  if (group) {
+    const predicates = splitConditions(group[2]).map(conditionPredicate);
+    return group[1] === 'and'
+      ? row => predicates.every(predicate => predicate(row))
+      : row => predicates.some(predicate => predicate(row));
+  }
+
+  const [column, operator, ...rest] = condition.split('.');
+  return operatorPredicate(column, operator, parseLiteral(rest.join('.')));
+}
+
+/**
+ * Build a row predicate for a PostgREST operator
+ */
+function operatorPredicate(column, operator, value) {
+  switch (operator) {
+    case 'eq': return row => valuesEqual(row[column], value);
+    case 'neq': return row => !isNullish(row[column]) && !valuesEqual(row[column], value);
+    case 'gt': return row => !isNullish(row[column]) && compareValues(row[column], value) > 0;
+    case 'gte': return row => !isNullish(row[column]) && compareValues(row[column], value) >= 0;
+    case 'lt': return row => !isNullish(row[column]) && compareValues(row[column], value) < 0;
+    case 'lte': return row => !isNullish(row[column]) && compareValues(row[column], value) <= 0;
+    case 'is': return row => value === null ? isNullish(row[column]) : row[column] === value;
+    case 'in': return row => value.some(v => valuesEqual(row[column], v));
+    case 'cs': return row => Array.isArray(row[column]) && value.every(v => row[column].includes(v));
+    default: throw new Error(`Unsupported filter operator: ${operator}`);
+  }
+}
+
+/**
+ * Split a select list on top-level commas (embedded selects contain commas too)
+ */
+function splitColumns(columns) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const char of columns) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (char === ',' && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+}
+
+/**
+ * Query builder for one table; awaiting it runs the query
+ */
+class MemoryQuery {
+  constructor(db, table) {
+    this.db = db;
+    this.tableName = table;
+    this.action = 'select';
+    this.columns = '*';
+    this.returning = false;
+    this.filters = [];
+    this.orders = [];
+    this.rangeFrom = 0;
+    this.rangeTo = null;
+    this.countMode = null;
+    this.headOnly = false;
+    this.singleMode = null;
+  }
+
+  select(columns = '*', { count = null, head = false } = {}) {
+    if (this.action === 'select') {
+      this.countMode = count;
+      this.headOnly = head;
+    } else {
+      this.returning = true;
+    }
+    this.columns = columns;
+    return this;
+  }
+
+  insert(rows) {
+    this.action = 'insert';
+    this.payload = Array.isArray(rows) ? rows : [rows];
+    return this;
+  }
+
+  upsert(rows, { onConflict = null } = {}) {
+    this.action = 'upsert';
+    this.payload = Array.isArray(rows) ? rows : [rows];
+    this.onConflict = onConflict ? onConflict.split(',').map(c => c.trim()) : null;
+    return this;
+  }
+
+  update(values) {
+    this.action = 'update';
+    this.payload = values;
+    return this;
+  }
+
+  delete({ count = null } = {}) {
+    this.action = 'delete';
+    this.countMode = count;
+    return this;
+  }
+
+  eq(column, value) { return this.where(operatorPredicate(column, 'eq', value)); }
+  neq(column, value) { return this.where(operatorPredicate(column, 'neq', value)); }
+  gt(column, value) { return this.where(operatorPredicate(column, 'gt', value)); }
+  gte(column, value) { return this.where(operatorPredicate(column, 'gte', value)); }
+  lt(column, value) { return this.where(operatorPredicate(column, 'lt', value)); }
+  lte(column, value) { return this.where(operatorPredicate(column, 'lte', value)); }
+  is(column, value) { return this.where(operatorPredicate(column, 'is', value)); }
+  in(column, values) { return this.where(operatorPredicate(column, 'in', values)); }
+  contains(column, values) { return this.where(operatorPredicate(column, 'cs', values)); }
+
+  not(column, operator, value) {
+    const predicate = operatorPredicate(column, operator, typeof value === 'string' ? parseLiteral(value) : value);
+    return this.where(row => !predicate(row));
+  }
+
+  /**
+   * or('a.is.null,and(b.eq.5,c.lt.x)') - any of the listed conditions
+   */
+  or(conditions) {
+    return this.where(conditionPredicate(`or(${conditions})`));
+  }
+
+  where(predicate) {
+    this.filters.push(predicate);
+    return this;
+  }
+
+  order(column, { ascending = true, nullsFirst = !ascending } = {}) {
+    this.orders.push({ column, ascending, nullsFirst });
+    return this;
+  }
+
+  range(from, to) {
+    this.rangeFrom = from;
+    this.rangeTo = to;
+    return this;
+  }
+
+  limit(count) {
+    this.rangeTo = this.rangeFrom + count - 1;
+    return this;
+  }
+
+  single() {
+    this.singleMode = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.singleMode = 'maybe';
+    return this;
+  }
+
+  then(resolve, reject) {
+    return Promise.resolve()
+      .then(() => this.execute())
+      .then(resolve, reject);
+  }
+
+  matches(row) {
+    return this.filters.every(predicate => predicate(row));
+  }
+
+  sort(rows) {
+    return [...rows].sort((a, b) => {
+      for (const { column, ascending, nullsFirst } of this.orders) {
+        const aNull = isNullish(a[column]);
+        const bNull = isNullish(b[column]);
+        if (aNull || bNull) {
+          if (aNull && bNull) continue;
+          return aNull === nullsFirst ? -1 : 1;
+        }
+        const diff = compareValues(a[column], b[column]);
+        if (diff !== 0) return ascending ? diff : -diff;
+      }
+      return 0;
+    });
+  }
+
+  /**
+   * Pick the selected columns, resolving embedded relations like models(title, id)
+   */
+  project(row) {
+    const result = {};
+    for (const part of splitColumns(this.columns)) {
+      const embedded = /^(\w+)(?:!\w+)?\((.*)\)$/.exec(part);
+      if (part === '*') {
+        Object.assign(result, row);
+      } else if (embedded) {
+        const [, relation, columns] = embedded;
+        const foreignKey = `${relation.replace(/s$/, '')}_id`;
+        const related = this.db.table(relation).find(r => valuesEqual(r.id, row[foreignKey]));
+        result[relation] = related ? new MemoryQuery(this.db, relation).select(columns).project(related) : null;
+      } else {
+        result[part] = row[part] ?? null;
+      }
+    }
+    return result;
+  }
+
+  execute() {
+    try {
+      const rows = this.run();
+      return this.shape(rows);
+    } catch (error) {
+      return { data: null, error: { message: error.message, code: error.code || null }, count: null };
+    }
+  }
+
+  run() {
+    const table = this.db.table(this.tableName);
+
+    switch (this.action) {
+      case 'select':
+        return table.filter(row => this.matches(row));
+
+      case 'insert':
+        return this.db.afterWrite(this.tableName, this.payload.map(values => this.db.insertRow(this.tableName, values)));
+
+      case 'upsert':
+        return this.db.afterWrite(this.tableName, this.payload.map(values => {
+          const existing = this.db.findConflict(this.tableName, values, this.onConflict);
+          return existing
+            ? this.db.updateRow(this.tableName, existing, values)
+            : this.db.insertRow(this.tableName, values);
+        }));
+
+      case 'update': {
+        if (this.filters.length === 0) {
+          throw new Error('UPDATE requires a WHERE clause');
+        }
+        return this.db.afterWrite(this.tableName, table.filter(row => this.matches(row)).map(row => this.db.updateRow(this.tableName, row, this.payload)));
+      }
+
+      case 'delete': {
+        if (this.filters.length === 0) {
+          throw new Error('DELETE requires a WHERE clause');
+        }
+        const deleted = table.filter(row => this.matches(row));
+        this.db.tables[this.tableName] = table.filter(row => !deleted.includes(row));
+        return this.db.afterWrite(this.tableName, deleted);
+      }
+    }
+  }
+
+  shape(rows) {
+    const count = this.countMode ? rows.length : null;
+    const isSelect = this.action === 'select';
+
+    if (!isSelect && !this.returning) {
+      return { data: null, error: null, count };
+    }
+
+    let data = isSelect ? this.sort(rows) : rows;
+    if (isSelect) {
+      data = data.slice(this.rangeFrom, this.rangeTo === null ? undefined : this.rangeTo + 1);
+    }
+    data = data.map(row => structuredClone(this.project(row)));
+
+    if (this.headOnly) {
+      return { data: null, error: null, count };
+    }
+
+    if (this.singleMode) {
+      if (data.length > 1 || (data.length === 0 && this.singleMode === 'single')) {
+        return {
+          data: null,
+          error: { message: 'JSON object requested, multiple (or no) rows returned', code: 'PGRST116' },
+          count
+        };
+      }
+      return { data: data[0] || null, error: null, count };
+    }
+
+    return { data, error: null, count };
+  }
+}
+
+/**
+ * The tables themselves, with optional persistence to a JSON file
+ */
+class MemoryDatabase {
+  constructor({ file = null } = {}) {
+    this.file = file;
+    this.tables = {};
+    this.loadedAt = 0;
+    this.nextIds = {};
+
+    if (file && fs.existsSync(file)) {
+      this.load();
+    }
+  }
+
+  load() {
+    const stat = fs.statSync(this.file);
+    this.tables = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    this.loadedAt = stat.mtimeMs;
+  }
+
+  /**
+   * Pick up writes made by another process since the file was last read
+   */
+  refresh() {
+    if (this.file && fs.existsSync(this.file) && fs.statSync(this.file).mtimeMs > this.loadedAt) {
+      this.load();
+    }
+  }
+
+  save() {
+    if (!this.file) return;
+    fs.mkdirSync(path.dirname(path.resolve(this.file)), { recursive: true });
+    fs.writeFileSync(this.file, JSON.stringify(this.tables, null, 2));
+    this.loadedAt = fs.statSync(this.file).mtimeMs;
+  }
+
+  table(name) {
+    if (!this.tables[name]) {
+      this.tables[name] = [];
+    }
+    return this.tables[name];
+  }
+
+  findConflict(name, values, columns = null) {
+    const keys = columns ? [columns] : (TABLE_KEYS[name] || [['id']]);
+    return this.table(name).find(row => keys.some(key =>
+      key.every(column => !isNullish(values[column]) && valuesEqual(row[column], values[column]))
+    ));
+  }
+
+  /**
+   * Insert a row with the table's defaults and a serial id when none is given
+   */
+  insertRow(name, values) {
+    const row = { ...(TABLE_DEFAULTS[name]?.() || { created_at: now() }), ...structuredClone(values) };
+
+    if (isNullish(row.id) && name !== 'rate_limit_counters') {
+      const maxId = this.table(name).reduce((max, r) => Math.max(max, Number(r.id) || 0), 0);
+      row.id = Math.max(maxId, this.nextIds[name] || 0) + 1;
+      this.nextIds[name] = row.id;
+    }
+
+    if (this.findConflict(name, row)) {
+      const error = new Error(`duplicate key value violates unique constraint on ${name}`);
+      error.code = '23505';
+      throw error;
+    }
+
+    this.table(name).push(row);
+    this.save();
+    return row;
+  }
+
+  updateRow(name, row, values) {
+    Object.assign(row, structuredClone(values));
+    this.save();
+    return row;
+  }
+
+  /**
+   * Run the table's trigger after a write and persist; passes the written rows through
+   */
+  afterWrite(name, rows) {
+    TRIGGERS[name]?.(this);
+    this.save();
+    return rows;
+  }
+}
+
+/**
+ * Create a client exposing from() and rpc() like a supabase-js client
+ */
+export function createMemoryClient({ file = null } = {}) {
+  const db = new MemoryDatabase({ file });
+
+  return {
+    from(table) {
+      db.refresh();
+      return new MemoryQuery(db, table);
+    },
+
+    async rpc(name, args = {}) {
+      const fn = FUNCTIONS[name];
+      if (!fn) {
+        return { data: null, error: { message: `Function ${name} does not exist`, code: '42883' } };
+      }
+      db.refresh();
+      const data = fn(db, args);
+      db.save();
+      return { data, error: null };
+    }
+  };
+}
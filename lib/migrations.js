@@ -0,0 +1,256 @@
+/**
+ * Versioned database migrations
+ * Files in migrations/ named NNN-description.sql (or .js for data migrations) run in
+ * version order. SQL files hold the up steps, then optionally a "-- migrate:down" line
+ * followed by the down steps; JavaScript files export async up() and down().
+ * Applied migrations are recorded in schema_migrations with a checksum of the file, and
+ * a run refuses to start if an applied file has since been edited.
+ * Requires migrations/bootstrap.sql to have been run once and SUPABASE_SERVICE_ROLE_KEY.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { createClient } from '@supabase/supabase-js';
+
+const MIGRATIONS_DIR = fileURLToPath(new URL('../migrations/', import.meta.url));
+const MIGRATION_FILE = /^(\d{3,})-([a-z0-9-]+)\.(sql|js)$/;
+const DOWN_MARKER = /^--\s*migrate:down\s*$/m;
+
+let migrationClient = null;
+
+/**
+ * Supabase client with the service role; schema changes are not allowed with the anon key
+ */
+function getMigrationClient() {
+  if (!migrationClient) {
+    const url = process.env.SUPABASE_URL;
+    const serviceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+    if (!url || !serviceKey) {
+      throw new Error('Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY environment variable');
+    }
+    migrationClient = createClient(url, serviceKey, { auth: { persistSession: false } });
+  }
+  return migrationClient;
+}
+
+/**
+ * Split a migration file into its parts
+ */
+function parseMigrationFile(filename, content) {
+  const [, version, name, type] = MIGRATION_FILE.exec(filename);
+  const checksum = crypto.createHash('sha256').update(content).digest('hex');
+
+  if (type === 'js') {
+    return { version, name, type, filename, checksum };
+  }
+
+  const [up, down] = content.split(DOWN_MARKER);
+  return {
+    version,
+    name,
+    type,
+    filename,
+    checksum,
+    up: up.trim(),
+    down: down?.trim() || null
+  };
+}
+
+/**
+ * Read every migration file, in version order
+ */
+export function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = fs.readdirSync(dir)
+    .filter(filename => MIGRATION_FILE.test(filename))
+    .map(filename => parseMigrationFile(filename, fs.readFileSync(path.join(dir, filename), 'utf8')))
+    .sort((a, b) => Number(a.version) - Number(b.version));
+
+  const duplicate = migrations.find((migration, i) => i > 0 && Number(migration.version) === Number(migrations[i - 1].version));
+  if (duplicate) {
+    throw new Error(`Two migrations share version ${duplicate.version}`);
+  }
+  return migrations;
+}
+
+/**
+ * Load a JavaScript migration's up/down functions
+ */
+async function loadScript(migration, dir) {
+  return import(pathToFileURL(path.join(dir, migration.filename)).href);
+}
+
+/**
+ * Whether a migration can be rolled back
+ */
+async function hasDown(migration, dir) {
+  if (migration.type === 'sql') {
+    return !!migration.down;
+  }
+  return typeof (await loadScript(migration, dir)).down === 'function';
+}
+
+/**
+ * Rows from schema_migrations keyed by version
+ */
+async function getAppliedMigrations(db) {
+  const { data, error } = await db
+    .from('schema_migrations')
+    .select('version, name, checksum, applied_at, execution_ms')
+    .order('version');
+
+  if (error) {
+    if (error.code === '42P01' || error.code === 'PGRST205') {
+      throw new Error('schema_migrations table not found. Run migrations/bootstrap.sql once in the Supabase SQL editor');
+    }
+    throw new Error(`Could not read schema_migrations: ${error.message}`);
+  }
+  return new Map(data.map(row => [row.version, row]));
+}
+
+/**
+ * Every migration with its state: applied, pending, changed (edited after it was
+ * applied) or missing (recorded as applied but the file is gone)
+ */
+export async function getMigrationStatus({ dir = MIGRATIONS_DIR } = {}) {
+  try {
+    const migrations = loadMigrations(dir);
+    const applied = await getAppliedMigrations(getMigrationClient());
+
+    const status = migrations.map(migration => {
+      const record = applied.get(migration.version);
+      return {
+        version: migration.version,
+        name: migration.name,
+        type: migration.type,
+        status: !record ? 'pending' : record.checksum === migration.checksum ? 'applied' : 'changed',
+        appliedAt: record?.applied_at || null,
+        executionMs: record?.execution_ms ?? null
+      };
+    });
+
+    for (const [version, record] of applied) {
+      if (!migrations.some(migration => migration.version === version)) {
+        status.push({ version, name: record.name, type: null, status: 'missing', appliedAt: record.applied_at, executionMs: record.execution_ms });
+      }
+    }
+
+    status.sort((a, b) => Number(a.version) - Number(b.version));
+    return { success: true, migrations: status, pending: status.filter(m => m.status === 'pending').length };
+  } catch (error) {
+    console.error('Migration status error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Work out which migrations a run would apply or revert, in order
+ */
+async function planMigrations(migrations, applied, { direction, target, steps, dir }) {
+  const targetVersion = target !== null && target !== undefined ? Number(target) : null;
+
+  if (direction === 'up') {
+    let plan = migrations.filter(migration =>
+      !applied.has(migration.version) && (targetVersion === null || Number(migration.version) <= targetVersion)
+    );
+    if (steps) plan = plan.slice(0, steps);
+    return plan;
+  }
+
+  // Down: newest first; one step unless a target or step count says otherwise
+  const appliedVersions = [...applied.keys()].sort((a, b) => Number(b) - Number(a));
+  let versions = targetVersion !== null
+    ? appliedVersions.filter(version => Number(version) > targetVersion)
+    : appliedVersions.slice(0, steps || 1);
+  if (targetVersion !== null && steps) versions = versions.slice(0, steps);
+
+  const plan = [];
+  for (const version of versions) {
+    const migration = migrations.find(m => m.version === version);
+    if (!migration) {
+      throw new Error(`Migration ${version} is applied but its file is missing, so it cannot be reverted`);
+    }
+    if (!(await hasDown(migration, dir))) {
+      throw new Error(`Migration ${migration.filename} has no down steps and cannot be reverted`);
+    }
+    plan.push(migration);
+  }
+  return plan;
+}
+
+/**
+ * Apply or revert one migration; SQL runs in the same transaction as the ledger update
+ */
+async function executeMigration(db, migration, direction, dir) {
+  let sql = null;
+
+  if (migration.type === 'js') {
+    const script = await loadScript(migration, dir);
+    await script[direction]({ db });
+  } else {
+    sql = direction === 'up' ? migration.up : migration.down;
+  }
+
+  const { error } = direction === 'up'
+    ? await db.rpc('apply_migration', { p_version: migration.version, p_name: migration.name, p_checksum: migration.checksum, p_sql: sql })
+    : await db.rpc('revert_migration', { p_version: migration.version, p_sql: sql });
+
+  if (error) {
+    throw new Error(error.message);
+  }
+}
+
+/**
+ * Run migrations up (all pending, or up to and including target) or down (the latest
+ * one, the latest `steps`, or everything above target). With dryRun nothing is executed
+ * and the plan, including the SQL, is returned.
+ */
+export async function runMigrations({ direction = 'up', target = null, steps = null, dryRun = false, dir = MIGRATIONS_DIR } = {}) {
+  const result = { success: false, direction, dryRun, plan: [], completed: [] };
+
+  if (!['up', 'down'].includes(direction)) {
+    return { ...result, error: 'Direction must be up or down' };
+  }
+
+  try {
+    const db = getMigrationClient();
+    const migrations = loadMigrations(dir);
+    const applied = await getAppliedMigrations(db);
+
+    // Never build on top of history that no longer matches the files
+    const changed = migrations.filter(m => applied.has(m.version) && applied.get(m.version).checksum !== m.checksum);
+    if (changed.length > 0) {
+      return { ...result, error: `Applied migrations were edited afterwards: ${changed.map(m => m.filename).join(', ')}. Add a new migration instead` };
+    }
+
+    const plan = await planMigrations(migrations, applied, { direction, target, steps, dir });
+    result.plan = plan.map(migration => ({
+      version: migration.version,
+      name: migration.name,
+      type: migration.type,
+      ...(dryRun && migration.type === 'sql' ? { sql: direction === 'up' ? migration.up : migration.down } : {})
+    }));
+
+    if (dryRun) {
+      return { ...result, success: true };
+    }
+
+    for (const migration of plan) {
+      const started = Date.now();
+      try {
+        await executeMigration(db, migration, direction, dir);
+      } catch (error) {
+        return { ...result, error: `${migration.filename} failed: ${error.message}` };
+      }
+      console.log(`🗄️ Migration ${migration.filename} ${direction === 'up' ? 'applied' : 'reverted'} in ${Date.now() - started}ms`);
+      result.completed.push(migration.version);
+    }
+
+    return { ...result, success: true };
+  } catch (error) {
+    console.error('Migration run error:', error);
+    return { ...result, error: error.message };
+  }
+}
@@ -0,0 +1,100 @@
+/**
+ * Query parameters and cursors for the models listing
+ * Cursors are opaque to clients: the sort and the last row's sort value and id, so a page
+ * continues exactly after the previous one even while models are added or removed.
+ */
+
+import { MODEL_SORTS } from './repositories/models.js';
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+// Titles read naturally A-Z; every other sort shows the largest or newest first
+const DEFAULT_ASCENDING = { uploaded: false, views: false, size: false, title: true };
+
+/**
+ * Cursor pointing just after a model in the given sort order
+ */
+export function encodeCursor(model, sort, ascending) {
+  const payload = [sort, ascending ? 'asc' : 'desc', model[MODEL_SORTS[sort]] ?? null, model.id];
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const [sort, order, value, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return id === undefined ? null : { sort, ascending: order === 'asc', value: value ?? null, id };
+  } catch {
+    return null;
+  }
+}
+
+function parseBoolean(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  if (value === true || value === 'true') return true;
+  if (value === false || value === 'false') return false;
+  return null;
+}
+
+function parseDate(value) {
+  if (!value) return undefined;
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : new Date(time).toISOString();
+}
+
+/**
+ * Turn listing query parameters into listModels options.
+ * Parameters: category, uploadedFrom, uploadedTo, hasVariants, missingProductUrl,
+ * sort (uploaded|views|size|title), order (asc|desc), limit and cursor.
+ */
+export function parseModelListQuery(query = {}) {
+  const sort = query.sort || 'uploaded';
+  if (!MODEL_SORTS[sort]) {
+    return { success: false, error: `sort must be one of: ${Object.keys(MODEL_SORTS).join(', ')}` };
+  }
+
+  if (query.order && query.order !== 'asc' && query.order !== 'desc') {
+    return { success: false, error: 'order must be asc or desc' };
+  }
+  const ascending = query.order ? query.order === 'asc' : DEFAULT_ASCENDING[sort];
+
+  const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : parseInt(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return { success: false, error: `limit must be between 1 and ${MAX_PAGE_SIZE}` };
+  }
+
+  const uploadedFrom = parseDate(query.uploadedFrom);
+  const uploadedTo = parseDate(query.uploadedTo);
+  if (uploadedFrom === null || uploadedTo === null) {
+    return { success: false, error: 'uploadedFrom and uploadedTo must be dates' };
+  }
+
+  const hasVariants = parseBoolean(query.hasVariants);
+  const missingProductUrl = parseBoolean(query.missingProductUrl);
+  if (hasVariants === null || missingProductUrl === null) {
+    return { success: false, error: 'hasVariants and missingProductUrl must be true or false' };
+  }
+
+  let after = null;
+  if (query.cursor) {
+    after = decodeCursor(query.cursor);
+    if (!after || after.sort !== sort || after.ascending !== ascending) {
+      return { success: false, error: 'Invalid cursor for this sort order' };
+    }
+  }
+
+  return {
+    success: true,
+    options: {
+      category: query.category || null,
+      uploadedFrom,
+      uploadedTo,
+      hasVariants,
+      missingProductUrl: missingProductUrl || false,
+      sort,
+      ascending,
+      after,
+      limit
+    }
+  };
+}
@@ -0,0 +1,129 @@
+/**
+ * Signed, expiring model file URLs
+ * Viewers get /api/model/{id}/file?t=... instead of the raw storage URL. The token is
+ * bound to the model (and variant), expires after MODEL_URL_TTL_SECONDS and, with
+ * MODEL_URL_BIND_REFERRER=true, to the origin of the page that requested it.
+ * MODEL_URL_MODE picks how a valid request is served: 'proxy' (default, the file is
+ * streamed through the API so storage never shows) or 'redirect' (a 302 to storage,
+ * which hands out the permanent storage URL; only for files too large to proxy).
+ */
+
+import { createModelUrlToken, verifyModelUrlToken } from './auth.js';
+
+const DEFAULT_TTL_SECONDS = 30 * 60;
+const MODEL_URL_MODES = ['redirect', 'proxy'];
+
+/**
+ * How long a signed model URL stays valid
+ */
+export function getModelUrlTtl() {
+  return parseInt(process.env.MODEL_URL_TTL_SECONDS) || DEFAULT_TTL_SECONDS;
+}
+
+/**
+ * Configured serving mode for signed model URLs
+ */
+export function getModelUrlMode() {
+  const mode = process.env.MODEL_URL_MODE || 'proxy';
+  return MODEL_URL_MODES.includes(mode) ? mode : 'proxy';
+}
+
+/**
+ * Whether raw storage URLs may be shown to this caller (admins only)
+ */
+export function canSeeStorageUrls(session) {
+  return session?.role === 'admin' && !session.apiKeyId;
+}
+
+/**
+ * Origin a request came from, from the Origin header or else the Referer
+ */
+export function getRequestOrigin(req) {
+  const origin = req.headers.origin;
+  if (origin && origin !== 'null') {
+    return origin;
+  }
+
+  try {
+    return req.headers.referer ? new URL(req.headers.referer).origin : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Base URL of this deployment for absolute links (AR apps fetch the file themselves)
+ */
+function getBaseUrl(req) {
+  const host = req.headers['x-forwarded-host'] || req.headers.host || process.env.DOMAIN || 'newfurniture.live';
+  const protocol = req.headers['x-forwarded-proto'] || (host.startsWith('localhost') ? 'http' : 'https');
+  return `${protocol}://${host}`;
+}
+
+/**
+ * Build a signed file URL for a model or one of its variants
+ */
+export function createSignedModelUrl(req, modelId, variantId = null) {
+  const bindReferrer = process.env.MODEL_URL_BIND_REFERRER === 'true';
+  const token = createModelUrlToken({
+    m: String(modelId),
+    v: variantId ? String(variantId) : null,
+    ref: bindReferrer ? getRequestOrigin(req) : null
+  }, getModelUrlTtl());
+
+  const params = new URLSearchParams();
+  if (variantId) params.set('v', variantId);
+  params.set('t', token);
+
+  return `${getBaseUrl(req)}/api/model/${encodeURIComponent(modelId)}/file?${params}`;
+}
+
+/**
+ * Check a file request against its token: same model and variant, not expired, and
+ * (when bound) from the same origin. A bound link is refused without Origin/Referer,
+ * which is why binding is off by default: native AR viewers send neither.
+ */
+export function verifyModelFileRequest(req, modelId, variantId, token) {
+  const payload = verifyModelUrlToken(token);
+  if (!payload) {
+    return { valid: false, status: 403, error: 'Link expired or invalid' };
+  }
+
+  if (payload.m !== String(modelId) || (payload.v || null) !== (variantId || null)) {
+    return { valid: false, status: 403, error: 'Link expired or invalid' };
+  }
+
+  const requestOrigin = getRequestOrigin(req);
+  if (payload.ref && requestOrigin !== payload.ref) {
+    return { valid: false, status: 403, error: 'Link is not valid on this site' };
+  }
+
+  return { valid: true, expiresAt: payload.exp };
+}
+
+/**
+ * Replace storage URLs in a model (and its variants) with signed URLs.
+ * Admins keep cloudinary_url alongside model_url; everyone else only gets model_url.
+ */
+export function presentModelUrls(req, model) {
+  if (!model) {
+    return model;
+  }
+
+  const showStorage = canSeeStorageUrls(req.session);
+  const present = (record, variantId) => {
+    const { cloudinary_url, cloudinary_public_id, ...rest } = record;
+    return {
+      ...(showStorage ? record : rest),
+      model_url: createSignedModelUrl(req, model.id, variantId)
+    };
+  };
+
+  const presented = present(model, null);
+  if (Array.isArray(model.variants)) {
+    presented.variants = model.variants.map(variant =>
+      variant.id && variant.cloudinary_url ? present(variant, variant.id) : variant
+    );
+  }
+  return presented;
+}
@@ -0,0 +1,74 @@
+/**
+ * Single-use, expiring password reset tokens
+ * Only a SHA-256 hash of each token is stored
+ */
+
+import crypto from 'crypto';
+import { supabase } from './supabase.js';
+
+const RESET_TOKEN_TTL_MS = 60 * 60 * 1000; // 1 hour
+
+/**
+ * Hash a raw reset token for storage and lookup
+ */
+function hashResetToken(rawToken) {
+  return crypto.createHash('sha256').update(rawToken).digest('hex');
+}
+
+/**
+ * Create a reset token for a user, invalidating any earlier unused ones
+ */
+export async function createPasswordResetToken(userId) {
+  const rawToken = crypto.randomBytes(32).toString('base64url');
+  const now = new Date();
+
+  // Only the most recent link should work
+  await supabase
+    .from('password_reset_tokens')
+    .update({ used_at: now.toISOString() })
+    .eq('user_id', String(userId))
+    .is('used_at', null);
+
+  const { error } = await supabase
+    .from('password_reset_tokens')
+    .insert({
+      user_id: String(userId),
+      token_hash: hashResetToken(rawToken),
+      expires_at: new Date(now.getTime() + RESET_TOKEN_TTL_MS).toISOString()
+    });
+
+  if (error) {
+    throw new Error(`Failed to create reset token: ${error.message}`);
+  }
+
+  return rawToken;
+}
+
+/**
+ * Consume a reset token; returns the user id if it was valid, unused and unexpired
+ */
+export async function consumePasswordResetToken(rawToken) {
+  if (!rawToken || typeof rawToken !== 'string') {
+    return { success: false, error: 'Invalid or expired reset link' };
+  }
+
+  // Mark used and read back in one statement so a token can only be redeemed once
+  const { data, error } = await supabase
+    .from('password_reset_tokens')
+    .update({ used_at: new Date().toISOString() })
+    .eq('token_hash', hashResetToken(rawToken))
+    .is('used_at', null)
+    .gt('expires_at', new Date().toISOString())
+    .select('user_id');
+
+  if (error) {
+    console.error('Reset token consume error:', error);
+    return { success: false, error: 'Could not verify reset link' };
+  }
+
+  if (!data || data.length === 0) {
+    return { success: false, error: 'Invalid or expired reset link' };
+  }
+
+  return { success: true, userId: data[0].user_id };
+}
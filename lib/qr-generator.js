@@ -401,6 +401,56 @@ async function generateBatchQR(urls, options = {}) {
   }
 }
 
+/**
+ * Generate a QR code for an authenticator app enrollment URI (otpauth://totp/...)
+ * These never leave the admin/login pages, so the web domain whitelist does not apply.
+ * @param {string} uri - otpauth:// URI to encode
+ * @param {object} options - Generation options (format defaults to dataurl)
+ * @returns {Promise<object>} - Generated QR code
+ */
+async function generateOTPAuthQR(uri, options = {}) {
+  if (typeof uri !== 'string' || !uri.startsWith('otpauth://totp/')) {
+    throw new QRGeneratorError('URI must be an otpauth://totp/ URI', 'INVALID_PROTOCOL');
+  }
+
+  if (uri.length > 2048) {
+    throw new QRGeneratorError('URI is too long (max 2048 characters)', 'URL_TOO_LONG');
+  }
+
+  const optionsValidation = validateOptions({ format: 'dataurl', ...options });
+  if (!optionsValidation.valid) {
+    throw new QRGeneratorError(
+      `Invalid options: ${optionsValidation.errors.join(', ')}`,
+      'INVALID_OPTIONS',
+      { errors: optionsValidation.errors }
+    );
+  }
+
+  const qrOptions = optionsValidation.options;
+
+  try {
+    const qrCode = qrOptions.format === 'svg'
+      ? await QRCode.toString(uri, { ...qrOptions, type: 'svg' })
+      : await QRCode.toDataURL(uri, { ...qrOptions, type: 'image/png' });
+
+    return {
+      success: true,
+      data: {
+        qr_code: qrCode,
+        format: qrOptions.format === 'svg' ? 'svg' : 'dataurl',
+        size: qrOptions.width,
+        generated_at: new Date().toISOString()
+      }
+    };
+  } catch (error) {
+    throw new QRGeneratorError(
+      `QR generation failed: ${error.message}`,
+      'GENERATION_FAILED',
+      { original_error: error.message }
+    );
+  }
+}
+
 /**
  * Get supported formats and their capabilities
  * @returns {object} - Format information
@@ -479,6 +529,7 @@ module.exports = {
   calculateScannableDistance,
   generateQR,
   generateBatchQR,
+  generateOTPAuthQR,
   getSupportedFormats,
   getOptimalSettings,
   DEFAULT_CONFIG,
@@ -18,17 +18,17 @@ cloudinary.config({
 /**
  * Generate and persist QR code with multiple fallback strategies
  * @param {string} url - URL to encode
- * @param {object} options - QR generation options
+ * @param {object} options - QR generation options; force: true skips the cached QR
  * @param {string} modelId - Model ID for storage
  * @param {string} variantId - Optional variant ID
  * @returns {Promise<object>} - QR code URL and metadata
  */
-async function generateAndPersistQR(url, options = {}, modelId, variantId = null) {
+async function generateAndPersistQR(url, { force = false, ...options } = {}, modelId, variantId = null) {
   const startTime = Date.now();
 
   try {
     // Step 1: Check if QR already exists in database
-    const existingQR = await getExistingQR(modelId, variantId);
+    const existingQR = force ? null : await getExistingQR(modelId, variantId);
     if (existingQR && !isQRExpired(existingQR.qr_generated_at)) {
       console.log(`✅ Using cached QR for ${variantId || modelId}`);
       return {
@@ -0,0 +1,318 @@
+/**
+ * Policy-driven rate limiting with pluggable stores
+ * RATE_LIMIT_STORE picks the store: 'postgres' (rate_limit_counters table),
+ * 'redis' (any Redis-compatible REST endpoint) or 'memory' (single process, for
+ * local development and tests). Defaults to postgres in production.
+ *
+ * Limits use a sliding window counter: the previous fixed window is weighted by
+ * how much of it still overlaps the sliding window, so bursts at a window edge
+ * cannot double the limit.
+ */
+
+const isProduction = process.env.NODE_ENV === 'production';
+
+/**
+ * Rate limit policies (internal route names). Every matching policy applies and
+ * the request is refused if any of them is exhausted.
+ *   by: 'ip' | 'user' | 'apiKey' | 'principal' (API key, else user, else IP)
+ */
+export const RATE_LIMIT_POLICIES = [
+  {
+    name: 'auth',
+    routes: ['login', 'login/2fa', 'login/2fa/enroll', 'login/2fa/activate', 'password/forgot', 'password/reset', 'invitations/accept'],
+    by: 'ip',
+    limit: 10,
+    windowMs: 60 * 1000
+  },
+  {
+    // Signed-in routes that check the current password or a second factor, per
+    // account so a stolen session cannot be used to guess them
+    name: 'account-credentials',
+    routes: ['password/change', 'account/2fa/enable', 'account/2fa/disable', 'account/2fa/recovery-codes'],
+    by: 'user',
+    limit: 10,
+    windowMs: 15 * 60 * 1000
+  },
+  {
+    name: 'password-forgot',
+    routes: ['password/forgot'],
+    by: 'ip',
+    limit: 5,
+    windowMs: 60 * 60 * 1000
+  },
+  {
+    name: 'upload',
+    routes: ['upload-simple', 'upload-image', 'cloudinary-save'],
+    by: 'principal',
+    limit: 30,
+    windowMs: 60 * 1000
+  },
+  {
+    name: 'create-user',
+    routes: ['create-user'],
+    by: 'user',
+    limit: 10,
+    windowMs: 60 * 1000
+  },
+  {
+    name: 'qr',
+    routes: ['qr-generate', 'qr-batch'],
+    by: 'principal',
+    limit: 100,
+    windowMs: 60 * 1000
+  },
+  {
+    name: 'qr-batch',
+    routes: ['qr-batch'],
+    by: 'principal',
+    limit: 10,
+    windowMs: 60 * 60 * 1000
+  },
+  {
+    name: 'api-key',
+    appliesTo: session => !!session?.apiKeyId, // every route, per key
+    by: 'apiKey',
+    limit: 600,
+    windowMs: 60 * 1000
+  }
+];
+
+/**
+ * In-memory store - one counter per key and window
+ */
+function createMemoryStore() {
+  const counters = new Map();
+
+  return {
+    async increment(key, bucket, windowMs) {
+      const now = Date.now();
+      const currentKey = `${key}:${bucket}`;
+      const current = (counters.get(currentKey)?.count || 0) + 1;
+      counters.set(currentKey, { count: current, expiresAt: now + windowMs * 2 });
+
+      // Drop expired windows as we go so the map cannot grow without bound
+      if (counters.size > 10000) {
+        for (const [counterKey, counter] of counters) {
+          if (counter.expiresAt < now) counters.delete(counterKey);
+        }
+      }
+
+      return { current, previous: counters.get(`${key}:${bucket - 1}`)?.count || 0 };
+    }
+  };
+}
+
+/**
+ * Postgres store - atomic upsert through the rate_limit_increment() function
+ */
+async function createPostgresStore() {
+  const { supabase } = await import('./supabase.js');
+
+  return {
+    async increment(key, bucket, windowMs) {
+      const { data, error } = await supabase.rpc('rate_limit_increment', {
+        p_key: key,
+        p_bucket: bucket,
+        p_window_ms: windowMs
+      });
+
+      if (error) throw error;
+
+      // Expired rows are cleared by occasional callers rather than a cron job
+      if (Math.random() < 0.01) {
+        supabase.rpc('rate_limit_cleanup').then(({ error: cleanupError }) => {
+          if (cleanupError) console.error('Rate limit cleanup error:', cleanupError);
+        });
+      }
+
+      const row = Array.isArray(data) ? data[0] : data;
+      return { current: row?.current_count || 0, previous: row?.previous_count || 0 };
+    }
+  };
+}
+
+/**
+ * Redis-compatible store over a REST pipeline endpoint (Upstash and compatible services)
+ */
+async function createRedisStore() {
+  const url = process.env.REDIS_REST_URL;
+  const token = process.env.REDIS_REST_TOKEN;
+
+  if (!url || !token) {
+    throw new Error('Missing REDIS_REST_URL or REDIS_REST_TOKEN environment variable');
+  }
+
+  return {
+    async increment(key, bucket, windowMs) {
+      const currentKey = `ratelimit:${key}:${bucket}`;
+      const response = await fetch(`${url.replace(/\/$/, '')}/pipeline`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify([
+          ['INCR', currentKey],
+          ['PEXPIRE', currentKey, String(windowMs * 2)],
+          ['GET', `ratelimit:${key}:${bucket - 1}`]
+        ])
+      });
+
+      if (!response.ok) {
+        throw new Error(`Redis request failed: ${response.status}`);
+      }
+
+      const [incr, , previous] = await response.json();
+      return { current: parseInt(incr.result) || 0, previous: parseInt(previous.result) || 0 };
+    }
+  };
+}
+
+// Registered stores by name
+const STORES = {
+  memory: createMemoryStore,
+  postgres: createPostgresStore,
+  redis: createRedisStore
+};
+
+let activeStore = null;
+const fallbackStore = createMemoryStore();
+
+/**
+ * Register an additional store (factory returns { increment(key, bucket, windowMs) })
+ */
+export function registerRateLimitStore(name, factory) {
+  STORES[name] = factory;
+  activeStore = null;
+}
+
+/**
+ * Get the configured store, creating it on first use
+ */
+async function getStore() {
+  if (!activeStore) {
+    const name = process.env.RATE_LIMIT_STORE || (isProduction ? 'postgres' : 'memory');
+    const factory = STORES[name];
+
+    if (!factory) {
+      throw new Error(`Unknown rate limit store: ${name}`);
+    }
+    activeStore = await factory();
+  }
+  return activeStore;
+}
+
+/**
+ * Identify who a policy counts against, or null if the policy does not apply
+ */
+function resolvePrincipal(policy, { ipHash, session }) {
+  switch (policy.by) {
+    case 'ip':
+      return `ip:${ipHash}`;
+    case 'user':
+      return session?.userId ? `user:${session.userId}` : `ip:${ipHash}`;
+    case 'apiKey':
+      return session?.apiKeyId ? `key:${session.apiKeyId}` : null;
+    case 'principal':
+      if (session?.apiKeyId) return `key:${session.apiKeyId}`;
+      if (session?.userId) return `user:${session.userId}`;
+      return `ip:${ipHash}`;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Apply one policy to a principal using the sliding window counter
+ */
+async function applyPolicy(policy, principal, now) {
+  const bucket = Math.floor(now / policy.windowMs);
+  const elapsed = now - bucket * policy.windowMs;
+  const key = `${policy.name}:${principal}`;
+
+  let counts;
+  try {
+    counts = await (await getStore()).increment(key, bucket, policy.windowMs);
+  } catch (error) {
+    // A store outage should not take the API down with it
+    console.error('Rate limit store error, using in-memory fallback:', error.message);
+    counts = await fallbackStore.increment(key, bucket, policy.windowMs);
+  }
+
+  const previousWeight = (policy.windowMs - elapsed) / policy.windowMs;
+  const used = counts.previous * previousWeight + counts.current;
+  const allowed = used <= policy.limit;
+
+  return {
+    policy: policy.name,
+    allowed,
+    limit: policy.limit,
+    remaining: Math.max(0, Math.floor(policy.limit - used)),
+    resetTime: Math.ceil(((bucket + 1) * policy.windowMs) / 1000),
+    retryAfter: allowed ? 0 : secondsUntilAllowed(policy, counts, elapsed)
+  };
+}
+
+/**
+ * Seconds until the weighted count drops far enough for one more request
+ */
+function secondsUntilAllowed(policy, { current, previous }, elapsed) {
+  const { windowMs, limit } = policy;
+  const target = limit - 1;
+
+  // Still in this window: wait for the previous window's weight to decay
+  if (current <= target && previous > 0) {
+    const waitMs = windowMs * (1 - (target - current) / previous) - elapsed;
+    return Math.max(1, Math.ceil(waitMs / 1000));
+  }
+
+  // Otherwise wait for this window to end and its own weight to decay
+  const waitMs = (windowMs - elapsed) + Math.max(0, windowMs * (1 - target / current));
+  return Math.max(1, Math.ceil(waitMs / 1000));
+}
+
+/**
+ * Check every policy that applies to a request. Returns the tightest result:
+ * { allowed, limit, remaining, resetTime, retryAfter, policy } or null when no policy applies.
+ */
+export async function checkRateLimits(routePath, { ipHash, session }) {
+  const now = Date.now();
+  const applicable = RATE_LIMIT_POLICIES.filter(policy =>
+    policy.routes ? policy.routes.includes(routePath) : policy.appliesTo?.(session)
+  );
+
+  const results = [];
+  for (const policy of applicable) {
+    const principal = resolvePrincipal(policy, { ipHash, session });
+    if (principal) {
+      results.push(await applyPolicy(policy, principal, now));
+    }
+  }
+
+  if (results.length === 0) {
+    return null;
+  }
+
+  // Report the refused policy with the longest wait, else the one closest to its limit
+  const refused = results.filter(result => !result.allowed);
+  if (refused.length > 0) {
+    return refused.reduce((worst, result) => result.retryAfter > worst.retryAfter ? result : worst);
+  }
+  return results.reduce((tightest, result) => result.remaining < tightest.remaining ? result : tightest);
+}
+
+/**
+ * Standard rate limit response headers for a check result
+ */
+export function getRateLimitHeaders(rateLimit) {
+  const headers = {
+    'X-RateLimit-Limit': String(rateLimit.limit),
+    'X-RateLimit-Remaining': String(rateLimit.remaining),
+    'X-RateLimit-Reset': String(rateLimit.resetTime)
+  };
+
+  if (!rateLimit.allowed) {
+    headers['Retry-After'] = String(rateLimit.retryAfter);
+  }
+  return headers;
+}
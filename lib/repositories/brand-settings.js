@@ -0,0 +1,63 @@
+/**
+ * Customer brand settings repository (viewer colours, font, logo, embed origins)
+ */
+
+import { supabase } from '../supabase.js';
+
+/**
+ * @typedef {Object} BrandSettings
+ * @property {number} id
+ * @property {string} customer_id
+ * @property {'ltr'|'rtl'} text_direction
+ * @property {string|null} logo_url
+ * @property {string} primary_color
+ * @property {string} secondary_color
+ * @property {string} font_family
+ * @property {string[]} allowed_embed_origins
+ * @property {string} created_at
+ * @property {string} updated_at
+ */
+
+/**
+ * Brand settings of a customer; data is null when none have been saved
+ */
+export async function getBrandSettings(customerId) {
+  try {
+    const { data, error } = await supabase
+      .from('customer_brand_settings')
+      .select('*')
+      .eq('customer_id', customerId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return { success: true, data };
+  } catch (error) {
+    console.error('Brand settings lookup error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Create or update a customer's brand settings with the given columns
+ */
+export async function saveBrandSettings(customerId, fields) {
+  try {
+    const { data, error } = await supabase
+      .from('customer_brand_settings')
+      .upsert({
+        ...fields,
+        customer_id: customerId,
+        updated_at: new Date().toISOString()
+      }, {
+        onConflict: 'customer_id'
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return { success: true, data };
+  } catch (error) {
+    console.error('Brand settings save error:', error);
+    return { success: false, error: error.message };
+  }
+}
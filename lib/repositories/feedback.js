@@ -0,0 +1,81 @@
+/**
+ * Feedback repository (viewer thumbs up/down and error reports)
+ */
+
+import { supabase } from '../supabase.js';
+
+/**
+ * @typedef {Object} Feedback
+ * @property {string} id
+ * @property {'positive'|'negative'|'error'} feedback_type
+ * @property {string[]} categories
+ * @property {string|null} comment
+ * @property {string} customer_id
+ * @property {string} model_id
+ * @property {string|null} model_name
+ * @property {string|null} user_agent
+ * @property {string} created_at
+ */
+
+/**
+ * Save a feedback entry
+ */
+export async function saveFeedback({ type, categories = [], comment = null, customerId, modelId, modelName = '', userAgent = '' }) {
+  const id = `feedback_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+  try {
+    const { data, error } = await supabase
+      .from('feedback')
+      .insert({
+        id,
+        feedback_type: type,
+        categories: categories || [],
+        comment: comment || null,
+        customer_id: customerId,
+        model_id: modelId,
+        model_name: modelName,
+        user_agent: userAgent
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return { success: true, data };
+  } catch (error) {
+    console.error('Feedback save error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * List feedback, newest first, optionally by customer, model and type
+ */
+export async function listFeedback({ customerId = null, modelId = null, type = null, limit = null } = {}) {
+  try {
+    let query = supabase
+      .from('feedback')
+      .select('*')
+      .order('created_at', { ascending: false });
+
+    if (customerId) {
+      query = query.eq('customer_id', customerId);
+    }
+    if (modelId) {
+      query = query.eq('model_id', modelId);
+    }
+    if (type) {
+      query = query.eq('feedback_type', type);
+    }
+    if (limit) {
+      query = query.limit(limit);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+    return { success: true, data: data || [] };
+  } catch (error) {
+    console.error('Feedback list error:', error);
+    return { success: false, error: error.message };
+  }
+}
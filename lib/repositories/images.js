@@ -0,0 +1,126 @@
+/**
+ * Images repository (customer logos, brand assets and other uploaded images)
+ */
+
+import { supabase } from '../supabase.js';
+
+/**
+ * @typedef {Object} Image
+ * @property {string} id
+ * @property {string} filename
+ * @property {string} cloudinary_url
+ * @property {string} cloudinary_public_id
+ * @property {number|null} file_size
+ * @property {number|null} width
+ * @property {number|null} height
+ * @property {string|null} format
+ * @property {string} image_type - 'general', 'customer_logo', 'brand', ...
+ * @property {string|null} customer_id
+ * @property {Object} metadata
+ * @property {string} created_at
+ * @property {string|null} deleted_at - set while the image is in the trash
+ * @property {string|null} deleted_by
+ */
+
+/**
+ * Save an uploaded image
+ */
+export async function saveImage({
+  filename,
+  cloudinaryUrl,
+  cloudinaryPublicId,
+  fileSize,
+  width,
+  height,
+  format,
+  imageType = 'general',
+  customerId = null,
+  metadata = {}
+}) {
+  const id = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+
+  try {
+    const { data, error } = await supabase
+      .from('images')
+      .insert({
+        id,
+        filename,
+        cloudinary_url: cloudinaryUrl,
+        cloudinary_public_id: cloudinaryPublicId,
+        file_size: fileSize,
+        width,
+        height,
+        format,
+        image_type: imageType,
+        customer_id: customerId,
+        metadata
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return { success: true, data };
+  } catch (error) {
+    console.error('Image save error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * List images, newest first, optionally by type and customer
+ */
+export async function listImages({ imageType = null, customerId = null } = {}) {
+  try {
+    let query = supabase.from('images').select('*').is('deleted_at', null);
+
+    if (imageType) {
+      query = query.eq('image_type', imageType);
+    }
+    if (customerId) {
+      query = query.eq('customer_id', customerId);
+    }
+
+    const { data, error } = await query.order('created_at', { ascending: false });
+
+    if (error) throw error;
+    return { success: true, data: data || [] };
+  } catch (error) {
+    console.error('Image list error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * URL of the most recently uploaded logo or brand image for a customer
+ */
+export async function getLatestCustomerLogoUrl(customerId) {
+  const { data } = await supabase
+    .from('images')
+    .select('cloudinary_url')
+    .eq('customer_id', customerId)
+    .in('image_type', ['customer_logo', 'brand'])
+    .is('deleted_at', null)
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  return data?.cloudinary_url || null;
+}
+
+/**
+ * Permanently delete an image record (the stored file is removed separately)
+ */
+export async function deleteImage(id) {
+  try {
+    const { error } = await supabase
+      .from('images')
+      .delete()
+      .eq('id', id);
+
+    if (error) throw error;
+    return { success: true };
+  } catch (error) {
+    console.error('Image delete error:', error);
+    return { success: false, error: error.message };
+  }
+}
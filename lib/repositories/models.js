@@ -0,0 +1,669 @@
+/**
+ * Models repository
+ */
+
+import { supabase } from '../supabase.js';
+import { generateSlug, generateCustomerSlug, generateCategorySlug } from '../url-slugs.js';
+
+/**
+ * @typedef {Object} Model
+ * @property {string} id
+ * @property {string} title
+ * @property {string|null} description
+ * @property {string} filename
+ * @property {string} cloudinary_url
+ * @property {string} cloudinary_public_id
+ * @property {number} file_size
+ * @property {string} customer_id
+ * @property {string} customer_name
+ * @property {number} view_count
+ * @property {string} dominant_color
+ * @property {string|null} product_url
+ * @property {string|null} url_slug
+ * @property {string|null} category_slug
+ * @property {string|null} customer_slug
+ * @property {string[]} tags
+ * @property {Object} metadata
+ * @property {string} created_at
+ * @property {string} updated_at
+ * @property {string|null} deleted_at - set while the model is in the trash
+ * @property {string|null} deleted_by
+ */
+
+/**
+ * Save model to Supabase
+ */
+export async function saveModel({
+  title,
+  description,
+  filename,
+  cloudinaryUrl,
+  cloudinaryPublicId,
+  fileSize,
+  customerId = 'unassigned',
+  customerName = 'Unassigned',
+  dominantColor = '#6b7280',
+  productUrl = null,
+  metadata = {},
+  dimensions = null
+}) {
+  // Dynamic import for nanoid to avoid ES module issues
+  const { nanoid } = await import('nanoid');
+  const id = nanoid(8);
+
+  // Generate URL slugs
+  const productTitle = title || filename.replace(/\.(glb|gltf)$/i, '');
+  const urlSlug = generateSlug(productTitle);
+  const categorySlug = generateCategorySlug(productTitle);
+  const customerSlug = generateCustomerSlug(customerName);
+
+  try {
+    console.log('🔍 SaveModel params:', { title, description, filename, cloudinaryUrl, cloudinaryPublicId, fileSize, customerId, customerName });
+    console.log('🏷️ Generated slugs:', { urlSlug, categorySlug, customerSlug });
+    
+    const insertData = {
+      id,
+      title: title || filename,
+      description: description || '',
+      filename,
+      cloudinary_url: cloudinaryUrl,
+      cloudinary_public_id: cloudinaryPublicId,
+      file_size: fileSize,
+      customer_id: customerId,
+      customer_name: customerName,
+      dominant_color: dominantColor,
+      product_url: productUrl,
+      metadata: metadata || {},
+      // New URL slug columns
+      url_slug: urlSlug,
+      category_slug: categorySlug,
+      customer_slug: customerSlug
+    };
+    
+    // Add dimensions if provided
+    if (dimensions) {
+      insertData.width_meters = dimensions.width;
+      insertData.height_meters = dimensions.height; 
+      insertData.depth_meters = dimensions.depth;
+      insertData.dimension_unit = dimensions.unit || 'cm';
+      insertData.dimension_notes = dimensions.notes || null;
+      console.log('📏 Adding dimensions to insert data:', {
+        width: dimensions.width,
+        height: dimensions.height,
+        depth: dimensions.depth,
+        unit: dimensions.unit
+      });
+    }
+    
+    console.log('🔍 Insert data:', insertData);
+    
+    const { data, error } = await supabase
+      .from('models')
+      .insert([insertData])
+      .select();
+
+    if (error) {
+      console.error('❌ Supabase insert error:', error);
+      console.error('❌ Error code:', error.code);
+      console.error('❌ Error message:', error.message);
+      console.error('❌ Error details:', JSON.stringify(error, null, 2));
+      throw error;
+    }
+
+    console.log('✅ SaveModel successful, inserted:', data[0]);
+
+    // TODO: Re-enable QR generation once module issues are resolved
+    // Generate and persist QR code asynchronously (don't block the upload)
+    // setTimeout(async () => {
+    //   try {
+    //     const qr = await getQRPersistence();
+    //     const modelUrl = `https://newfurniture.live/view?id=${id}`;
+    //     const qrResult = await qr.generateAndPersistQR(modelUrl, {}, id);
+    //     console.log(`✅ QR generated for model ${id}:`, qrResult.qr_code_url);
+    //   } catch (qrError) {
+    //     console.error(`❌ QR generation failed for model ${id}:`, qrError);
+    //     // Don't fail the upload if QR fails - it can be regenerated later
+    //   }
+    // }, 100);
+
+    return { id, success: true };
+  } catch (error) {
+    console.error('💥 SaveModel exception:', error);
+    console.error('💥 Error name:', error.name);
+    console.error('💥 Error message:', error.message);
+    console.error('💥 Error stack:', error.stack);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Get model by ID; trashed models only with includeDeleted
+ */
+export async function getModel(id, { includeDeleted = false } = {}) {
+  try {
+    let query = supabase
+      .from('models')
+      .select('*')
+      .eq('id', id);
+
+    if (!includeDeleted) {
+      query = query.is('deleted_at', null);
+    }
+
+    const { data, error } = await query.single();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error('Supabase get error:', error);
+    return null;
+  }
+}
+
+/**
+ * Get several models by ID in one query; trashed models only with includeDeleted.
+ * IDs without a model are left out.
+ */
+export async function getModelsByIds(ids, { includeDeleted = false } = {}) {
+  try {
+    let query = supabase
+      .from('models')
+      .select('*')
+      .in('id', ids);
+
+    if (!includeDeleted) {
+      query = query.is('deleted_at', null);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+    return { success: true, data };
+  } catch (error) {
+    console.error('Supabase get models error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Record a view and increment the model's view count in one atomic database call.
+ * The visitor is recorded only as a daily-salted IP hash; a repeat view from the same
+ * visitor within dedupSeconds is not counted. Fails for a missing or trashed model.
+ */
+export async function incrementViewCount(modelId, variantId = null, { ipHash = null, userAgent = null, referrer = null, source = null, dedupSeconds = 0 } = {}) {
+  try {
+    const { data, error } = await supabase.rpc('record_model_view', {
+      p_model_id: modelId,
+      p_variant_id: variantId,
+      p_ip_hash: ipHash,
+      p_user_agent: userAgent,
+      p_referrer: referrer,
+      p_source: source,
+      p_dedup_seconds: dedupSeconds
+    });
+
+    if (error) throw error;
+
+    const result = Array.isArray(data) ? data[0] : data;
+    if (!result) {
+      return { success: false };
+    }
+
+    return { success: true, counted: result.counted, viewCount: result.total_views };
+  } catch (error) {
+    console.error('Supabase increment error:', error);
+    return { success: false };
+  }
+}
+
+/**
+ * Get all customers with model counts (UNIVERSAL - includes both models table and users table)
+ */
+export async function getCustomers() {
+  try {
+    // Get customers from models table (customers with furniture)
+    const { data: modelsData, error: modelsError } = await supabase
+      .from('models')
+      .select('customer_id, customer_name')
+      .is('deleted_at', null)
+      .order('customer_name');
+
+    if (modelsError) throw modelsError;
+
+    // Get customers from users table (all customer users, even without furniture)
+    const { data: usersData, error: usersError } = await supabase
+      .from('users')
+      .select('customer_id, customer_name')
+      .eq('role', 'customer')
+      .not('customer_id', 'is', null)
+      .order('customer_name');
+
+    // Don't throw error if users table doesn't exist - just continue with models data
+    const allUsersData = usersError ? [] : (usersData || []);
+
+    // Group by customer and count models
+    const customerMap = new Map();
+    
+    // First, add all customers from users table (ensures even customers with no furniture appear)
+    allUsersData.forEach(user => {
+      if (user.customer_id && user.customer_name) {
+        customerMap.set(user.customer_id, {
+          id: user.customer_id,
+          name: user.customer_name,
+          count: 0
+        });
+      }
+    });
+    
+    // Then, add/update customers from models and count their furniture
+    modelsData.forEach(model => {
+      const key = model.customer_id;
+      if (!customerMap.has(key)) {
+        customerMap.set(key, {
+          id: model.customer_id,
+          name: model.customer_name,
+          count: 0
+        });
+      }
+      customerMap.get(key).count++;
+    });
+
+    console.log(`🔄 Universal customers loaded: ${customerMap.size} total (${allUsersData.length} from users, models from ${modelsData.length} furniture)`);
+    return Array.from(customerMap.values()).sort((a, b) => a.name.localeCompare(b.name));
+  } catch (error) {
+    console.error('Supabase customers error:', error);
+    return [{ id: 'unassigned', name: 'Unassigned', count: 0 }];
+  }
+}
+
+/**
+ * Permanently delete a model row (deleting from the UI moves it to the trash instead)
+ */
+export async function deleteModel(id) {
+  try {
+    const { error } = await supabase
+      .from('models')
+      .delete()
+      .eq('id', id);
+
+    if (error) throw error;
+    return { success: true };
+  } catch (error) {
+    console.error('Supabase delete error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Totals over live models, for everyone or one customer (aggregated in the database)
+ */
+export async function getStats(customerId = null) {
+  try {
+    const { data, error } = await supabase.rpc('model_stats', { p_customer_id: customerId });
+
+    if (error) throw error;
+
+    const row = (Array.isArray(data) ? data[0] : data) || {};
+    return {
+      totalModels: Number(row.total_models) || 0,
+      totalViews: Number(row.total_views) || 0,
+      totalSize: Number(row.total_size) || 0,
+      withVariants: Number(row.with_variants) || 0,
+      missingProductUrl: Number(row.missing_product_url) || 0
+    };
+  } catch (error) {
+    console.error('Supabase stats error:', error);
+    return { totalModels: 0, totalViews: 0, totalSize: 0, withVariants: 0, missingProductUrl: 0 };
+  }
+}
+
+/**
+ * Live model counts per category, largest first
+ */
+export async function getCategoryCounts(customerId = null) {
+  try {
+    const { data, error } = await supabase.rpc('model_category_counts', { p_customer_id: customerId });
+
+    if (error) throw error;
+    return (data || []).map(row => ({ slug: row.category_slug, count: Number(row.count) }));
+  } catch (error) {
+    console.error('Supabase category counts error:', error);
+    return [];
+  }
+}
+
+/**
+ * Update columns of a model
+ */
+export async function updateModel(id, fields) {
+  try {
+    const { data, error } = await supabase
+      .from('models')
+      .update({ ...fields, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .select();
+
+    if (error) throw error;
+    if (!data || data.length === 0) {
+      return { success: false, error: 'Model not found' };
+    }
+    return { success: true, data: data[0] };
+  } catch (error) {
+    console.error('Supabase update model error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Reset view counts to 0 for every model, or one customer's models, and clear the
+ * matching detailed view records
+ */
+export async function resetViewCounts(customerId = null) {
+  try {
+    let reset = supabase.from('models').update({ view_count: 0 });
+    reset = customerId
+      ? reset.eq('customer_id', customerId)
+      : reset.not('id', 'is', null); // updates need a filter; this one matches every row
+
+    const { error } = await reset;
+    if (error) throw error;
+
+    let viewsCleared = 0;
+    try {
+      let clear = supabase.from('model_views').delete({ count: 'exact' });
+      if (customerId) {
+        const { data: customerModels } = await supabase
+          .from('models')
+          .select('id')
+          .eq('customer_id', customerId);
+        clear = (customerModels || []).length > 0
+          ? clear.in('model_id', customerModels.map(m => m.id))
+          : null;
+      } else {
+        clear = clear.neq('id', 0);
+      }
+
+      if (clear) {
+        const { error: viewsError, count } = await clear;
+        if (!viewsError) viewsCleared = count || 0;
+      }
+    } catch (viewsError) {
+      console.log('📝 model_views table not found (this is okay for first setup)');
+    }
+
+    return { success: true, viewsCleared };
+  } catch (error) {
+    console.error('Supabase reset view counts error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Update model customer assignment. Customer logins are created through invitations.
+ */
+export async function updateModelCustomer(modelId, customerId, customerName) {
+  try {
+    const { data, error } = await supabase
+      .from('models')
+      .update({ 
+        customer_id: customerId, 
+        customer_name: customerName 
+      })
+      .eq('id', modelId)
+      .select();
+
+    if (error) throw error;
+    return { success: true, data: data[0] };
+  } catch (error) {
+    console.error('Supabase update customer error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Attach each model's live variants, primary first
+ */
+async function attachVariants(models) {
+  if (models.length === 0) return [];
+
+  const { data: variants, error } = await supabase
+    .from('model_variants')
+    .select('*')
+    .in('parent_model_id', models.map(m => m.id))
+    .is('deleted_at', null)
+    .order('is_primary', { ascending: false });
+
+  if (error) throw error;
+
+  // Group variants by model
+  const variantsByModel = variants.reduce((acc, variant) => {
+    if (!acc[variant.parent_model_id]) {
+      acc[variant.parent_model_id] = [];
+    }
+    acc[variant.parent_model_id].push(variant);
+    return acc;
+  }, {});
+
+  return models.map(model => ({
+    ...model,
+    variants: variantsByModel[model.id] || []
+  }));
+}
+
+/**
+ * Live models matching a search (a tsquery built by lib/search-text.js), best match first,
+ * with their variants and search_rank
+ */
+export async function searchModels(tsquery, { customerId = null, limit = 20 } = {}) {
+  try {
+    const { data: matches, error } = await supabase.rpc('search_models', {
+      p_query: tsquery,
+      p_customer_id: customerId,
+      p_limit: limit
+    });
+
+    if (error) throw error;
+    if (!matches || matches.length === 0) {
+      return { success: true, data: [] };
+    }
+
+    const { data: models, error: modelsError } = await supabase
+      .from('models')
+      .select('*')
+      .in('id', matches.map(match => match.id));
+
+    if (modelsError) throw modelsError;
+
+    // Keep the ranking order
+    const modelsById = new Map(models.map(model => [model.id, model]));
+    const ranked = matches
+      .filter(match => modelsById.has(match.id))
+      .map(match => ({ ...modelsById.get(match.id), search_rank: match.rank }));
+
+    return { success: true, data: await attachVariants(ranked) };
+  } catch (error) {
+    console.error('Supabase search models error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Listing sorts: query value to column
+export const MODEL_SORTS = {
+  uploaded: 'upload_date',
+  views: 'view_count',
+  size: 'file_size',
+  title: 'title'
+};
+
+/**
+ * Quote a value for an or() filter so commas, dots and parentheses stay inside it
+ */
+function quoteFilterValue(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * One page of live models with their variants, ordered by the sort column then id;
+ * models without a value for the sort column come last in either direction.
+ * after ({ value, id }) is the last model of the previous page; hasMore tells whether
+ * another page follows.
+ */
+export async function listModels({
+  customerId = null,
+  category = null,
+  uploadedFrom,
+  uploadedTo,
+  hasVariants,
+  missingProductUrl = false,
+  sort = 'uploaded',
+  ascending = false,
+  after = null,
+  limit = 50
+} = {}) {
+  try {
+    const column = MODEL_SORTS[sort];
+    let query = supabase
+      .from('models')
+      .select('*')
+      .is('deleted_at', null);
+
+    if (customerId) query = query.eq('customer_id', customerId);
+    if (category) query = query.eq('category_slug', category);
+    if (uploadedFrom) query = query.gte('upload_date', uploadedFrom);
+    if (uploadedTo) query = query.lte('upload_date', uploadedTo);
+    if (hasVariants === true) query = query.gt('variant_count', 0);
+    if (hasVariants === false) query = query.eq('variant_count', 0);
+    if (missingProductUrl) query = query.is('product_url', null);
+
+    if (after) {
+      const op = ascending ? 'gt' : 'lt';
+      if (after.value === null) {
+        // Already among the models without a value, which only continue by id
+        query = query.is(column, null)[op]('id', after.id);
+      } else {
+        const value = quoteFilterValue(after.value);
+        const id = quoteFilterValue(after.id);
+        query = query.or(`${column}.${op}.${value},and(${column}.eq.${value},id.${op}.${id}),${column}.is.null`);
+      }
+    }
+
+    const { data: models, error } = await query
+      .order(column, { ascending, nullsFirst: false })
+      .order('id', { ascending })
+      .limit(limit + 1);
+
+    if (error) throw error;
+
+    const page = models.slice(0, limit);
+    return { success: true, data: await attachVariants(page), hasMore: models.length > limit };
+  } catch (error) {
+    console.error('Supabase list models error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Generate URL slugs for existing models that don't have them
+ */
+export async function migrateModelSlugs() {
+  try {
+    console.log('🔄 Starting URL slug migration for existing models...');
+
+    // Get all models that don't have URL slugs
+    const { data: modelsToUpdate, error: fetchError } = await supabase
+      .from('models')
+      .select('id, title, filename, customer_name')
+      .or('url_slug.is.null,category_slug.is.null,customer_slug.is.null');
+
+    if (fetchError) {
+      console.error('❌ Error fetching models for migration:', fetchError);
+      return { success: false, error: fetchError.message };
+    }
+
+    if (!modelsToUpdate || modelsToUpdate.length === 0) {
+      console.log('✅ No models need slug migration');
+      return { success: true, updated: 0 };
+    }
+
+    console.log(`📝 Found ${modelsToUpdate.length} models to update`);
+    let updatedCount = 0;
+
+    // Update each model with generated slugs
+    for (const model of modelsToUpdate) {
+      try {
+        const productTitle = model.title || model.filename.replace(/\.(glb|gltf)$/i, '');
+        const urlSlug = generateSlug(productTitle);
+        const categorySlug = generateCategorySlug(productTitle);
+        const customerSlug = generateCustomerSlug(model.customer_name);
+
+        const { error: updateError } = await supabase
+          .from('models')
+          .update({
+            url_slug: urlSlug,
+            category_slug: categorySlug,
+            customer_slug: customerSlug
+          })
+          .eq('id', model.id);
+
+        if (updateError) {
+          console.error(`❌ Error updating model ${model.id}:`, updateError);
+        } else {
+          console.log(`✅ Updated slugs for model ${model.id}: ${urlSlug}`);
+          updatedCount++;
+        }
+      } catch (error) {
+        console.error(`❌ Error processing model ${model.id}:`, error);
+      }
+    }
+
+    console.log(`🎉 Migration complete! Updated ${updatedCount} models`);
+    return { success: true, updated: updatedCount };
+
+  } catch (error) {
+    console.error('❌ Migration error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Resolve an SEO URL (/f/{customer}/{product-slug}-{id}) to its model.
+ * Trashed models resolve too, so callers can tell "gone" from "never existed".
+ */
+export async function resolveUrlToModel(customerSlug, productSlugWithId, variantSlug = null) {
+  try {
+    // Extract ID from product slug (format: "product-slug-ID")
+    const match = productSlugWithId.match(/^(.+)-([a-zA-Z0-9_-]{8})$/);
+    if (!match) {
+      return { success: false, error: 'Invalid product URL format' };
+    }
+
+    const [, expectedSlug, modelId] = match;
+
+    // Get model by ID
+    const { data: model, error } = await supabase
+      .from('models')
+      .select('*')
+      .eq('id', modelId)
+      .single();
+
+    if (error || !model) {
+      return { success: false, error: 'Model not found' };
+    }
+
+    // Verify slugs match (for SEO consistency)
+    if (model.customer_slug !== customerSlug || model.url_slug !== expectedSlug) {
+      console.warn('⚠️ URL slug mismatch, but ID is valid. Allowing access.');
+      // We could redirect to correct URL here in the future
+    }
+
+    return {
+      success: true,
+      model,
+      variantSlug
+    };
+
+  } catch (error) {
+    console.error('URL resolution error:', error);
+    return { success: false, error: error.message };
+  }
+}
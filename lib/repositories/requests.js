@@ -0,0 +1,142 @@
+/**
+ * Customer requests repository (retailers asking for a product to be modelled)
+ */
+
+import { supabase } from '../supabase.js';
+
+/**
+ * @typedef {Object} CustomerRequest
+ * @property {string} id
+ * @property {string} customer_id
+ * @property {string} product_url
+ * @property {string|null} title
+ * @property {string|null} description
+ * @property {string[]} reference_images
+ * @property {'pending'|'in_progress'|'completed'|'cancelled'} status
+ * @property {'low'|'normal'|'high'} priority
+ * @property {string|null} estimated_completion
+ * @property {string|null} notes - from the customer
+ * @property {string|null} admin_notes
+ * @property {string|null} model_id - the delivered model
+ * @property {Object} metadata
+ * @property {string} created_at
+ * @property {string} updated_at
+ */
+
+/**
+ * List requests, newest first. With includeModel each request carries the title of
+ * the model delivered for it.
+ */
+export async function listRequests({ customerId = null, includeModel = false } = {}) {
+  try {
+    let query = supabase
+      .from('customer_requests')
+      .select(includeModel ? '*, models!customer_requests_model_id_fkey(title, id)' : '*')
+      .order('created_at', { ascending: false });
+
+    if (customerId) {
+      query = query.eq('customer_id', customerId);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+    return { success: true, data: data || [] };
+  } catch (error) {
+    console.error('Request list error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Get a request by ID
+ * @returns {Promise<CustomerRequest|null>}
+ */
+export async function getRequest(id) {
+  const { data, error } = await supabase
+    .from('customer_requests')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Request lookup error:', error);
+    return null;
+  }
+  return data;
+}
+
+/**
+ * Create a pending request
+ */
+export async function createRequest({ customerId, productUrl, title, description, notes, referenceImages = [], userAgent = null }) {
+  const id = `req-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`;
+
+  try {
+    const { data, error } = await supabase
+      .from('customer_requests')
+      .insert({
+        id,
+        customer_id: customerId,
+        product_url: productUrl,
+        title: title || 'Custom Furniture Request',
+        description: description || '',
+        notes: notes || '',
+        reference_images: referenceImages || [],
+        status: 'pending',
+        priority: 'normal',
+        metadata: {
+          submitted_at: new Date().toISOString(),
+          user_agent: userAgent
+        }
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return { success: true, data };
+  } catch (error) {
+    console.error('Request create error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Update columns of a request
+ */
+export async function updateRequest(id, fields) {
+  try {
+    const { data, error } = await supabase
+      .from('customer_requests')
+      .update({ ...fields, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return { success: true, data };
+  } catch (error) {
+    console.error('Request update error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Delete a request, returning the deleted row
+ */
+export async function deleteRequest(id) {
+  try {
+    const { data, error } = await supabase
+      .from('customer_requests')
+      .delete()
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return { success: true, data };
+  } catch (error) {
+    console.error('Request delete error:', error);
+    return { success: false, error: error.message };
+  }
+}
@@ -0,0 +1,102 @@
+/**
+ * Trash repository: soft-deleted models, variants and images
+ * Trashed rows keep their data and stored file; the other repositories skip them.
+ */
+
+import { supabase } from '../supabase.js';
+
+// Item type to table
+const TRASH_TABLES = {
+  model: 'models',
+  variant: 'model_variants',
+  image: 'images'
+};
+
+export const TRASH_TYPES = Object.keys(TRASH_TABLES);
+
+/**
+ * Move a live item to the trash
+ */
+export async function moveToTrash(type, id, deletedBy = null) {
+  try {
+    const { data, error } = await supabase
+      .from(TRASH_TABLES[type])
+      .update({ deleted_at: new Date().toISOString(), deleted_by: deletedBy })
+      .eq('id', id)
+      .is('deleted_at', null)
+      .select();
+
+    if (error) throw error;
+    if (!data || data.length === 0) {
+      return { success: false, status: 404, error: 'Item not found' };
+    }
+    return { success: true, data: data[0] };
+  } catch (error) {
+    console.error('Move to trash error:', error);
+    return { success: false, status: 500, error: error.message };
+  }
+}
+
+/**
+ * Take an item out of the trash
+ */
+export async function restoreFromTrash(type, id) {
+  try {
+    const { data, error } = await supabase
+      .from(TRASH_TABLES[type])
+      .update({ deleted_at: null, deleted_by: null })
+      .eq('id', id)
+      .not('deleted_at', 'is', null)
+      .select();
+
+    if (error) throw error;
+    if (!data || data.length === 0) {
+      return { success: false, status: 404, error: 'Item not found in trash' };
+    }
+    return { success: true, data: data[0] };
+  } catch (error) {
+    console.error('Restore from trash error:', error);
+    return { success: false, status: 500, error: error.message };
+  }
+}
+
+/**
+ * List trashed items of a type, most recently deleted first.
+ * customerId limits to one customer (variants through their parent model);
+ * deletedBefore (ISO timestamp) limits to items trashed before then.
+ */
+export async function listTrashed(type, { customerId = null, deletedBefore = null } = {}) {
+  try {
+    let query = supabase
+      .from(TRASH_TABLES[type])
+      .select('*')
+      .not('deleted_at', 'is', null);
+
+    if (deletedBefore) {
+      query = query.lt('deleted_at', deletedBefore);
+    }
+
+    if (customerId && type === 'variant') {
+      const { data: models, error: modelsError } = await supabase
+        .from('models')
+        .select('id')
+        .eq('customer_id', customerId);
+
+      if (modelsError) throw modelsError;
+      if (!models || models.length === 0) {
+        return { success: true, data: [] };
+      }
+      query = query.in('parent_model_id', models.map(model => model.id));
+    } else if (customerId) {
+      query = query.eq('customer_id', customerId);
+    }
+
+    const { data, error } = await query.order('deleted_at', { ascending: false });
+
+    if (error) throw error;
+    return { success: true, data: data || [] };
+  } catch (error) {
+    console.error('Trash list error:', error);
+    return { success: false, error: error.message };
+  }
+}
@@ -0,0 +1,187 @@
+/**
+ * Users repository
+ * Lookups return the full row (including credential columns) or null; handlers must
+ * pick the fields they send back. Writes return { success, data, error }.
+ */
+
+import { supabase } from '../supabase.js';
+
+/**
+ * @typedef {Object} User
+ * @property {string} id
+ * @property {string} username
+ * @property {string} password_hash - bcrypt
+ * @property {'admin'|'customer'} role
+ * @property {string|null} customer_id
+ * @property {string|null} customer_name
+ * @property {string|null} email
+ * @property {boolean} is_active
+ * @property {number} failed_login_attempts
+ * @property {string|null} locked_until
+ * @property {boolean} totp_enabled
+ * @property {string} created_at
+ */
+
+// Columns for admin user listings (never credentials or 2FA secrets)
+const LIST_COLUMNS = 'id, username, role, customer_id, customer_name, email, is_active, created_at, failed_login_attempts, locked_until';
+
+/**
+ * Find one user matching the given column filters
+ */
+async function findUser(filters) {
+  let query = supabase.from('users').select('*');
+  for (const [column, value] of Object.entries(filters)) {
+    query = query.eq(column, value);
+  }
+
+  const { data, error } = await query.maybeSingle();
+  if (error) {
+    console.error('User lookup error:', error);
+    return null;
+  }
+  return data;
+}
+
+/**
+ * Get a user by ID, active or not
+ * @returns {Promise<User|null>}
+ */
+export async function getUserById(id) {
+  return findUser({ id });
+}
+
+/**
+ * Get an active user by ID
+ * @returns {Promise<User|null>}
+ */
+export async function getActiveUserById(id) {
+  return findUser({ id, is_active: true });
+}
+
+/**
+ * Get a user by username, active or not
+ * @returns {Promise<User|null>}
+ */
+export async function getUserByUsername(username) {
+  return findUser({ username });
+}
+
+/**
+ * Get an active user by username
+ * @returns {Promise<User|null>}
+ */
+export async function getActiveUserByUsername(username) {
+  return findUser({ username, is_active: true });
+}
+
+/**
+ * Get an active user by (lower-cased) email address
+ * @returns {Promise<User|null>}
+ */
+export async function getActiveUserByEmail(email) {
+  return findUser({ email, is_active: true });
+}
+
+/**
+ * List users, newest first, with the total views of each customer's models
+ */
+export async function listUsersWithViewCounts() {
+  try {
+    const { data: users, error: usersError } = await supabase
+      .from('users')
+      .select(LIST_COLUMNS)
+      .order('created_at', { ascending: false });
+
+    if (usersError) throw usersError;
+
+    const { data: models, error: modelsError } = await supabase
+      .from('models')
+      .select('customer_id, view_count');
+
+    if (modelsError) throw modelsError;
+
+    const viewCounts = {};
+    models.forEach(model => {
+      if (model.customer_id) {
+        viewCounts[model.customer_id] = (viewCounts[model.customer_id] || 0) + (model.view_count || 0);
+      }
+    });
+
+    return {
+      success: true,
+      data: users.map(user => ({
+        ...user,
+        total_views: user.role === 'customer' ? (viewCounts[user.customer_id] || 0) : 0
+      }))
+    };
+  } catch (error) {
+    console.error('User list error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Create a user. IDs are short numeric strings, as for every existing user.
+ */
+export async function createUser({ id = Date.now().toString().slice(-8), username, passwordHash, role, customerId = null, customerName = null, email = null }) {
+  try {
+    const { data, error } = await supabase
+      .from('users')
+      .insert({
+        id,
+        username,
+        password_hash: passwordHash,
+        role,
+        customer_id: customerId || null,
+        customer_name: customerName || null,
+        email: email ? email.trim().toLowerCase() : null,
+        is_active: true
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return { success: true, data };
+  } catch (error) {
+    console.error('User create error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Update columns of a user
+ */
+export async function updateUser(id, fields) {
+  try {
+    const { data, error } = await supabase
+      .from('users')
+      .update(fields)
+      .eq('id', id)
+      .select();
+
+    if (error) throw error;
+    if (!data || data.length === 0) {
+      return { success: false, status: 404, error: 'User not found' };
+    }
+    return { success: true, data: data[0] };
+  } catch (error) {
+    console.error('User update error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Flip a user's active flag. Admin accounts cannot be deactivated.
+ */
+export async function toggleUserActive(id) {
+  const user = await getUserById(id);
+
+  if (!user) {
+    return { success: false, status: 404, error: 'User not found' };
+  }
+  if (user.username === 'admin' || user.role === 'admin') {
+    return { success: false, status: 403, error: 'Cannot deactivate admin user' };
+  }
+
+  return updateUser(id, { is_active: !user.is_active });
+}
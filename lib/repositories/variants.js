@@ -0,0 +1,231 @@
+/**
+ * Model variants repository
+ */
+
+import { supabase } from '../supabase.js';
+
+/**
+ * @typedef {Object} ModelVariant
+ * @property {string} id
+ * @property {string} parent_model_id
+ * @property {string} variant_name
+ * @property {string} hex_color
+ * @property {string} cloudinary_url
+ * @property {string} cloudinary_public_id
+ * @property {number} file_size
+ * @property {boolean} is_primary
+ * @property {'upload'|'color'} variant_type
+ * @property {string|null} product_url
+ * @property {Object} metadata
+ * @property {string} created_at
+ * @property {string} updated_at
+ * @property {string|null} deleted_at - set while the variant is in the trash
+ * @property {string|null} deleted_by
+ */
+
+/**
+ * Save model variant to Supabase
+ */
+export async function saveModelVariant({
+  parentModelId,
+  variantName,
+  hexColor,
+  cloudinaryUrl,
+  cloudinaryPublicId,
+  fileSize,
+  isPrimary = false,
+  variantType = 'upload',
+  productUrl = null
+}) {
+  const { nanoid } = await import('nanoid');
+  const id = nanoid(8);
+  
+  try {
+    console.log('🎨 Attempting to save variant:', { 
+      id, 
+      parentModelId, 
+      variantName, 
+      hexColor, 
+      variantType 
+    });
+    
+    const { data, error } = await supabase
+      .from('model_variants')
+      .insert([
+        {
+          id,
+          parent_model_id: parentModelId,
+          variant_name: variantName,
+          hex_color: hexColor,
+          cloudinary_url: cloudinaryUrl,
+          cloudinary_public_id: cloudinaryPublicId,
+          file_size: fileSize,
+          is_primary: isPrimary,
+          variant_type: variantType,
+          product_url: productUrl
+        }
+      ])
+      .select();
+
+    if (error) {
+      console.error('❌ Variant save error details:', {
+        code: error.code,
+        message: error.message,
+        details: error.details,
+        hint: error.hint
+      });
+      
+      // Check if it's a table missing error
+      if (error.code === '42P01') {
+        throw new Error('model_variants table does not exist. Please create it first.');
+      }
+      
+      throw error;
+    }
+
+    console.log('✅ Variant saved successfully:', data[0]);
+
+    // TODO: Re-enable QR generation once module issues are resolved
+    // Generate and persist QR code asynchronously (don't block the upload)
+    // setTimeout(async () => {
+    //   try {
+    //     const qr = await getQRPersistence();
+    //     const variantUrl = `https://newfurniture.live/view?id=${parentModelId}&variant=${id}`;
+    //     const qrResult = await qr.generateAndPersistQR(variantUrl, {}, parentModelId, id);
+    //     console.log(`✅ QR generated for variant ${id}:`, qrResult.qr_code_url);
+    //   } catch (qrError) {
+    //     console.error(`❌ QR generation failed for variant ${id}:`, qrError);
+    //     // Don't fail the upload if QR fails - it can be regenerated later
+    //   }
+    // }, 100);
+
+    return { id, success: true, data: data[0] };
+  } catch (error) {
+    console.error('💥 Supabase save variant error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Get a variant by ID; trashed variants only with includeDeleted
+ * @returns {Promise<ModelVariant|null>}
+ */
+export async function getVariant(variantId, { includeDeleted = false } = {}) {
+  let query = supabase
+    .from('model_variants')
+    .select('*')
+    .eq('id', variantId);
+
+  if (!includeDeleted) {
+    query = query.is('deleted_at', null);
+  }
+
+  const { data, error } = await query.maybeSingle();
+
+  if (error) {
+    console.error('Supabase get variant error:', error);
+    return null;
+  }
+  return data;
+}
+
+/**
+ * Number of variants across all models
+ */
+export async function countVariants() {
+  const { count, error } = await supabase
+    .from('model_variants')
+    .select('id', { count: 'exact', head: true })
+    .is('deleted_at', null);
+
+  if (error) {
+    console.error('Supabase count variants error:', error);
+    return 0;
+  }
+  return count || 0;
+}
+
+/**
+ * Get all variants for a model; trashed variants only with includeDeleted
+ */
+export async function getModelVariants(modelId, { includeDeleted = false } = {}) {
+  try {
+    let query = supabase
+      .from('model_variants')
+      .select('*')
+      .eq('parent_model_id', modelId);
+
+    if (!includeDeleted) {
+      query = query.is('deleted_at', null);
+    }
+
+    const { data, error } = await query
+      .order('is_primary', { ascending: false })
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error('Supabase get variants error:', error);
+    return [];
+  }
+}
+
+/**
+ * Update columns of a variant
+ */
+export async function updateVariant(variantId, fields) {
+  try {
+    const { data, error } = await supabase
+      .from('model_variants')
+      .update({ ...fields, updated_at: new Date().toISOString() })
+      .eq('id', variantId)
+      .select();
+
+    if (error) throw error;
+    if (!data || data.length === 0) {
+      return { success: false, error: 'Variant not found' };
+    }
+    return { success: true, data: data[0] };
+  } catch (error) {
+    console.error('Supabase update variant error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Delete every variant of a type, returning the deleted rows
+ */
+export async function deleteVariantsByType(variantType) {
+  try {
+    const { data, error } = await supabase
+      .from('model_variants')
+      .delete()
+      .eq('variant_type', variantType)
+      .select();
+
+    if (error) throw error;
+    return { success: true, data: data || [] };
+  } catch (error) {
+    console.error('Supabase delete variants error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Permanently delete a variant row (deleting from the UI moves it to the trash instead)
+ */
+export async function deleteModelVariant(variantId) {
+  try {
+    const { error } = await supabase
+      .from('model_variants')
+      .delete()
+      .eq('id', variantId);
+
+    if (error) throw error;
+    return { success: true };
+  } catch (error) {
+    console.error('Supabase delete variant error:', error);
+    return { success: false, error: error.message };
+  }
+}
@@ -0,0 +1,361 @@
+/**
+ * Request schemas for the API route table (see validation.js for the rule format)
+ * Handlers receive the validated, coerced values; checks that depend on stored data,
+ * such as ownership or an invitation's role, stay in the handlers.
+ */
+
+import { API_KEY_SCOPES } from './api-keys.js';
+import { INVITE_ROLES } from './invitations.js';
+import { BULK_ACTION_NAMES, MAX_BULK_ITEMS } from './bulk-operations.js';
+import { MODEL_SORTS } from './repositories/models.js';
+import { TRASH_TYPES } from './repositories/trash.js';
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// Most URLs accepted by one /api/qr-batch request
+export const MAX_QR_BATCH = 50;
+
+// Longest accepted catalog search query
+const MAX_SEARCH_QUERY_LENGTH = 200;
+
+const REQUEST_STATUSES = ['pending', 'in_progress', 'completed', 'cancelled'];
+const DIMENSION_UNITS = ['cm', 'm', 'in', 'ft'];
+const QR_USE_CASES = ['web', 'print', 'mobile', 'embed'];
+
+const password = { type: 'string', required: true, maxLength: 200 };
+const newPassword = { type: 'string', required: true, minLength: MIN_PASSWORD_LENGTH, maxLength: 200 };
+const customerFilter = { type: 'string', description: 'Customer ID (admins; customers always get their own)' };
+
+// Filters and paging shared by every models listing (see model-listing.js)
+const modelListQuery = {
+  category: { type: 'string' },
+  uploadedFrom: { type: 'string', format: 'date-time' },
+  uploadedTo: { type: 'string', format: 'date-time' },
+  hasVariants: { type: 'boolean' },
+  missingProductUrl: { type: 'boolean' },
+  sort: { type: 'string', enum: Object.keys(MODEL_SORTS), default: 'uploaded' },
+  order: { type: 'string', enum: ['asc', 'desc'] },
+  limit: { type: 'integer', minimum: 1, maximum: 100, default: 50 },
+  cursor: { type: 'string', description: 'nextCursor of the previous page' }
+};
+
+const twoFactorCodes = {
+  code: { type: 'string', maxLength: 20, description: 'Code from the authenticator app' },
+  recoveryCode: { type: 'string', maxLength: 50 }
+};
+
+export const SCHEMAS = {
+  // Sign-in and accounts
+  login: {
+    body: {
+      username: { type: 'string', required: true, maxLength: 100 },
+      password
+    }
+  },
+  twoFactorLogin: {
+    body: {
+      challengeToken: { type: 'string', required: true, description: 'From the password step' },
+      ...twoFactorCodes
+    }
+  },
+  accountTwoFactor: {
+    body: { ...twoFactorCodes, password: { type: 'string', maxLength: 200 } }
+  },
+  forgotPassword: {
+    body: { identifier: { type: 'string', required: true, maxLength: 254, description: 'Username or email' } }
+  },
+  resetPassword: {
+    body: { token: { type: 'string', required: true }, password: newPassword }
+  },
+  changePassword: {
+    body: { currentPassword: password, newPassword }
+  },
+  invitationLookup: {
+    query: { token: { type: 'string', required: true } }
+  },
+  acceptInvitation: {
+    body: {
+      token: { type: 'string', required: true },
+      username: { type: 'string', required: true, maxLength: 50 },
+      password: newPassword
+    }
+  },
+  createInvitation: {
+    body: {
+      email: { type: 'string', required: true, format: 'email', maxLength: 254 },
+      role: { type: 'string', required: true, enum: INVITE_ROLES },
+      customerId: { type: 'string', description: 'Required for customers' },
+      customerName: { type: 'string', description: 'Required for customers' }
+    }
+  },
+  createUser: {
+    body: {
+      username: { type: 'string', required: true, maxLength: 50 },
+      password,
+      role: { type: 'string', required: true, enum: INVITE_ROLES },
+      customerId: { type: 'string', description: 'Required for customers' },
+      customerName: { type: 'string', description: 'Required for customers' },
+      email: { type: 'string', format: 'email', maxLength: 254 }
+    }
+  },
+
+  // User administration
+  setUserPassword: {
+    body: { password: newPassword }
+  },
+  loginAttempts: {
+    query: {
+      username: { type: 'string' },
+      userId: { type: 'string' },
+      ipHash: { type: 'string' },
+      success: { type: 'boolean' },
+      limit: { type: 'integer', minimum: 1, maximum: 500, default: 100 }
+    }
+  },
+  suspiciousLogins: {
+    query: { hours: { type: 'integer', minimum: 1, maximum: 24 * 30, default: 24 } }
+  },
+  auditLog: {
+    query: {
+      action: { type: 'string' },
+      targetType: { type: 'string' },
+      targetId: { type: 'string' },
+      actor: { type: 'string' },
+      customer: { type: 'string' },
+      since: { type: 'string', format: 'date-time' },
+      until: { type: 'string', format: 'date-time' },
+      limit: { type: 'integer', minimum: 1, maximum: 200, default: 50 },
+      offset: { type: 'integer', minimum: 0, default: 0 }
+    }
+  },
+
+  // Uploads
+  cloudinarySave: {
+    body: {
+      cloudinaryUrl: { type: 'string', required: true, format: 'url' },
+      cloudinaryPublicId: { type: 'string', required: true, maxLength: 255 },
+      fileSize: { type: 'integer', minimum: 0 },
+      title: { type: 'string', maxLength: 200 },
+      description: { type: 'string', maxLength: 2000 },
+      customerId: { type: 'string' },
+      customerName: { type: 'string', maxLength: 200 },
+      dimensions: {
+        type: 'object',
+        description: 'Real-world size (an object or its JSON)',
+        properties: {
+          width: { type: 'number', minimum: 0 },
+          height: { type: 'number', minimum: 0 },
+          depth: { type: 'number', minimum: 0 },
+          unit: { type: 'string', enum: DIMENSION_UNITS, default: 'cm' },
+          notes: { type: 'string', maxLength: 500 }
+        }
+      },
+      isVariant: { type: 'boolean', default: false },
+      parentModelId: { type: 'id', description: 'Variants only' },
+      variantName: { type: 'string', maxLength: 100, description: 'Variants only' },
+      hexColor: { type: 'string', format: 'hex-color', description: 'Variants only' },
+      variantProductUrl: { type: 'string', format: 'url', description: 'Variants only' }
+    }
+  },
+
+  // Catalog
+  listModels: {
+    query: { customer: customerFilter, ...modelListQuery }
+  },
+  customerModelsByQuery: {
+    query: { customer: { type: 'string', required: true }, ...modelListQuery }
+  },
+  customerModels: {
+    query: modelListQuery
+  },
+  updateModel: {
+    body: {
+      id: { type: 'id', required: true },
+      title: { type: 'string', maxLength: 200 },
+      product_url: { type: 'string', format: 'url', description: 'Empty to clear' },
+      tags: { type: 'array', items: { type: 'string' } }
+    }
+  },
+  deleteModel: {
+    body: {
+      id: { type: 'id', required: true },
+      type: { type: 'string', enum: ['model', 'variant'], default: 'model' }
+    }
+  },
+  modelStats: {
+    query: { customer: customerFilter }
+  },
+  searchModels: {
+    query: {
+      q: { type: 'string', required: true, maxLength: MAX_SEARCH_QUERY_LENGTH, description: 'Hebrew or English search text' },
+      customer: customerFilter,
+      limit: { type: 'integer', minimum: 1, maximum: 50, default: 20 }
+    }
+  },
+  bulkModels: {
+    body: {
+      action: { type: 'string', required: true, enum: BULK_ACTION_NAMES },
+      ids: { type: 'array', required: true, minItems: 1, maxItems: MAX_BULK_ITEMS, items: { type: 'id' } },
+      dryRun: { type: 'boolean', default: false }
+    }
+  },
+  modelFile: {
+    query: {
+      t: { type: 'string', required: true, description: 'Signed token from model_url' },
+      v: { type: 'string', description: 'Variant ID' }
+    }
+  },
+  modelView: {
+    query: { variant: { type: 'string', description: 'Older viewer pages' } },
+    body: {
+      variant: { type: 'string' },
+      source: { type: 'string', maxLength: 20, description: 'qr, link or embed' },
+      referrer: { type: 'string', maxLength: 2000 }
+    }
+  },
+  assignModel: {
+    body: {
+      customerId: { type: 'string', required: true },
+      customerName: { type: 'string', required: true, maxLength: 200 }
+    }
+  },
+  updateVariant: {
+    body: {
+      id: { type: 'id', required: true },
+      product_url: { type: 'string', format: 'url', description: 'Empty to clear' }
+    }
+  },
+  updateModelColor: {
+    body: {
+      modelId: { type: 'id', required: true },
+      dominantColor: { type: 'string', required: true, format: 'hex-color' }
+    }
+  },
+  updateVariantColor: {
+    body: {
+      variantId: { type: 'id', required: true },
+      dominantColor: { type: 'string', required: true, format: 'hex-color' }
+    }
+  },
+  resetViewCounts: {
+    body: { customer: { type: 'string', description: 'Only this customer\'s models' } }
+  },
+  listImages: {
+    query: {
+      imageType: { type: 'string', enum: ['customer_logo', 'general', 'brand_asset'] },
+      customerId: customerFilter
+    }
+  },
+  deleteImage: {
+    body: { id: { type: 'id', required: true } }
+  },
+  viewerPage: {
+    query: { id: { type: 'string', description: 'Model ID' } }
+  },
+
+  // QR codes
+  qrGenerate: {
+    query: {
+      url: { type: 'string', required: true, format: 'url' },
+      format: { type: 'string', enum: ['png', 'svg', 'dataurl'], default: 'png' },
+      size: { type: 'integer', minimum: 64, maximum: 1024, default: 256 },
+      raw: { type: 'boolean', default: false, description: 'Return the image itself instead of JSON' }
+    }
+  },
+  qrBatch: {
+    body: {
+      urls: { type: 'array', required: true, minItems: 1, maxItems: MAX_QR_BATCH, items: { type: 'string' } },
+      options: {
+        type: 'object',
+        properties: {
+          format: { type: 'string', enum: ['png', 'svg', 'dataurl'] },
+          size: { type: 'integer', minimum: 64, maximum: 1024 }
+        }
+      }
+    }
+  },
+  qrFormats: {
+    query: { useCase: { type: 'string', enum: QR_USE_CASES } }
+  },
+
+  // Customers
+  brandSettings: {
+    body: {
+      textDirection: { type: 'string', enum: ['ltr', 'rtl'], default: 'ltr' },
+      primaryColor: { type: 'string', format: 'hex-color' },
+      secondaryColor: { type: 'string', format: 'hex-color' },
+      fontFamily: { type: 'string', maxLength: 100 },
+      logoUrl: { type: 'string', format: 'url' },
+      allowedEmbedOrigins: { type: 'array', maxItems: 50, items: { type: 'string' }, description: 'Sites allowed to embed the viewer' }
+    }
+  },
+  createApiKey: {
+    body: {
+      name: { type: 'string', required: true, maxLength: 100 },
+      scopes: { type: 'array', required: true, minItems: 1, items: { type: 'string', enum: API_KEY_SCOPES } }
+    }
+  },
+  listFeedback: {
+    query: {
+      customer: customerFilter,
+      model: { type: 'string' },
+      type: { type: 'string' },
+      limit: { type: 'integer', minimum: 1, maximum: 500, default: 100 }
+    }
+  },
+  submitFeedback: {
+    body: {
+      type: { type: 'string', required: true, maxLength: 50 },
+      categories: { type: 'array', maxItems: 20, items: { type: 'string', maxLength: 100 } },
+      comment: { type: 'string', maxLength: 2000 },
+      customerId: { type: 'string', required: true },
+      itemId: { type: 'id', required: true },
+      itemName: { type: 'string', maxLength: 200 },
+      userAgent: { type: 'string', maxLength: 500 }
+    }
+  },
+  listRequests: {
+    query: { customer: customerFilter }
+  },
+  createRequest: {
+    body: {
+      productUrl: { type: 'string', required: true, format: 'url' },
+      customerId: customerFilter,
+      title: { type: 'string', maxLength: 200 },
+      description: { type: 'string', maxLength: 2000 },
+      notes: { type: 'string', maxLength: 2000 },
+      referenceImages: { type: 'array', maxItems: 10, items: { type: 'string', format: 'url' } }
+    }
+  },
+  updateRequest: {
+    body: {
+      id: { type: 'id', required: true },
+      status: { type: 'string', enum: REQUEST_STATUSES },
+      adminNotes: { type: 'string', maxLength: 2000 },
+      estimatedCompletion: { type: 'string', format: 'date-time' },
+      modelId: { type: 'id' }
+    }
+  },
+  deleteRequest: {
+    body: { id: { type: 'id', required: true } }
+  },
+
+  // Maintenance
+  runMigrations: {
+    body: {
+      direction: { type: 'string', enum: ['up', 'down'], default: 'up' },
+      target: { type: 'string', description: 'Migration version to stop at' },
+      steps: { type: 'integer', minimum: 1 },
+      dryRun: { type: 'boolean', default: false }
+    }
+  },
+  listTrash: {
+    query: { customerId: { type: 'string' } }
+  },
+  purgeTrash: {
+    body: { dryRun: { type: 'boolean', default: false } }
+  },
+  restoreFromTrash: {
+    params: { type: { type: 'string', required: true, enum: TRASH_TYPES } }
+  }
+};
@@ -0,0 +1,69 @@
+/**
+ * Declarative API routing
+ * A route is { path, methods }. The path is relative to /api (internal names, see
+ * endpoints.js) and its segments may be parameters: ':id' matches one segment,
+ * ':step(enroll|activate)' one segment matching the pattern, and a final ':path*' the
+ * rest of the path. methods maps each HTTP method to an endpoint:
+ *   { handler(req, res, params), access, scopes, schema }
+ * access lists the session roles allowed (admin-only when left out) and scopes the API
+ * key scopes that grant access (API keys are refused when left out); see authorizeEndpoint.
+ * schema describes the params, query and body the handler accepts (see validation.js).
+ */
+
+import { describeSchema } from './validation.js';
+
+function compilePath(path) {
+  const pattern = path.split('/').map(segment => {
+    const param = segment.match(/^:(\w+)(\*|\((.+)\))?$/);
+    if (!param) {
+      return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    const [, name, modifier, choices] = param;
+    if (modifier === '*') return `(?<${name}>.+)`;
+    return `(?<${name}>${choices || '[^/]+'})`;
+  }).join('/');
+
+  return new RegExp(`^${pattern}$`);
+}
+
+/**
+ * Prepare a route table for matching
+ */
+export function compileRoutes(routes) {
+  return routes.map(route => ({ ...route, regex: compilePath(route.path) }));
+}
+
+/**
+ * Find the endpoint serving a path and method (first matching route wins).
+ * Returns { endpoint, params }, { status: 404 } for an unknown path, or
+ * { status: 405, allow } when the path exists but not for this method.
+ */
+export function matchRoute(routes, path, method) {
+  for (const route of routes) {
+    const match = route.regex.exec(path);
+    if (!match) continue;
+
+    const endpoint = route.methods[method];
+    if (!endpoint) {
+      return { status: 405, allow: [...Object.keys(route.methods), 'OPTIONS'] };
+    }
+    return { endpoint, params: { ...match.groups } };
+  }
+
+  return { status: 404 };
+}
+
+/**
+ * Route table summary for documentation: one entry per path and method with who may
+ * call it and its request fields
+ */
+export function describeRoutes(routes) {
+  return routes.flatMap(route => Object.entries(route.methods).map(([method, endpoint]) => ({
+    method,
+    path: route.path,
+    access: endpoint.access || ['admin'],
+    scopes: endpoint.scopes || [],
+    fields: describeSchema(endpoint.schema)
+  })));
+}
@@ -0,0 +1,128 @@
+/**
+ * Search text rules shared by the database (migrations/018-catalog-search.sql mirrors
+ * them in SQL), the memory store and result highlighting.
+ * Hebrew: vowel points and cantillation are dropped, final letters fold to their regular
+ * forms and words are also indexed without the one-letter prefixes ו ה ב ל מ ש כ (up to
+ * two of them), so "הספה" and "לספות" find "ספה". English: lowercased, accents dropped.
+ */
+
+const FINAL_LETTERS = { 'ך': 'כ', 'ם': 'מ', 'ן': 'נ', 'ף': 'פ', 'ץ': 'צ' };
+const ONE_PREFIX = /^[והבלמשכ][א-ת]{2,}$/;
+const TWO_PREFIXES = /^[והבלמשכ]{2}[א-ת]{2,}$/;
+
+// Terms per query; anything beyond is ignored
+const MAX_QUERY_TERMS = 8;
+const FRAGMENT_LENGTH = 120;
+
+/**
+ * Lowercased, mark-free text with one space between tokens (letters a-z, א-ת and digits)
+ */
+export function normalizeSearchText(text) {
+  return String(text ?? '')
+    .normalize('NFD')
+    .toLowerCase()
+    .replace(/[\u05BE\u05C0\u05C3\u05C6]/g, ' ')
+    .replace(/[\u0300-\u036F\u0591-\u05C7]/g, '')
+    .replace(/['"\u05F3\u05F4\u2019]/g, '')
+    .replace(/[ךםןףץ]/g, letter => FINAL_LETTERS[letter])
+    .replace(/[^a-z0-9א-ת]+/g, ' ')
+    .trim();
+}
+
+/**
+ * A normalized token and its forms without Hebrew prefixes
+ */
+export function tokenForms(token) {
+  const forms = [token];
+  if (ONE_PREFIX.test(token)) forms.push(token.slice(1));
+  if (TWO_PREFIXES.test(token)) forms.push(token.slice(2));
+  return forms;
+}
+
+/**
+ * Every indexed term of a text
+ */
+export function searchTerms(text) {
+  const tokens = normalizeSearchText(text).split(' ').filter(Boolean);
+  return [...new Set(tokens.flatMap(tokenForms))];
+}
+
+/**
+ * Parse a user query into term groups (each group lists the forms of one query word;
+ * every group must match) and the equivalent tsquery, e.g. (הספה:* | ספה:*) & grey:*
+ */
+export function parseSearchQuery(query) {
+  const groups = normalizeSearchText(query)
+    .split(' ')
+    .filter(token => token.length > 1)
+    .slice(0, MAX_QUERY_TERMS)
+    .map(tokenForms);
+
+  const tsquery = groups
+    .map(forms => forms.length === 1 ? `${forms[0]}:*` : `(${forms.map(form => `${form}:*`).join(' | ')})`)
+    .join(' & ');
+
+  return { groups, tsquery };
+}
+
+/**
+ * Parse a tsquery built by parseSearchQuery back into its term groups
+ */
+export function parseTsquery(tsquery) {
+  return String(tsquery || '')
+    .split(' & ')
+    .filter(Boolean)
+    .map(group => group.replace(/[()]/g, '').split(' | ').map(form => form.replace(/:\*$/, '')));
+}
+
+/**
+ * Whether any term of a text starts with one of the group's forms
+ */
+export function matchesGroup(terms, forms) {
+  return terms.some(term => forms.some(form => term.startsWith(form)));
+}
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * HTML fragment of a text with the words matching the query in <mark>, cut to a window
+ * around the first match; null when nothing matches. Everything else is escaped.
+ */
+export function highlightMatches(text, groups) {
+  if (!text || groups.length === 0) return null;
+
+  const source = String(text);
+  const words = [...source.matchAll(/[\p{L}\p{M}\p{N}'"\u05F3\u05F4\u2019]+/gu)]
+    .filter(match => {
+      const terms = searchTerms(match[0]);
+      return groups.some(forms => matchesGroup(terms, forms));
+    });
+
+  if (words.length === 0) return null;
+
+  let start = 0;
+  let end = source.length;
+  if (source.length > FRAGMENT_LENGTH) {
+    start = Math.max(0, words[0].index - Math.floor(FRAGMENT_LENGTH / 3));
+    end = Math.min(source.length, start + FRAGMENT_LENGTH);
+  }
+
+  let html = start > 0 ? '…' : '';
+  let position = start;
+  for (const word of words) {
+    const wordEnd = word.index + word[0].length;
+    if (word.index < start || wordEnd > end) continue;
+    html += escapeHtml(source.slice(position, word.index)) + `<mark>${escapeHtml(word[0])}</mark>`;
+    position = wordEnd;
+  }
+  html += escapeHtml(source.slice(position, end)) + (end < source.length ? '…' : '');
+
+  return html;
+}
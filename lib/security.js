@@ -1,7 +1,9 @@
 /**
- * Security utilities for file validation and rate limiting
+ * Security utilities for file validation and IP hashing
  */
 
+import crypto from 'crypto';
+
 // File type magic numbers for validation
 const MAGIC_NUMBERS = {
   // 3D model formats
@@ -16,9 +18,6 @@ const MAGIC_NUMBERS = {
   'svg': [0x3C, 0x3F, 0x78, 0x6D, 0x6C], // "<?xml" or similar
 };
 
-// Rate limiting store (in-memory for simplicity)
-const rateLimitStore = new Map();
-
 /**
  * Validate file based on magic numbers and content
  */
@@ -50,11 +49,7 @@ export function validateFileContent(fileBuffer, filename, allowedTypes = []) {
   if (ext === 'svg') {
     const content = fileBuffer.toString('utf8');
     
-    // Check for malicious content in SVG
-    if (content.includes('<script') || content.includes('javascript:') || content.includes('xlink:href="data:')) {
-      return { valid: false, error: 'SVG contains potentially malicious content' };
-    }
-    
+    // Active content is removed by sanitizeSvg() (lib/svg-sanitizer.js) before upload
     if (!content.includes('<svg') && !content.includes('<?xml')) {
       return { valid: false, error: 'Invalid SVG format' };
     }
@@ -83,93 +78,62 @@ export function sanitizeFilename(filename) {
 }
 
 /**
- * Rate limiting implementation
+ * Client IP for a request: the first X-Forwarded-For entry (the original client),
+ * else the socket address
  */
-export function checkRateLimit(identifier, windowMs = 60000, maxRequests = 10) {
-  const now = Date.now();
-  const windowStart = now - windowMs;
-  
-  if (!rateLimitStore.has(identifier)) {
-    rateLimitStore.set(identifier, []);
-  }
-  
-  const requests = rateLimitStore.get(identifier);
-  
-  // Clean old requests
-  const validRequests = requests.filter(time => time > windowStart);
-  
-  if (validRequests.length >= maxRequests) {
-    return {
-      allowed: false,
-      resetTime: Math.ceil((validRequests[0] + windowMs) / 1000),
-      remaining: 0
-    };
-  }
-  
-  // Add current request
-  validRequests.push(now);
-  rateLimitStore.set(identifier, validRequests);
-  
-  return {
-    allowed: true,
-    remaining: maxRequests - validRequests.length,
-    resetTime: Math.ceil((now + windowMs) / 1000)
-  };
+export function getClientIP(req) {
+  const forwarded = req.headers['x-forwarded-for'];
+  const ip = forwarded ? String(forwarded).split(',')[0].trim() : req.connection?.remoteAddress;
+  return ip || 'unknown';
 }
 
 /**
- * Generate rate limit headers
+ * Secret the daily IP salts are derived from (IP_HASH_SECRET, falling back to SESSION_SECRET)
  */
-export function getRateLimitHeaders(rateLimit) {
-  return {
-    'X-RateLimit-Limit': '10',
-    'X-RateLimit-Remaining': rateLimit.remaining.toString(),
-    'X-RateLimit-Reset': rateLimit.resetTime.toString()
-  };
+function getIpHashSecret() {
+  const secret = process.env.IP_HASH_SECRET || process.env.SESSION_SECRET;
+  if (!secret) {
+    throw new Error('Missing IP_HASH_SECRET or SESSION_SECRET environment variable');
+  }
+  return secret;
 }
 
+// Salt for the current UTC day, derived once per day
+let currentSalt = { day: null, salt: null };
+
 /**
- * Clean up old rate limit entries (call periodically)
+ * Secret salt for a UTC day; every instance derives the same salt without sharing state
  */
-export function cleanupRateLimit() {
-  const now = Date.now();
-  const oneHourAgo = now - 3600000;
-  
-  for (const [key, requests] of rateLimitStore.entries()) {
-    const validRequests = requests.filter(time => time > oneHourAgo);
-    
-    if (validRequests.length === 0) {
-      rateLimitStore.delete(key);
-    } else {
-      rateLimitStore.set(key, validRequests);
-    }
+function getDailySalt(day) {
+  if (currentSalt.day !== day) {
+    const salt = crypto.createHmac('sha256', getIpHashSecret()).update(`ip-salt:${day}`).digest();
+    currentSalt = { day, salt };
   }
+  return currentSalt.salt;
 }
 
 /**
- * Hash IP address for privacy-compliant rate limiting
+ * Hash an IP address with HMAC-SHA256 under a salt that rotates every UTC day.
+ * The same IP hashes the same within a day (rate limiting, unique visitors) but
+ * cannot be linked across days or recovered without the secret. Returns 64 hex chars.
  */
-export function hashIP(ip) {
-  // Simple hash for IP addresses (use crypto.createHash in production)
-  let hash = 0;
-  for (let i = 0; i < ip.length; i++) {
-    const char = ip.charCodeAt(i);
-    hash = ((hash << 5) - hash) + char;
-    hash = hash & hash; // Convert to 32-bit integer
-  }
-  return hash.toString();
+export function hashIP(ip, date = new Date()) {
+  const day = date.toISOString().slice(0, 10);
+  return crypto.createHmac('sha256', getDailySalt(day)).update(String(ip)).digest('hex');
 }
 
 /**
  * Validate that all required environment variables are present
  */
 export function validateEnvironmentVariables() {
+  // The offline stores (DATA_STORE=memory, ASSET_STORE=local) need no credentials
+  const useSupabase = (process.env.DATA_STORE || 'supabase') === 'supabase';
+  const useCloudinary = (process.env.ASSET_STORE || 'cloudinary') === 'cloudinary';
+
   const required = [
-    'CLOUDINARY_CLOUD_NAME',
-    'CLOUDINARY_API_KEY', 
-    'CLOUDINARY_API_SECRET',
-    'SUPABASE_URL',
-    'SUPABASE_ANON_KEY'
+    ...(useCloudinary ? ['CLOUDINARY_CLOUD_NAME', 'CLOUDINARY_API_KEY', 'CLOUDINARY_API_SECRET'] : []),
+    ...(useSupabase ? ['SUPABASE_URL', 'SUPABASE_ANON_KEY'] : []),
+    'SESSION_SECRET'
   ];
   
   const missing = required.filter(variable => !process.env[variable]);
@@ -179,7 +143,7 @@ export function validateEnvironmentVariables() {
   }
   
   // Validate format of key environment variables
-  if (!process.env.SUPABASE_URL.startsWith('https://')) {
+  if (useSupabase && !process.env.SUPABASE_URL.startsWith('https://')) {
     throw new Error('SUPABASE_URL must be a valid HTTPS URL');
   }
   
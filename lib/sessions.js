@@ -0,0 +1,132 @@
+/**
+ * Server-side session records
+ * Every login gets a row in user_sessions; a signed token is only honoured
+ * while its row exists, has not expired and has not been revoked.
+ */
+
+import crypto from 'crypto';
+import { supabase } from './supabase.js';
+import { getSession, SESSION_TTL_SECONDS } from './auth.js';
+import { hashIP, getClientIP } from './security.js';
+
+/**
+ * Create a session record for a user who just logged in
+ */
+export async function createSession(user, req) {
+  const sessionId = crypto.randomUUID();
+
+  const { error } = await supabase
+    .from('user_sessions')
+    .insert({
+      id: sessionId,
+      user_id: String(user.id),
+      expires_at: new Date(Date.now() + SESSION_TTL_SECONDS * 1000).toISOString(),
+      ip_hash: hashIP(getClientIP(req)),
+      user_agent: req.headers['user-agent'] || null
+    });
+
+  if (error) {
+    throw new Error(`Failed to create session: ${error.message}`);
+  }
+
+  return sessionId;
+}
+
+/**
+ * Get the verified session for a request, checking it has not been revoked
+ */
+export async function loadSession(req) {
+  const session = getSession(req);
+  if (!session?.sid) {
+    return null;
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('user_sessions')
+      .select('id')
+      .eq('id', session.sid)
+      .is('revoked_at', null)
+      .gt('expires_at', new Date().toISOString())
+      .single();
+
+    if (error || !data) {
+      return null;
+    }
+    return session;
+  } catch (error) {
+    console.error('Session lookup error:', error);
+    return null;
+  }
+}
+
+/**
+ * List a user's active (unexpired, unrevoked) sessions
+ */
+export async function listUserSessions(userId) {
+  try {
+    const { data, error } = await supabase
+      .from('user_sessions')
+      .select('id, created_at, expires_at, ip_hash, user_agent')
+      .eq('user_id', String(userId))
+      .is('revoked_at', null)
+      .gt('expires_at', new Date().toISOString())
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+    return { success: true, data: data || [] };
+  } catch (error) {
+    console.error('Session list error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Revoke a single session; pass userId to make sure it belongs to that user
+ */
+export async function revokeSession(sessionId, userId = null) {
+  try {
+    let query = supabase
+      .from('user_sessions')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('id', sessionId)
+      .is('revoked_at', null);
+
+    if (userId) {
+      query = query.eq('user_id', String(userId));
+    }
+
+    const { data, error } = await query.select('id');
+
+    if (error) throw error;
+    return { success: true, revoked: data.length };
+  } catch (error) {
+    console.error('Session revoke error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Revoke every active session a user has, optionally keeping the current one
+ */
+export async function revokeUserSessions(userId, exceptSessionId = null) {
+  try {
+    let query = supabase
+      .from('user_sessions')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('user_id', String(userId))
+      .is('revoked_at', null);
+
+    if (exceptSessionId) {
+      query = query.neq('id', exceptSessionId);
+    }
+
+    const { data, error } = await query.select('id');
+
+    if (error) throw error;
+    return { success: true, revoked: data.length };
+  } catch (error) {
+    console.error('Session revoke-all error:', error);
+    return { success: false, error: error.message };
+  }
+}
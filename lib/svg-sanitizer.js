@@ -0,0 +1,510 @@
+/**
+ * Whitelist-based SVG sanitizer for logos and brand images
+ * Rewrites an uploaded SVG to a safe subset: only known drawing elements and
+ * attributes survive, links may only point inside the document (or at embedded
+ * raster images) and CSS cannot load anything. Everything removed is reported.
+ */
+
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+const XLINK_NAMESPACE = 'http://www.w3.org/1999/xlink';
+
+const ALLOWED_ELEMENTS = new Set([
+  'svg', 'g', 'defs', 'desc', 'title', 'symbol', 'use',
+  'path', 'rect', 'circle', 'ellipse', 'line', 'polyline', 'polygon',
+  'text', 'tspan', 'textPath',
+  'linearGradient', 'radialGradient', 'stop', 'pattern', 'clipPath', 'mask', 'marker',
+  'image', 'style',
+  'filter', 'feBlend', 'feColorMatrix', 'feComponentTransfer', 'feComposite', 'feDropShadow',
+  'feFlood', 'feFuncA', 'feFuncB', 'feFuncG', 'feFuncR', 'feGaussianBlur', 'feMerge',
+  'feMergeNode', 'feMorphology', 'feOffset'
+]);
+
+const ALLOWED_ATTRIBUTES = new Set([
+  // Core
+  'id', 'class', 'style', 'lang', 'xml:space', 'xml:lang', 'href', 'xlink:href',
+  'version', 'baseProfile', 'viewBox', 'preserveAspectRatio', 'width', 'height', 'x', 'y',
+  // Geometry
+  'd', 'cx', 'cy', 'r', 'rx', 'ry', 'x1', 'y1', 'x2', 'y2', 'points', 'pathLength', 'transform',
+  // Text
+  'dx', 'dy', 'rotate', 'textLength', 'lengthAdjust', 'startOffset', 'method', 'spacing',
+  'text-anchor', 'dominant-baseline', 'alignment-baseline', 'baseline-shift',
+  'font-family', 'font-size', 'font-size-adjust', 'font-stretch', 'font-style', 'font-variant', 'font-weight',
+  'letter-spacing', 'word-spacing', 'text-decoration', 'writing-mode', 'direction', 'unicode-bidi',
+  // Paint
+  'fill', 'fill-opacity', 'fill-rule', 'stroke', 'stroke-width', 'stroke-opacity', 'stroke-linecap',
+  'stroke-linejoin', 'stroke-miterlimit', 'stroke-dasharray', 'stroke-dashoffset',
+  'opacity', 'color', 'display', 'visibility', 'overflow', 'vector-effect', 'paint-order',
+  'shape-rendering', 'text-rendering', 'image-rendering', 'color-interpolation', 'color-interpolation-filters',
+  'clip-path', 'clip-rule', 'clipPathUnits', 'mask', 'maskUnits', 'maskContentUnits', 'filter',
+  'marker-start', 'marker-mid', 'marker-end', 'markerWidth', 'markerHeight', 'markerUnits', 'refX', 'refY', 'orient',
+  // Gradients and patterns
+  'offset', 'stop-color', 'stop-opacity', 'gradientUnits', 'gradientTransform', 'spreadMethod', 'fx', 'fy', 'fr',
+  'patternUnits', 'patternContentUnits', 'patternTransform',
+  // Filters
+  'filterUnits', 'primitiveUnits', 'in', 'in2', 'result', 'mode', 'type', 'values', 'operator',
+  'k1', 'k2', 'k3', 'k4', 'stdDeviation', 'edgeMode', 'radius', 'flood-color', 'flood-opacity',
+  'tableValues', 'slope', 'intercept', 'amplitude', 'exponent',
+  // <style>
+  'media'
+]);
+
+// Properties allowed in style attributes and <style> rules: SVG presentation
+// properties plus the few others that design tools export
+const ALLOWED_CSS_PROPERTIES = new Set([
+  'fill', 'fill-opacity', 'fill-rule', 'stroke', 'stroke-width', 'stroke-opacity', 'stroke-linecap',
+  'stroke-linejoin', 'stroke-miterlimit', 'stroke-dasharray', 'stroke-dashoffset',
+  'opacity', 'color', 'display', 'visibility', 'overflow', 'vector-effect', 'paint-order',
+  'shape-rendering', 'text-rendering', 'image-rendering', 'color-interpolation', 'color-interpolation-filters',
+  'clip-path', 'clip-rule', 'mask', 'filter', 'marker', 'marker-start', 'marker-mid', 'marker-end',
+  'stop-color', 'stop-opacity', 'flood-color', 'flood-opacity', 'lighting-color',
+  'font', 'font-family', 'font-size', 'font-size-adjust', 'font-stretch', 'font-style', 'font-variant', 'font-weight',
+  'letter-spacing', 'word-spacing', 'text-anchor', 'text-decoration', 'dominant-baseline', 'alignment-baseline',
+  'baseline-shift', 'writing-mode', 'direction', 'unicode-bidi', 'white-space', 'line-height',
+  'mix-blend-mode', 'isolation', 'transform', 'transform-origin', 'transform-box', 'enable-background'
+]);
+
+// Functions allowed in attribute and CSS values ('' is a bare parenthesis, as in calc())
+const ALLOWED_CSS_FUNCTIONS = new Set([
+  '', 'url', 'rgb', 'rgba', 'hsl', 'hsla', 'calc',
+  'matrix', 'translate', 'translatex', 'translatey', 'scale', 'scalex', 'scaley', 'rotate', 'skewx', 'skewy'
+]);
+
+// <image> may embed a raster image; every other href must be a fragment
+const SAFE_IMAGE_DATA_URI = /^data:image\/(png|jpe?g|gif|webp);base64,[a-z0-9+/=\s]+$/i;
+
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style']);
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+/**
+ * Tally of what was removed, reported as [{ type, name, count }]
+ */
+function createRemovalLog() {
+  const counts = new Map();
+
+  return {
+    add(type, name) {
+      const key = `${type}\u0000${name}`;
+      counts.set(key, (counts.get(key) || 0) + 1);
+    },
+    list() {
+      return [...counts].map(([key, count]) => {
+        const [type, name] = key.split('\u0000');
+        return { type, name, count };
+      });
+    }
+  };
+}
+
+/**
+ * Decode the XML predefined and numeric character references; unknown entities stay literal
+ */
+function decodeEntities(value) {
+  return value.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const codePoint = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return codePoint > 0 && codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : '';
+    }
+    return NAMED_ENTITIES[entity] ?? match;
+  });
+}
+
+/**
+ * Escape text for output as XML character data or a double-quoted attribute
+ */
+function escapeXml(value) {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Decode CSS escapes (\75 or \u) the way the browser will, so checks see the real text
+ */
+function decodeCssEscapes(value) {
+  return value
+    .replace(/\\(\r\n|[\n\r\f])/g, '')
+    .replace(/\\([0-9a-f]{1,6})(\r\n|[ \t\n\r\f])?|\\([\s\S])/gi, (match, hex, space, char) => {
+      if (char !== undefined) return char;
+      const codePoint = parseInt(hex, 16);
+      const valid = codePoint > 0 && codePoint <= 0x10ffff && (codePoint < 0xd800 || codePoint > 0xdfff);
+      return valid ? String.fromCodePoint(codePoint) : '\ufffd';
+    });
+}
+
+/**
+ * Whether a value tries to run script or pull in another resource. Only known
+ * color and transform functions are allowed, and url() may only reference elements
+ * in this document.
+ */
+function hasUnsafeReference(value) {
+  const decoded = decodeCssEscapes(value);
+
+  // A backslash left after decoding was itself escaped and would decode again
+  if (decoded.includes('\\')) {
+    return true;
+  }
+
+  const normalized = decoded.replace(/[\s\u0000-\u001f]+/g, '').toLowerCase();
+  if (/(javascript|vbscript|data):/.test(normalized)) {
+    return true;
+  }
+
+  const functions = normalized.match(/[a-z0-9_-]*\(/g) || [];
+  if (functions.some(name => !ALLOWED_CSS_FUNCTIONS.has(name.slice(0, -1)))) {
+    return true;
+  }
+
+  const urls = normalized.match(/url\(([^)]*)\)?/g) || [];
+  return urls.some(url => !/^url\((['"]?)#[^'"()]*\1\)$/.test(url));
+}
+
+/**
+ * Keep the declarations that set an allowed property to a value that loads nothing.
+ * Values must not carry characters that could end the declaration or block early.
+ */
+function sanitizeDeclarations(css, removed) {
+  return css
+    .split(';')
+    .map(declaration => declaration.trim())
+    .filter(declaration => {
+      if (!declaration) return false;
+
+      const colon = declaration.indexOf(':');
+      const property = (colon === -1 ? declaration : declaration.slice(0, colon)).trim().toLowerCase();
+      const value = colon === -1 ? '' : declaration.slice(colon + 1);
+      const unbalancedQuotes = (value.match(/"/g) || []).length % 2 !== 0 || (value.match(/'/g) || []).length % 2 !== 0;
+
+      if (!ALLOWED_CSS_PROPERTIES.has(property) || /[{}<>]/.test(value) || unbalancedQuotes || hasUnsafeReference(value)) {
+        removed.add('css', property || declaration);
+        return false;
+      }
+      return true;
+    });
+}
+
+/**
+ * Sanitize an inline style attribute
+ */
+function sanitizeStyleAttribute(style, removed) {
+  return sanitizeDeclarations(decodeCssEscapes(style), removed).join('; ');
+}
+
+/**
+ * Find the '}' closing the block opened at `start`
+ */
+function findBlockEnd(css, start) {
+  let depth = 0;
+
+  for (let i = start; i < css.length; i++) {
+    if (css[i] === '{') depth++;
+    else if (css[i] === '}' && --depth === 0) return i;
+  }
+  return -1;
+}
+
+/**
+ * Rebuild a <style> block from its plain rules: at-rules (@import, @font-face, @media,
+ * ...) are dropped, and each rule keeps only its safe declarations
+ */
+function sanitizeStylesheet(css, removed) {
+  const source = decodeCssEscapes(css.replace(/\/\*[\s\S]*?\*\//g, ''));
+  const rules = [];
+  let i = 0;
+
+  while (i < source.length) {
+    while (/\s/.test(source[i] || '')) i++;
+    if (i >= source.length) break;
+
+    const open = source.indexOf('{', i);
+    const statementEnd = source.indexOf(';', i);
+
+    if (source[i] === '@') {
+      removed.add('css', `@${/^@([\w-]*)/.exec(source.slice(i))[1]}`);
+      if (open === -1 || (statementEnd !== -1 && statementEnd < open)) {
+        i = statementEnd === -1 ? source.length : statementEnd + 1;
+      } else {
+        const close = findBlockEnd(source, open);
+        i = close === -1 ? source.length : close + 1;
+      }
+      continue;
+    }
+
+    if (open === -1) {
+      removed.add('css', 'selector');
+      break;
+    }
+
+    const close = findBlockEnd(source, open);
+    const selector = source.slice(i, open).trim();
+    const block = source.slice(open + 1, close === -1 ? source.length : close);
+    i = close === -1 ? source.length : close + 1;
+
+    if (/[;@<>\\{}]/.test(selector) || block.includes('{')) {
+      removed.add('css', 'selector');
+      continue;
+    }
+
+    const declarations = sanitizeDeclarations(block, removed);
+    if (declarations.length > 0) {
+      rules.push(`${selector} { ${declarations.join('; ')} }`);
+    }
+  }
+
+  return rules.join('\n');
+}
+
+/**
+ * Check an href: fragments everywhere, embedded raster images on <image> only
+ */
+function isSafeHref(elementName, value) {
+  const trimmed = value.trim();
+  if (/^#[^\s]*$/.test(trimmed)) {
+    return true;
+  }
+  return elementName === 'image' && SAFE_IMAGE_DATA_URI.test(trimmed);
+}
+
+/**
+ * Sanitize one element's attributes, returning the serialized attribute string
+ */
+function sanitizeAttributes(elementName, attributes, removed, isRoot) {
+  const output = [];
+
+  attributes.forEach(({ name, value }) => {
+    const decoded = decodeEntities(value);
+
+    if (name === 'xmlns' || name === 'xmlns:xlink') {
+      // Namespace declarations are rewritten on the root element below
+      return;
+    }
+
+    if (!ALLOWED_ATTRIBUTES.has(name)) {
+      removed.add('attribute', name);
+      return;
+    }
+
+    if (name === 'href' || name === 'xlink:href') {
+      if (!isSafeHref(elementName, decoded)) {
+        removed.add('attribute', name);
+        return;
+      }
+      output.push(`${name}="${escapeXml(decoded.trim())}"`);
+      return;
+    }
+
+    if (name === 'style') {
+      const style = sanitizeStyleAttribute(decoded, removed);
+      if (style) output.push(`style="${escapeXml(style)}"`);
+      return;
+    }
+
+    if (hasUnsafeReference(decoded)) {
+      removed.add('attribute', name);
+      return;
+    }
+
+    output.push(`${name}="${escapeXml(decoded)}"`);
+  });
+
+  if (isRoot) {
+    output.unshift(`xmlns="${SVG_NAMESPACE}"`, `xmlns:xlink="${XLINK_NAMESPACE}"`);
+  }
+
+  return output.length ? ' ' + output.join(' ') : '';
+}
+
+/**
+ * Parse the attributes inside a start tag
+ */
+function parseAttributes(source) {
+  const attributes = [];
+  const pattern = /([^\s=/>"']+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>"']+)))?/g;
+  let match;
+
+  while ((match = pattern.exec(source)) !== null) {
+    attributes.push({ name: match[1], value: match[2] ?? match[3] ?? match[4] ?? '' });
+  }
+  return attributes;
+}
+
+/**
+ * Find the end of a tag starting at `start`, skipping '>' inside quoted values
+ */
+function findTagEnd(input, start) {
+  let quote = null;
+
+  for (let i = start; i < input.length; i++) {
+    const char = input[i];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '>') {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Find the end of a DOCTYPE, including any internal subset in brackets
+ */
+function findDoctypeEnd(input, start) {
+  let depth = 0;
+
+  for (let i = start; i < input.length; i++) {
+    if (input[i] === '[') depth++;
+    else if (input[i] === ']') depth--;
+    else if (input[i] === '>' && depth <= 0) return i;
+  }
+  return -1;
+}
+
+/**
+ * Sanitize an SVG document.
+ * Returns { success, svg, modified, removed: [{ type, name, count }] } or { success: false, error }.
+ */
+export function sanitizeSvg(input) {
+  const source = Buffer.isBuffer(input) ? input.toString('utf8') : String(input || '');
+  const removed = createRemovalLog();
+  const stack = []; // { name, kept }
+  let output = '';
+  let foundRoot = false;
+  let skipDepth = 0; // > 0 while inside a removed element
+  let i = source.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  const emitText = text => {
+    if (skipDepth > 0 || !foundRoot || stack.length === 0) return;
+
+    const parent = stack[stack.length - 1].name;
+    if (parent === 'style') {
+      output += escapeXml(sanitizeStylesheet(text, removed));
+    } else {
+      output += escapeXml(text);
+    }
+  };
+
+  while (i < source.length) {
+    if (source.startsWith('<!--', i)) {
+      const end = source.indexOf('-->', i + 4);
+      removed.add('comment', '#comment');
+      i = end === -1 ? source.length : end + 3;
+      continue;
+    }
+
+    if (source.startsWith('<![CDATA[', i)) {
+      const end = source.indexOf(']]>', i + 9);
+      emitText(source.slice(i + 9, end === -1 ? source.length : end));
+      i = end === -1 ? source.length : end + 3;
+      continue;
+    }
+
+    if (source.startsWith('<!', i)) {
+      const end = findDoctypeEnd(source, i + 2);
+      removed.add('doctype', source.slice(i + 2, i + 9).toUpperCase() === 'DOCTYPE' ? 'DOCTYPE' : 'declaration');
+      i = end === -1 ? source.length : end + 1;
+      continue;
+    }
+
+    if (source.startsWith('<?', i)) {
+      const end = source.indexOf('?>', i + 2);
+      if (!/^<\?xml[\s?]/i.test(source.slice(i, i + 6))) {
+        removed.add('processing-instruction', source.slice(i + 2).split(/[\s?]/)[0]);
+      }
+      i = end === -1 ? source.length : end + 2;
+      continue;
+    }
+
+    if (source[i] === '<' && source[i + 1] === '/') {
+      const end = source.indexOf('>', i);
+      const name = source.slice(i + 2, end === -1 ? source.length : end).trim();
+      i = end === -1 ? source.length : end + 1;
+
+      // Close up to the matching element; stray closing tags are ignored
+      const index = stack.map(entry => entry.name).lastIndexOf(name);
+      if (index === -1) continue;
+
+      while (stack.length > index) {
+        const entry = stack.pop();
+        if (!entry.kept) {
+          skipDepth--;
+        } else {
+          output += `</${entry.name}>`;
+        }
+      }
+      continue;
+    }
+
+    if (source[i] === '<' && /[A-Za-z_:]/.test(source[i + 1] || '')) {
+      const end = findTagEnd(source, i + 1);
+      if (end === -1) break;
+
+      const tag = source.slice(i + 1, end);
+      const selfClosing = tag.endsWith('/');
+      const [, name, attributeSource] = /^([^\s/>]+)([\s\S]*?)\/?$/.exec(tag);
+      i = end + 1;
+
+      if (!foundRoot) {
+        if (name !== 'svg') {
+          return { success: false, error: 'File is not an SVG document' };
+        }
+        foundRoot = true;
+      }
+
+      const kept = skipDepth === 0 && ALLOWED_ELEMENTS.has(name);
+      if (!kept) {
+        // Count only the outermost removed element; its children go with it
+        if (skipDepth === 0) removed.add('element', name);
+        if (!selfClosing) {
+          skipDepth++;
+          stack.push({ name, kept: false });
+        }
+      } else {
+        const isRoot = stack.length === 0;
+        output += `<${name}${sanitizeAttributes(name, parseAttributes(attributeSource), removed, isRoot)}`;
+        if (selfClosing) {
+          output += '/>';
+        } else {
+          output += '>';
+          stack.push({ name, kept: true });
+        }
+      }
+
+      // Script and style bodies are not markup; read them up to the closing tag
+      if (!selfClosing && RAW_TEXT_ELEMENTS.has(name)) {
+        const close = source.indexOf(`</${name}`, i);
+        const body = source.slice(i, close === -1 ? source.length : close);
+        emitText(body.includes('<![CDATA[') ? body.replace(/<!\[CDATA\[|\]\]>/g, '') : decodeEntities(body));
+        i = close === -1 ? source.length : close;
+      }
+      continue;
+    }
+
+    // Character data up to the next markup
+    const next = source.indexOf('<', i + 1);
+    const text = source.slice(i, next === -1 ? source.length : next);
+    emitText(decodeEntities(text));
+    i = next === -1 ? source.length : next;
+  }
+
+  if (!foundRoot) {
+    return { success: false, error: 'File is not an SVG document' };
+  }
+
+  // Close anything left open by a truncated file
+  while (stack.length > 0) {
+    const entry = stack.pop();
+    if (entry.kept) output += `</${entry.name}>`;
+  }
+
+  const removedList = removed.list();
+  return {
+    success: true,
+    svg: output,
+    modified: removedList.length > 0,
+    removed: removedList
+  };
+}
@@ -0,0 +1,199 @@
+/**
+ * RFC 6238 TOTP two-factor authentication
+ * Secrets are stored AES-256-GCM encrypted; recovery codes are stored as SHA-256 hashes.
+ */
+
+import crypto from 'crypto';
+
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_DRIFT_STEPS = 1; // accept one step either side for clock drift
+const RECOVERY_CODE_COUNT = 10;
+const ISSUER = 'FurniTech';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Encode bytes as RFC 4648 base32 without padding
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+/**
+ * Decode an RFC 4648 base32 string, ignoring padding, spaces and case
+ */
+function base32Decode(input) {
+  const clean = input.replace(/[\s=]/g, '').toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Key used to encrypt stored secrets (TOTP_ENCRYPTION_KEY, falling back to SESSION_SECRET)
+ */
+function getEncryptionKey() {
+  const secret = process.env.TOTP_ENCRYPTION_KEY || process.env.SESSION_SECRET;
+  if (!secret) {
+    throw new Error('Missing TOTP_ENCRYPTION_KEY or SESSION_SECRET environment variable');
+  }
+  return crypto.createHash('sha256').update(`totp:${secret}`).digest();
+}
+
+/**
+ * Encrypt a base32 secret for storage
+ */
+export function encryptTotpSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64url')).join('.');
+}
+
+/**
+ * Decrypt a stored secret back to base32
+ */
+export function decryptTotpSecret(stored) {
+  const [iv, tag, encrypted] = stored.split('.').map(part => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Generate a new random base32 secret (160 bits, as recommended by RFC 4226)
+ */
+export function generateTotpSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Compute the HOTP value for a secret and counter (RFC 4226)
+ */
+function generateHotp(secret, counter) {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** TOTP_DIGITS;
+
+  return String(binary).padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * Current TOTP time step
+ */
+function currentStep(now = Date.now()) {
+  return Math.floor(now / 1000 / TOTP_PERIOD_SECONDS);
+}
+
+/**
+ * Generate the TOTP code for a secret at a given time
+ */
+export function generateTotp(secret, now = Date.now()) {
+  return generateHotp(secret, currentStep(now));
+}
+
+/**
+ * Verify a TOTP code, returning the matched time step or null.
+ * Pass lastUsedStep to reject a code that was already used (replay).
+ */
+export function verifyTotp(secret, code, lastUsedStep = null, now = Date.now()) {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) {
+    return null;
+  }
+
+  const step = currentStep(now);
+  for (let drift = -TOTP_DRIFT_STEPS; drift <= TOTP_DRIFT_STEPS; drift++) {
+    const candidate = step + drift;
+    if (lastUsedStep !== null && candidate <= lastUsedStep) {
+      continue;
+    }
+
+    const expected = Buffer.from(generateHotp(secret, candidate));
+    if (crypto.timingSafeEqual(expected, Buffer.from(normalized))) {
+      return candidate;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build the otpauth:// URI authenticator apps scan
+ */
+export function buildOtpAuthUri(username, secret) {
+  const label = encodeURIComponent(`${ISSUER}:${username}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${params}`;
+}
+
+/**
+ * Hash a recovery code for storage and lookup
+ */
+export function hashRecoveryCode(code) {
+  const normalized = String(code || '').replace(/[\s-]/g, '').toLowerCase();
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+/**
+ * Generate a fresh set of one-time recovery codes (shown once, stored hashed)
+ */
+export function generateRecoveryCodes() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+/**
+ * Whether two-factor login is mandatory for this user
+ */
+export function isTwoFactorRequired(user) {
+  return user.role === 'admin' && process.env.REQUIRE_ADMIN_2FA === 'true';
+}
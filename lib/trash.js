@@ -0,0 +1,111 @@
+/**
+ * Trash retention and purging
+ * Deleting a model, variant or image only moves it to the trash (see repositories/trash.js).
+ * After TRASH_RETENTION_DAYS (default 30) the purge job removes the stored files and rows.
+ */
+
+import { TRASH_TYPES, listTrashed } from './repositories/trash.js';
+import { deleteModel } from './repositories/models.js';
+import { getModelVariants, deleteModelVariant } from './repositories/variants.js';
+import { deleteImage } from './repositories/images.js';
+import { deleteModel as deleteModelFile, deleteImage as deleteImageFile } from './cloudinary.js';
+
+const DEFAULT_RETENTION_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Days an item stays restorable before the purge job may remove it
+ */
+export function getTrashRetentionDays() {
+  const days = parseInt(process.env.TRASH_RETENTION_DAYS);
+  return Number.isInteger(days) && days >= 0 ? days : DEFAULT_RETENTION_DAYS;
+}
+
+/**
+ * When a trashed item becomes eligible for purging
+ */
+export function getPurgeAfter(deletedAt) {
+  return new Date(new Date(deletedAt).getTime() + getTrashRetentionDays() * DAY_MS).toISOString();
+}
+
+/**
+ * Everything in the trash, optionally for one customer, with each item's purge date
+ */
+export async function listTrash({ customerId = null } = {}) {
+  const items = {};
+
+  for (const type of TRASH_TYPES) {
+    const result = await listTrashed(type, { customerId });
+    if (!result.success) {
+      return { success: false, error: result.error };
+    }
+    items[type] = result.data.map(row => ({ ...row, purge_after: getPurgeAfter(row.deleted_at) }));
+  }
+
+  return {
+    success: true,
+    retentionDays: getTrashRetentionDays(),
+    models: items.model,
+    variants: items.variant,
+    images: items.image
+  };
+}
+
+/**
+ * Remove an item's stored files, then its rows; the purge job and bulk deletes use this.
+ * A model takes all of its variants with it, trashed or not.
+ */
+export async function purgeItem(type, row) {
+  if (type === 'image') {
+    if (row.cloudinary_public_id) await deleteImageFile(row.cloudinary_public_id);
+    return deleteImage(row.id);
+  }
+
+  if (type === 'variant') {
+    if (row.cloudinary_public_id) await deleteModelFile(row.cloudinary_public_id);
+    return deleteModelVariant(row.id);
+  }
+
+  for (const variant of await getModelVariants(row.id, { includeDeleted: true })) {
+    if (variant.cloudinary_public_id) await deleteModelFile(variant.cloudinary_public_id);
+    const result = await deleteModelVariant(variant.id);
+    if (!result.success) return result;
+  }
+  if (row.cloudinary_public_id) await deleteModelFile(row.cloudinary_public_id);
+  return deleteModel(row.id);
+}
+
+/**
+ * Permanently remove every item trashed longer than the retention window.
+ * Items whose files cannot be deleted stay in the trash and are retried on the next run.
+ */
+export async function purgeExpiredTrash({ dryRun = false } = {}) {
+  const cutoff = new Date(Date.now() - getTrashRetentionDays() * DAY_MS).toISOString();
+  const purged = { model: [], variant: [], image: [] };
+  const failed = [];
+
+  for (const type of TRASH_TYPES) {
+    const result = await listTrashed(type, { deletedBefore: cutoff });
+    if (!result.success) {
+      return { success: false, error: result.error, purged, failed };
+    }
+
+    for (const row of result.data) {
+      if (dryRun) {
+        purged[type].push(row.id);
+        continue;
+      }
+
+      try {
+        const deleted = await purgeItem(type, row);
+        if (!deleted.success) throw new Error(deleted.error);
+        purged[type].push(row.id);
+      } catch (error) {
+        console.error(`Trash purge failed for ${type} ${row.id}:`, error);
+        failed.push({ type, id: row.id, error: error.message });
+      }
+    }
+  }
+
+  return { success: failed.length === 0, cutoff, purged, failed };
+}
@@ -0,0 +1,205 @@
+/**
+ * Two-factor enrollment and verification against the users table
+ */
+
+import { supabase } from './supabase.js';
+import { generateOTPAuthQR } from './qr-generator.js';
+import {
+  encryptTotpSecret,
+  decryptTotpSecret,
+  generateTotpSecret,
+  verifyTotp,
+  buildOtpAuthUri,
+  hashRecoveryCode,
+  generateRecoveryCodes,
+  isTwoFactorRequired
+} from './totp.js';
+
+const TWO_FACTOR_COLUMNS = 'id, username, role, totp_enabled, totp_secret, totp_pending_secret, totp_last_used_step, totp_recovery_codes';
+
+/**
+ * Load a user's two-factor columns
+ */
+async function getTwoFactorUser(userId) {
+  const { data, error } = await supabase
+    .from('users')
+    .select(TWO_FACTOR_COLUMNS)
+    .eq('id', userId)
+    .single();
+
+  if (error || !data) {
+    return null;
+  }
+  return data;
+}
+
+/**
+ * Two-factor status for a user, safe to return to the client
+ */
+export async function getTwoFactorStatus(userId) {
+  const user = await getTwoFactorUser(userId);
+  if (!user) {
+    return { success: false, error: 'User not found' };
+  }
+
+  return {
+    success: true,
+    enabled: !!user.totp_enabled,
+    required: isTwoFactorRequired(user),
+    recoveryCodesRemaining: (user.totp_recovery_codes || []).length
+  };
+}
+
+/**
+ * Start enrollment: store a pending secret and return it with a QR code to scan
+ */
+export async function beginTwoFactorSetup(userId) {
+  const user = await getTwoFactorUser(userId);
+  if (!user) {
+    return { success: false, error: 'User not found' };
+  }
+
+  if (user.totp_enabled) {
+    return { success: false, error: 'Two-factor authentication is already enabled' };
+  }
+
+  const secret = generateTotpSecret();
+  const otpauthUri = buildOtpAuthUri(user.username, secret);
+
+  const { error } = await supabase
+    .from('users')
+    .update({ totp_pending_secret: encryptTotpSecret(secret) })
+    .eq('id', user.id);
+
+  if (error) {
+    return { success: false, error: error.message };
+  }
+
+  const qr = await generateOTPAuthQR(otpauthUri, { size: 240 });
+
+  return { success: true, secret, otpauthUri, qrCode: qr.data.qr_code };
+}
+
+/**
+ * Finish enrollment by confirming a code from the pending secret; returns fresh recovery codes
+ */
+export async function activateTwoFactor(userId, code) {
+  const user = await getTwoFactorUser(userId);
+  if (!user?.totp_pending_secret) {
+    return { success: false, error: 'Start two-factor setup first' };
+  }
+
+  const step = verifyTotp(decryptTotpSecret(user.totp_pending_secret), code);
+  if (step === null) {
+    return { success: false, error: 'Invalid authentication code' };
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+  const { error } = await supabase
+    .from('users')
+    .update({
+      totp_enabled: true,
+      totp_secret: user.totp_pending_secret,
+      totp_pending_secret: null,
+      totp_last_used_step: step,
+      totp_recovery_codes: hashes
+    })
+    .eq('id', user.id);
+
+  if (error) {
+    return { success: false, error: error.message };
+  }
+
+  return { success: true, recoveryCodes: codes };
+}
+
+/**
+ * Check a second factor: a TOTP code or a one-time recovery code (which is used up)
+ */
+export async function verifySecondFactor(userId, { code, recoveryCode }) {
+  const user = await getTwoFactorUser(userId);
+  if (!user?.totp_enabled) {
+    return { success: false, error: 'Two-factor authentication is not enabled' };
+  }
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const remaining = (user.totp_recovery_codes || []).filter(stored => stored !== hash);
+
+    if (remaining.length === (user.totp_recovery_codes || []).length) {
+      return { success: false, error: 'Invalid recovery code' };
+    }
+
+    // Only succeed if the code was still present when we removed it
+    const { data, error } = await supabase
+      .from('users')
+      .update({ totp_recovery_codes: remaining })
+      .eq('id', user.id)
+      .contains('totp_recovery_codes', [hash])
+      .select('id');
+
+    if (error || !data?.length) {
+      return { success: false, error: 'Invalid recovery code' };
+    }
+
+    return { success: true, usedRecoveryCode: true, recoveryCodesRemaining: remaining.length };
+  }
+
+  const step = verifyTotp(decryptTotpSecret(user.totp_secret), code, user.totp_last_used_step);
+  if (step === null) {
+    return { success: false, error: 'Invalid authentication code' };
+  }
+
+  // Record the step so the same code cannot be replayed
+  const { data, error } = await supabase
+    .from('users')
+    .update({ totp_last_used_step: step })
+    .eq('id', user.id)
+    .or(`totp_last_used_step.is.null,totp_last_used_step.lt.${step}`)
+    .select('id');
+
+  if (error || !data?.length) {
+    return { success: false, error: 'Invalid authentication code' };
+  }
+
+  return { success: true, usedRecoveryCode: false };
+}
+
+/**
+ * Replace a user's recovery codes with a fresh set
+ */
+export async function regenerateRecoveryCodes(userId) {
+  const { codes, hashes } = generateRecoveryCodes();
+
+  const { error } = await supabase
+    .from('users')
+    .update({ totp_recovery_codes: hashes })
+    .eq('id', userId)
+    .eq('totp_enabled', true);
+
+  if (error) {
+    return { success: false, error: error.message };
+  }
+  return { success: true, recoveryCodes: codes };
+}
+
+/**
+ * Turn two-factor off and forget the secret and recovery codes
+ */
+export async function disableTwoFactor(userId) {
+  const { error } = await supabase
+    .from('users')
+    .update({
+      totp_enabled: false,
+      totp_secret: null,
+      totp_pending_secret: null,
+      totp_last_used_step: null,
+      totp_recovery_codes: null
+    })
+    .eq('id', userId);
+
+  if (error) {
+    return { success: false, error: error.message };
+  }
+  return { success: true };
+}
@@ -0,0 +1,57 @@
+/**
+ * URL utilities for SEO-friendly product and QR URLs
+ */
+
+// Generate SEO-friendly slug from title
+export function generateSlug(title) {
+  if (!title) return 'untitled';
+
+  return title
+    .toLowerCase()
+    .replace(/[^\w\s\u0590-\u05FF\u0600-\u06FF-]/g, '') // Keep Hebrew/Arabic chars
+    .replace(/\s+/g, '-')     // Replace spaces with hyphens
+    .replace(/-+/g, '-')      // Replace multiple hyphens
+    .replace(/^-|-$/g, '')    // Remove leading/trailing hyphens
+    .substring(0, 50);        // Limit length
+}
+
+// Generate customer slug
+export function generateCustomerSlug(customerName) {
+  if (!customerName || customerName === 'Unassigned') return 'unassigned';
+  return generateSlug(customerName);
+}
+
+// Generate category slug from title (basic categorization)
+export function generateCategorySlug(title) {
+  const title_lower = title.toLowerCase();
+
+  // Basic category detection
+  if (title_lower.includes('sofa') || title_lower.includes('couch') || title_lower.includes('ספה')) return 'sofas';
+  if (title_lower.includes('chair') || title_lower.includes('כיסא') || title_lower.includes('כורסא')) return 'chairs';
+  if (title_lower.includes('table') || title_lower.includes('שולחן')) return 'tables';
+  if (title_lower.includes('bed') || title_lower.includes('מיטה')) return 'beds';
+  if (title_lower.includes('cabinet') || title_lower.includes('ארון')) return 'cabinets';
+  if (title_lower.includes('desk') || title_lower.includes('שולחן עבודה')) return 'desks';
+  if (title_lower.includes('wallpaper') || title_lower.includes('טפט')) return 'wallpapers';
+
+  return 'furniture'; // Default category
+}
+
+// Build SEO-friendly URL
+export function buildProductUrl(customerSlug, productSlug, productId, variantSlug = null) {
+  let url = `/f/${customerSlug}/${productSlug}-${productId}`;
+  if (variantSlug) {
+    url += `/${variantSlug}`;
+  }
+  return url;
+}
+
+// Build QR URL
+export function buildQRUrl(customerSlug, productSlug, productId, variantSlug = null) {
+  let url = `/qr/${customerSlug}/${productSlug}-${productId}`;
+  if (variantSlug) {
+    url += `-${variantSlug}`;
+  }
+  url += '.svg';
+  return url;
+}
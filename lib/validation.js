@@ -0,0 +1,229 @@
+/**
+ * Declarative request validation
+ * A schema describes a request's path params, query and body: { params, query, body },
+ * each a map of field name to field rule. Rules are plain objects:
+ *   { type, required, default, description, ...constraints }
+ * type is 'string', 'integer', 'number', 'boolean', 'id' (string or integer), 'array'
+ * (items, minItems, maxItems) or 'object' (properties). Strings take minLength,
+ * maxLength, pattern, enum and format ('url', 'email', 'hex-color', 'date-time');
+ * numbers take minimum and maximum.
+ *
+ * Values are coerced where the intent is clear, since query strings and form fields
+ * only carry text: '12' to 12, 'true'/'false' to booleans, a JSON string to an object,
+ * a comma-separated query value to an array, and a number to a string field's text.
+ * Optional fields accept null and are skipped when missing; fields not in the schema
+ * are passed through untouched.
+ */
+
+const FORMATS = {
+  'url': {
+    test: value => {
+      try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+      } catch {
+        return false;
+      }
+    },
+    message: 'must be an http(s) URL'
+  },
+  'email': {
+    test: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+    message: 'must be an email address'
+  },
+  'hex-color': {
+    test: value => /^#[0-9A-Fa-f]{6}$/.test(value),
+    message: 'must be a hex color such as #667eea'
+  },
+  'date-time': {
+    test: value => !Number.isNaN(Date.parse(value)),
+    message: 'must be a date'
+  }
+};
+
+const NUMERIC = /^-?\d+(\.\d+)?$/;
+
+function coerce(rule, value, location) {
+  if (rule.type === 'string' && typeof value === 'number') return String(value);
+  if (typeof value !== 'string') return value;
+
+  switch (rule.type) {
+    case 'integer':
+    case 'number':
+      return NUMERIC.test(value.trim()) ? Number(value) : value;
+    case 'boolean':
+      return value === 'true' ? true : value === 'false' ? false : value;
+    case 'object':
+      try {
+        return JSON.parse(value);
+      } catch {
+        return value;
+      }
+    case 'array':
+      if (location === 'query') return value === '' ? [] : value.split(',');
+      try {
+        return JSON.parse(value);
+      } catch {
+        return value;
+      }
+    default:
+      return value;
+  }
+}
+
+/**
+ * Check one value against its rule; pushes { field, in, message } onto errors and
+ * returns the coerced value
+ */
+function checkValue(rule, value, field, location, errors) {
+  const fail = message => {
+    errors.push({ field, in: location, message });
+    return value;
+  };
+
+  // Query strings send empty values for fields left blank in forms
+  const isEmptyQueryValue = location !== 'body' && value === '' && rule.type !== 'string';
+  if (value === undefined || value === null || isEmptyQueryValue) {
+    if (rule.required) return fail('is required');
+    return value === undefined || isEmptyQueryValue ? rule.default : null;
+  }
+
+  value = coerce(rule, value, location);
+
+  switch (rule.type) {
+    case 'string': {
+      if (typeof value !== 'string') return fail('must be a string');
+      if (rule.required && !value.trim()) return fail('is required');
+      if (rule.minLength !== undefined && value.length < rule.minLength) return fail(`must be at least ${rule.minLength} characters`);
+      if (rule.maxLength !== undefined && value.length > rule.maxLength) return fail(`must be at most ${rule.maxLength} characters`);
+      if (rule.enum && !rule.enum.includes(value)) return fail(`must be one of: ${rule.enum.join(', ')}`);
+      if (rule.pattern && !rule.pattern.test(value)) return fail(rule.patternMessage || `must match ${rule.pattern}`);
+      if (rule.format && value !== '' && !FORMATS[rule.format].test(value)) return fail(FORMATS[rule.format].message);
+      return value;
+    }
+
+    case 'id':
+      if (typeof value === 'string' ? !value.trim() : !Number.isInteger(value)) return fail('must be an ID');
+      return value;
+
+    case 'integer':
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return fail(`must be ${rule.type === 'integer' ? 'an integer' : 'a number'}`);
+      if (rule.type === 'integer' && !Number.isInteger(value)) return fail('must be an integer');
+      if (rule.minimum !== undefined && value < rule.minimum) return fail(`must be at least ${rule.minimum}`);
+      if (rule.maximum !== undefined && value > rule.maximum) return fail(`must be at most ${rule.maximum}`);
+      return value;
+
+    case 'boolean':
+      if (typeof value !== 'boolean') return fail('must be true or false');
+      return value;
+
+    case 'array': {
+      if (!Array.isArray(value)) return fail('must be a list');
+      if (rule.minItems !== undefined && value.length < rule.minItems) return fail(`must have at least ${rule.minItems} item${rule.minItems === 1 ? '' : 's'}`);
+      if (rule.maxItems !== undefined && value.length > rule.maxItems) return fail(`must have at most ${rule.maxItems} items`);
+      if (!rule.items) return value;
+      return value.map((item, i) => checkValue({ ...rule.items, required: true }, item, `${field}[${i}]`, location, errors));
+    }
+
+    case 'object': {
+      if (typeof value !== 'object' || Array.isArray(value)) return fail('must be an object');
+      return rule.properties ? checkFields(rule.properties, value, `${field}.`, location, errors) : value;
+    }
+
+    default:
+      return value;
+  }
+}
+
+function checkFields(rules, values = {}, prefix, location, errors) {
+  const result = { ...values };
+  for (const [name, rule] of Object.entries(rules)) {
+    const value = checkValue(rule, values[name], `${prefix}${name}`, location, errors);
+    if (value === undefined) {
+      delete result[name];
+    } else {
+      result[name] = value;
+    }
+  }
+  return result;
+}
+
+/**
+ * Validate a request's params, query and body against a schema.
+ * Returns { success: true, params, query, body } with coerced values and defaults
+ * applied, or { success: false, errors: [{ field, in, message }] }.
+ */
+export function validateRequest(schema, { params = {}, query = {}, body } = {}) {
+  const errors = [];
+  const result = { success: true, params, query, body };
+
+  for (const location of ['params', 'query', 'body']) {
+    if (!schema[location]) continue;
+
+    let values = result[location];
+    if (location === 'body' && (values === undefined || values === null || values === '')) {
+      values = {};
+    } else if (location === 'body' && (typeof values !== 'object' || Array.isArray(values))) {
+      errors.push({ field: 'body', in: 'body', message: 'must be a JSON object' });
+      continue;
+    }
+
+    result[location] = checkFields(schema[location], values, '', location, errors);
+  }
+
+  return errors.length > 0 ? { success: false, errors } : result;
+}
+
+/**
+ * Uniform 400 body for failed validation: a readable summary plus every field error
+ */
+export function formatValidationErrors(errors) {
+  return {
+    error: `Invalid request: ${errors.map(({ field, message }) => `${field} ${message}`).join('; ')}`,
+    fields: errors
+  };
+}
+
+function describeConstraints(rule) {
+  const constraints = [];
+  if (rule.enum) constraints.push(`one of ${rule.enum.join(', ')}`);
+  if (rule.format) constraints.push(rule.format);
+  if (rule.minLength !== undefined) constraints.push(`min length ${rule.minLength}`);
+  if (rule.maxLength !== undefined) constraints.push(`max length ${rule.maxLength}`);
+  if (rule.minimum !== undefined) constraints.push(`min ${rule.minimum}`);
+  if (rule.maximum !== undefined) constraints.push(`max ${rule.maximum}`);
+  if (rule.minItems !== undefined) constraints.push(`min ${rule.minItems} items`);
+  if (rule.maxItems !== undefined) constraints.push(`max ${rule.maxItems} items`);
+  if (rule.default !== undefined) constraints.push(`default ${JSON.stringify(rule.default)}`);
+  return constraints;
+}
+
+function describeFields(rules, prefix, location, fields) {
+  for (const [name, rule] of Object.entries(rules)) {
+    const type = rule.type === 'array' && rule.items ? `${rule.items.type}[]` : rule.type;
+    fields.push({
+      in: location,
+      name: `${prefix}${name}`,
+      type,
+      required: rule.required === true,
+      description: rule.description || '',
+      constraints: [...describeConstraints(rule), ...(rule.items ? describeConstraints(rule.items) : [])]
+    });
+    if (rule.type === 'object' && rule.properties) {
+      describeFields(rule.properties, `${prefix}${name}.`, location, fields);
+    }
+  }
+  return fields;
+}
+
+/**
+ * Flat field list of a schema for documentation:
+ * [{ in, name, type, required, description, constraints }]
+ */
+export function describeSchema(schema = {}) {
+  const fields = [];
+  for (const location of ['params', 'query', 'body']) {
+    if (schema[location]) describeFields(schema[location], '', location, fields);
+  }
+  return fields;
+}
@@ -0,0 +1,69 @@
+/**
+ * View tracking rules: which requests count as a view and how a view is attributed
+ */
+
+export const VIEW_SOURCES = ['qr', 'link', 'embed'];
+
+const DEFAULT_DEDUP_MINUTES = 30;
+const MAX_REFERRER_LENGTH = 500;
+
+// Crawlers, link unfurlers and scripted clients; none of them are people looking at furniture
+const BOT_USER_AGENT = /[a-z]bot[\/;-]|\bbot\b|crawl|spider|slurp|bingpreview|facebookexternalhit|whatsapp\/|skypeuripreview|embedly|quora link preview|headlesschrome|phantomjs|lighthouse|pagespeed|curl\/|wget\/|python-requests|python-urllib|node-fetch|axios\/|go-http-client|okhttp|java\/|libwww|httpclient/i;
+
+/**
+ * Whether a user agent belongs to a bot; requests without one are treated as bots too
+ */
+export function isBotUserAgent(userAgent) {
+  return !userAgent || BOT_USER_AGENT.test(userAgent);
+}
+
+/**
+ * Seconds during which repeat views from one visitor are not counted again (VIEW_DEDUP_MINUTES)
+ */
+export function getViewDedupSeconds() {
+  const minutes = parseInt(process.env.VIEW_DEDUP_MINUTES);
+  return (Number.isInteger(minutes) && minutes >= 0 ? minutes : DEFAULT_DEDUP_MINUTES) * 60;
+}
+
+/**
+ * A known view source, defaulting to a plain link
+ */
+export function normalizeViewSource(source) {
+  return VIEW_SOURCES.includes(source) ? source : 'link';
+}
+
+/**
+ * Keep only the origin and path of a referrer; query strings can carry personal data
+ */
+export function normalizeReferrer(referrer) {
+  if (!referrer || typeof referrer !== 'string') {
+    return null;
+  }
+
+  try {
+    const url = new URL(referrer);
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+      return null;
+    }
+    return `${url.origin}${url.pathname}`.slice(0, MAX_REFERRER_LENGTH);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Mark a viewer URL on this platform as a QR target (?src=qr) so scans are attributed to QR
+ */
+export function tagQrTarget(targetUrl, platformHosts) {
+  try {
+    const url = new URL(targetUrl);
+    const isViewerPath = url.pathname.startsWith('/f/') || url.pathname === '/view';
+    if (!platformHosts.includes(url.host) || !isViewerPath) {
+      return targetUrl;
+    }
+    url.searchParams.set('src', 'qr');
+    return url.toString();
+  } catch {
+    return targetUrl;
+  }
+}
@@ -0,0 +1,156 @@
+-- Migration: Initial schema
+-- Catalog, users, images, view tracking, feedback, customer requests and brand settings.
+-- Replaces the SQL that used to be handed out by the init-models-db and create-*-table
+-- endpoints; every statement is idempotent so it is safe on databases set up that way.
+-- There is no down section: rolling back past this point would drop the whole catalog.
+
+CREATE TABLE IF NOT EXISTS models (
+  id TEXT PRIMARY KEY,
+  title VARCHAR(255) NOT NULL,
+  description TEXT,
+  filename VARCHAR(255) NOT NULL,
+  cloudinary_url TEXT NOT NULL,
+  cloudinary_public_id VARCHAR(255) NOT NULL,
+  file_size BIGINT DEFAULT 0,
+  customer_id VARCHAR(100) DEFAULT 'unassigned',
+  customer_name VARCHAR(255) DEFAULT 'Unassigned',
+  view_count INTEGER DEFAULT 0,
+  dominant_color VARCHAR(7) DEFAULT '#6b7280',
+  product_url TEXT,
+  metadata JSONB DEFAULT '{}',
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Columns added to models after the first deployments
+ALTER TABLE models ADD COLUMN IF NOT EXISTS product_url TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_models_customer ON models(customer_id);
+CREATE INDEX IF NOT EXISTS idx_models_created ON models(created_at);
+
+CREATE TABLE IF NOT EXISTS model_variants (
+  id TEXT PRIMARY KEY,
+  parent_model_id TEXT NOT NULL REFERENCES models(id) ON DELETE CASCADE,
+  variant_name VARCHAR(255) NOT NULL,
+  hex_color VARCHAR(7) DEFAULT '#000000',
+  cloudinary_url TEXT NOT NULL,
+  cloudinary_public_id VARCHAR(255) NOT NULL,
+  file_size BIGINT DEFAULT 0,
+  is_primary BOOLEAN DEFAULT FALSE,
+  variant_type VARCHAR(50) DEFAULT 'upload', -- 'upload' or 'color'
+  product_url TEXT,
+  metadata JSONB DEFAULT '{}',
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Columns added to model_variants after the first deployments
+ALTER TABLE model_variants ADD COLUMN IF NOT EXISTS product_url TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_model_variants_parent ON model_variants(parent_model_id);
+CREATE INDEX IF NOT EXISTS idx_model_variants_primary ON model_variants(is_primary);
+
+CREATE TABLE IF NOT EXISTS users (
+  id TEXT PRIMARY KEY,
+  username VARCHAR(100) NOT NULL UNIQUE,
+  password_hash TEXT NOT NULL, -- bcrypt
+  role VARCHAR(20) NOT NULL, -- 'admin' or 'customer'
+  customer_id VARCHAR(100),
+  customer_name VARCHAR(255),
+  is_active BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_users_customer ON users(customer_id);
+
+CREATE TABLE IF NOT EXISTS images (
+  id TEXT PRIMARY KEY,
+  filename VARCHAR(255) NOT NULL,
+  cloudinary_url TEXT NOT NULL,
+  cloudinary_public_id VARCHAR(255) NOT NULL,
+  file_size INTEGER,
+  width INTEGER,
+  height INTEGER,
+  format VARCHAR(50),
+  image_type VARCHAR(50) NOT NULL DEFAULT 'general',
+  customer_id VARCHAR(100),
+  metadata JSONB DEFAULT '{}',
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_images_type ON images(image_type);
+CREATE INDEX IF NOT EXISTS idx_images_customer ON images(customer_id);
+
+-- Detailed view tracking per variant
+CREATE TABLE IF NOT EXISTS model_views (
+  id BIGSERIAL PRIMARY KEY,
+  model_id TEXT NOT NULL,
+  variant_id TEXT NULL, -- NULL for original variant
+  viewed_at TIMESTAMPTZ DEFAULT NOW(),
+  user_agent TEXT,
+  ip_hash TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_model_views_model ON model_views(model_id);
+CREATE INDEX IF NOT EXISTS idx_model_views_variant ON model_views(variant_id);
+CREATE INDEX IF NOT EXISTS idx_model_views_date ON model_views(viewed_at);
+
+CREATE TABLE IF NOT EXISTS feedback (
+  id TEXT PRIMARY KEY,
+  feedback_type VARCHAR(20) NOT NULL CHECK (feedback_type IN ('positive', 'negative', 'error')),
+  categories TEXT[] DEFAULT '{}',
+  comment TEXT,
+  customer_id VARCHAR(100) NOT NULL,
+  model_id TEXT NOT NULL,
+  model_name VARCHAR(255),
+  user_agent TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_feedback_customer ON feedback(customer_id);
+CREATE INDEX IF NOT EXISTS idx_feedback_model ON feedback(model_id);
+CREATE INDEX IF NOT EXISTS idx_feedback_type ON feedback(feedback_type);
+CREATE INDEX IF NOT EXISTS idx_feedback_date ON feedback(created_at);
+
+CREATE TABLE IF NOT EXISTS customer_requests (
+  id TEXT PRIMARY KEY,
+  customer_id VARCHAR(100) NOT NULL,
+  product_url TEXT NOT NULL,
+  title VARCHAR(255),
+  description TEXT,
+  reference_images TEXT[], -- Cloudinary image URLs
+  status VARCHAR(50) DEFAULT 'pending', -- pending, in_progress, completed, cancelled
+  priority VARCHAR(20) DEFAULT 'normal', -- low, normal, high
+  estimated_completion DATE,
+  notes TEXT, -- customer notes
+  admin_notes TEXT, -- admin-only notes
+  model_id TEXT, -- models(id) once completed
+  metadata JSONB DEFAULT '{}',
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_requests_customer ON customer_requests(customer_id);
+CREATE INDEX IF NOT EXISTS idx_requests_status ON customer_requests(status);
+CREATE INDEX IF NOT EXISTS idx_requests_created ON customer_requests(created_at);
+
+CREATE TABLE IF NOT EXISTS customer_brand_settings (
+  id SERIAL PRIMARY KEY,
+  customer_id VARCHAR(100) NOT NULL UNIQUE,
+  text_direction VARCHAR(3) DEFAULT 'ltr', -- 'ltr' or 'rtl'
+  logo_url VARCHAR(500), -- customer logo in Cloudinary
+  primary_color VARCHAR(7) DEFAULT '#58a6ff',
+  secondary_color VARCHAR(7) DEFAULT '#79c0ff',
+  font_family VARCHAR(100) DEFAULT 'Inter',
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_brand_settings_customer ON customer_brand_settings(customer_id);
+
+-- Grant permissions
+GRANT ALL ON models, model_variants, users, images, model_views, feedback, customer_requests, customer_brand_settings TO authenticated;
+GRANT ALL ON models, model_variants, users, images, model_views, feedback, customer_requests, customer_brand_settings TO service_role;
+GRANT USAGE, SELECT ON SEQUENCE model_views_id_seq, customer_brand_settings_id_seq TO authenticated;
+GRANT USAGE, SELECT ON SEQUENCE model_views_id_seq, customer_brand_settings_id_seq TO service_role;
@@ -29,4 +29,11 @@ CREATE TABLE IF NOT EXISTS qr_generation_log (
 
 -- Create index for log queries
 CREATE INDEX IF NOT EXISTS idx_qr_log_model_variant ON qr_generation_log(model_id, variant_id);
-CREATE INDEX IF NOT EXISTS idx_qr_log_generated_at ON qr_generation_log(generated_at DESC);
\ No newline at end of file
+CREATE INDEX IF NOT EXISTS idx_qr_log_generated_at ON qr_generation_log(generated_at DESC);
+
+-- migrate:down
+DROP TABLE IF EXISTS qr_generation_log;
+DROP INDEX IF EXISTS idx_variants_qr_generated_at;
+DROP INDEX IF EXISTS idx_models_qr_generated_at;
+ALTER TABLE model_variants DROP COLUMN IF EXISTS qr_generated_at, DROP COLUMN IF EXISTS qr_code_url;
+ALTER TABLE models DROP COLUMN IF EXISTS qr_generated_at, DROP COLUMN IF EXISTS qr_code_url;
@@ -0,0 +1,27 @@
+-- Migration: URL slug columns for SEO-friendly URLs
+-- Enables URLs like /f/napo/modern-sofa-utEaiw2a/black; existing rows are filled by 004
+
+ALTER TABLE models
+ADD COLUMN IF NOT EXISTS url_slug VARCHAR(255),
+ADD COLUMN IF NOT EXISTS category_slug VARCHAR(100),
+ADD COLUMN IF NOT EXISTS customer_slug VARCHAR(100);
+
+ALTER TABLE model_variants
+ADD COLUMN IF NOT EXISTS color_slug VARCHAR(50);
+
+-- Create indexes for URL resolution
+CREATE INDEX IF NOT EXISTS idx_models_url_slug ON models(url_slug);
+CREATE INDEX IF NOT EXISTS idx_models_customer_slug ON models(customer_slug);
+CREATE INDEX IF NOT EXISTS idx_variants_color_slug ON model_variants(color_slug);
+CREATE INDEX IF NOT EXISTS idx_models_slug_lookup ON models(customer_slug, url_slug);
+
+-- migrate:down
+DROP INDEX IF EXISTS idx_models_slug_lookup;
+DROP INDEX IF EXISTS idx_variants_color_slug;
+DROP INDEX IF EXISTS idx_models_customer_slug;
+DROP INDEX IF EXISTS idx_models_url_slug;
+ALTER TABLE model_variants DROP COLUMN IF EXISTS color_slug;
+ALTER TABLE models
+DROP COLUMN IF EXISTS customer_slug,
+DROP COLUMN IF EXISTS category_slug,
+DROP COLUMN IF EXISTS url_slug;
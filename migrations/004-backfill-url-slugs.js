@@ -0,0 +1,16 @@
+/**
+ * Migration: Generate URL slugs for models created before 003
+ * A data migration, so it runs in JavaScript with the same slug rules as new uploads
+ */
+
+import { migrateModelSlugs } from '../lib/repositories/models.js';
+
+export async function up() {
+  const result = await migrateModelSlugs();
+  if (!result.success) {
+    throw new Error(`Slug backfill failed: ${result.error}`);
+  }
+}
+
+// Nothing to undo: the generated slugs go away with 003's columns
+export async function down() {}
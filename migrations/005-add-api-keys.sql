@@ -0,0 +1,27 @@
+-- Migration: Add per-customer API keys
+-- Keys authenticate retailer back offices against the catalog and upload routes
+
+CREATE TABLE IF NOT EXISTS api_keys (
+  id TEXT PRIMARY KEY,
+  customer_id VARCHAR(100) NOT NULL,
+  customer_name VARCHAR(255),
+  name VARCHAR(100) NOT NULL,
+  key_prefix VARCHAR(20) NOT NULL, -- first characters of the key, for display only
+  key_hash CHAR(64) NOT NULL UNIQUE, -- SHA-256 of the full key
+  scopes TEXT[] NOT NULL DEFAULT '{}', -- catalog:read, models:upload, variants:manage, qr:generate
+  created_by TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  last_used_at TIMESTAMPTZ,
+  revoked_at TIMESTAMPTZ
+);
+
+-- Create indexes for key lookup and per-customer listing
+CREATE INDEX IF NOT EXISTS idx_api_keys_customer ON api_keys(customer_id);
+CREATE INDEX IF NOT EXISTS idx_api_keys_active ON api_keys(key_hash) WHERE revoked_at IS NULL;
+
+-- Grant permissions
+GRANT ALL ON api_keys TO authenticated;
+GRANT ALL ON api_keys TO service_role;
+
+-- migrate:down
+DROP TABLE IF EXISTS api_keys;
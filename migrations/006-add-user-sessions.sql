@@ -0,0 +1,23 @@
+-- Migration: Add server-side session records
+-- Login tokens are only honoured while their session row is active, so sessions can be revoked
+
+CREATE TABLE IF NOT EXISTS user_sessions (
+  id UUID PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL,
+  revoked_at TIMESTAMPTZ,
+  ip_hash TEXT,
+  user_agent TEXT
+);
+
+-- Create indexes for per-user listing and active-session lookups
+CREATE INDEX IF NOT EXISTS idx_user_sessions_user ON user_sessions(user_id);
+CREATE INDEX IF NOT EXISTS idx_user_sessions_active ON user_sessions(id) WHERE revoked_at IS NULL;
+
+-- Grant permissions
+GRANT ALL ON user_sessions TO authenticated;
+GRANT ALL ON user_sessions TO service_role;
+
+-- migrate:down
+DROP TABLE IF EXISTS user_sessions;
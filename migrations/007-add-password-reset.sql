@@ -0,0 +1,31 @@
+-- Migration: Self-service password reset
+-- Adds an email address to users and single-use reset tokens
+
+-- Email address used for password reset links
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS email VARCHAR(255);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_users_email ON users(LOWER(email));
+
+CREATE TABLE IF NOT EXISTS password_reset_tokens (
+  id BIGSERIAL PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  token_hash CHAR(64) NOT NULL UNIQUE, -- SHA-256 of the token sent by email
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL,
+  used_at TIMESTAMPTZ
+);
+
+-- Create index for invalidating a user's earlier tokens
+CREATE INDEX IF NOT EXISTS idx_password_reset_user ON password_reset_tokens(user_id);
+
+-- Grant permissions
+GRANT ALL ON password_reset_tokens TO authenticated;
+GRANT ALL ON password_reset_tokens TO service_role;
+GRANT USAGE, SELECT ON SEQUENCE password_reset_tokens_id_seq TO authenticated;
+GRANT USAGE, SELECT ON SEQUENCE password_reset_tokens_id_seq TO service_role;
+
+-- migrate:down
+DROP TABLE IF EXISTS password_reset_tokens;
+DROP INDEX IF EXISTS idx_users_email;
+ALTER TABLE users DROP COLUMN IF EXISTS email;
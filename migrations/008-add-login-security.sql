@@ -0,0 +1,37 @@
+-- Migration: Login brute-force protection and audit trail
+-- Per-account failed-attempt counters with progressive lockout, and a log of every login attempt
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS failed_login_attempts INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN IF NOT EXISTS last_failed_login_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS locked_until TIMESTAMPTZ;
+
+CREATE TABLE IF NOT EXISTS login_attempts (
+  id BIGSERIAL PRIMARY KEY,
+  username VARCHAR(100), -- as typed, may not match a real account
+  user_id TEXT,
+  success BOOLEAN NOT NULL,
+  reason VARCHAR(50), -- unknown_user, invalid_password, invalid_password_locked, locked
+  ip_hash VARCHAR(64),
+  user_agent TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Create indexes for the admin audit and suspicious-activity views
+CREATE INDEX IF NOT EXISTS idx_login_attempts_created ON login_attempts(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_login_attempts_username ON login_attempts(username, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_login_attempts_ip ON login_attempts(ip_hash, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_login_attempts_failures ON login_attempts(created_at DESC) WHERE success = false;
+
+-- Grant permissions
+GRANT ALL ON login_attempts TO authenticated;
+GRANT ALL ON login_attempts TO service_role;
+GRANT USAGE, SELECT ON SEQUENCE login_attempts_id_seq TO authenticated;
+GRANT USAGE, SELECT ON SEQUENCE login_attempts_id_seq TO service_role;
+
+-- migrate:down
+DROP TABLE IF EXISTS login_attempts;
+ALTER TABLE users
+DROP COLUMN IF EXISTS locked_until,
+DROP COLUMN IF EXISTS last_failed_login_at,
+DROP COLUMN IF EXISTS failed_login_attempts;
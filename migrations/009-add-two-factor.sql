@@ -0,0 +1,17 @@
+-- Migration: TOTP two-factor authentication
+-- Secrets are AES-256-GCM encrypted by the app; recovery codes are stored as SHA-256 hashes
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS totp_enabled BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN IF NOT EXISTS totp_secret TEXT,
+ADD COLUMN IF NOT EXISTS totp_pending_secret TEXT, -- set during enrollment until the first code is confirmed
+ADD COLUMN IF NOT EXISTS totp_last_used_step BIGINT, -- last accepted 30-second step, blocks code replay
+ADD COLUMN IF NOT EXISTS totp_recovery_codes TEXT[];
+
+-- migrate:down
+ALTER TABLE users
+DROP COLUMN IF EXISTS totp_recovery_codes,
+DROP COLUMN IF EXISTS totp_last_used_step,
+DROP COLUMN IF EXISTS totp_pending_secret,
+DROP COLUMN IF EXISTS totp_secret,
+DROP COLUMN IF EXISTS totp_enabled;
@@ -0,0 +1,48 @@
+-- Migration: Append-only audit log
+-- One row per mutating operation with the actor and a field-level before/after diff
+
+CREATE TABLE IF NOT EXISTS audit_log (
+  id BIGSERIAL PRIMARY KEY,
+  action VARCHAR(100) NOT NULL, -- e.g. model.update, variant.delete, brand_settings.update
+  target_type VARCHAR(50) NOT NULL,
+  target_id TEXT,
+  customer_id VARCHAR(100),
+  actor_user_id TEXT,
+  actor_username VARCHAR(100),
+  actor_role VARCHAR(20),
+  api_key_id TEXT,
+  changes JSONB NOT NULL DEFAULT '{}', -- { field: { before, after } }
+  metadata JSONB,
+  ip_hash VARCHAR(64),
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Create indexes for the admin audit view filters
+CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_action ON audit_log(action, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_target ON audit_log(target_type, target_id);
+CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON audit_log(actor_username, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_customer ON audit_log(customer_id, created_at DESC);
+
+-- Entries can be added but never changed or removed
+CREATE OR REPLACE FUNCTION prevent_audit_log_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION 'audit_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS audit_log_append_only ON audit_log;
+CREATE TRIGGER audit_log_append_only
+  BEFORE UPDATE OR DELETE ON audit_log
+  FOR EACH ROW EXECUTE FUNCTION prevent_audit_log_changes();
+
+-- Grant permissions (insert and read only)
+GRANT SELECT, INSERT ON audit_log TO authenticated;
+GRANT SELECT, INSERT ON audit_log TO service_role;
+GRANT USAGE, SELECT ON SEQUENCE audit_log_id_seq TO authenticated;
+GRANT USAGE, SELECT ON SEQUENCE audit_log_id_seq TO service_role;
+
+-- migrate:down
+DROP TABLE IF EXISTS audit_log;
+DROP FUNCTION IF EXISTS prevent_audit_log_changes();
@@ -0,0 +1,53 @@
+-- Migration: Persistent rate limiting
+-- Fixed-window counters per policy and principal; the app combines the current and
+-- previous window into a sliding window estimate
+
+CREATE TABLE IF NOT EXISTS rate_limit_counters (
+  key TEXT NOT NULL, -- policy:principal, e.g. auth:ip:12345 or upload:key:abc
+  bucket BIGINT NOT NULL, -- window number (epoch ms / window length)
+  count INTEGER NOT NULL DEFAULT 0,
+  expires_at TIMESTAMPTZ NOT NULL,
+  PRIMARY KEY (key, bucket)
+);
+
+-- Create index for clearing expired counters
+CREATE INDEX IF NOT EXISTS idx_rate_limit_counters_expires ON rate_limit_counters(expires_at);
+
+-- Count a request and return this window's and the previous window's totals atomically
+CREATE OR REPLACE FUNCTION rate_limit_increment(p_key TEXT, p_bucket BIGINT, p_window_ms INTEGER)
+RETURNS TABLE (current_count INTEGER, previous_count INTEGER) AS $$
+BEGIN
+  INSERT INTO rate_limit_counters (key, bucket, count, expires_at)
+  VALUES (p_key, p_bucket, 1, NOW() + (p_window_ms * 2) * INTERVAL '1 millisecond')
+  ON CONFLICT (key, bucket) DO UPDATE SET count = rate_limit_counters.count + 1
+  RETURNING rate_limit_counters.count INTO current_count;
+
+  SELECT COALESCE(MAX(c.count), 0) INTO previous_count
+  FROM rate_limit_counters c
+  WHERE c.key = p_key AND c.bucket = p_bucket - 1;
+
+  RETURN NEXT;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Remove counters whose windows can no longer affect any decision
+CREATE OR REPLACE FUNCTION rate_limit_cleanup()
+RETURNS INTEGER AS $$
+DECLARE
+  deleted INTEGER;
+BEGIN
+  DELETE FROM rate_limit_counters WHERE expires_at < NOW();
+  GET DIAGNOSTICS deleted = ROW_COUNT;
+  RETURN deleted;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Grant permissions
+GRANT ALL ON rate_limit_counters TO service_role;
+GRANT EXECUTE ON FUNCTION rate_limit_increment(TEXT, BIGINT, INTEGER) TO service_role;
+GRANT EXECUTE ON FUNCTION rate_limit_cleanup() TO service_role;
+
+-- migrate:down
+DROP FUNCTION IF EXISTS rate_limit_cleanup();
+DROP FUNCTION IF EXISTS rate_limit_increment(TEXT, BIGINT, INTEGER);
+DROP TABLE IF EXISTS rate_limit_counters;
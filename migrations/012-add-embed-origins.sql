@@ -0,0 +1,8 @@
+-- Migration: Add Per-Customer Embed Origin Allowlists
+-- Origins listed here may frame the viewer (CSP frame-ancestors) and post messages to it
+
+ALTER TABLE customer_brand_settings
+ADD COLUMN IF NOT EXISTS allowed_embed_origins TEXT[] NOT NULL DEFAULT '{}';
+
+-- migrate:down
+ALTER TABLE customer_brand_settings DROP COLUMN IF EXISTS allowed_embed_origins;
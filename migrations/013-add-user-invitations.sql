@@ -0,0 +1,32 @@
+-- Migration: Invitation-based onboarding
+-- Admins invite a user by email for a role (and customer); the invitee sets their own password
+
+CREATE TABLE IF NOT EXISTS user_invitations (
+  id BIGSERIAL PRIMARY KEY,
+  email VARCHAR(255) NOT NULL,
+  role VARCHAR(20) NOT NULL, -- 'admin' or 'customer'
+  customer_id TEXT,
+  customer_name TEXT,
+  token_hash CHAR(64) NOT NULL UNIQUE, -- SHA-256 of the token in the invite link
+  invited_by TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL,
+  last_sent_at TIMESTAMPTZ DEFAULT NOW(),
+  send_count INTEGER NOT NULL DEFAULT 1,
+  accepted_at TIMESTAMPTZ,
+  accepted_user_id TEXT,
+  revoked_at TIMESTAMPTZ
+);
+
+-- Create indexes for the admin listing and per-email lookups
+CREATE INDEX IF NOT EXISTS idx_user_invitations_created ON user_invitations(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_user_invitations_email ON user_invitations(LOWER(email));
+
+-- Grant permissions
+GRANT ALL ON user_invitations TO authenticated;
+GRANT ALL ON user_invitations TO service_role;
+GRANT USAGE, SELECT ON SEQUENCE user_invitations_id_seq TO authenticated;
+GRANT USAGE, SELECT ON SEQUENCE user_invitations_id_seq TO service_role;
+
+-- migrate:down
+DROP TABLE IF EXISTS user_invitations;
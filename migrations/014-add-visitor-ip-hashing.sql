@@ -0,0 +1,39 @@
+-- Migration: Keyed IP hashing and unique visitor counts
+-- IPs are stored only as HMAC-SHA256 hashes under a salt that rotates every UTC day,
+-- so a visitor can be counted once per day but never linked across days or recovered
+
+-- Make sure view records can hold the visitor hash
+ALTER TABLE model_views
+ADD COLUMN IF NOT EXISTS user_agent TEXT,
+ADD COLUMN IF NOT EXISTS ip_hash VARCHAR(64);
+
+-- Drop hashes written by the old unkeyed 32-bit hash; they are trivially reversible
+UPDATE model_views SET ip_hash = NULL WHERE ip_hash IS NOT NULL AND LENGTH(ip_hash) <> 64;
+UPDATE login_attempts SET ip_hash = NULL WHERE ip_hash IS NOT NULL AND LENGTH(ip_hash) <> 64;
+UPDATE user_sessions SET ip_hash = NULL WHERE ip_hash IS NOT NULL AND LENGTH(ip_hash) <> 64;
+-- audit_log is append-only, so its trigger is paused for this one cleanup
+ALTER TABLE audit_log DISABLE TRIGGER audit_log_append_only;
+UPDATE audit_log SET ip_hash = NULL WHERE ip_hash IS NOT NULL AND LENGTH(ip_hash) <> 64;
+ALTER TABLE audit_log ENABLE TRIGGER audit_log_append_only;
+
+-- Create index for per-day unique visitor counts
+CREATE INDEX IF NOT EXISTS idx_model_views_visitor ON model_views(model_id, viewed_at, ip_hash);
+
+-- Views and unique visitors per model per UTC day (the salt day, so hashes are comparable)
+CREATE OR REPLACE VIEW model_daily_visitors AS
+SELECT
+  model_id,
+  (viewed_at AT TIME ZONE 'UTC')::date AS day,
+  COUNT(*) AS views,
+  COUNT(DISTINCT ip_hash) AS unique_visitors
+FROM model_views
+GROUP BY model_id, (viewed_at AT TIME ZONE 'UTC')::date;
+
+-- Grant permissions
+GRANT SELECT ON model_daily_visitors TO authenticated;
+GRANT SELECT ON model_daily_visitors TO service_role;
+
+-- migrate:down
+-- Cleared legacy hashes cannot be restored
+DROP VIEW IF EXISTS model_daily_visitors;
+DROP INDEX IF EXISTS idx_model_views_visitor;
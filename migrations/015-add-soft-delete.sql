@@ -0,0 +1,29 @@
+-- Migration: Soft delete with a trash
+-- Deleted models, variants and images keep their row and stored file until the purge job
+-- removes them after the retention window (TRASH_RETENTION_DAYS), so admins can restore them
+
+ALTER TABLE models
+ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS deleted_by TEXT;
+
+ALTER TABLE model_variants
+ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS deleted_by TEXT;
+
+ALTER TABLE images
+ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS deleted_by TEXT;
+
+-- Create indexes for the trash listing and purge job (only trashed rows are indexed)
+CREATE INDEX IF NOT EXISTS idx_models_deleted_at ON models(deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_model_variants_deleted_at ON model_variants(deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_images_deleted_at ON images(deleted_at) WHERE deleted_at IS NOT NULL;
+
+-- migrate:down
+-- Anything still in the trash becomes live again
+DROP INDEX IF EXISTS idx_images_deleted_at;
+DROP INDEX IF EXISTS idx_model_variants_deleted_at;
+DROP INDEX IF EXISTS idx_models_deleted_at;
+ALTER TABLE images DROP COLUMN IF EXISTS deleted_by, DROP COLUMN IF EXISTS deleted_at;
+ALTER TABLE model_variants DROP COLUMN IF EXISTS deleted_by, DROP COLUMN IF EXISTS deleted_at;
+ALTER TABLE models DROP COLUMN IF EXISTS deleted_by, DROP COLUMN IF EXISTS deleted_at;
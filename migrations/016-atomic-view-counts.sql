@@ -0,0 +1,66 @@
+-- Migration: Atomic, deduplicated view counting
+-- A view is recorded and counted in one database call, so concurrent views are never lost.
+-- Repeat views from the same visitor (daily IP hash + user agent) inside the dedup window
+-- are ignored. Each recorded view keeps its referrer and source (qr, link or embed).
+
+ALTER TABLE model_views
+ADD COLUMN IF NOT EXISTS referrer TEXT,
+ADD COLUMN IF NOT EXISTS source VARCHAR(20);
+
+-- Create index for views by source
+CREATE INDEX IF NOT EXISTS idx_model_views_source ON model_views(model_id, source);
+
+-- Record a view and increment the model's counter; counted is FALSE for a repeat view,
+-- and no row comes back when the model does not exist or is in the trash
+CREATE OR REPLACE FUNCTION record_model_view(
+  p_model_id TEXT,
+  p_variant_id TEXT,
+  p_ip_hash TEXT,
+  p_user_agent TEXT,
+  p_referrer TEXT,
+  p_source TEXT,
+  p_dedup_seconds INTEGER
+)
+RETURNS TABLE (counted BOOLEAN, total_views INTEGER) AS $$
+BEGIN
+  IF p_ip_hash IS NOT NULL AND p_dedup_seconds > 0 THEN
+    -- Serialize views from one visitor so two parallel requests cannot both pass the check
+    PERFORM pg_advisory_xact_lock(hashtext(p_model_id || ':' || p_ip_hash));
+
+    IF EXISTS (
+      SELECT 1 FROM model_views v
+      WHERE v.model_id = p_model_id
+        AND v.ip_hash = p_ip_hash
+        AND v.user_agent IS NOT DISTINCT FROM p_user_agent
+        AND v.viewed_at > NOW() - p_dedup_seconds * INTERVAL '1 second'
+    ) THEN
+      RETURN QUERY
+      SELECT FALSE, m.view_count FROM models m
+      WHERE m.id = p_model_id AND m.deleted_at IS NULL;
+      RETURN;
+    END IF;
+  END IF;
+
+  UPDATE models m SET view_count = COALESCE(m.view_count, 0) + 1
+  WHERE m.id = p_model_id AND m.deleted_at IS NULL
+  RETURNING m.view_count INTO total_views;
+
+  IF NOT FOUND THEN
+    RETURN;
+  END IF;
+
+  INSERT INTO model_views (model_id, variant_id, ip_hash, user_agent, referrer, source)
+  VALUES (p_model_id, p_variant_id, p_ip_hash, p_user_agent, p_referrer, p_source);
+
+  counted := TRUE;
+  RETURN NEXT;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Grant permissions
+GRANT EXECUTE ON FUNCTION record_model_view(TEXT, TEXT, TEXT, TEXT, TEXT, TEXT, INTEGER) TO service_role;
+
+-- migrate:down
+DROP FUNCTION IF EXISTS record_model_view(TEXT, TEXT, TEXT, TEXT, TEXT, TEXT, INTEGER);
+DROP INDEX IF EXISTS idx_model_views_source;
+ALTER TABLE model_views DROP COLUMN IF EXISTS source, DROP COLUMN IF EXISTS referrer;
@@ -0,0 +1,103 @@
+-- Migration: Model listing filters, sorting and stats
+-- The models listing pages with a cursor over (sort column, id) and filters in the
+-- database, so dashboards no longer load a whole catalog. variant_count is kept up to date
+-- by a trigger for the has-variants filter; the stats functions aggregate in the database
+-- instead of returning every model row.
+
+-- upload_date predates the migrations; databases created from them did not have it
+ALTER TABLE models
+ADD COLUMN IF NOT EXISTS upload_date TIMESTAMPTZ DEFAULT NOW(),
+ADD COLUMN IF NOT EXISTS variant_count INTEGER NOT NULL DEFAULT 0;
+
+-- Keyset paging needs a value in every sort column; an empty product URL means none
+UPDATE models SET upload_date = COALESCE(created_at, NOW()) WHERE upload_date IS NULL;
+UPDATE models SET view_count = 0 WHERE view_count IS NULL;
+UPDATE models SET file_size = 0 WHERE file_size IS NULL;
+UPDATE models SET product_url = NULL WHERE product_url = '';
+
+UPDATE models m SET variant_count = (
+  SELECT COUNT(*) FROM model_variants v
+  WHERE v.parent_model_id = m.id AND v.deleted_at IS NULL
+);
+
+-- Recount live variants of the parent model(s) a variant change touches
+CREATE OR REPLACE FUNCTION refresh_model_variant_count()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP IN ('UPDATE', 'DELETE') THEN
+    UPDATE models SET variant_count = (
+      SELECT COUNT(*) FROM model_variants v
+      WHERE v.parent_model_id = OLD.parent_model_id AND v.deleted_at IS NULL
+    ) WHERE id = OLD.parent_model_id;
+  END IF;
+
+  IF TG_OP IN ('INSERT', 'UPDATE') THEN
+    UPDATE models SET variant_count = (
+      SELECT COUNT(*) FROM model_variants v
+      WHERE v.parent_model_id = NEW.parent_model_id AND v.deleted_at IS NULL
+    ) WHERE id = NEW.parent_model_id;
+  END IF;
+
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS model_variants_count ON model_variants;
+CREATE TRIGGER model_variants_count
+  AFTER INSERT OR DELETE OR UPDATE OF parent_model_id, deleted_at ON model_variants
+  FOR EACH ROW EXECUTE FUNCTION refresh_model_variant_count();
+
+-- Create indexes for each listing sort (live models only), ties broken by id
+CREATE INDEX IF NOT EXISTS idx_models_list_upload ON models(upload_date, id) WHERE deleted_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_models_list_views ON models(view_count, id) WHERE deleted_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_models_list_size ON models(file_size, id) WHERE deleted_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_models_list_title ON models(title, id) WHERE deleted_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_models_list_customer ON models(customer_id, upload_date, id) WHERE deleted_at IS NULL;
+
+-- Totals over live models, for everyone or one customer
+CREATE OR REPLACE FUNCTION model_stats(p_customer_id TEXT)
+RETURNS TABLE (
+  total_models BIGINT,
+  total_views BIGINT,
+  total_size BIGINT,
+  with_variants BIGINT,
+  missing_product_url BIGINT
+) AS $$
+  SELECT
+    COUNT(*),
+    COALESCE(SUM(view_count), 0),
+    COALESCE(SUM(file_size), 0),
+    COUNT(*) FILTER (WHERE variant_count > 0),
+    COUNT(*) FILTER (WHERE product_url IS NULL)
+  FROM models
+  WHERE deleted_at IS NULL
+    AND (p_customer_id IS NULL OR customer_id = p_customer_id);
+$$ LANGUAGE sql STABLE;
+
+-- Live models per category, for the listing's category filter
+CREATE OR REPLACE FUNCTION model_category_counts(p_customer_id TEXT)
+RETURNS TABLE (category_slug TEXT, count BIGINT) AS $$
+  SELECT m.category_slug::TEXT, COUNT(*)
+  FROM models m
+  WHERE m.deleted_at IS NULL
+    AND m.category_slug IS NOT NULL
+    AND (p_customer_id IS NULL OR m.customer_id = p_customer_id)
+  GROUP BY m.category_slug
+  ORDER BY COUNT(*) DESC, m.category_slug;
+$$ LANGUAGE sql STABLE;
+
+-- Grant permissions
+GRANT EXECUTE ON FUNCTION model_stats(TEXT) TO service_role;
+GRANT EXECUTE ON FUNCTION model_category_counts(TEXT) TO service_role;
+
+-- migrate:down
+DROP FUNCTION IF EXISTS model_category_counts(TEXT);
+DROP FUNCTION IF EXISTS model_stats(TEXT);
+DROP INDEX IF EXISTS idx_models_list_customer;
+DROP INDEX IF EXISTS idx_models_list_title;
+DROP INDEX IF EXISTS idx_models_list_size;
+DROP INDEX IF EXISTS idx_models_list_views;
+DROP INDEX IF EXISTS idx_models_list_upload;
+DROP TRIGGER IF EXISTS model_variants_count ON model_variants;
+DROP FUNCTION IF EXISTS refresh_model_variant_count();
+ALTER TABLE models DROP COLUMN IF EXISTS variant_count;
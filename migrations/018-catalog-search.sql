@@ -0,0 +1,115 @@
+-- Migration: Full-text catalog search (Hebrew and English)
+-- Each model gets a weighted search vector over its title (A), variant names and tags (B),
+-- customer name (C) and description (D). Text is normalized the same way as
+-- lib/search-text.js: Hebrew vowel points dropped, final letters folded, words also indexed
+-- without one or two of the prefixes ו ה ב ל מ ש כ; English lowercased without accents.
+-- The 'simple' configuration is used because Postgres ships no Hebrew dictionary.
+
+ALTER TABLE models
+ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}',
+ADD COLUMN IF NOT EXISTS variant_names TEXT; -- live variant names, kept up to date by a trigger
+
+UPDATE models m SET variant_names = (
+  SELECT string_agg(v.variant_name, ' ' ORDER BY v.variant_name) FROM model_variants v
+  WHERE v.parent_model_id = m.id AND v.deleted_at IS NULL
+);
+
+-- Lowercased, mark-free text with one space between tokens (letters a-z, א-ת and digits)
+CREATE OR REPLACE FUNCTION search_normalize(p_text TEXT)
+RETURNS TEXT AS $$
+  SELECT trim(regexp_replace(
+    translate(
+      regexp_replace(
+        regexp_replace(
+          regexp_replace(lower(normalize(COALESCE(p_text, ''), NFD)), '[\u05BE\u05C0\u05C3\u05C6]', ' ', 'g'),
+          '[\u0300-\u036F\u0591-\u05C7]', '', 'g'),
+        '[''"\u05F3\u05F4\u2019]', '', 'g'),
+      'ךםןףץ', 'כמנפצ'),
+    '[^a-z0-9א-ת]+', ' ', 'g'));
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Every indexed term of a text: its tokens plus Hebrew tokens without their prefixes
+CREATE OR REPLACE FUNCTION search_document(p_text TEXT)
+RETURNS TEXT AS $$
+  SELECT COALESCE(string_agg(term, ' '), '')
+  FROM (
+    SELECT token AS term FROM regexp_split_to_table(search_normalize(p_text), ' ') AS token
+    WHERE token <> ''
+    UNION ALL
+    SELECT substr(token, 2) FROM regexp_split_to_table(search_normalize(p_text), ' ') AS token
+    WHERE token ~ '^[והבלמשכ][א-ת]{2,}$'
+    UNION ALL
+    SELECT substr(token, 3) FROM regexp_split_to_table(search_normalize(p_text), ' ') AS token
+    WHERE token ~ '^[והבלמשכ]{2}[א-ת]{2,}$'
+  ) terms;
+$$ LANGUAGE sql IMMUTABLE;
+
+-- array_to_string is only STABLE; tags are plain text so this is safe to mark IMMUTABLE
+CREATE OR REPLACE FUNCTION search_tags_text(p_tags TEXT[])
+RETURNS TEXT AS $$
+  SELECT COALESCE(array_to_string(p_tags, ' '), '');
+$$ LANGUAGE sql IMMUTABLE;
+
+ALTER TABLE models
+ADD COLUMN IF NOT EXISTS search_vector tsvector GENERATED ALWAYS AS (
+  setweight(to_tsvector('simple', search_document(title)), 'A') ||
+  setweight(to_tsvector('simple', search_document(COALESCE(variant_names, '') || ' ' || search_tags_text(tags))), 'B') ||
+  setweight(to_tsvector('simple', search_document(customer_name)), 'C') ||
+  setweight(to_tsvector('simple', search_document(description)), 'D')
+) STORED;
+
+-- Create index for search
+CREATE INDEX IF NOT EXISTS idx_models_search ON models USING GIN (search_vector);
+
+-- Keep the parent model's variant_names current
+CREATE OR REPLACE FUNCTION refresh_model_variant_names()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP IN ('UPDATE', 'DELETE') THEN
+    UPDATE models SET variant_names = (
+      SELECT string_agg(v.variant_name, ' ' ORDER BY v.variant_name) FROM model_variants v
+      WHERE v.parent_model_id = OLD.parent_model_id AND v.deleted_at IS NULL
+    ) WHERE id = OLD.parent_model_id;
+  END IF;
+
+  IF TG_OP IN ('INSERT', 'UPDATE') THEN
+    UPDATE models SET variant_names = (
+      SELECT string_agg(v.variant_name, ' ' ORDER BY v.variant_name) FROM model_variants v
+      WHERE v.parent_model_id = NEW.parent_model_id AND v.deleted_at IS NULL
+    ) WHERE id = NEW.parent_model_id;
+  END IF;
+
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS model_variants_names ON model_variants;
+CREATE TRIGGER model_variants_names
+  AFTER INSERT OR DELETE OR UPDATE OF parent_model_id, deleted_at, variant_name ON model_variants
+  FOR EACH ROW EXECUTE FUNCTION refresh_model_variant_names();
+
+-- Live models matching a tsquery built by lib/search-text.js, best match first
+CREATE OR REPLACE FUNCTION search_models(p_query TEXT, p_customer_id TEXT, p_limit INTEGER)
+RETURNS TABLE (id TEXT, rank REAL) AS $$
+  SELECT m.id, ts_rank(m.search_vector, q) AS rank
+  FROM models m, to_tsquery('simple', p_query) q
+  WHERE m.deleted_at IS NULL
+    AND (p_customer_id IS NULL OR m.customer_id = p_customer_id)
+    AND m.search_vector @@ q
+  ORDER BY rank DESC, m.view_count DESC, m.id
+  LIMIT p_limit;
+$$ LANGUAGE sql STABLE;
+
+-- Grant permissions
+GRANT EXECUTE ON FUNCTION search_models(TEXT, TEXT, INTEGER) TO service_role;
+
+-- migrate:down
+DROP FUNCTION IF EXISTS search_models(TEXT, TEXT, INTEGER);
+DROP TRIGGER IF EXISTS model_variants_names ON model_variants;
+DROP FUNCTION IF EXISTS refresh_model_variant_names();
+DROP INDEX IF EXISTS idx_models_search;
+ALTER TABLE models DROP COLUMN IF EXISTS search_vector;
+DROP FUNCTION IF EXISTS search_tags_text(TEXT[]);
+DROP FUNCTION IF EXISTS search_document(TEXT);
+DROP FUNCTION IF EXISTS search_normalize(TEXT);
+ALTER TABLE models DROP COLUMN IF EXISTS variant_names, DROP COLUMN IF EXISTS tags;
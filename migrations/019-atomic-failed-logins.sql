@@ -0,0 +1,32 @@
+-- Migration: Atomic failed-login counting
+-- A failed attempt is counted and the lockout set in one statement, so parallel wrong
+-- passwords against one account are all counted and cannot undercut the lockout.
+
+-- Count a failed login and return the new count and lockout end (NULL below the
+-- threshold). The lockout lasts 1 minute at p_threshold failures and doubles with
+-- every further failure up to p_max_minutes, as getLockoutMinutes() does.
+CREATE OR REPLACE FUNCTION register_failed_login(
+  p_user_id TEXT,
+  p_threshold INTEGER,
+  p_max_minutes INTEGER
+)
+RETURNS TABLE (failed_attempts INTEGER, locked_until TIMESTAMPTZ) AS $$
+BEGIN
+  RETURN QUERY
+  UPDATE users u SET
+    failed_login_attempts = u.failed_login_attempts + 1,
+    last_failed_login_at = NOW(),
+    locked_until = CASE
+      WHEN u.failed_login_attempts + 1 < p_threshold THEN NULL
+      ELSE NOW() + LEAST(POWER(2, LEAST(u.failed_login_attempts + 1 - p_threshold, 30)), p_max_minutes) * INTERVAL '1 minute'
+    END
+  WHERE u.id = p_user_id
+  RETURNING u.failed_login_attempts, u.locked_until;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Grant permissions
+GRANT EXECUTE ON FUNCTION register_failed_login(TEXT, INTEGER, INTEGER) TO service_role;
+
+-- migrate:down
+DROP FUNCTION IF EXISTS register_failed_login(TEXT, INTEGER, INTEGER);
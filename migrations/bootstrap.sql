@@ -0,0 +1,54 @@
+-- Migration runner bootstrap (run once by hand in the Supabase SQL editor)
+-- Creates the schema_migrations ledger and the functions the runner calls. Each call
+-- runs a migration's SQL and updates the ledger in one transaction, so a failing
+-- migration leaves neither half-applied changes nor a ledger entry behind.
+
+CREATE TABLE IF NOT EXISTS schema_migrations (
+  version VARCHAR(20) PRIMARY KEY, -- numeric file prefix, e.g. '007'
+  name VARCHAR(255) NOT NULL,
+  checksum CHAR(64) NOT NULL, -- SHA-256 of the migration file when it was applied
+  applied_at TIMESTAMPTZ DEFAULT NOW(),
+  execution_ms INTEGER
+);
+
+-- Run a migration's up SQL (NULL for JavaScript migrations) and record it
+CREATE OR REPLACE FUNCTION apply_migration(p_version TEXT, p_name TEXT, p_checksum TEXT, p_sql TEXT)
+RETURNS VOID AS $$
+DECLARE
+  started TIMESTAMPTZ := clock_timestamp();
+BEGIN
+  IF EXISTS (SELECT 1 FROM schema_migrations WHERE version = p_version) THEN
+    RAISE EXCEPTION 'Migration % is already applied', p_version;
+  END IF;
+
+  IF p_sql IS NOT NULL THEN
+    EXECUTE p_sql;
+  END IF;
+
+  INSERT INTO schema_migrations (version, name, checksum, execution_ms)
+  VALUES (p_version, p_name, p_checksum, (EXTRACT(EPOCH FROM clock_timestamp() - started) * 1000)::INTEGER);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Run a migration's down SQL (NULL for JavaScript migrations) and remove its record
+CREATE OR REPLACE FUNCTION revert_migration(p_version TEXT, p_sql TEXT)
+RETURNS VOID AS $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM schema_migrations WHERE version = p_version) THEN
+    RAISE EXCEPTION 'Migration % is not applied', p_version;
+  END IF;
+
+  IF p_sql IS NOT NULL THEN
+    EXECUTE p_sql;
+  END IF;
+
+  DELETE FROM schema_migrations WHERE version = p_version;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Only the service role may change the schema
+REVOKE ALL ON FUNCTION apply_migration(TEXT, TEXT, TEXT, TEXT) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION revert_migration(TEXT, TEXT) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION apply_migration(TEXT, TEXT, TEXT, TEXT) TO service_role;
+GRANT EXECUTE ON FUNCTION revert_migration(TEXT, TEXT) TO service_role;
+GRANT SELECT ON schema_migrations TO service_role;
@@ -0,0 +1,67 @@
+/**
+ * API reference generated from the route table
+ *
+ *   npm run docs:api [-- --out API.md]
+ *
+ * Lists every route and method with who may call it, the API key scopes that grant
+ * access and the request fields from its schema (lib/request-schemas.js). Prints
+ * Markdown, or writes it to the --out file.
+ */
+
+import fs from 'fs';
+
+// Loading the API needs no database or storage account
+process.env.DATA_STORE = process.env.DATA_STORE || 'memory';
+process.env.ASSET_STORE = process.env.ASSET_STORE || 'local';
+
+const { ROUTES } = await import('../api/index.js');
+const { describeRoutes } = await import('../lib/router.js');
+const { getExternalEndpoint } = await import('../lib/endpoints.js');
+
+const ACCESS_LABELS = { public: 'anyone', admin: 'admins', customer: 'customers', cron: 'the cron job' };
+
+function escapeCell(text) {
+  return String(text).replace(/\|/g, '\\|');
+}
+
+function renderRoute({ method, path, access, scopes, fields }) {
+  const external = getExternalEndpoint(path);
+  const lines = [`### ${method} /api/${path}`, ''];
+
+  if (external !== path) {
+    lines.push(`Also served as \`/api/${external}\`.`, '');
+  }
+  lines.push(`Access: ${access.map(role => ACCESS_LABELS[role] || role).join(', ')}`);
+  if (scopes.length > 0) {
+    lines.push(`API key scopes: ${scopes.map(scope => `\`${scope}\``).join(', ')}`);
+  }
+  lines.push('');
+
+  if (fields.length > 0) {
+    lines.push('| Field | In | Type | Required | Notes |', '| --- | --- | --- | --- | --- |');
+    for (const field of fields) {
+      const notes = [field.description, ...field.constraints].filter(Boolean).join('; ');
+      lines.push(`| \`${field.name}\` | ${field.in} | ${field.type} | ${field.required ? 'yes' : ''} | ${escapeCell(notes)} |`);
+    }
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+const markdown = [
+  '# API Reference',
+  '',
+  'Generated by `npm run docs:api` from the route table in `api/index.js`. Requests that do',
+  'not match a route\'s fields are refused with `400` and a `fields` list of `{ field, in, message }`.',
+  '',
+  ...describeRoutes(ROUTES).map(renderRoute)
+].join('\n');
+
+const outIndex = process.argv.indexOf('--out');
+if (outIndex !== -1 && process.argv[outIndex + 1]) {
+  fs.writeFileSync(process.argv[outIndex + 1], markdown);
+  console.log(`Wrote ${process.argv[outIndex + 1]}`);
+} else {
+  console.log(markdown);
+}
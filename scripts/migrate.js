@@ -0,0 +1,78 @@
+/**
+ * Database migration command line
+ *
+ *   npm run migrate -- status
+ *   npm run migrate -- up [--to <version>] [--steps <n>] [--dry-run]
+ *   npm run migrate -- down [--to <version>] [--steps <n>] [--dry-run]
+ *
+ * Needs SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY in the environment.
+ */
+
+import { getMigrationStatus, runMigrations } from '../lib/migrations.js';
+
+/**
+ * Parse "command --flag value" arguments
+ */
+function parseArgs(argv) {
+  const [command = 'status', ...rest] = argv;
+  const options = { dryRun: false, target: null, steps: null };
+
+  for (let i = 0; i < rest.length; i++) {
+    if (rest[i] === '--dry-run') options.dryRun = true;
+    else if (rest[i] === '--to') options.target = rest[++i];
+    else if (rest[i] === '--steps') options.steps = parseInt(rest[++i]);
+    else throw new Error(`Unknown option: ${rest[i]}`);
+  }
+
+  if (options.steps !== null && !(options.steps > 0)) {
+    throw new Error('--steps must be a positive number');
+  }
+  return { command, options };
+}
+
+async function printStatus() {
+  const result = await getMigrationStatus();
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+
+  for (const migration of result.migrations) {
+    const when = migration.appliedAt ? new Date(migration.appliedAt).toISOString() : '';
+    console.log(`${migration.status.padEnd(8)} ${migration.version}-${migration.name}${migration.type ? `.${migration.type}` : ''} ${when}`);
+  }
+  console.log(`\n${result.pending} pending`);
+}
+
+async function run(direction, options) {
+  const result = await runMigrations({ direction, ...options });
+
+  if (options.dryRun) {
+    if (result.plan.length === 0) console.log('Nothing to do');
+    for (const step of result.plan) {
+      console.log(`-- ${direction} ${step.version}-${step.name}.${step.type}`);
+      console.log(step.sql ? `${step.sql}\n` : '(JavaScript migration)\n');
+    }
+  } else {
+    if (result.plan.length === 0) console.log('Nothing to do');
+    console.log(`${direction === 'up' ? 'Applied' : 'Reverted'} ${result.completed.length} of ${result.plan.length} migration(s)`);
+  }
+
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+}
+
+try {
+  const { command, options } = parseArgs(process.argv.slice(2));
+
+  if (command === 'status') {
+    await printStatus();
+  } else if (command === 'up' || command === 'down') {
+    await run(command, options);
+  } else {
+    throw new Error(`Unknown command: ${command}. Use status, up or down`);
+  }
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exitCode = 1;
+}
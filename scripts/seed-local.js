@@ -0,0 +1,171 @@
+/**
+ * Seed data for running offline (DATA_STORE=memory, ASSET_STORE=local)
+ *
+ *   npm run seed:local [-- --reset]
+ *
+ * Writes an admin, a demo customer with brand settings and a few generated box models
+ * into MEMORY_DB_FILE (default local-db.json) and LOCAL_ASSET_DIR (default uploads/).
+ * Passwords come from SEED_ADMIN_PASSWORD / SEED_CUSTOMER_PASSWORD or the defaults below.
+ */
+
+import fs from 'fs';
+import bcrypt from 'bcryptjs';
+
+process.env.DATA_STORE = process.env.DATA_STORE || 'memory';
+process.env.ASSET_STORE = process.env.ASSET_STORE || 'local';
+process.env.MEMORY_DB_FILE = process.env.MEMORY_DB_FILE || 'local-db.json';
+
+const DEMO_CUSTOMER = { id: 'demo-furniture', name: 'Demo Furniture' };
+
+const DEMO_MODELS = [
+  { title: 'Demo Sofa', size: [2.0, 0.8, 0.9], color: [0.35, 0.45, 0.6], variants: [{ name: 'Sand', hex: '#c2b280', color: [0.76, 0.7, 0.5] }] },
+  { title: 'Demo Coffee Table', size: [1.2, 0.45, 0.6], color: [0.55, 0.38, 0.25], variants: [] },
+  { title: 'Demo Armchair', size: [0.9, 0.9, 0.85], color: [0.3, 0.3, 0.3], variants: [] }
+];
+
+/**
+ * Build a GLB containing one box of the given size (metres) and colour
+ */
+function createBoxGlb([width, height, depth], [r, g, b]) {
+  const [x, y, z] = [width / 2, height, depth / 2];
+  // Each face: normal and four corners, counter-clockwise seen from outside
+  const faces = [
+    [[0, 0, 1], [[-x, 0, z], [x, 0, z], [x, y, z], [-x, y, z]]],
+    [[0, 0, -1], [[x, 0, -z], [-x, 0, -z], [-x, y, -z], [x, y, -z]]],
+    [[1, 0, 0], [[x, 0, z], [x, 0, -z], [x, y, -z], [x, y, z]]],
+    [[-1, 0, 0], [[-x, 0, -z], [-x, 0, z], [-x, y, z], [-x, y, -z]]],
+    [[0, 1, 0], [[-x, y, z], [x, y, z], [x, y, -z], [-x, y, -z]]],
+    [[0, -1, 0], [[-x, 0, -z], [x, 0, -z], [x, 0, z], [-x, 0, z]]]
+  ];
+
+  const positions = new Float32Array(faces.flatMap(([, corners]) => corners.flat()));
+  const normals = new Float32Array(faces.flatMap(([normal]) => [normal, normal, normal, normal].flat()));
+  const indices = new Uint16Array(faces.flatMap((_, i) => [0, 1, 2, 0, 2, 3].map(n => n + i * 4)));
+
+  const bin = Buffer.concat([Buffer.from(positions.buffer), Buffer.from(normals.buffer), Buffer.from(indices.buffer)]);
+  const paddedBin = Buffer.concat([bin, Buffer.alloc((4 - (bin.length % 4)) % 4)]);
+
+  const gltf = {
+    asset: { version: '2.0', generator: 'seed-local' },
+    scene: 0,
+    scenes: [{ nodes: [0] }],
+    nodes: [{ mesh: 0 }],
+    meshes: [{ primitives: [{ attributes: { POSITION: 0, NORMAL: 1 }, indices: 2, material: 0 }] }],
+    materials: [{ pbrMetallicRoughness: { baseColorFactor: [r, g, b, 1], metallicFactor: 0, roughnessFactor: 0.8 } }],
+    buffers: [{ byteLength: paddedBin.length }],
+    bufferViews: [
+      { buffer: 0, byteOffset: 0, byteLength: positions.byteLength, target: 34962 },
+      { buffer: 0, byteOffset: positions.byteLength, byteLength: normals.byteLength, target: 34962 },
+      { buffer: 0, byteOffset: positions.byteLength + normals.byteLength, byteLength: indices.byteLength, target: 34963 }
+    ],
+    accessors: [
+      { bufferView: 0, componentType: 5126, count: 24, type: 'VEC3', min: [-x, 0, -z], max: [x, y, z] },
+      { bufferView: 1, componentType: 5126, count: 24, type: 'VEC3' },
+      { bufferView: 2, componentType: 5123, count: 36, type: 'SCALAR' }
+    ]
+  };
+
+  let json = Buffer.from(JSON.stringify(gltf));
+  json = Buffer.concat([json, Buffer.alloc((4 - (json.length % 4)) % 4, 0x20)]);
+
+  const header = Buffer.alloc(12);
+  header.writeUInt32LE(0x46546c67, 0); // 'glTF'
+  header.writeUInt32LE(2, 4);
+  header.writeUInt32LE(12 + 8 + json.length + 8 + paddedBin.length, 8);
+
+  const chunk = (type, data) => {
+    const chunkHeader = Buffer.alloc(8);
+    chunkHeader.writeUInt32LE(data.length, 0);
+    chunkHeader.writeUInt32LE(type, 4);
+    return Buffer.concat([chunkHeader, data]);
+  };
+
+  return Buffer.concat([header, chunk(0x4e4f534a, json), chunk(0x004e4942, paddedBin)]);
+}
+
+const toHex = color => `#${color.map(c => Math.round(c * 255).toString(16).padStart(2, '0')).join('')}`;
+
+async function seed({ reset }) {
+  if (process.env.DATA_STORE !== 'memory' || process.env.ASSET_STORE !== 'local') {
+    throw new Error('seed-local only writes to the offline stores (DATA_STORE=memory, ASSET_STORE=local)');
+  }
+
+  const dbFile = process.env.MEMORY_DB_FILE;
+  if (fs.existsSync(dbFile)) {
+    if (!reset) {
+      throw new Error(`${dbFile} already exists. Run with --reset to start over`);
+    }
+    fs.unlinkSync(dbFile);
+  }
+
+  // Loaded after the environment is set, since the stores are chosen at import time
+  const { createUser } = await import('../lib/repositories/users.js');
+  const { saveModel } = await import('../lib/repositories/models.js');
+  const { saveModelVariant } = await import('../lib/repositories/variants.js');
+  const { saveBrandSettings } = await import('../lib/repositories/brand-settings.js');
+  const { uploadModel } = await import('../lib/cloudinary.js');
+
+  const adminPassword = process.env.SEED_ADMIN_PASSWORD || 'local-admin-pass';
+  const customerPassword = process.env.SEED_CUSTOMER_PASSWORD || 'local-demo-pass';
+
+  const users = [
+    { id: '10000001', username: 'admin', passwordHash: await bcrypt.hash(adminPassword, 10), role: 'admin', email: 'admin@localhost' },
+    { id: '10000002', username: 'demo', passwordHash: await bcrypt.hash(customerPassword, 10), role: 'customer', customerId: DEMO_CUSTOMER.id, customerName: DEMO_CUSTOMER.name, email: 'demo@localhost' }
+  ];
+  for (const user of users) {
+    const result = await createUser(user);
+    if (!result.success) throw new Error(`Could not create ${user.username}: ${result.error}`);
+  }
+
+  const brand = await saveBrandSettings(DEMO_CUSTOMER.id, { primary_color: '#4f46e5', secondary_color: '#06b6d4', font_family: 'Inter' });
+  if (!brand.success) throw new Error(`Could not save brand settings: ${brand.error}`);
+
+  for (const demo of DEMO_MODELS) {
+    const file = createBoxGlb(demo.size, demo.color);
+    const filename = `${demo.title.toLowerCase().replace(/\s+/g, '-')}.glb`;
+    const stored = await uploadModel(file, filename);
+
+    const model = await saveModel({
+      title: demo.title,
+      description: 'Generated demo model',
+      filename,
+      cloudinaryUrl: stored.url,
+      cloudinaryPublicId: stored.publicId,
+      fileSize: stored.size,
+      customerId: DEMO_CUSTOMER.id,
+      customerName: DEMO_CUSTOMER.name,
+      dominantColor: toHex(demo.color),
+      dimensions: { width: demo.size[0] * 100, height: demo.size[1] * 100, depth: demo.size[2] * 100, unit: 'cm' }
+    });
+    if (!model.success) throw new Error(`Could not save ${demo.title}: ${model.error}`);
+
+    for (const variant of demo.variants) {
+      const variantFile = await uploadModel(createBoxGlb(demo.size, variant.color), `${variant.name.toLowerCase()}-${filename}`);
+      const result = await saveModelVariant({
+        parentModelId: model.id,
+        variantName: variant.name,
+        hexColor: variant.hex,
+        cloudinaryUrl: variantFile.url,
+        cloudinaryPublicId: variantFile.publicId,
+        fileSize: variantFile.size
+      });
+      if (!result.success) throw new Error(`Could not save variant ${variant.name}: ${result.error}`);
+    }
+  }
+
+  console.log(`✅ Seeded ${dbFile} with ${users.length} users and ${DEMO_MODELS.length} models`);
+  console.log(`   admin / ${adminPassword}`);
+  console.log(`   demo  / ${customerPassword} (customer ${DEMO_CUSTOMER.id})`);
+}
+
+try {
+  const args = process.argv.slice(2);
+  const unknown = args.find(arg => arg !== '--reset');
+  if (unknown) {
+    throw new Error(`Unknown option: ${unknown}`);
+  }
+  await seed({ reset: args.includes('--reset') });
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exitCode = 1;
+}
@@ -0,0 +1,59 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import bcrypt from 'bcryptjs';
+import { createClient } from './helpers/api.js';
+
+const { createUser } = await import('../lib/repositories/users.js');
+const { generateTotp } = await import('../lib/totp.js');
+
+/**
+ * Sign in as a fresh user and turn on two-factor; returns the client, secret and recovery codes
+ */
+async function enrollUser(username, ip) {
+  const client = createClient({ ip });
+  assert.equal((await client.call('POST', '/api/login', { username, password: 'right-password' })).status, 200);
+
+  const setup = await client.call('POST', '/api/account/2fa/setup');
+  assert.equal(setup.status, 200, JSON.stringify(setup.body));
+  const enabled = await client.call('POST', '/api/account/2fa/enable', { code: generateTotp(setup.body.secret) });
+  assert.equal(enabled.status, 200, JSON.stringify(enabled.body));
+
+  return { client, secret: setup.body.secret, recoveryCodes: enabled.body.recoveryCodes };
+}
+
+before(async () => {
+  const passwordHash = await bcrypt.hash('right-password', 4);
+  for (const [id, username] of [['user-1', 'wrong-codes'], ['user-2', 'wrong-password']]) {
+    const result = await createUser({ id, username, passwordHash, role: 'customer', customerId: 'acme' });
+    assert.equal(result.success, true, result.error);
+  }
+});
+
+test('wrong codes lock the account and refuse further attempts', async () => {
+  const { client, secret } = await enrollUser('wrong-codes', '203.0.113.10');
+
+  for (let i = 0; i < 5; i++) {
+    const response = await client.call('POST', '/api/account/2fa/disable', { code: '000000', password: 'right-password' });
+    assert.equal(response.status, 400);
+  }
+
+  const locked = await client.call('POST', '/api/account/2fa/disable', { code: generateTotp(secret, Date.now() + 30 * 1000), password: 'right-password' });
+  assert.equal(locked.status, 429);
+  assert.ok(Number(locked.headers['retry-after']) > 0);
+
+  const login = await createClient({ ip: '203.0.113.11' }).call('POST', '/api/login', { username: 'wrong-codes', password: 'right-password' });
+  assert.equal(login.status, 429);
+});
+
+test('wrong passwords when disabling count towards the lockout', async () => {
+  const { client, recoveryCodes } = await enrollUser('wrong-password', '203.0.113.12');
+
+  for (let i = 0; i < 5; i++) {
+    const response = await client.call('POST', '/api/account/2fa/disable', { recoveryCode: recoveryCodes[i], password: 'wrong-password' });
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error, 'Current password is incorrect');
+  }
+
+  const locked = await client.call('POST', '/api/account/2fa/recovery-codes', { recoveryCode: recoveryCodes[5] });
+  assert.equal(locked.status, 429);
+});
@@ -0,0 +1,12 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createClient } from './helpers/api.js';
+
+test('a missing IP hashing secret is answered with a 500, not thrown', async () => {
+  delete process.env.IP_HASH_SECRET;
+  delete process.env.SESSION_SECRET;
+
+  const response = await createClient().call('POST', '/api/login', { username: 'admin', password: 'admin-password' });
+  assert.equal(response.status, 500);
+  assert.equal(response.body.reportData.errorType, 'server_error');
+});
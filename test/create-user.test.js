@@ -0,0 +1,40 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import bcrypt from 'bcryptjs';
+import { createClient } from './helpers/api.js';
+
+const { createUser } = await import('../lib/repositories/users.js');
+
+before(async () => {
+  const result = await createUser({ id: 'admin-1', username: 'admin', passwordHash: await bcrypt.hash('admin-password', 4), role: 'admin' });
+  assert.equal(result.success, true, result.error);
+});
+
+test('a user created by an admin can sign in', async () => {
+  const admin = createClient();
+  assert.equal((await admin.call('POST', '/api/login', { username: 'admin', password: 'admin-password' })).status, 200);
+
+  const created = await admin.call('POST', '/api/create-user', {
+    username: 'new-customer',
+    password: 'customer-password',
+    role: 'customer',
+    customerId: 'acme',
+    customerName: 'Acme'
+  });
+  assert.equal(created.status, 200, JSON.stringify(created.body));
+
+  const customer = createClient({ ip: '203.0.113.2' });
+  const login = await customer.call('POST', '/api/login', { username: 'new-customer', password: 'customer-password' });
+  assert.equal(login.status, 200, JSON.stringify(login.body));
+  assert.equal(login.body.user.customerId, 'acme');
+
+  const wrong = await customer.call('POST', '/api/login', { username: 'new-customer', password: 'not-the-password' });
+  assert.equal(wrong.status, 401);
+});
+
+test('passwords are stored hashed', async () => {
+  const { getActiveUserByUsername } = await import('../lib/repositories/users.js');
+  const user = await getActiveUserByUsername('new-customer');
+  assert.notEqual(user.password_hash, 'customer-password');
+  assert.equal(await bcrypt.compare('customer-password', user.password_hash), true);
+});
@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveCustomerScope } from '../lib/auth.js';
+
+const customer = { userId: 'user-1', role: 'customer', customerId: 'acme' };
+const admin = { userId: 'admin-1', role: 'admin', customerId: null };
+const apiKey = { userId: null, role: 'customer', customerId: 'acme', apiKeyId: 'key-1', scopes: ['catalog:read'] };
+
+test('a customer asking for another customer is refused', () => {
+  assert.deepEqual(resolveCustomerScope(customer, 'globex'), { allowed: false, status: 403, error: 'Access denied' });
+});
+
+test('a customer asking for no customer or their own gets their own', () => {
+  assert.deepEqual(resolveCustomerScope(customer), { allowed: true, customerId: 'acme' });
+  assert.deepEqual(resolveCustomerScope(customer, null), { allowed: true, customerId: 'acme' });
+  assert.deepEqual(resolveCustomerScope(customer, 'acme'), { allowed: true, customerId: 'acme' });
+});
+
+test('an admin may ask for any customer or all of them', () => {
+  assert.deepEqual(resolveCustomerScope(admin, 'globex'), { allowed: true, customerId: 'globex' });
+  assert.deepEqual(resolveCustomerScope(admin), { allowed: true, customerId: null });
+});
+
+test('an API key is pinned to its customer', () => {
+  assert.deepEqual(resolveCustomerScope(apiKey), { allowed: true, customerId: 'acme' });
+  assert.equal(resolveCustomerScope(apiKey, 'globex').status, 403);
+});
+
+test('a session without a customer is refused', () => {
+  assert.equal(resolveCustomerScope({ userId: 'user-2', role: 'customer', customerId: null }).status, 403);
+  assert.equal(resolveCustomerScope(null).status, 403);
+});
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateModelFile } from '../lib/gltf-validator.js';
+
+function gltfFile(document) {
+  return Buffer.from(JSON.stringify({ asset: { version: '2.0' }, ...document }));
+}
+
+function validate(document) {
+  return validateModelFile(gltfFile(document), 'model.gltf');
+}
+
+test('accepts a minimal document', () => {
+  const report = validate({ scenes: [{ nodes: [0] }], nodes: [{}] });
+  assert.equal(report.valid, true);
+  assert.deepEqual(report.errors, []);
+});
+
+test('reports array entries that are not objects instead of throwing', () => {
+  for (const name of ['buffers', 'bufferViews', 'accessors', 'images', 'textures', 'materials', 'meshes', 'nodes', 'scenes']) {
+    for (const entry of [null, 5, 'text', []]) {
+      const report = validate({ [name]: [entry] });
+      assert.equal(report.valid, false, `${name}: ${JSON.stringify(entry)}`);
+      assert.deepEqual(report.errors, [{ code: 'JSON_INVALID_PROPERTY', message: 'must be an object', path: `/${name}/0` }]);
+    }
+  }
+});
+
+test('reports nested properties of the wrong type', () => {
+  const cases = [
+    [{ meshes: [{ primitives: 5 }] }, '/meshes/0/primitives'],
+    [{ meshes: [{ primitives: [null] }] }, '/meshes/0/primitives/0'],
+    [{ meshes: [{ primitives: [{ attributes: 'POSITION' }] }] }, '/meshes/0/primitives/0/attributes'],
+    [{ nodes: [{ children: {} }] }, '/nodes/0/children'],
+    [{ scenes: [{ nodes: 'all' }] }, '/scenes/0/nodes'],
+    [{ accessors: [{ sparse: 1 }] }, '/accessors/0/sparse'],
+    [{ accessors: [{ sparse: { indices: null } }] }, '/accessors/0/sparse/indices'],
+    [{ extensionsUsed: [{}] }, '/extensionsUsed/0'],
+    [{ buffers: {} }, '/buffers']
+  ];
+
+  for (const [document, path] of cases) {
+    const report = validate(document);
+    assert.equal(report.valid, false, path);
+    assert.equal(report.errors[0].code, 'JSON_INVALID_PROPERTY', path);
+    assert.equal(report.errors[0].path, path);
+  }
+});
+
+test('reports a document that is not an object', () => {
+  for (const text of ['null', '[]', '"model"', '{']) {
+    const report = validateModelFile(Buffer.from(text), 'model.gltf');
+    assert.equal(report.valid, false, text);
+  }
+});
@@ -0,0 +1,70 @@
+/**
+ * Drive the API handler in-process against the memory data store, keeping the
+ * session cookie between calls like a browser would
+ */
+
+process.env.DATA_STORE = 'memory';
+process.env.ASSET_STORE = 'local';
+process.env.SESSION_SECRET = process.env.SESSION_SECRET || 'test-secret';
+delete process.env.MEMORY_DB_FILE;
+
+const { default: handler } = await import('../../api/index.js');
+
+/**
+ * A client with its own cookie jar; call(method, url, body) resolves to { status, body, headers }
+ */
+export function createClient({ ip = '203.0.113.1' } = {}) {
+  let cookie = '';
+
+  async function call(method, url, body = undefined, headers = {}) {
+    const responseHeaders = {};
+    let payload = '';
+
+    const done = new Promise(resolve => {
+      const res = {
+        statusCode: 200,
+        headersSent: false,
+        setHeader(name, value) { responseHeaders[name.toLowerCase()] = value; },
+        getHeader(name) { return responseHeaders[name.toLowerCase()]; },
+        removeHeader(name) { delete responseHeaders[name.toLowerCase()]; },
+        status(code) { res.statusCode = code; return res; },
+        writeHead(code, extra = {}) { res.statusCode = code; Object.assign(responseHeaders, extra); return res; },
+        json(data) { payload = JSON.stringify(data); return res.end(); },
+        send(data) { payload = String(data); return res.end(); },
+        write(chunk) { payload += chunk; return true; },
+        end(chunk) {
+          if (chunk) payload += chunk;
+          res.headersSent = true;
+          resolve(res);
+          return res;
+        }
+      };
+
+      const parsed = new URL(url, 'http://localhost');
+      handler({
+        method,
+        url,
+        body,
+        query: Object.fromEntries(parsed.searchParams),
+        headers: { host: 'localhost', 'x-forwarded-for': ip, cookie, ...headers },
+        socket: { remoteAddress: ip }
+      }, res).then(() => resolve(res));
+    });
+
+    const res = await done;
+    const setCookie = responseHeaders['set-cookie'];
+    if (setCookie) {
+      cookie = [].concat(setCookie).map(value => value.split(';')[0]).filter(value => !value.endsWith('=')).join('; ');
+    }
+
+    let data = payload;
+    try {
+      data = JSON.parse(payload);
+    } catch {
+      // Not JSON
+    }
+    return { status: res.statusCode, body: data, headers: responseHeaders };
+  }
+
+  return { call };
+}
@@ -0,0 +1,41 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Failed logins are counted against the in-memory data store
+process.env.DATA_STORE = 'memory';
+process.env.SESSION_SECRET = process.env.SESSION_SECRET || 'test-secret';
+delete process.env.MEMORY_DB_FILE;
+
+const { createUser, getUserById } = await import('../lib/repositories/users.js');
+const { registerFailedLogin, resetFailedLogins, getLockoutRemaining } = await import('../lib/login-security.js');
+
+before(async () => {
+  const result = await createUser({ id: 'user-1', username: 'target', passwordHash: 'x', role: 'customer' });
+  assert.equal(result.success, true, result.error);
+});
+
+test('parallel failures are all counted and lock the account', async () => {
+  // Every request loaded the account before any failure was written
+  const stale = await getUserById('user-1');
+  const results = await Promise.all(Array.from({ length: 5 }, () => registerFailedLogin(stale)));
+
+  assert.deepEqual(results.map(r => r.failedAttempts).sort(), [1, 2, 3, 4, 5]);
+  const user = await getUserById('user-1');
+  assert.equal(user.failed_login_attempts, 5);
+  assert.ok(getLockoutRemaining(user) > 0);
+});
+
+test('the lockout doubles with each further failure', async () => {
+  const { failedAttempts, lockoutMinutes, lockedUntil } = await registerFailedLogin({ id: 'user-1' });
+  assert.equal(failedAttempts, 6);
+  assert.equal(lockoutMinutes, 2);
+  assert.ok(Math.abs(new Date(lockedUntil).getTime() - Date.now() - 2 * 60 * 1000) < 5000);
+});
+
+test('a reset clears the counter and lockout', async () => {
+  assert.equal((await resetFailedLogins('user-1')).success, true);
+  const user = await getUserById('user-1');
+  assert.equal(user.failed_login_attempts, 0);
+  assert.equal(getLockoutRemaining(user), 0);
+  assert.equal((await registerFailedLogin(user)).lockedUntil, null);
+});
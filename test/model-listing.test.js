@@ -0,0 +1,63 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+// The listing runs against the in-memory data store
+process.env.DATA_STORE = 'memory';
+delete process.env.MEMORY_DB_FILE;
+
+const { supabase } = await import('../lib/supabase.js');
+const { listModels } = await import('../lib/repositories/models.js');
+const { parseModelListQuery, encodeCursor } = await import('../lib/model-listing.js');
+
+const MODELS = [
+  { id: 'a', title: 'Sofa', file_size: 300 },
+  { id: 'b', title: null, file_size: null },
+  { id: 'c', title: 'Armchair', file_size: 100 },
+  { id: 'd', title: 'Table', file_size: null },
+  { id: 'e', title: null, file_size: 200 }
+];
+
+before(async () => {
+  const { error } = await supabase.from('models').insert(MODELS.map(model => ({
+    ...model,
+    customer_id: 'test',
+    variant_count: 0,
+    upload_date: '2026-01-01T00:00:00.000Z',
+    deleted_at: null
+  })));
+  assert.equal(error, null);
+});
+
+/**
+ * Follow nextCursor through every page, as a client would
+ */
+async function listAllPages(query) {
+  const ids = [];
+  let cursor;
+
+  for (let pages = 0; pages < MODELS.length + 1; pages++) {
+    const parsed = parseModelListQuery({ ...query, limit: 2, cursor });
+    assert.equal(parsed.success, true, parsed.error);
+
+    const result = await listModels(parsed.options);
+    assert.equal(result.success, true, result.error);
+    ids.push(...result.data.map(model => model.id));
+
+    if (!result.hasMore) return ids;
+    cursor = encodeCursor(result.data[result.data.length - 1], parsed.options.sort, parsed.options.ascending);
+  }
+  assert.fail('pagination did not end');
+}
+
+test('pages across models without a size, largest first', async () => {
+  assert.deepEqual(await listAllPages({ sort: 'size' }), ['a', 'e', 'c', 'd', 'b']);
+});
+
+test('pages across models without a size, smallest first', async () => {
+  assert.deepEqual(await listAllPages({ sort: 'size', order: 'asc' }), ['c', 'e', 'a', 'b', 'd']);
+});
+
+test('pages across models without a title', async () => {
+  assert.deepEqual(await listAllPages({ sort: 'title' }), ['c', 'a', 'd', 'b', 'e']);
+  assert.deepEqual(await listAllPages({ sort: 'title', order: 'desc' }), ['d', 'a', 'c', 'e', 'b']);
+});
@@ -0,0 +1,48 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.SESSION_SECRET = process.env.SESSION_SECRET || 'test-secret';
+
+const { createSignedModelUrl, verifyModelFileRequest, getModelUrlMode } = await import('../lib/model-urls.js');
+
+const PAGE_ORIGIN = 'https://shop.example';
+
+function request(headers = {}) {
+  return { headers: { host: 'newfurniture.live', ...headers } };
+}
+
+function tokenFor(modelId, headers) {
+  return new URL(createSignedModelUrl(request(headers), modelId)).searchParams.get('t');
+}
+
+afterEach(() => {
+  delete process.env.MODEL_URL_MODE;
+  delete process.env.MODEL_URL_BIND_REFERRER;
+});
+
+test('proxies files unless redirect mode is configured', () => {
+  assert.equal(getModelUrlMode(), 'proxy');
+  process.env.MODEL_URL_MODE = 'redirect';
+  assert.equal(getModelUrlMode(), 'redirect');
+  process.env.MODEL_URL_MODE = 'bogus';
+  assert.equal(getModelUrlMode(), 'proxy');
+});
+
+test('accepts a valid token for the same model only', () => {
+  const token = tokenFor('m1', { origin: PAGE_ORIGIN });
+  assert.equal(verifyModelFileRequest(request(), 'm1', null, token).valid, true);
+  assert.equal(verifyModelFileRequest(request(), 'm2', null, token).status, 403);
+  assert.equal(verifyModelFileRequest(request(), 'm1', 'v1', token).status, 403);
+  assert.equal(verifyModelFileRequest(request(), 'm1', null, 'bogus').status, 403);
+});
+
+test('bound links require the issuing origin', () => {
+  process.env.MODEL_URL_BIND_REFERRER = 'true';
+  const token = tokenFor('m1', { origin: PAGE_ORIGIN });
+
+  assert.equal(verifyModelFileRequest(request({ origin: PAGE_ORIGIN }), 'm1', null, token).valid, true);
+  assert.equal(verifyModelFileRequest(request({ referer: `${PAGE_ORIGIN}/product/1` }), 'm1', null, token).valid, true);
+  assert.equal(verifyModelFileRequest(request({ origin: 'https://other.example' }), 'm1', null, token).status, 403);
+  assert.equal(verifyModelFileRequest(request(), 'm1', null, token).status, 403);
+  assert.equal(verifyModelFileRequest(request({ origin: 'null' }), 'm1', null, token).status, 403);
+});
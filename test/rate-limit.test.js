@@ -0,0 +1,98 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.RATE_LIMIT_STORE = 'memory';
+
+const { checkRateLimits, getRateLimitHeaders } = await import('../lib/rate-limit.js');
+
+// Start of an hour, so the start of a window for every policy
+const BASE = Math.floor(1_800_000_000_000 / 3_600_000) * 3_600_000;
+const realNow = Date.now;
+
+function setClock(ms) {
+  Date.now = () => ms;
+}
+
+afterEach(() => {
+  Date.now = realNow;
+});
+
+async function hit(routePath, ipHash, times = 1) {
+  let result;
+  for (let i = 0; i < times; i++) {
+    result = await checkRateLimits(routePath, { ipHash, session: null });
+  }
+  return result;
+}
+
+test('the limit holds across a window edge', async () => {
+  // login allows 10 per minute per IP
+  setClock(BASE + 59_999);
+  const last = await hit('login', 'edge', 10);
+  assert.equal(last.allowed, true);
+  assert.equal(last.remaining, 0);
+  assert.equal((await hit('login', 'edge')).allowed, false);
+
+  // A new window starts with the previous one still fully weighted
+  setClock(BASE + 60_000);
+  const next = await hit('login', 'edge');
+  assert.equal(next.allowed, false);
+  assert.equal(next.retryAfter, 17);
+});
+
+test('the previous window is weighted by how much of it still overlaps', async () => {
+  setClock(BASE);
+  await hit('login', 'weight', 10);
+
+  // Halfway through the next window the 10 earlier requests count as 5
+  setClock(BASE + 90_000);
+  const first = await hit('login', 'weight');
+  assert.equal(first.allowed, true);
+  assert.equal(first.remaining, 4);
+
+  assert.equal((await hit('login', 'weight', 4)).allowed, true);
+  assert.equal((await hit('login', 'weight')).allowed, false);
+});
+
+test('Retry-After is the wait until one more request is allowed', async () => {
+  setClock(BASE);
+  await hit('login', 'retry', 10);
+
+  setClock(BASE + 90_000);
+  await hit('login', 'retry', 5);
+  const refused = await hit('login', 'retry');
+  assert.equal(refused.allowed, false);
+  assert.equal(refused.retryAfter, 12);
+  assert.equal(getRateLimitHeaders(refused)['Retry-After'], '12');
+
+  setClock(BASE + 90_000 + 11_000);
+  assert.equal((await hit('login', 'retry')).allowed, false);
+
+  // The refused requests above were counted too, so wait out the extra one as well
+  setClock(BASE + 90_000 + 18_000);
+  assert.equal((await hit('login', 'retry')).allowed, true);
+});
+
+test('the tightest policy is reported', async () => {
+  // password/forgot falls under auth (10 per minute) and password-forgot (5 per hour)
+  setClock(BASE);
+  const first = await hit('password/forgot', 'tight');
+  assert.equal(first.policy, 'password-forgot');
+  assert.equal(first.remaining, 4);
+  assert.equal(getRateLimitHeaders(first)['Retry-After'], undefined);
+
+  const refused = await hit('password/forgot', 'tight', 5);
+  assert.equal(refused.allowed, false);
+  assert.equal(refused.policy, 'password-forgot');
+  assert.equal(refused.retryAfter, 4800);
+
+  // Both refused: the longer wait wins
+  const both = await hit('password/forgot', 'tight', 5);
+  assert.equal(both.allowed, false);
+  assert.equal(both.policy, 'password-forgot');
+  assert.ok(both.retryAfter > 3600);
+});
+
+test('routes without a policy are not limited', async () => {
+  assert.equal(await hit('models', 'none'), null);
+});
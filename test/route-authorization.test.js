@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Loading the API needs no database or storage account
+process.env.DATA_STORE = 'memory';
+process.env.ASSET_STORE = 'local';
+process.env.SESSION_SECRET = process.env.SESSION_SECRET || 'test-secret';
+
+const { ROUTES } = await import('../api/index.js');
+const { matchRoute } = await import('../lib/router.js');
+const { authorizeEndpoint } = await import('../lib/auth.js');
+
+const customerSession = { role: 'customer', customerId: 'demo-furniture' };
+
+// Destructive and account-changing routes that must stay admin-only
+const ADMIN_ONLY = [
+  ['POST', 'create-user'],
+  ['GET', 'users'],
+  ['PUT', 'users/1/password'],
+  ['PUT', 'users/1/toggle'],
+  ['DELETE', 'models'],
+  ['POST', 'models/bulk'],
+  ['PUT', 'model/1/assign'],
+  ['POST', 'migrations'],
+  ['POST', 'trash/model/1/restore'],
+  ['POST', 'trash/purge']
+];
+
+function authorize(method, path, session) {
+  const route = matchRoute(ROUTES, path, method);
+  assert.ok(route.endpoint, `${method} ${path} is not a route`);
+  return authorizeEndpoint(route.endpoint, session);
+}
+
+test('every non-public route refuses anonymous callers', () => {
+  for (const route of ROUTES) {
+    for (const [method, endpoint] of Object.entries(route.methods)) {
+      if (endpoint.access?.includes('public')) continue;
+
+      const access = authorizeEndpoint(endpoint, null);
+      assert.equal(access.allowed, false, `${method} ${route.path}`);
+      assert.equal(access.status, 401, `${method} ${route.path}`);
+    }
+  }
+});
+
+test('admin-only routes refuse anonymous callers and customers', () => {
+  for (const [method, path] of ADMIN_ONLY) {
+    assert.equal(authorize(method, path, null).status, 401, `${method} ${path}`);
+    assert.equal(authorize(method, path, customerSession).status, 403, `${method} ${path}`);
+    assert.equal(authorize(method, path, { role: 'admin' }).allowed, true, `${method} ${path}`);
+  }
+});
+
+test('qr-batch requires a login or an API key with the qr:generate scope', () => {
+  assert.equal(authorize('POST', 'qr-batch', null).status, 401);
+  assert.equal(authorize('POST', 'qr-batch', customerSession).allowed, true);
+  assert.equal(authorize('POST', 'qr-batch', { apiKeyId: 'k', scopes: ['catalog:read'] }).status, 403);
+  assert.equal(authorize('POST', 'qr-batch', { apiKeyId: 'k', scopes: ['qr:generate'] }).allowed, true);
+});
+
+test('retired setup endpoints are not routes', () => {
+  const retired = [
+    'init-db', 'create-users-table', 'create-requests-table', 'create-feedback-table',
+    'create-variants-table', 'test-save-model', 'test-brand-settings-schema'
+  ];
+  for (const path of retired) {
+    assert.equal(matchRoute(ROUTES, path, 'GET').status, 404, path);
+    assert.equal(matchRoute(ROUTES, path, 'POST').status, 404, path);
+  }
+});
@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { sanitizeSvg } from '../lib/svg-sanitizer.js';
+
+function sanitize(body) {
+  const result = sanitizeSvg(`<svg>${body}</svg>`);
+  assert.equal(result.success, true);
+  return result;
+}
+
+function assertNoExternalReference(svg) {
+  assert.doesNotMatch(svg, /evil\.example/);
+  assert.doesNotMatch(svg, /\\/);
+}
+
+test('keeps class rules, fragment urls and transforms', () => {
+  const result = sanitize('<style>.cls-1{fill:#fff;stroke:url(#g)}</style><rect class="cls-1" transform="rotate(45 10 10)" fill="url(#g)"/>');
+  assert.equal(result.modified, false);
+  assert.match(result.svg, /\.cls-1 \{ fill:#fff; stroke:url\(#g\) \}/);
+  assert.match(result.svg, /transform="rotate\(45 10 10\)"/);
+  assert.match(result.svg, /fill="url\(#g\)"/);
+});
+
+test('removes escaped url() from <style> rules', () => {
+  const result = sanitize('<style>rect{fill:\\75 rl(https://evil.example/x.png)}</style><rect/>');
+  assertNoExternalReference(result.svg);
+  assert.deepEqual(result.removed, [{ type: 'css', name: 'fill', count: 1 }]);
+});
+
+test('removes escaped url() from style attributes', () => {
+  const result = sanitize('<rect style="fill:\\75rl(https://evil.example/x.png)"/>');
+  assertNoExternalReference(result.svg);
+  assert.deepEqual(result.removed, [{ type: 'css', name: 'fill', count: 1 }]);
+});
+
+test('removes escaped url() from presentation attributes', () => {
+  const result = sanitize('<rect fill="\\75rl(https://evil.example/x.png)"/>');
+  assertNoExternalReference(result.svg);
+  assert.deepEqual(result.removed, [{ type: 'attribute', name: 'fill', count: 1 }]);
+});
+
+test('removes escaped @import', () => {
+  const result = sanitize('<style>@\\69mport "https://evil.example/x.css";rect{fill:red}</style>');
+  assertNoExternalReference(result.svg);
+  assert.match(result.svg, /rect \{ fill:red \}/);
+  assert.deepEqual(result.removed, [{ type: 'css', name: '@import', count: 1 }]);
+});
+
+test('removes image-set() from rules and style attributes', () => {
+  const rule = sanitize('<style>rect{fill:image-set("https://evil.example/x.png" 1x)}</style>');
+  assertNoExternalReference(rule.svg);
+  assert.deepEqual(rule.removed, [{ type: 'css', name: 'fill', count: 1 }]);
+
+  const attribute = sanitize('<rect style="fill:image-set(&quot;https://evil.example/x.png&quot; 1x)"/>');
+  assertNoExternalReference(attribute.svg);
+  assert.deepEqual(attribute.removed, [{ type: 'css', name: 'fill', count: 1 }]);
+});
+
+test('removes doubly escaped values that would decode to url()', () => {
+  const result = sanitize('<style>rect{fill:\\5c 75rl(https://evil.example/x.png)}</style>');
+  assertNoExternalReference(result.svg);
+  assert.equal(result.modified, true);
+});
+
+test('drops at-rule blocks and properties outside the allow-list', () => {
+  const result = sanitize('<style>@media print{rect{fill:url(https://evil.example/x.png)}}rect{behavior:url(#x);fill:red}</style>');
+  assertNoExternalReference(result.svg);
+  assert.match(result.svg, /rect \{ fill:red \}/);
+  assert.deepEqual(result.removed, [
+    { type: 'css', name: '@media', count: 1 },
+    { type: 'css', name: 'behavior', count: 1 }
+  ]);
+});
+
+test('drops values that try to close the rule early', () => {
+  const result = sanitize('<style>rect{font-family:"a}@import url(https://evil.example/x.css);"}</style>');
+  assertNoExternalReference(result.svg);
+  assert.equal(result.modified, true);
+});
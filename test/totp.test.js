@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateTotp, verifyTotp } from '../lib/totp.js';
+
+// RFC 6238 appendix B SHA-1 vectors: the ASCII secret "12345678901234567890" in base32,
+// with the 8-digit codes cut to the last 6 digits this platform uses
+const SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const VECTORS = [
+  [59, '94287082'],
+  [1111111109, '07081804'],
+  [1111111111, '14050471'],
+  [1234567890, '89005924'],
+  [2000000000, '69279037'],
+  [20000000000, '65353130']
+];
+
+test('codes match the RFC 6238 SHA-1 test vectors', () => {
+  for (const [seconds, code] of VECTORS) {
+    assert.equal(generateTotp(SECRET, seconds * 1000), code.slice(-6), `T = ${seconds}`);
+  }
+});
+
+test('the vectors verify to their time step', () => {
+  for (const [seconds, code] of VECTORS) {
+    assert.equal(verifyTotp(SECRET, code.slice(-6), null, seconds * 1000), Math.floor(seconds / 30));
+  }
+});
+
+test('codes one step either side are accepted, further ones are not', () => {
+  const now = 1234567890 * 1000;
+  assert.notEqual(verifyTotp(SECRET, generateTotp(SECRET, now - 30 * 1000), null, now), null);
+  assert.notEqual(verifyTotp(SECRET, generateTotp(SECRET, now + 30 * 1000), null, now), null);
+  assert.equal(verifyTotp(SECRET, generateTotp(SECRET, now - 60 * 1000), null, now), null);
+  assert.equal(verifyTotp(SECRET, generateTotp(SECRET, now + 60 * 1000), null, now), null);
+});
+
+test('a code for a step at or before lastUsedStep is refused', () => {
+  const now = 1234567890 * 1000;
+  const code = generateTotp(SECRET, now);
+  const step = verifyTotp(SECRET, code, null, now);
+
+  assert.equal(verifyTotp(SECRET, code, step, now), null);
+  assert.equal(verifyTotp(SECRET, code, step - 1, now), step);
+  assert.equal(verifyTotp(SECRET, generateTotp(SECRET, now + 30 * 1000), step, now), step + 1);
+});
+
+test('malformed codes are refused', () => {
+  assert.equal(verifyTotp(SECRET, '', null, 59 * 1000), null);
+  assert.equal(verifyTotp(SECRET, '28708', null, 59 * 1000), null);
+  assert.equal(verifyTotp(SECRET, '94287082', null, 59 * 1000), null);
+  assert.equal(verifyTotp(SECRET, '287 082', null, 59 * 1000), 1);
+});
@@ -0,0 +1,57 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Second factors are checked against the in-memory data store
+process.env.DATA_STORE = 'memory';
+process.env.SESSION_SECRET = process.env.SESSION_SECRET || 'test-secret';
+delete process.env.MEMORY_DB_FILE;
+
+const { createUser } = await import('../lib/repositories/users.js');
+const { beginTwoFactorSetup, activateTwoFactor, verifySecondFactor } = await import('../lib/two-factor.js');
+const { generateTotp } = await import('../lib/totp.js');
+
+let secret;
+let recoveryCodes;
+
+before(async () => {
+  const result = await createUser({ id: 'user-1', username: 'two-factor', passwordHash: 'x', role: 'customer' });
+  assert.equal(result.success, true, result.error);
+
+  const setup = await beginTwoFactorSetup('user-1');
+  assert.equal(setup.success, true, setup.error);
+  secret = setup.secret;
+
+  const activated = await activateTwoFactor('user-1', generateTotp(secret));
+  assert.equal(activated.success, true, activated.error);
+  recoveryCodes = activated.recoveryCodes;
+});
+
+test('a code used to activate cannot be replayed', async () => {
+  const result = await verifySecondFactor('user-1', { code: generateTotp(secret) });
+  assert.equal(result.success, false);
+});
+
+test('a code is accepted once', async () => {
+  const code = generateTotp(secret, Date.now() + 30 * 1000);
+  assert.equal((await verifySecondFactor('user-1', { code })).success, true);
+  assert.equal((await verifySecondFactor('user-1', { code })).success, false);
+});
+
+test('a recovery code is accepted once', async () => {
+  const first = await verifySecondFactor('user-1', { recoveryCode: recoveryCodes[0] });
+  assert.equal(first.success, true);
+  assert.equal(first.usedRecoveryCode, true);
+  assert.equal(first.recoveryCodesRemaining, recoveryCodes.length - 1);
+
+  assert.equal((await verifySecondFactor('user-1', { recoveryCode: recoveryCodes[0] })).success, false);
+  assert.equal((await verifySecondFactor('user-1', { recoveryCode: recoveryCodes[1].toUpperCase() })).success, true);
+});
+
+test('parallel uses of one recovery code succeed only once', async () => {
+  const results = await Promise.all([0, 1, 2].map(() => verifySecondFactor('user-1', { recoveryCode: recoveryCodes[2] })));
+  assert.equal(results.filter(result => result.success).length, 1);
+});
+
+test('an unknown recovery code is refused', async () => {
+  assert.equal((await verifySecondFactor('user-1', { recoveryCode: 'aaaaa-bbbbb' })).success, false);
+});